@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.13;
 
 /**
  * @title SupplyChainManagement
@@ -13,8 +13,10 @@ contract SupplyChainManagement {
      * InTransit: Shipment is currently moving through the supply chain.
      * Delivered: Shipment has reached its final destination.
      * Cancelled: Shipment has been cancelled.
+     * OnHold: Shipment is paused and cannot progress until it is resumed.
+     * Delivered and Cancelled are terminal: once reached, the status can no longer change.
      */
-    enum ShippingStatus { Pending, InTransit, Delivered, Cancelled }
+    enum ShippingStatus { Pending, InTransit, Delivered, Cancelled, OnHold }
 
     /**
      * @dev Struct representing a shipment in the supply chain.
@@ -29,43 +31,286 @@ contract SupplyChainManagement {
         ShippingStatus status;           // Current status of the shipment
         address[] transitStations;       // Array of addresses representing transit stations
         uint256 currentStationIndex;     // Index of the current station in transitStations array
+        address owner;                   // Address that created the shipment
+        address cancelledBy;             // Address that cancelled the shipment, if cancelled
+        string cancellationReason;       // Reason given for the cancellation
         address[] reporters;
         mapping(address => DamageReport) damageReports; // Maps address that reported damage to their report
     }
 
+    /**
+     * @dev Enum representing the optional category of reported damage.
+     * Unspecified is the default for reports that do not pick a category.
+     */
+    enum DamageCategory { Unspecified, Packing, Accident, Spoilage, Other }
+
     //This struct will allow for easier accessing of what station is associated with what damage quantity and reason
     struct DamageReport {
         uint256 damagedQuantity;
         string damageReason;
+        DamageCategory category;
+        bool exists;                     // True once the station has reported, even if it later amends the quantity to 0
+        uint256[] lineItemQuantities;    // Damaged quantity of each line item, empty for shipments without line items
+        Evidence[] evidence;             // Photos or documents the station attached to back up its report
+    }
+
+    /**
+     * @dev Struct representing a file attached to a damage report. The file itself is kept off-chain;
+     * its hash lets anyone holding a copy check that it is the file the station attached.
+     */
+    struct Evidence {
+        bytes32 contentHash;             // SHA-256 hash of the file's content
+        string uri;                      // Where the file can be downloaded, e.g. on a self-hosted store (may be empty)
     }
 
+    /**
+     * @dev Struct representing one product in a shipment that carries several, e.g. a SKU on a packing list.
+     */
+    struct LineItem {
+        string sku;                      // Stock keeping unit identifying the product
+        string description;              // Description of the product
+        uint256 quantity;                // Quantity shipped, in the line item's unit
+        string unit;                     // Unit of the quantity (e.g. "pcs", "cartons", "kg")
+    }
+
+    // Mapping from shipment ID to its line items, empty for shipments created with a single quantity
+    // The shipment's quantity is the sum of its line items' quantities
+    mapping(uint256 => LineItem[]) internal lineItems;
+
+    // Mapping from shipment ID to the total quantity of each line item reported as damaged
+    mapping(uint256 => uint256[]) internal lineItemDamage;
+
     // Mapping from shipment ID to Shipment struct
     mapping(uint256 => Shipment) public shipments;
 
+    // Lowest ID that may still be free, tried first when a shipment is created without an ID
+    uint256 public nextShipmentId = 1;
+
+    // Mapping from shipment ID to its optional external reference (e.g. a PO number or bill of lading)
+    mapping(uint256 => string) public shipmentReferences;
+
+    // Mapping from the hash of an external reference to the IDs of the shipments carrying it
+    mapping(bytes32 => uint256[]) internal shipmentsByReference;
+
     // Nested mapping to track if a shipment has passed through a specific station
     // Mapping: shipment ID => (station address => bool)
     mapping(uint256 => mapping(address => bool)) public stationPassed;
 
+    /**
+     * @dev Struct representing the consignee's confirmation of what actually arrived.
+     * acceptedQuantity + rejectedQuantity may be less than the shipped quantity; the rest is missing.
+     */
+    struct Receipt {
+        address recipient;               // Account that confirms receipt; the owner confirms if none is set
+        bool confirmed;                  // True once receipt has been confirmed
+        uint256 acceptedQuantity;        // Items accepted in good condition
+        uint256 rejectedQuantity;        // Items rejected, e.g. because they arrived damaged
+        string notes;                    // Notes from the recipient
+        bool disputed;                   // True once a dispute has been raised
+        address disputedBy;              // Address that raised the dispute
+        string disputeReason;            // Reason given for the dispute
+        uint256[] lineItemAccepted;      // Quantity of each line item accepted, if receipt was confirmed per line item
+        uint256[] lineItemRejected;      // Quantity of each line item rejected, if receipt was confirmed per line item
+    }
+
+    // Mapping from shipment ID to the receipt confirmation of the shipment
+    mapping(uint256 => Receipt) internal receipts;
+
+    // Mapping from shipment ID to the time (unix seconds) by which it should be delivered, 0 if none
+    mapping(uint256 => uint256) public deliveryDeadlines;
 
-    // Event emitted when a new shipment is created
-    event ShipmentCreated(uint256 shipmentId);
+    // Mapping from shipment ID to the time each transit station should check the shipment in, 0 for no deadline
+    // Empty if the shipment only has an overall delivery deadline, or none at all
+    mapping(uint256 => uint256[]) internal stationDeadlines;
+
+    /**
+     * @dev Struct representing the optional payment a shipment's owner escrows when creating it.
+     * Each transit station's fee is released when it checks the shipment in; what is left once the
+     * shipment is delivered is settled between the stations, less deductions for reported damage.
+     */
+    struct Escrow {
+        uint256 deposit;                 // Amount deposited when the shipment was created, 0 if none
+        uint256 balance;                 // Amount still held for the shipment
+        uint256[] stationFees;           // Fee released to each transit station when it checks the shipment in
+        bool settled;                    // True once the balance was settled on delivery or refunded on cancellation
+    }
+
+    // Mapping from shipment ID to its escrowed payment
+    mapping(uint256 => Escrow) internal escrows;
+
+    // Amount each account can withdraw from released fees, settlements and refunds
+    mapping(address => uint256) public payments;
+
+    /**
+     * @dev Enum representing why an escrowed amount was paid out.
+     * StationFee: A station's fee, released when it checked the shipment in.
+     * Settlement: A station's share of the balance left on delivery, less its damage deduction.
+     * Refund: Returned to the owner: damage deductions on settlement, or the balance of a cancelled shipment.
+     */
+    enum PayoutKind { StationFee, Settlement, Refund }
+
+    /**
+     * @dev Enum representing the roles an account can hold.
+     * Admin: Grants and revokes roles.
+     * Shipper: Creates shipments.
+     * Carrier: Can be listed as a transit station, progresses shipments and reports damage.
+     * Auditor: Reads shipments. Contract data is public, so the role only tells the UI to show a read-only view.
+     */
+    enum Role { Admin, Shipper, Carrier, Auditor }
+
+    // Nested mapping to track which accounts hold which roles
+    // Mapping: role => (account => bool)
+    mapping(Role => mapping(address => bool)) public hasRole;
+
+    // Number of accounts holding the Admin role, so the last admin cannot be removed
+    uint256 public adminCount;
+
+
+    // Event emitted when a new shipment is created, with its (possibly auto-assigned) ID and external reference
+    event ShipmentCreated(uint256 shipmentId, string externalReference);
 
     // Event emitted when the status of a shipment is updated
     event StatusUpdated(uint256 shipmentId, ShippingStatus newStatus);
 
-    // Event emitted when damage is reported for a shipment at a station
-    event DamageReported(uint256 indexed shipmentId, uint256 damagedQuantity, address indexed reporter, string damageReason);
+    // Event emitted when damage is reported or amended for a shipment at a station
+    // damagedQuantity is the station's reported quantity after this report; previousQuantity is what it reported before (0 for a first report)
+    event DamageReported(
+        uint256 indexed shipmentId,
+        uint256 damagedQuantity,
+        address indexed reporter,
+        string damageReason,
+        DamageCategory category,
+        uint256 previousQuantity
+    );
+
+    // Event emitted for each file a station attaches to its damage report
+    event DamageEvidenceAttached(uint256 indexed shipmentId, address indexed reporter, bytes32 contentHash, string uri);
 
     // Event emitted when a shipment progresses to the next station
     event StationUpdated(uint256 shipmentId, address station);
 
+    // Event emitted when the owner replaces the stations a shipment has not reached yet
+    // fromIndex is the position in transitStations where the replaced part of the route starts
+    event RouteChanged(
+        uint256 indexed shipmentId,
+        uint256 fromIndex,
+        address[] previousStations,
+        address[] newStations,
+        string reason
+    );
+
+    // Event emitted when a shipment is cancelled, with the reason given
+    event ShipmentCancelled(uint256 indexed shipmentId, address indexed cancelledBy, string reason);
+
+    // Event emitted when the owner names the account that confirms receipt of a shipment
+    event RecipientSet(uint256 indexed shipmentId, address indexed recipient);
+
+    // Event emitted when the recipient confirms what arrived
+    event ReceiptConfirmed(
+        uint256 indexed shipmentId,
+        address indexed recipient,
+        uint256 acceptedQuantity,
+        uint256 rejectedQuantity,
+        string notes
+    );
+
+    // Event emitted when the recipient or owner disputes a receipt that does not match the shipment's records
+    event DisputeRaised(uint256 indexed shipmentId, address indexed raisedBy, string reason);
+
+    // Event emitted when the owner sets or changes the deadlines of a shipment
+    event DeadlinesSet(uint256 indexed shipmentId, uint256 deliveryDeadline, uint256[] stationDeadlines);
+
+    // Event emitted when the owner escrows payment for a shipment
+    event EscrowDeposited(uint256 indexed shipmentId, uint256 amount, uint256[] stationFees);
+
+    // Event emitted when an escrowed amount is credited to an account, which can then withdraw it
+    event PaymentReleased(uint256 indexed shipmentId, address indexed payee, PayoutKind kind, uint256 amount);
+
+    // Event emitted when a delivered shipment's remaining balance is settled
+    // Each station's share is reduced by its damage deduction; the refund is what went back to the owner
+    event EscrowSettled(uint256 indexed shipmentId, uint256 balance, uint256 share, uint256 refund);
+
+    // Event emitted when an account withdraws its released payments
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+
+    // Events emitted when an admin grants or revokes a role
+    event RoleGranted(Role indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(Role indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @dev Makes the deployer the first admin.
+     */
+    constructor() {
+        hasRole[Role.Admin][msg.sender] = true;
+        adminCount = 1;
+        emit RoleGranted(Role.Admin, msg.sender, msg.sender);
+    }
+
+    /**
+     * @dev Function to grant a role to an account. Only admins can grant roles.
+     * @param _role The role to grant.
+     * @param _account The account to grant the role to.
+     */
+    function grantRole(Role _role, address _account) public {
+        require(hasRole[Role.Admin][msg.sender], "Only an admin can manage roles");
+        require(_account != address(0), "Cannot grant a role to the zero address");
+        require(!hasRole[_role][_account], "Account already has this role");
+
+        hasRole[_role][_account] = true;
+        if (_role == Role.Admin) {
+            adminCount++;
+        }
+
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    /**
+     * @dev Function to revoke a role from an account. Only admins can revoke roles,
+     * and the last admin cannot be removed.
+     * Revoking Carrier does not remove the account from existing routes, but it can
+     * no longer progress shipments or report damage.
+     * @param _role The role to revoke.
+     * @param _account The account to revoke the role from.
+     */
+    function revokeRole(Role _role, address _account) public {
+        require(hasRole[Role.Admin][msg.sender], "Only an admin can manage roles");
+        require(hasRole[_role][_account], "Account does not have this role");
+        if (_role == Role.Admin) {
+            require(adminCount > 1, "Cannot revoke the last admin");
+            adminCount--;
+        }
+
+        hasRole[_role][_account] = false;
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    /**
+     * @dev Function to retrieve every role an account holds.
+     * @param _account The account to check.
+     * @return admin True if the account is an admin.
+     * @return shipper True if the account is a shipper.
+     * @return carrier True if the account is a carrier.
+     * @return auditor True if the account is an auditor.
+     */
+    function getRoles(address _account) public view returns (bool admin, bool shipper, bool carrier, bool auditor) {
+        return (
+            hasRole[Role.Admin][_account],
+            hasRole[Role.Shipper][_account],
+            hasRole[Role.Carrier][_account],
+            hasRole[Role.Auditor][_account]
+        );
+    }
+
     /**
-     * @dev Function to create a new shipment.
-     * @param _id Unique identifier for the shipment.
+     * @dev Function to create a new shipment. Only shippers can create shipments,
+     * and every transit station must be a carrier.
+     * @param _id Unique identifier for the shipment, or 0 to assign the next free ID.
      * @param _origin Origin location of the shipment.
      * @param _destination Destination location of the shipment.
      * @param _quantity Total quantity of items being shipped.
      * @param _transitStations Array of addresses representing the transit stations.
+     * @return The ID of the shipment, also emitted in ShipmentCreated.
      */
     function createShipment(
         uint256 _id,
@@ -73,10 +318,251 @@ contract SupplyChainManagement {
         string memory _destination,
         uint256 _quantity,
         address[] memory _transitStations
+    ) public returns (uint256) {
+        return _createShipment(_id, "", _origin, _destination, _quantity, _transitStations);
+    }
+
+    /**
+     * @dev Function to create a new shipment carrying an external reference, such as a
+     * PO number or bill of lading, that it can later be looked up by.
+     * References do not have to be unique. Otherwise the same as createShipment.
+     * @param _id Unique identifier for the shipment, or 0 to assign the next free ID.
+     * @param _reference The external reference (may be empty).
+     * @param _origin Origin location of the shipment.
+     * @param _destination Destination location of the shipment.
+     * @param _quantity Total quantity of items being shipped.
+     * @param _transitStations Array of addresses representing the transit stations.
+     * @return The ID of the shipment, also emitted in ShipmentCreated.
+     */
+    function createShipmentWithReference(
+        uint256 _id,
+        string memory _reference,
+        string memory _origin,
+        string memory _destination,
+        uint256 _quantity,
+        address[] memory _transitStations
+    ) public returns (uint256) {
+        return _createShipment(_id, _reference, _origin, _destination, _quantity, _transitStations);
+    }
+
+    /**
+     * @dev Function to create a new shipment and escrow payment for it. The amount sent covers a fee
+     * for each transit station, released when the station checks the shipment in; the rest is settled
+     * between the stations once the shipment is delivered (see settleEscrow), and refunded to the owner
+     * if the shipment is cancelled. Otherwise the same as createShipmentWithReference.
+     * @param _id Unique identifier for the shipment, or 0 to assign the next free ID.
+     * @param _reference The external reference (may be empty).
+     * @param _origin Origin location of the shipment.
+     * @param _destination Destination location of the shipment.
+     * @param _quantity Total quantity of items being shipped.
+     * @param _transitStations Array of addresses representing the transit stations.
+     * @param _stationFees The fee of each transit station, in wei; together at most the amount sent.
+     * @return The ID of the shipment, also emitted in ShipmentCreated.
+     */
+    function createShipmentWithEscrow(
+        uint256 _id,
+        string memory _reference,
+        string memory _origin,
+        string memory _destination,
+        uint256 _quantity,
+        address[] memory _transitStations,
+        uint256[] memory _stationFees
+    ) public payable returns (uint256) {
+        uint256 id = _createShipment(_id, _reference, _origin, _destination, _quantity, _transitStations);
+        _depositEscrow(id, _stationFees);
+        return id;
+    }
+
+    /**
+     * @dev Function to create a new shipment together with its deadlines, so the shipment never exists
+     * without them. The deadlines follow the rules of setDeadlines. Payment is escrowed as in
+     * createShipmentWithEscrow if an amount is sent; otherwise no station fees may be given.
+     * Otherwise the same as createShipmentWithReference.
+     * @param _id Unique identifier for the shipment, or 0 to assign the next free ID.
+     * @param _reference The external reference (may be empty).
+     * @param _origin Origin location of the shipment.
+     * @param _destination Destination location of the shipment.
+     * @param _quantity Total quantity of items being shipped.
+     * @param _transitStations Array of addresses representing the transit stations.
+     * @param _deliveryDeadline The time (unix seconds) by which the shipment should be delivered, or 0.
+     * @param _stationDeadlines One time (unix seconds) or 0 per transit station, or an empty array for none.
+     * @param _stationFees The fee of each transit station in wei, or an empty array without escrow.
+     * @return The ID of the shipment, also emitted in ShipmentCreated.
+     */
+    function createShipmentWithDeadlines(
+        uint256 _id,
+        string memory _reference,
+        string memory _origin,
+        string memory _destination,
+        uint256 _quantity,
+        address[] memory _transitStations,
+        uint256 _deliveryDeadline,
+        uint256[] memory _stationDeadlines,
+        uint256[] memory _stationFees
+    ) public payable returns (uint256) {
+        uint256 id = _createShipment(_id, _reference, _origin, _destination, _quantity, _transitStations);
+        if (_deliveryDeadline != 0 || _stationDeadlines.length > 0) {
+            _setDeadlines(id, _deliveryDeadline, _stationDeadlines);
+        }
+        if (msg.value > 0 || _stationFees.length > 0) {
+            _depositEscrow(id, _stationFees);
+        }
+        return id;
+    }
+
+    /**
+     * @dev Function to create a new shipment carrying several products, each described by a line item.
+     * The shipment's quantity is the sum of the line items' quantities, and damage and receipt can then be
+     * reported per line item (see reportLineItemDamage and confirmLineItemReceipt). Payment is escrowed as in
+     * createShipmentWithEscrow if an amount is sent; otherwise no station fees may be given. Deadlines are
+     * set as in createShipmentWithDeadlines. Otherwise the same as createShipmentWithReference.
+     * @param _id Unique identifier for the shipment, or 0 to assign the next free ID.
+     * @param _reference The external reference (may be empty).
+     * @param _origin Origin location of the shipment.
+     * @param _destination Destination location of the shipment.
+     * @param _transitStations Array of addresses representing the transit stations.
+     * @param _lineItems The products shipped; at least one, each with a SKU and a quantity greater than zero.
+     * @param _deliveryDeadline The time (unix seconds) by which the shipment should be delivered, or 0.
+     * @param _stationDeadlines One time (unix seconds) or 0 per transit station, or an empty array for none.
+     * @param _stationFees The fee of each transit station in wei, or an empty array without escrow.
+     * @return The ID of the shipment, also emitted in ShipmentCreated.
+     */
+    function createShipmentWithLineItems(
+        uint256 _id,
+        string memory _reference,
+        string memory _origin,
+        string memory _destination,
+        address[] memory _transitStations,
+        LineItem[] memory _lineItems,
+        uint256 _deliveryDeadline,
+        uint256[] memory _stationDeadlines,
+        uint256[] memory _stationFees
+    ) public payable returns (uint256) {
+        require(_lineItems.length > 0, "A shipment needs at least one line item");
+
+        uint256 quantity = 0;
+        for (uint256 i = 0; i < _lineItems.length; i++) {
+            require(bytes(_lineItems[i].sku).length > 0, "Every line item needs a SKU");
+            require(_lineItems[i].quantity > 0, "Line item quantities must be greater than zero");
+            quantity += _lineItems[i].quantity;
+        }
+
+        uint256 id = _createShipment(_id, _reference, _origin, _destination, quantity, _transitStations);
+        for (uint256 i = 0; i < _lineItems.length; i++) {
+            lineItems[id].push(_lineItems[i]);
+            lineItemDamage[id].push(0);
+        }
+        if (_deliveryDeadline != 0 || _stationDeadlines.length > 0) {
+            _setDeadlines(id, _deliveryDeadline, _stationDeadlines);
+        }
+
+        if (msg.value > 0 || _stationFees.length > 0) {
+            _depositEscrow(id, _stationFees);
+        }
+        return id;
+    }
+
+    /**
+     * @dev Escrows the amount sent for a new shipment, with the fee of each of its transit stations.
+     * Shared by createShipmentWithEscrow and createShipmentWithLineItems.
+     * @param _shipmentId The ID of the shipment.
+     * @param _stationFees The fee of each transit station, in wei; together at most the amount sent.
+     */
+    function _depositEscrow(uint256 _shipmentId, uint256[] memory _stationFees) internal {
+        require(msg.value > 0, "Escrow deposit must be greater than zero");
+        require(
+            _stationFees.length == shipments[_shipmentId].transitStations.length,
+            "Station fees must match the transit stations"
+        );
+
+        uint256 totalFees = 0;
+        for (uint256 i = 0; i < _stationFees.length; i++) {
+            totalFees += _stationFees[i];
+        }
+        require(totalFees <= msg.value, "Station fees exceed the deposit");
+
+        Escrow storage escrow = escrows[_shipmentId];
+        escrow.deposit = msg.value;
+        escrow.balance = msg.value;
+        escrow.stationFees = _stationFees;
+
+        emit EscrowDeposited(_shipmentId, msg.value, _stationFees);
+    }
+
+    /**
+     * @dev Function to create several shipments in one transaction.
+     * The arrays are read in parallel: entry i of each array describes the i-th shipment.
+     * Only shippers can create shipments. If any shipment cannot be created, the whole batch reverts.
+     * Deadlines are set as in createShipmentWithDeadlines.
+     * @param _ids Unique identifiers for the shipments; 0 assigns the next free ID.
+     * @param _origins Origin locations of the shipments.
+     * @param _destinations Destination locations of the shipments.
+     * @param _quantities Total quantities of items being shipped.
+     * @param _transitStations Transit station addresses for each shipment.
+     * @param _deliveryDeadlines The delivery deadline (unix seconds) of each shipment, or 0.
+     * @param _stationDeadlines The per-station deadlines of each shipment, or an empty array for none.
+     */
+    function createShipments(
+        uint256[] memory _ids,
+        string[] memory _origins,
+        string[] memory _destinations,
+        uint256[] memory _quantities,
+        address[][] memory _transitStations,
+        uint256[] memory _deliveryDeadlines,
+        uint256[][] memory _stationDeadlines
     ) public {
+        // Ensure every array describes the same number of shipments
+        require(
+            _origins.length == _ids.length &&
+            _destinations.length == _ids.length &&
+            _quantities.length == _ids.length &&
+            _transitStations.length == _ids.length &&
+            _deliveryDeadlines.length == _ids.length &&
+            _stationDeadlines.length == _ids.length,
+            "Array lengths do not match"
+        );
+
+        for (uint256 i = 0; i < _ids.length; i++) {
+            uint256 id = _createShipment(_ids[i], "", _origins[i], _destinations[i], _quantities[i], _transitStations[i]);
+            if (_deliveryDeadlines[i] != 0 || _stationDeadlines[i].length > 0) {
+                _setDeadlines(id, _deliveryDeadlines[i], _stationDeadlines[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Creates a shipment owned by the caller. Shared by createShipment, createShipmentWithReference
+     * and createShipments.
+     * @return The ID of the shipment.
+     */
+    function _createShipment(
+        uint256 _id,
+        string memory _reference,
+        string memory _origin,
+        string memory _destination,
+        uint256 _quantity,
+        address[] memory _transitStations
+    ) internal returns (uint256) {
+        // Ensure that the caller may create shipments
+        require(hasRole[Role.Shipper][msg.sender], "Only shippers can create shipments");
+
+        if (_id == 0) {
+            // Assign the lowest free ID, skipping IDs that were picked by hand
+            while (shipments[nextShipmentId].id != 0) {
+                nextShipmentId++;
+            }
+            _id = nextShipmentId;
+        }
+
         // Ensure that a shipment with the same ID does not already exist
         require(shipments[_id].id == 0, "Shipment with this ID already exists");
 
+        // Ensure that every transit station is a carrier, listed once so that it is paid one share of the escrow
+        for (uint256 i = 0; i < _transitStations.length; i++) {
+            require(hasRole[Role.Carrier][_transitStations[i]], "Every transit station must be a carrier");
+            _requireListedOnce(_transitStations, i);
+        }
+
         // Create a new Shipment struct in storage
         Shipment storage newShipment = shipments[_id];
         newShipment.id = _id;
@@ -86,29 +572,99 @@ contract SupplyChainManagement {
         newShipment.status = ShippingStatus.Pending; // Set initial status to Pending
         newShipment.transitStations = _transitStations; // Set transit stations
         newShipment.currentStationIndex = 0; // Start at the first station
+        newShipment.owner = msg.sender; // The creator owns the shipment
+
+        // Record the external reference, so the shipment can be looked up by it
+        if (bytes(_reference).length > 0) {
+            shipmentReferences[_id] = _reference;
+            shipmentsByReference[keccak256(bytes(_reference))].push(_id);
+        }
 
         // Emit an event to signal that a new shipment has been created
-        emit ShipmentCreated(_id);
+        emit ShipmentCreated(_id, _reference);
+
+        return _id;
     }
 
     /**
-     * @dev Function to update the status of a shipment.
-     * Only the current station in the shipment's transitStations can update the status.
+     * @dev Returns a shipment from storage, reverting if it does not exist.
+     * @param _shipmentId The ID of the shipment.
+     * @return shipment The shipment.
+     */
+    function _getShipment(uint256 _shipmentId) internal view returns (Shipment storage shipment) {
+        shipment = shipments[_shipmentId];
+        require(shipment.id != 0, "Shipment does not exist");
+    }
+
+    /**
+     * @dev Reverts if a station of a route is also listed before it.
+     * @param _stations The stations of the route.
+     * @param _index The position of the station to check.
+     */
+    function _requireListedOnce(address[] memory _stations, uint256 _index) internal pure {
+        for (uint256 i = 0; i < _index; i++) {
+            require(_stations[i] != _stations[_index], "Every transit station must be listed once");
+        }
+    }
+
+    /**
+     * @dev Reverts if a shipment is delivered or cancelled, since terminal states are immutable.
+     * @param shipment The shipment to check.
+     */
+    function _requireNotTerminal(Shipment storage shipment) internal view {
+        require(
+            shipment.status != ShippingStatus.Delivered && shipment.status != ShippingStatus.Cancelled,
+            "Shipment is already delivered or cancelled"
+        );
+    }
+
+    /**
+     * @dev Function to find the shipments carrying an external reference.
+     * @param _reference The external reference, matched exactly.
+     * @return The IDs of the shipments, in the order they were created.
+     */
+    function getShipmentIdsByReference(string memory _reference) public view returns (uint256[] memory) {
+        return shipmentsByReference[keccak256(bytes(_reference))];
+    }
+
+    /**
+     * @dev Checks whether an address may change a shipment's status:
+     * the shipment's owner, or the current station in its transitStations.
+     * @param shipment The shipment to check.
+     * @param _account The address to check.
+     * @return True if the address is authorized.
+     */
+    function isStatusAuthority(Shipment storage shipment, address _account) internal view returns (bool) {
+        if (_account == shipment.owner) {
+            return true;
+        }
+        return shipment.currentStationIndex < shipment.transitStations.length
+            && _account == shipment.transitStations[shipment.currentStationIndex];
+    }
+
+    /**
+     * @dev Function to put a shipment on hold or resume it.
+     * Only the shipment's owner or its current station can update the status.
+     * Delivered is only reached by progressing through every station, and
+     * Cancelled only through cancelShipment, so neither can be set here.
      * @param _shipmentId The ID of the shipment to update.
-     * @param _newStatus The new status to assign to the shipment.
+     * @param _newStatus The new status to assign to the shipment (Pending, InTransit or OnHold).
      */
     function updateStatus(uint256 _shipmentId, ShippingStatus _newStatus) public {
         // Retrieve the shipment from storage
-        Shipment storage shipment = shipments[_shipmentId];
+        Shipment storage shipment = _getShipment(_shipmentId);
 
-        // Ensure that the shipment exists
-        require(shipment.id != 0, "Shipment does not exist");
+        // Terminal states are immutable
+        _requireNotTerminal(shipment);
+
+        // Terminal states can only be reached through their own functions
+        require(
+            _newStatus != ShippingStatus.Delivered && _newStatus != ShippingStatus.Cancelled,
+            "Use progressToNextStation to deliver or cancelShipment to cancel"
+        );
 
         // Check if the sender is authorized to update the status
-        if (shipment.status == ShippingStatus.Pending || shipment.status == ShippingStatus.InTransit) {
-            // Only the current station can update the status
-            require(msg.sender == shipment.transitStations[shipment.currentStationIndex], "Not authorized to update status");
-        }
+        require(isStatusAuthority(shipment, msg.sender), "Not authorized to update status");
 
         // Update the shipment's status
         shipment.status = _newStatus;
@@ -117,17 +673,51 @@ contract SupplyChainManagement {
         emit StatusUpdated(_shipmentId, _newStatus);
     }
 
+    /**
+     * @dev Function to cancel a shipment.
+     * Only the shipment's owner or its current station can cancel it, and only
+     * while it is not yet delivered or cancelled.
+     * @param _shipmentId The ID of the shipment to cancel.
+     * @param _reason The reason for the cancellation.
+     */
+    function cancelShipment(uint256 _shipmentId, string memory _reason) public {
+        // Retrieve the shipment from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+
+        // Terminal states are immutable
+        _requireNotTerminal(shipment);
+
+        // Check if the sender is authorized to cancel
+        require(isStatusAuthority(shipment, msg.sender), "Only the owner or the current station can cancel");
+
+        // Ensure a reason is given, so the cancellation can be explained later
+        require(bytes(_reason).length > 0, "A cancellation reason is required");
+
+        // Record who cancelled the shipment and why
+        shipment.status = ShippingStatus.Cancelled;
+        shipment.cancelledBy = msg.sender;
+        shipment.cancellationReason = _reason;
+
+        // Return whatever is still escrowed to the owner
+        Escrow storage escrow = escrows[_shipmentId];
+        if (escrow.deposit > 0) {
+            escrow.settled = true;
+            _releasePayment(_shipmentId, shipment.owner, PayoutKind.Refund, escrow.balance);
+        }
+
+        // Emit events to signal the cancellation and the status update
+        emit ShipmentCancelled(_shipmentId, msg.sender, _reason);
+        emit StatusUpdated(_shipmentId, ShippingStatus.Cancelled);
+    }
+
     /**
      * @dev Function to progress the shipment to the next station.
-     * Must be called by the address of the next station in the transitStations array.
+     * Must be called by the address of the next station in the transitStations array, which must still be a carrier.
      * @param _shipmentId The ID of the shipment to progress.
      */
     function progressToNextStation(uint256 _shipmentId) public {
         // Retrieve the shipment from storage
-        Shipment storage shipment = shipments[_shipmentId];
-
-        // Ensure that the shipment exists
-        require(shipment.id != 0, "Shipment does not exist");
+        Shipment storage shipment = _getShipment(_shipmentId);
 
         // Ensure the shipment is in a valid state to progress
         require(
@@ -147,9 +737,18 @@ contract SupplyChainManagement {
         // Ensure that the caller is the next station
         require(msg.sender == nextStation, "Only the next station can call this function");
 
+        // Ensure that the station is still a carrier
+        require(hasRole[Role.Carrier][msg.sender], "Only carriers can progress shipments");
+
         // Mark that the shipment has passed this station
         stationPassed[_shipmentId][msg.sender] = true;
 
+        // Release the station's fee, if the owner escrowed payment
+        uint256[] storage fees = escrows[_shipmentId].stationFees;
+        if (fees.length > shipment.currentStationIndex) {
+            _releasePayment(_shipmentId, msg.sender, PayoutKind.StationFee, fees[shipment.currentStationIndex]);
+        }
+
         // Emit an event to signal that the shipment has reached this station
         emit StationUpdated(_shipmentId, msg.sender);
 
@@ -169,59 +768,642 @@ contract SupplyChainManagement {
     }
 
     /**
-     * @dev Function to report damage at a specific station.
-     * Can only be called by stations that the shipment has passed.
+     * @dev Function to reroute a shipment: replaces the stations it has not reached yet, i.e. every
+     * station from currentStationIndex on, so stations can be inserted, removed or replaced without
+     * touching the ones already passed. Only the owner can amend the route, and only before the
+     * shipment is delivered or cancelled. Per-station deadlines of the replaced stations are dropped.
      * @param _shipmentId The ID of the shipment.
-     * @param _damagedQuantity The quantity of items reported as damaged.
+     * @param _newStations The stations the shipment still has to pass, in order. Each must be a carrier
+     * that the shipment has not passed yet.
+     * @param _reason Why the route changed, e.g. a warehouse closed.
      */
-    function reportDamage(uint256 _shipmentId, uint256 _damagedQuantity, string memory _damageReason) public {
+    function amendRoute(uint256 _shipmentId, address[] memory _newStations, string memory _reason) public {
         // Retrieve the shipment from storage
-        Shipment storage shipment = shipments[_shipmentId];
+        Shipment storage shipment = _getShipment(_shipmentId);
 
-        // Ensure that the shipment exists
-        require(shipment.id != 0, "Shipment does not exist");
+        // Only the owner decides where the shipment goes
+        require(msg.sender == shipment.owner, "Only the owner can amend the route");
+
+        // Terminal states are immutable
+        _requireNotTerminal(shipment);
+
+        // The shipment still has to reach a last station to be delivered
+        require(_newStations.length > 0, "The route needs at least one station ahead");
+
+        // Every station stays listed once, as on creation: the passed stations are kept, so none of them may come back
+        for (uint256 i = 0; i < _newStations.length; i++) {
+            require(hasRole[Role.Carrier][_newStations[i]], "Every transit station must be a carrier");
+            require(!stationPassed[_shipmentId][_newStations[i]], "The shipment has already passed this station");
+            _requireListedOnce(_newStations, i);
+        }
+
+        // Keep the passed stations and collect the ones being replaced
+        uint256 fromIndex = shipment.currentStationIndex;
+        address[] memory previousStations = new address[](shipment.transitStations.length - fromIndex);
+        for (uint256 i = 0; i < previousStations.length; i++) {
+            previousStations[i] = shipment.transitStations[fromIndex + i];
+        }
+        while (shipment.transitStations.length > fromIndex) {
+            shipment.transitStations.pop();
+        }
+        for (uint256 i = 0; i < _newStations.length; i++) {
+            shipment.transitStations.push(_newStations[i]);
+        }
+
+        // Per-station deadlines must keep matching the route: the new stations have none yet
+        uint256[] storage deadlines = stationDeadlines[_shipmentId];
+        if (deadlines.length > 0) {
+            while (deadlines.length > fromIndex) {
+                deadlines.pop();
+            }
+            for (uint256 i = 0; i < _newStations.length; i++) {
+                deadlines.push(0);
+            }
+            emit DeadlinesSet(_shipmentId, deliveryDeadlines[_shipmentId], deadlines);
+        }
+
+        // Likewise for escrowed fees: the replaced stations' fees stay in escrow and are settled on delivery
+        uint256[] storage fees = escrows[_shipmentId].stationFees;
+        if (fees.length > 0) {
+            while (fees.length > fromIndex) {
+                fees.pop();
+            }
+            for (uint256 i = 0; i < _newStations.length; i++) {
+                fees.push(0);
+            }
+        }
+
+        emit RouteChanged(_shipmentId, fromIndex, previousStations, _newStations, _reason);
+    }
+
+    /**
+     * @dev Function to report damage at a specific station, or amend the station's earlier report.
+     * Can only be called by carrier stations that the shipment has passed.
+     * Each station has a single report: reporting again replaces it, and the shipment's
+     * total damaged quantity is adjusted by the difference. The total can never exceed
+     * the shipped quantity.
+     * @param _shipmentId The ID of the shipment.
+     * @param _damagedQuantity The quantity of items the station reports as damaged (0 withdraws an earlier report's quantity).
+     * @param _damageReason The reason for the damage.
+     * @param _category The category of the damage (Unspecified if not known).
+     */
+    function reportDamage(
+        uint256 _shipmentId,
+        uint256 _damagedQuantity,
+        string memory _damageReason,
+        DamageCategory _category
+    ) public {
+        // Shipments with line items keep track of the damage to each of them
+        require(lineItems[_shipmentId].length == 0, "Report damage per line item");
+
+        _reportDamage(_shipmentId, _damagedQuantity, _damageReason, _category);
+    }
+
+    /**
+     * @dev Function to report damage per line item at a specific station, or amend the station's earlier report.
+     * Works like reportDamage, with the station's damaged quantity being the sum of the line items' quantities.
+     * The total damaged quantity of each line item can never exceed its shipped quantity.
+     * @param _shipmentId The ID of the shipment.
+     * @param _damagedQuantities The quantity of each line item the station reports as damaged.
+     * @param _damageReason The reason for the damage.
+     * @param _category The category of the damage (Unspecified if not known).
+     */
+    function reportLineItemDamage(
+        uint256 _shipmentId,
+        uint256[] memory _damagedQuantities,
+        string memory _damageReason,
+        DamageCategory _category
+    ) public {
+        LineItem[] storage items = lineItems[_shipmentId];
+        require(items.length > 0, "Shipment has no line items");
+        require(_damagedQuantities.length == items.length, "Damaged quantities must match the line items");
+
+        // Adjust each line item's total by the difference to the station's previous report, as for the shipment
+        DamageReport storage report = shipments[_shipmentId].damageReports[msg.sender];
+        uint256[] storage totals = lineItemDamage[_shipmentId];
+        uint256 damagedQuantity = 0;
+        for (uint256 i = 0; i < items.length; i++) {
+            uint256 previousQuantity = report.lineItemQuantities.length > 0 ? report.lineItemQuantities[i] : 0;
+            uint256 newTotal = totals[i] - previousQuantity + _damagedQuantities[i];
+            require(newTotal <= items[i].quantity, "Damaged quantity cannot exceed the line item's quantity");
+            totals[i] = newTotal;
+            damagedQuantity += _damagedQuantities[i];
+        }
+        report.lineItemQuantities = _damagedQuantities;
+
+        _reportDamage(_shipmentId, damagedQuantity, _damageReason, _category);
+    }
+
+    /**
+     * @dev Records a station's damage report. Shared by reportDamage and reportLineItemDamage.
+     */
+    function _reportDamage(
+        uint256 _shipmentId,
+        uint256 _damagedQuantity,
+        string memory _damageReason,
+        DamageCategory _category
+    ) internal {
+        // Retrieve the shipment from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
 
         // Ensure that the station has already been passed by the shipment
         require(stationPassed[_shipmentId][msg.sender] == true, "Station has not been passed yet");
 
-        //Update individual damage report
-        if (shipment.damageReports[msg.sender].damagedQuantity == 0) {
+        // Ensure that the station is still a carrier
+        require(hasRole[Role.Carrier][msg.sender], "Only carriers can report damage");
+
+        DamageReport storage report = shipment.damageReports[msg.sender];
+        uint256 previousQuantity = report.damagedQuantity;
+
+        if (!report.exists) {
+            // A first report must actually report damage
+            require(_damagedQuantity > 0, "Damaged quantity must be greater than zero");
             shipment.reporters.push(msg.sender); //First add new reporter if they haven't reported on this shipment yet
+            report.exists = true;
         }
 
-        shipment.damageReports[msg.sender] = DamageReport({
-            damagedQuantity: _damagedQuantity,
-            damageReason: _damageReason
-        });
+        // Adjust the TOTAL damaged quantity of the shipment by the difference to the station's previous report
+        uint256 newTotal = shipment.totDamagedQuantity - previousQuantity + _damagedQuantity;
+        require(newTotal <= shipment.quantity, "Total damaged quantity cannot exceed shipped quantity");
+        shipment.totDamagedQuantity = newTotal;
 
-        //Increase the TOTAL damaged quantity of the shipment *** NOT ADDRESS SPECIFIC ***
-        //literally just an accumulator
-        shipment.totDamagedQuantity += _damagedQuantity;
-
-        /*
-        // Set the reason for the damages reported
+        //Update individual damage report
+        report.damagedQuantity = _damagedQuantity;
         report.damageReason = _damageReason;
-        */
+        report.category = _category;
+
         // Emit an event to signal that damage has been reported
-        emit DamageReported(_shipmentId, _damagedQuantity, msg.sender, _damageReason);
+        emit DamageReported(_shipmentId, _damagedQuantity, msg.sender, _damageReason, _category, previousQuantity);
+    }
+
+    /**
+     * @dev Function for a station to attach evidence, such as photos or documents, to its damage report.
+     * Only each file's content hash and an optional URI are recorded. A station can attach files any time
+     * after reporting damage, and they stay attached when the report is amended.
+     * @param _shipmentId The ID of the shipment.
+     * @param _contentHashes The SHA-256 hash of each file's content.
+     * @param _uris Where each file can be downloaded, or an empty string if it is not published.
+     */
+    function attachDamageEvidence(uint256 _shipmentId, bytes32[] memory _contentHashes, string[] memory _uris) public {
+        DamageReport storage report = _getShipment(_shipmentId).damageReports[msg.sender];
+        require(report.exists, "Report damage before attaching evidence");
+        require(_contentHashes.length > 0, "Attach at least one file");
+        require(_uris.length == _contentHashes.length, "Every file needs a URI, which may be empty");
+
+        for (uint256 i = 0; i < _contentHashes.length; i++) {
+            require(_contentHashes[i] != bytes32(0), "Content hash cannot be empty");
+            report.evidence.push(Evidence(_contentHashes[i], _uris[i]));
+            emit DamageEvidenceAttached(_shipmentId, msg.sender, _contentHashes[i], _uris[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the account that confirms receipt of a shipment: its recipient, or its owner if none is set.
+     * @param shipment The shipment.
+     * @param receipt The shipment's receipt.
+     * @return The recipient.
+     */
+    function recipientOf(Shipment storage shipment, Receipt storage receipt) internal view returns (address) {
+        return receipt.recipient != address(0) ? receipt.recipient : shipment.owner;
+    }
+
+    /**
+     * @dev Function to name the account that confirms receipt of a shipment.
+     * Only the shipment's owner can set it, and only before the shipment is delivered or cancelled.
+     * @param _shipmentId The ID of the shipment.
+     * @param _recipient The recipient's address.
+     */
+    function setRecipient(uint256 _shipmentId, address _recipient) public {
+        // Retrieve the shipment from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+
+        // Only the owner decides who receives the shipment
+        require(msg.sender == shipment.owner, "Only the owner can set the recipient");
+
+        // Terminal states are immutable
+        _requireNotTerminal(shipment);
+
+        require(_recipient != address(0), "Recipient cannot be the zero address");
+
+        receipts[_shipmentId].recipient = _recipient;
+
+        emit RecipientSet(_shipmentId, _recipient);
+    }
+
+    /**
+     * @dev Function for the recipient to confirm what arrived once the shipment is delivered.
+     * Receipt can only be confirmed once. The quantities are recorded as given, even if they do
+     * not match the shipped and damaged quantities; such discrepancies can then be disputed.
+     * @param _shipmentId The ID of the shipment.
+     * @param _acceptedQuantity The quantity of items accepted.
+     * @param _rejectedQuantity The quantity of items rejected.
+     * @param _notes Notes about the delivery.
+     */
+    function confirmReceipt(
+        uint256 _shipmentId,
+        uint256 _acceptedQuantity,
+        uint256 _rejectedQuantity,
+        string memory _notes
+    ) public {
+        _confirmReceipt(_shipmentId, _acceptedQuantity, _rejectedQuantity, _notes);
+    }
+
+    /**
+     * @dev Function for the recipient to confirm what arrived of each line item once the shipment is delivered.
+     * Works like confirmReceipt, with the accepted and rejected quantities being the sums over the line items.
+     * @param _shipmentId The ID of the shipment.
+     * @param _acceptedQuantities The quantity of each line item accepted.
+     * @param _rejectedQuantities The quantity of each line item rejected.
+     * @param _notes Notes about the delivery.
+     */
+    function confirmLineItemReceipt(
+        uint256 _shipmentId,
+        uint256[] memory _acceptedQuantities,
+        uint256[] memory _rejectedQuantities,
+        string memory _notes
+    ) public {
+        LineItem[] storage items = lineItems[_shipmentId];
+        require(items.length > 0, "Shipment has no line items");
+        require(
+            _acceptedQuantities.length == items.length && _rejectedQuantities.length == items.length,
+            "Quantities must match the line items"
+        );
+
+        uint256 accepted = 0;
+        uint256 rejected = 0;
+        for (uint256 i = 0; i < items.length; i++) {
+            require(
+                _acceptedQuantities[i] + _rejectedQuantities[i] <= items[i].quantity,
+                "Accepted and rejected quantities cannot exceed a line item's quantity"
+            );
+            accepted += _acceptedQuantities[i];
+            rejected += _rejectedQuantities[i];
+        }
+
+        Receipt storage receipt = receipts[_shipmentId];
+        receipt.lineItemAccepted = _acceptedQuantities;
+        receipt.lineItemRejected = _rejectedQuantities;
+
+        _confirmReceipt(_shipmentId, accepted, rejected, _notes);
+    }
+
+    /**
+     * @dev Records the recipient's receipt confirmation. Shared by confirmReceipt and confirmLineItemReceipt.
+     */
+    function _confirmReceipt(
+        uint256 _shipmentId,
+        uint256 _acceptedQuantity,
+        uint256 _rejectedQuantity,
+        string memory _notes
+    ) internal {
+        // Retrieve the shipment and its receipt from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+        Receipt storage receipt = receipts[_shipmentId];
+
+        // Ensure that the shipment has arrived
+        require(shipment.status == ShippingStatus.Delivered, "Shipment has not been delivered");
+
+        // Ensure that the caller is the recipient
+        require(msg.sender == recipientOf(shipment, receipt), "Only the recipient can confirm receipt");
+
+        // Receipt can only be confirmed once
+        require(!receipt.confirmed, "Receipt has already been confirmed");
+
+        // The recipient cannot receive more than was shipped
+        require(
+            _acceptedQuantity + _rejectedQuantity <= shipment.quantity,
+            "Accepted and rejected quantities cannot exceed shipped quantity"
+        );
+
+        receipt.confirmed = true;
+        receipt.acceptedQuantity = _acceptedQuantity;
+        receipt.rejectedQuantity = _rejectedQuantity;
+        receipt.notes = _notes;
+
+        emit ReceiptConfirmed(_shipmentId, msg.sender, _acceptedQuantity, _rejectedQuantity, _notes);
+    }
+
+    /**
+     * @dev Function to dispute a confirmed receipt that does not match the shipment's records:
+     * the rejected quantity differs from the total damaged quantity, or items are missing.
+     * Can be called once, by the recipient or the shipment's owner.
+     * @param _shipmentId The ID of the shipment.
+     * @param _reason The reason for the dispute.
+     */
+    function raiseDispute(uint256 _shipmentId, string memory _reason) public {
+        // Retrieve the shipment and its receipt from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+        Receipt storage receipt = receipts[_shipmentId];
+
+        // Ensure that there is a receipt to dispute
+        require(receipt.confirmed, "Receipt has not been confirmed");
+
+        // Check if the sender is authorized to dispute
+        require(
+            msg.sender == recipientOf(shipment, receipt) || msg.sender == shipment.owner,
+            "Only the recipient or the owner can raise a dispute"
+        );
+
+        require(!receipt.disputed, "A dispute has already been raised");
+
+        // Only receipts that disagree with the shipment's records can be disputed
+        require(
+            receipt.rejectedQuantity != shipment.totDamagedQuantity ||
+            receipt.acceptedQuantity + receipt.rejectedQuantity != shipment.quantity,
+            "Receipt matches the shipment records"
+        );
+
+        // Ensure a reason is given, so the dispute can be resolved later
+        require(bytes(_reason).length > 0, "A dispute reason is required");
+
+        receipt.disputed = true;
+        receipt.disputedBy = msg.sender;
+        receipt.disputeReason = _reason;
+
+        emit DisputeRaised(_shipmentId, msg.sender, _reason);
+    }
+
+    /**
+     * @dev Function to retrieve the receipt confirmation of a shipment.
+     * @param _shipmentId The ID of the shipment.
+     * @return recipient The account that confirms receipt (the owner if no recipient was set).
+     * @return confirmed True once receipt has been confirmed.
+     * @return acceptedQuantity The quantity of items accepted.
+     * @return rejectedQuantity The quantity of items rejected.
+     * @return notes Notes from the recipient.
+     * @return disputed True once a dispute has been raised.
+     * @return disputedBy The address that raised the dispute, or the zero address.
+     * @return disputeReason The reason given for the dispute.
+     */
+    function getReceipt(uint256 _shipmentId)
+        public
+        view
+        returns (
+            address recipient,
+            bool confirmed,
+            uint256 acceptedQuantity,
+            uint256 rejectedQuantity,
+            string memory notes,
+            bool disputed,
+            address disputedBy,
+            string memory disputeReason
+        )
+    {
+        // Retrieve the shipment and its receipt from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+        Receipt storage receipt = receipts[_shipmentId];
+
+        return (
+            recipientOf(shipment, receipt),
+            receipt.confirmed,
+            receipt.acceptedQuantity,
+            receipt.rejectedQuantity,
+            receipt.notes,
+            receipt.disputed,
+            receipt.disputedBy,
+            receipt.disputeReason
+        );
+    }
+
+    /**
+     * @dev Function to set the expected arrival time at each transit station and/or the overall delivery deadline.
+     * Only the shipment's owner can set them, and only before the shipment is delivered or cancelled. Setting
+     * deadlines again replaces the earlier ones. A deadline of 0 means none; the deadlines that are set must not
+     * decrease along the route, and the delivery deadline must not come before the last station's deadline.
+     * @param _shipmentId The ID of the shipment.
+     * @param _deliveryDeadline The time (unix seconds) by which the shipment should be delivered, or 0.
+     * @param _stationDeadlines One time (unix seconds) or 0 per transit station, or an empty array for none.
+     */
+    function setDeadlines(uint256 _shipmentId, uint256 _deliveryDeadline, uint256[] memory _stationDeadlines) public {
+        // Retrieve the shipment from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+
+        // Only the owner commits to deadlines
+        require(msg.sender == shipment.owner, "Only the owner can set deadlines");
+
+        // Terminal states are immutable
+        _requireNotTerminal(shipment);
+
+        _setDeadlines(_shipmentId, _deliveryDeadline, _stationDeadlines);
+    }
+
+    /**
+     * @dev Checks and stores the deadlines of a shipment. Shared by setDeadlines and the functions creating
+     * shipments with deadlines, which skip it when no deadline is given.
+     * @param _shipmentId The ID of the shipment.
+     * @param _deliveryDeadline The time (unix seconds) by which the shipment should be delivered, or 0.
+     * @param _stationDeadlines One time (unix seconds) or 0 per transit station, or an empty array for none.
+     */
+    function _setDeadlines(uint256 _shipmentId, uint256 _deliveryDeadline, uint256[] memory _stationDeadlines) internal {
+        require(
+            _stationDeadlines.length == 0 || _stationDeadlines.length == shipments[_shipmentId].transitStations.length,
+            "Station deadlines must match the transit stations"
+        );
+
+        // Each deadline that is set must not come before an earlier one on the route
+        uint256 latest = 0;
+        for (uint256 i = 0; i < _stationDeadlines.length; i++) {
+            if (_stationDeadlines[i] == 0) continue;
+            require(_stationDeadlines[i] >= latest, "Deadlines must not decrease along the route");
+            latest = _stationDeadlines[i];
+        }
+        require(_deliveryDeadline == 0 || _deliveryDeadline >= latest, "Deadlines must not decrease along the route");
+
+        deliveryDeadlines[_shipmentId] = _deliveryDeadline;
+        stationDeadlines[_shipmentId] = _stationDeadlines;
+
+        emit DeadlinesSet(_shipmentId, _deliveryDeadline, _stationDeadlines);
+    }
+
+    /**
+     * @dev Function to retrieve the deadlines of a shipment.
+     * @param _shipmentId The ID of the shipment.
+     * @return deliveryDeadline The time (unix seconds) by which the shipment should be delivered, or 0.
+     * @return perStation The expected arrival time at each transit station (0 for none), or an empty array.
+     */
+    function getDeadlines(uint256 _shipmentId)
+        public
+        view
+        returns (uint256 deliveryDeadline, uint256[] memory perStation)
+    {
+        _getShipment(_shipmentId); // Reverts if the shipment does not exist
+
+        return (deliveryDeadlines[_shipmentId], stationDeadlines[_shipmentId]);
+    }
+
+    /**
+     * @dev Credits an escrowed amount to an account and takes it out of the shipment's balance.
+     * @param _shipmentId The ID of the shipment.
+     * @param _payee The account that can withdraw the amount.
+     * @param _kind Why the amount is paid out.
+     * @param _amount The amount, in wei; nothing happens for 0.
+     */
+    function _releasePayment(uint256 _shipmentId, address _payee, PayoutKind _kind, uint256 _amount) internal {
+        if (_amount == 0) return;
+        escrows[_shipmentId].balance -= _amount;
+        payments[_payee] += _amount;
+        emit PaymentReleased(_shipmentId, _payee, _kind, _amount);
+    }
+
+    /**
+     * @dev Function to settle the balance left in escrow once a shipment is delivered. The balance is split
+     * evenly between the transit stations. Each station's share is reduced by the balance times the fraction
+     * of the shipped quantity it reported damaged, down to nothing; together, the deductions are thus
+     * proportional to the shipment's total damaged quantity. Deductions and rounding go back to the owner.
+     * Settling is a separate step so the last station can still report damage after delivering. Only the
+     * owner or the recipient can settle, once.
+     * @param _shipmentId The ID of the shipment.
+     */
+    function settleEscrow(uint256 _shipmentId) public {
+        // Retrieve the shipment and its escrow from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+        Escrow storage escrow = escrows[_shipmentId];
+
+        // Ensure that the shipment has escrowed payment
+        require(escrow.deposit > 0, "Shipment has no escrow");
+
+        require(shipment.status == ShippingStatus.Delivered, "Shipment has not been delivered");
+        require(!escrow.settled, "Escrow has already been settled");
+        require(
+            msg.sender == shipment.owner || msg.sender == recipientOf(shipment, receipts[_shipmentId]),
+            "Only the owner or the recipient can settle"
+        );
+
+        escrow.settled = true;
+        uint256 balance = escrow.balance;
+        uint256 share = balance / shipment.transitStations.length;
+
+        for (uint256 i = 0; i < shipment.transitStations.length; i++) {
+            address station = shipment.transitStations[i];
+            uint256 deduction = shipment.quantity > 0
+                ? balance * shipment.damageReports[station].damagedQuantity / shipment.quantity
+                : 0;
+            _releasePayment(_shipmentId, station, PayoutKind.Settlement, deduction < share ? share - deduction : 0);
+        }
+
+        uint256 refund = escrow.balance;
+        _releasePayment(_shipmentId, shipment.owner, PayoutKind.Refund, refund);
+
+        emit EscrowSettled(_shipmentId, balance, share, refund);
     }
 
-    function getDamageReports(uint256 _shipmentId) public view returns (address[] memory, uint256[] memory, string[] memory) {
-        Shipment storage shipment = shipments[_shipmentId];
+    /**
+     * @dev Function to withdraw every payment released to the caller.
+     */
+    function withdrawPayments() public {
+        uint256 amount = payments[msg.sender];
+        require(amount > 0, "No payments to withdraw");
+
+        // Clear the balance before sending, so the call cannot withdraw it twice
+        payments[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Withdrawal failed");
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Function to retrieve the escrowed payment of a shipment.
+     * @param _shipmentId The ID of the shipment.
+     * @return deposit The amount deposited, 0 if the shipment has no escrow.
+     * @return balance The amount still held.
+     * @return stationFees The fee of each transit station.
+     * @return settled True once the balance was settled or refunded.
+     */
+    function getEscrow(uint256 _shipmentId)
+        public
+        view
+        returns (uint256 deposit, uint256 balance, uint256[] memory stationFees, bool settled)
+    {
+        _getShipment(_shipmentId); // Reverts if the shipment does not exist
+
+        Escrow storage escrow = escrows[_shipmentId];
+        return (escrow.deposit, escrow.balance, escrow.stationFees, escrow.settled);
+    }
+
+    /**
+     * @dev Function to retrieve every station's damage report for a shipment.
+     * @param _shipmentId The ID of the shipment.
+     * @return The reporting stations, their damaged quantities, reasons and categories, in the order they first reported,
+     * and the damaged quantity of each line item per station (empty arrays for shipments without line items).
+     */
+    function getDamageReports(uint256 _shipmentId)
+        public
+        view
+        returns (address[] memory, uint256[] memory, string[] memory, DamageCategory[] memory, uint256[][] memory)
+    {
+        Shipment storage shipment = _getShipment(_shipmentId);
         uint256 reporterCount = shipment.reporters.length;
 
         address[] memory reporters = new address[](reporterCount);
         uint256[] memory quantities = new uint256[](reporterCount);
         string[] memory explanations = new string[](reporterCount);
+        DamageCategory[] memory categories = new DamageCategory[](reporterCount);
+        uint256[][] memory lineItemQuantities = new uint256[][](reporterCount);
 
         for (uint256 i = 0; i < reporterCount; i++) {
             address reporter = shipment.reporters[i];
             reporters[i] = reporter;
             quantities[i] = shipment.damageReports[reporter].damagedQuantity;
             explanations[i] = shipment.damageReports[reporter].damageReason;
+            categories[i] = shipment.damageReports[reporter].category;
+            lineItemQuantities[i] = shipment.damageReports[reporter].lineItemQuantities;
+        }
+
+        return (reporters, quantities, explanations, categories, lineItemQuantities);
+    }
+
+    /**
+     * @dev Function to retrieve the evidence attached to every damage report of a shipment.
+     * @param _shipmentId The ID of the shipment.
+     * @return reporters The station that attached each file, in the order the stations first reported damage.
+     * @return contentHashes The SHA-256 hash of each file's content.
+     * @return uris Where each file can be downloaded, empty if it is not published.
+     */
+    function getDamageEvidence(uint256 _shipmentId)
+        public
+        view
+        returns (address[] memory reporters, bytes32[] memory contentHashes, string[] memory uris)
+    {
+        Shipment storage shipment = _getShipment(_shipmentId);
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < shipment.reporters.length; i++) {
+            count += shipment.damageReports[shipment.reporters[i]].evidence.length;
         }
 
-        return (reporters, quantities, explanations);
+        reporters = new address[](count);
+        contentHashes = new bytes32[](count);
+        uris = new string[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < shipment.reporters.length; i++) {
+            Evidence[] storage evidence = shipment.damageReports[shipment.reporters[i]].evidence;
+            for (uint256 j = 0; j < evidence.length; j++) {
+                reporters[index] = shipment.reporters[i];
+                contentHashes[index] = evidence[j].contentHash;
+                uris[index] = evidence[j].uri;
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @dev Function to retrieve the line items of a shipment with their damaged and received quantities.
+     * @param _shipmentId The ID of the shipment.
+     * @return items The line items, empty for shipments created with a single quantity.
+     * @return damaged The total quantity of each line item reported as damaged by all stations.
+     * @return accepted The quantity of each line item the recipient accepted, empty until receipt is confirmed per line item.
+     * @return rejected The quantity of each line item the recipient rejected, empty until receipt is confirmed per line item.
+     */
+    function getLineItems(uint256 _shipmentId)
+        public
+        view
+        returns (LineItem[] memory items, uint256[] memory damaged, uint256[] memory accepted, uint256[] memory rejected)
+    {
+        _getShipment(_shipmentId); // Reverts if the shipment does not exist
+
+        Receipt storage receipt = receipts[_shipmentId];
+        return (lineItems[_shipmentId], lineItemDamage[_shipmentId], receipt.lineItemAccepted, receipt.lineItemRejected);
     }
 
     /**
@@ -255,12 +1437,9 @@ contract SupplyChainManagement {
         )
     {
         // Retrieve the shipment from storage
-        Shipment storage shipment = shipments[_shipmentId];
+        Shipment storage shipment = _getShipment(_shipmentId);
         DamageReport storage callerReport = shipment.damageReports[msg.sender];
 
-        // Ensure that the shipment exists
-        require(shipment.id != 0, "Shipment does not exist");
-
         // Return all the shipment details
         return (
             shipment.id,
@@ -276,6 +1455,24 @@ contract SupplyChainManagement {
         );
     }
 
+    /**
+     * @dev Function to retrieve who owns a shipment and, if it was cancelled, who cancelled it and why.
+     * @param _shipmentId The ID of the shipment.
+     * @return owner The address that created the shipment.
+     * @return cancelledBy The address that cancelled the shipment, or the zero address.
+     * @return cancellationReason The reason given for the cancellation.
+     */
+    function getShipmentOwnership(uint256 _shipmentId)
+        public
+        view
+        returns (address owner, address cancelledBy, string memory cancellationReason)
+    {
+        // Retrieve the shipment from storage
+        Shipment storage shipment = _getShipment(_shipmentId);
+
+        return (shipment.owner, shipment.cancelledBy, shipment.cancellationReason);
+    }
+
     /**
      * @dev Function to check if a shipment has passed through a specific station.
      * @param _shipmentId The ID of the shipment.
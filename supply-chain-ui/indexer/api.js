@@ -0,0 +1,119 @@
+// indexer/api.js
+
+const { isAddress, toBigInt } = require('ethers');
+const { sameAddress } = require('../src/utils/shipmentIndex.js');
+
+/**
+ * Lists the indexed shipments matching the query parameters, by ascending ID.
+ *
+ * @param {Object} state - The index.
+ * @param {URLSearchParams} query - Optional status, owner, station and reference filters.
+ * @returns {Array} The matching shipments.
+ */
+function listShipments(state, query) {
+  return Object.values(state.shipments)
+    .filter((shipment) => !query.has('status') || shipment.status === Number(query.get('status')))
+    .filter((shipment) => !query.has('owner') || sameAddress(shipment.owner, query.get('owner')))
+    .filter((shipment) => !query.has('station') || shipment.transitStations.some((station) => sameAddress(station, query.get('station'))))
+    .filter((shipment) => !query.has('reference') || shipment.reference === query.get('reference'))
+    .sort((a, b) => (toBigInt(a.id) < toBigInt(b.id) ? -1 : 1));
+}
+
+/**
+ * Finds the response to a request.
+ *
+ * @param {Object} state - The index.
+ * @param {URL} url - The requested URL.
+ * @returns {Array} [status code, body]
+ */
+function route(state, url) {
+  let parts;
+  try {
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    // decodeURIComponent throws a URIError on malformed escapes, such as a truncated UTF-8 sequence
+    return [400, { error: 'The path is not validly percent-encoded.' }];
+  }
+  const query = url.searchParams;
+
+  if (parts.length === 1 && parts[0] === 'status') {
+    return [200, {
+      chainId: state.chainId,
+      contractAddress: state.contractAddress,
+      lastBlock: state.lastBlock,
+      shipments: Object.keys(state.shipments).length,
+      events: state.events.length,
+    }];
+  }
+  if (parts.length === 1 && parts[0] === 'shipments') {
+    return [200, listShipments(state, query)];
+  }
+  if (parts.length === 1 && parts[0] === 'events') {
+    return [200, state.events.filter((event) => !query.has('name') || event.name === query.get('name'))];
+  }
+  if (parts[0] === 'shipments' && (parts.length === 2 || (parts.length === 3 && parts[2] === 'events'))) {
+    const shipment = state.shipments[parts[1]];
+    if (!shipment) {
+      return [404, { error: `Shipment ${parts[1]} has not been indexed.` }];
+    }
+    return [200, parts.length === 2 ? shipment : state.events.filter((event) => event.shipmentId === shipment.id)];
+  }
+  if (parts.length === 3 && parts[0] === 'stations' && parts[2] === 'shipments') {
+    if (!isAddress(parts[1])) {
+      return [400, { error: `${parts[1]} is not a valid address.` }];
+    }
+    query.set('station', parts[1]);
+    return [200, listShipments(state, query)];
+  }
+  return [404, { error: 'Not found.' }];
+}
+
+/**
+ * Creates the request handler of the read-only REST API. Every response is JSON, and any web page
+ * may read it (CORS), since it only serves public contract data.
+ *
+ * Endpoints:
+ * - GET /shipments: the indexed shipments; filter with ?status=, ?owner=, ?station= and ?reference=
+ * - GET /shipments/:id: one shipment
+ * - GET /shipments/:id/events: the events of one shipment, oldest first
+ * - GET /stations/:address/shipments: the shipments routed through a station
+ * - GET /events: every indexed event, oldest first; filter with ?name=
+ * - GET /status: the indexed chain, contract and last block
+ *
+ * @param {Function} getState - Returns the current index.
+ * @returns {Function} The handler, for http.createServer().
+ */
+function createApiHandler(getState) {
+  return (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+    if (req.method !== 'GET') {
+      send(405, { error: 'The API is read-only.' });
+      return;
+    }
+    const state = getState();
+    if (!state) {
+      send(503, { error: 'The indexer has not synced yet.' });
+      return;
+    }
+    try {
+      send(...route(state, new URL(req.url, 'http://localhost')));
+    } catch (err) {
+      console.error(err);
+      send(500, { error: 'Internal error.' });
+    }
+  };
+}
+
+module.exports = { createApiHandler };
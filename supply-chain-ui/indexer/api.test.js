@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createApiHandler } = require('./api');
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+const OWNER = '0x3333333333333333333333333333333333333333';
+
+const shipment = (id, status, transitStations, reference = '') => ({ id, status, transitStations, reference, owner: OWNER });
+const event = (shipmentId, name, blockNumber) => ({ name, shipmentId, blockNumber, logIndex: 0, args: { shipmentId } });
+
+const STATE = {
+  chainId: '1337',
+  contractAddress: '0x4444444444444444444444444444444444444444',
+  lastBlock: 12,
+  shipments: {
+    10: shipment('10', 1, [STATION_A, STATION_B], 'PO-1'),
+    9: shipment('9', 0, [STATION_B]),
+    2: shipment('2', 2, [STATION_A]),
+  },
+  events: [event('2', 'ShipmentCreated', 3), event('9', 'ShipmentCreated', 5), event('10', 'ShipmentCreated', 8), event('10', 'StationUpdated', 12)],
+};
+
+let server;
+let state;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer(createApiHandler(() => state));
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  state = STATE;
+});
+
+/**
+ * Requests a path from the API.
+ *
+ * @returns {Promise<Array>} [status code, parsed body]
+ */
+async function get(path, options) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+  return [response.status, response.status === 204 ? null : await response.json()];
+}
+
+const ids = (shipments) => shipments.map((s) => s.id);
+
+test('lists and filters shipments by ascending ID', async () => {
+  assert.deepStrictEqual(ids((await get('/shipments'))[1]), ['2', '9', '10']);
+  assert.deepStrictEqual(ids((await get('/shipments?status=0'))[1]), ['9']);
+  assert.deepStrictEqual(ids((await get(`/shipments?station=${STATION_A}`))[1]), ['2', '10']);
+  assert.deepStrictEqual(ids((await get('/shipments?reference=PO-1'))[1]), ['10']);
+  assert.deepStrictEqual(ids((await get(`/shipments?owner=${STATION_A}`))[1]), []);
+});
+
+test('serves a shipment and its events', async () => {
+  assert.deepStrictEqual(await get('/shipments/10'), [200, STATE.shipments[10]]);
+  assert.deepStrictEqual((await get('/shipments/10/events'))[1].map((e) => e.name), ['ShipmentCreated', 'StationUpdated']);
+  assert.deepStrictEqual(await get('/shipments/11'), [404, { error: 'Shipment 11 has not been indexed.' }]);
+  assert.deepStrictEqual((await get('/shipments/11/events'))[0], 404);
+});
+
+test('lists the shipments of a station', async () => {
+  assert.deepStrictEqual(ids((await get(`/stations/0x${STATION_B.slice(2).toUpperCase()}/shipments`))[1]), ['9', '10']);
+  assert.deepStrictEqual(ids((await get(`/stations/${STATION_B}/shipments?status=1`))[1]), ['10']);
+  assert.deepStrictEqual(await get('/stations/0x123/shipments'), [400, { error: '0x123 is not a valid address.' }]);
+});
+
+test('lists events and reports its progress', async () => {
+  assert.strictEqual((await get('/events'))[1].length, 4);
+  assert.deepStrictEqual((await get('/events?name=StationUpdated'))[1].map((e) => e.shipmentId), ['10']);
+  assert.deepStrictEqual(await get('/status'), [200, {
+    chainId: '1337', contractAddress: STATE.contractAddress, lastBlock: 12, shipments: 3, events: 4,
+  }]);
+});
+
+test('is read-only and waits for the first sync', async () => {
+  assert.deepStrictEqual(await get('/shipments', { method: 'POST' }), [405, { error: 'The API is read-only.' }]);
+  assert.deepStrictEqual(await get('/shipments', { method: 'OPTIONS' }), [204, null]);
+  assert.deepStrictEqual(await get('/unknown'), [404, { error: 'Not found.' }]);
+
+  state = null;
+  assert.deepStrictEqual(await get('/shipments'), [503, { error: 'The indexer has not synced yet.' }]);
+});
+
+test('rejects paths that are not validly percent-encoded', async () => {
+  assert.deepStrictEqual(await get('/shipments/%E0%A4%A'), [400, { error: 'The path is not validly percent-encoded.' }]);
+  assert.deepStrictEqual(await get('/stations/%ZZ/shipments'), [400, { error: 'The path is not validly percent-encoded.' }]);
+});
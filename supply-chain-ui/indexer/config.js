@@ -0,0 +1,54 @@
+// indexer/config.js
+
+const path = require('path');
+const { isAddress } = require('ethers');
+
+/**
+ * Reads the indexer's settings from INDEXER_* environment variables. Only the contract address is
+ * required; the RPC endpoint defaults to the Ganache GUI's, as in src/config/networks.js.
+ *
+ * @param {Object} [env] - The environment, process.env by default.
+ * @returns {Object} { rpcUrl, contractAddress, port, storePath, pollInterval, confirmations, startBlock,
+ *   batchSize, webhooks, webhookSecret }
+ * @throws {Error} If the contract address is missing or invalid, or a number is not a number.
+ */
+function loadConfig(env = process.env) {
+  const contractAddress = (env.INDEXER_CONTRACT_ADDRESS || '').trim();
+  if (!isAddress(contractAddress)) {
+    throw new Error('Set INDEXER_CONTRACT_ADDRESS to the address of the deployed contract.');
+  }
+
+  /**
+   * Reads a whole number setting.
+   *
+   * @param {string} name - The variable name.
+   * @param {number} fallback - The value used when the variable is not set.
+   * @param {number} min - The smallest allowed value.
+   * @returns {number} The value.
+   */
+  const number = (name, fallback, min) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${name} must be a whole number of at least ${min}.`);
+    }
+    return value;
+  };
+
+  return {
+    rpcUrl: env.INDEXER_RPC_URL || 'http://127.0.0.1:7545',
+    contractAddress,
+    port: number('INDEXER_PORT', 4000, 0),
+    // Where the indexed shipments and events are kept between runs
+    storePath: path.resolve(env.INDEXER_STORE || path.join(__dirname, 'data', 'store.json')),
+    pollInterval: number('INDEXER_POLL_INTERVAL', 2000, 100), // Milliseconds between syncs
+    // Blocks after which an event is indexed; 1 indexes the latest block, as Ganache only mines one per transaction
+    confirmations: number('INDEXER_CONFIRMATIONS', 1, 1),
+    startBlock: number('INDEXER_START_BLOCK', 0, 0), // The block the contract was deployed in, to skip older ones
+    batchSize: number('INDEXER_BATCH_SIZE', 5000, 1), // Blocks queried at once, within the RPC endpoint's limits
+    webhooks: (env.INDEXER_WEBHOOKS || '').split(',').map((url) => url.trim()).filter(Boolean),
+    webhookSecret: env.INDEXER_WEBHOOK_SECRET || '',
+  };
+}
+
+module.exports = { loadConfig };
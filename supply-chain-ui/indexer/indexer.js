@@ -0,0 +1,147 @@
+// indexer/indexer.js
+
+const { readShipment } = require('../src/utils/shipmentIndex.js');
+const { ShippingStatus } = require('../src/utils/status.js');
+const { emptyState } = require('./store');
+
+/**
+ * Converts a decoded event argument to JSON-safe values: integers become decimal strings.
+ *
+ * @param {*} value - The argument, as decoded by ethers.
+ * @returns {*} The plain value.
+ */
+function plain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  return value;
+}
+
+/**
+ * Converts an ethers EventLog into a stored event, with the same fields as the app's event records
+ * (see src/utils/shipmentIndex.js) plus the time of its block.
+ *
+ * @param {Object} log - The EventLog returned by queryFilter.
+ * @param {number} timestamp - The block timestamp in unix seconds.
+ * @returns {Object} { name, shipmentId, blockNumber, logIndex, transactionHash, timestamp, args }
+ */
+function toEvent(log, timestamp) {
+  return {
+    name: log.eventName,
+    shipmentId: log.args.shipmentId.toString(),
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    timestamp,
+    args: Object.fromEntries(log.fragment.inputs.map((input, index) => [input.name, plain(log.args[index])])),
+  };
+}
+
+/**
+ * Reads a shipment with readShipment() from src/utils/shipmentIndex.js, with quantities as decimal strings.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {number} blockTag - The block to read the shipment at.
+ * @returns {Promise<Object>} The shipment summary.
+ */
+async function readStoredShipment(contract, shipmentId, blockTag) {
+  const shipment = await readShipment(contract, shipmentId, blockTag);
+  return Object.fromEntries(Object.entries(shipment).map(([key, value]) => [key, plain(value)]));
+}
+
+/**
+ * Brings the index up to date with the chain: stores the shipment events of the blocks mined since the
+ * last sync and re-reads the shipments they concern. Starts over when the contract or chain changed, or
+ * the chain was reset below the last indexed block (as restarting Ganache does).
+ *
+ * @param {Object} contract - The instance of the smart contract, connected to a provider.
+ * @param {Object|null} state - The index from the previous sync, or null for a new index.
+ * @param {Object} options - { confirmations, startBlock, batchSize }, see loadConfig().
+ * @returns {Promise<Object>} { state, changes } - the updated index, which is a new object, and one
+ *   { shipmentId, previousStatus, status, blockNumber, transactionHash, logIndex, shipment } per status
+ *   transition in the synced blocks, oldest first, with the shipment as of the transition's block. Shipments
+ *   created since the last sync start with a null previousStatus; nothing is reported while a new index catches up.
+ */
+async function sync(contract, state, { confirmations = 1, startBlock = 0, batchSize = 5000 } = {}) {
+  const provider = contract.runner.provider;
+  const [latest, network, contractAddress] = await Promise.all([
+    provider.getBlockNumber(),
+    provider.getNetwork(),
+    contract.getAddress(),
+  ]);
+  const chainId = network.chainId.toString();
+
+  let next = state;
+  const startingOver = !state || state.chainId !== chainId
+    || state.contractAddress.toLowerCase() !== contractAddress.toLowerCase() || state.lastBlock > latest;
+  if (startingOver) {
+    next = emptyState(chainId, contractAddress, startBlock);
+  }
+  const target = latest - confirmations + 1;
+  if (target <= next.lastBlock) {
+    return { state: next, changes: [] };
+  }
+
+  // Query in batches, since RPC endpoints limit the block range of a single query
+  const logs = [];
+  for (let from = next.lastBlock + 1; from <= target; from += batchSize) {
+    const batch = await contract.queryFilter('*', from, Math.min(from + batchSize - 1, target));
+    // Skip events that do not concern a shipment, such as role changes, and logs the ABI does not know
+    logs.push(...batch.filter((log) => log.fragment && log.fragment.inputs.some((input) => input.name === 'shipmentId')));
+  }
+
+  // Look up each block's time once, even if it holds several events
+  const timestamps = new Map();
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+    }
+  }
+  const events = logs
+    .map((log) => toEvent(log, timestamps.get(log.blockNumber)))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const activity = new Map(); // shipment ID => latest event block
+  for (const event of events) {
+    activity.set(event.shipmentId, event.blockNumber);
+  }
+
+  const shipments = { ...next.shipments };
+  for (const [id, lastActivityBlock] of activity) {
+    shipments[id] = { ...(await readStoredShipment(contract, id, target)), lastActivityBlock };
+  }
+
+  // One change per transition, so a shipment changing status several times between syncs reports each of
+  // them. Every status change emits StatusUpdated, cancellations included; new shipments start out Pending.
+  const changes = [];
+  const statuses = new Map(); // shipment ID => status after the events so far
+  for (const event of startingOver ? [] : events) {
+    let status;
+    if (event.name === 'ShipmentCreated') {
+      status = ShippingStatus.Pending;
+    } else if (event.name === 'StatusUpdated') {
+      status = Number(event.args.newStatus);
+    } else {
+      continue;
+    }
+    const id = event.shipmentId;
+    const previousStatus = statuses.has(id) ? statuses.get(id) : (next.shipments[id] ? next.shipments[id].status : null);
+    statuses.set(id, status);
+    changes.push({
+      shipmentId: id,
+      previousStatus,
+      status,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      shipment: { ...(await readStoredShipment(contract, id, event.blockNumber)), lastActivityBlock: event.blockNumber },
+    });
+  }
+
+  return {
+    state: { ...next, lastBlock: target, shipments, events: [...next.events, ...events] },
+    changes,
+  };
+}
+
+module.exports = { sync };
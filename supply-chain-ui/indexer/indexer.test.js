@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SupplyChainManagement = require('../src/contracts/SupplyChainManagement.json');
+const { bytecode } = require('../src/contracts/SupplyChainManagement.bytecode.json');
+const { deployContract, grantRoles } = require('../src/testUtils/localChain.js');
+const { Role } = require('../src/utils/roles.js');
+const { ShippingStatus } = require('../src/utils/status.js');
+const { sync } = require('./indexer');
+
+let chain;
+let contract;
+let stationA;
+let stationB;
+
+test.beforeEach(async () => {
+  chain = await deployContract({ abi: SupplyChainManagement, bytecode });
+  contract = chain.contract;
+  [, stationA, stationB] = chain.signers;
+  await grantRoles(contract, Role.Shipper, [chain.signers[0]]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+  await (await contract.createShipmentWithReference(0, 'PO-1', 'Factory A', 'Warehouse B', 10, [stationA.address, stationB.address])).wait();
+});
+
+test.afterEach(async () => {
+  await chain.stop();
+});
+
+/**
+ * Returns the shipment ID, previous status, status and block of a change.
+ */
+function transition(change) {
+  return [change.shipmentId, change.previousStatus, change.status, change.blockNumber];
+}
+
+test('indexes shipments and their events', async () => {
+  const { state, changes } = await sync(contract, null);
+
+  assert.strictEqual(state.contractAddress, await contract.getAddress());
+  assert.strictEqual(state.lastBlock, await chain.provider.getBlockNumber());
+  assert.deepStrictEqual(Object.keys(state.shipments), ['1']);
+  const shipment = state.shipments['1'];
+  assert.strictEqual(shipment.reference, 'PO-1');
+  assert.strictEqual(shipment.quantity, '10');
+  assert.strictEqual(shipment.status, ShippingStatus.Pending);
+  assert.strictEqual(shipment.nextStation, stationA.address);
+  assert.deepStrictEqual(state.events.map((event) => event.name), ['ShipmentCreated']);
+  assert.deepStrictEqual(state.events[0].args, { shipmentId: '1', externalReference: 'PO-1' });
+  assert.strictEqual(typeof state.events[0].timestamp, 'number');
+  // A new index catches up without reporting the shipments it finds
+  assert.deepStrictEqual(changes, []);
+});
+
+test('reports status changes since the last sync', async () => {
+  const first = await sync(contract, null);
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.createShipmentWithReference(0, '', 'Factory A', 'Warehouse C', 5, [stationB.address])).wait();
+
+  const second = await sync(contract, first.state);
+  const block = await chain.provider.getBlockNumber();
+  assert.deepStrictEqual(second.changes.map(transition), [
+    ['1', ShippingStatus.Pending, ShippingStatus.InTransit, block - 1],
+    ['2', null, ShippingStatus.Pending, block],
+  ]);
+  assert.strictEqual(second.changes[0].shipment.currentStation, stationA.address);
+  assert.deepStrictEqual(
+    second.state.events.filter((event) => event.shipmentId === '1').map((event) => event.name),
+    ['ShipmentCreated', 'StationUpdated', 'StatusUpdated']
+  );
+  assert.strictEqual(second.state.shipments['1'].currentStation, stationA.address);
+
+  // Damage leaves the status as it is
+  await (await contract.connect(stationA).reportDamage(1, 2, 'crushed', 0)).wait();
+  const third = await sync(contract, second.state);
+  assert.deepStrictEqual(third.changes, []);
+  assert.strictEqual(third.state.shipments['1'].totDamagedQuantity, '2');
+
+  // Nothing new to index
+  assert.strictEqual((await sync(contract, third.state)).state, third.state);
+});
+
+test('reports every transition between two syncs, in log order', async () => {
+  const first = await sync(contract, null);
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+  await (await contract.createShipment(0, 'Factory A', 'Warehouse C', 5, [stationB.address])).wait();
+  await (await contract.cancelShipment(2, 'order withdrawn')).wait();
+
+  const { changes } = await sync(contract, first.state);
+  const block = await chain.provider.getBlockNumber();
+  assert.deepStrictEqual(changes.map(transition), [
+    ['1', ShippingStatus.Pending, ShippingStatus.InTransit, block - 3],
+    ['1', ShippingStatus.InTransit, ShippingStatus.Delivered, block - 2],
+    ['2', null, ShippingStatus.Pending, block - 1],
+    ['2', ShippingStatus.Pending, ShippingStatus.Cancelled, block],
+  ]);
+  // Each change carries the shipment as it was after that transition
+  assert.deepStrictEqual(changes.map((change) => change.shipment.status), changes.map((change) => change.status));
+  assert.strictEqual(changes[3].shipment.cancellationReason, 'order withdrawn');
+});
+
+test('waits for confirmations and queries in batches', async () => {
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  const latest = await chain.provider.getBlockNumber();
+
+  const { state } = await sync(contract, null, { confirmations: 2, batchSize: 1 });
+  assert.strictEqual(state.lastBlock, latest - 1);
+  assert.deepStrictEqual(state.events.map((event) => event.name), ['ShipmentCreated']);
+  assert.strictEqual(state.shipments['1'].status, ShippingStatus.Pending);
+});
+
+test('starts over when the contract changed or the chain was reset', async () => {
+  const { state } = await sync(contract, null);
+
+  const other = await sync(contract, { ...state, contractAddress: stationA.address, shipments: {}, events: [] });
+  assert.deepStrictEqual(Object.keys(other.state.shipments), ['1']);
+  assert.deepStrictEqual(other.changes, []);
+
+  const reset = await sync(contract, { ...state, lastBlock: state.lastBlock + 100, events: [] });
+  assert.strictEqual(reset.state.lastBlock, state.lastBlock);
+  assert.strictEqual(reset.state.events.length, 1);
+});
@@ -0,0 +1,96 @@
+// indexer/server.js
+
+/**
+ * Indexes the contract's shipment events from an RPC endpoint into a local JSON store, serves them
+ * through a read-only REST API and posts status changes to webhooks. Configured with INDEXER_*
+ * environment variables (see indexer/config.js).
+ *
+ * Run with `INDEXER_CONTRACT_ADDRESS=0x... npm run indexer`.
+ */
+const http = require('http');
+const { Contract, JsonRpcProvider } = require('ethers');
+const SupplyChainManagement = require('../src/contracts/SupplyChainManagement.json');
+const { createApiHandler } = require('./api');
+const { loadConfig } = require('./config');
+const { sync } = require('./indexer');
+const { loadState, saveState } = require('./store');
+const { sendWebhooks } = require('./webhooks');
+
+/**
+ * Starts the indexer and its API.
+ *
+ * @param {Object} config - The settings, see loadConfig().
+ * @param {Object} [provider] - The provider to index from, by default one for config.rpcUrl.
+ * @returns {Promise<Object>} { server, getState, stop } - server is listening once the promise resolves.
+ * @throws {Error} If the store cannot be read or the port cannot be listened on (e.g. EADDRINUSE).
+ */
+async function startIndexer(config, provider = new JsonRpcProvider(config.rpcUrl)) {
+  const contract = new Contract(config.contractAddress, SupplyChainManagement, provider);
+  let state = loadState(config.storePath);
+  let timer = null;
+  let stopped = false;
+
+  /**
+   * Syncs, saves the index and notifies the webhooks, then schedules the next sync.
+   * Errors, such as an unreachable RPC endpoint, are logged and the sync is retried later.
+   */
+  const poll = async () => {
+    try {
+      const result = await sync(contract, state, config);
+      if (result.state !== state) {
+        state = result.state;
+        saveState(config.storePath, state);
+      }
+      for (const { shipment, ...change } of result.changes) {
+        await sendWebhooks(config.webhooks, change, shipment, { secret: config.webhookSecret });
+      }
+    } catch (err) {
+      console.error(`Sync failed: ${err.message}`);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, config.pollInterval);
+    }
+  };
+
+  const server = http.createServer(createApiHandler(() => state));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  await poll();
+
+  return {
+    server,
+    getState: () => state,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await new Promise((resolve) => server.close(resolve));
+      provider.destroy();
+    },
+  };
+}
+
+if (require.main === module) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  startIndexer(config).then((indexer) => {
+    console.log(`Indexing ${config.contractAddress} from ${config.rpcUrl}; API on http://localhost:${indexer.server.address().port}`);
+    const shutdown = () => indexer.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }).catch((err) => {
+    console.error(`The indexer could not start: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { startIndexer };
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SupplyChainManagement = require('../src/contracts/SupplyChainManagement.json');
+const { bytecode } = require('../src/contracts/SupplyChainManagement.bytecode.json');
+const { deployContract, grantRoles } = require('../src/testUtils/localChain.js');
+const { Role } = require('../src/utils/roles.js');
+const { startIndexer } = require('./server');
+const { loadState } = require('./store');
+
+let chain;
+let indexer;
+let receiver;
+let webhookCalls;
+let storeDir;
+
+test.beforeEach(async () => {
+  indexer = null;
+  chain = await deployContract({ abi: SupplyChainManagement, bytecode });
+  await grantRoles(chain.contract, Role.Shipper, [chain.signers[0]]);
+  await grantRoles(chain.contract, Role.Carrier, chain.signers.slice(1, 3));
+  webhookCalls = [];
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      webhookCalls.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+});
+
+test.afterEach(async () => {
+  if (indexer) {
+    await indexer.stop();
+  }
+  await new Promise((resolve) => receiver.close(resolve));
+  await chain.stop();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+/**
+ * Waits until a condition holds, checking every 50ms for up to 5s.
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.ok(condition(), 'timed out');
+}
+
+/**
+ * Returns the settings of an indexer for the test chain, storing into the temporary directory.
+ */
+async function configFor(overrides = {}) {
+  return {
+    contractAddress: await chain.contract.getAddress(),
+    port: 0,
+    storePath: path.join(storeDir, 'store.json'),
+    pollInterval: 100,
+    confirmations: 1,
+    startBlock: 0,
+    batchSize: 5000,
+    webhooks: [`http://localhost:${receiver.address().port}/hook`],
+    webhookSecret: '',
+    ...overrides,
+  };
+}
+
+test('indexes into the store, serves the API and posts status changes', async () => {
+  const { contract, signers: [, stationA] } = chain;
+  await (await contract.createShipmentWithReference(0, 'PO-1', 'Factory A', 'Warehouse B', 10, [stationA.address])).wait();
+
+  const config = await configFor();
+  indexer = await startIndexer(config, chain.provider);
+
+  // startIndexer() resolves once the first sync is done
+  const response = await fetch(`http://localhost:${indexer.server.address().port}/shipments/1`);
+  assert.strictEqual((await response.json()).reference, 'PO-1');
+  assert.strictEqual(loadState(config.storePath).shipments['1'].reference, 'PO-1');
+
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await waitFor(() => webhookCalls.length > 0);
+  assert.deepStrictEqual(webhookCalls.map(({ shipmentId, previousStatus, status }) => [shipmentId, previousStatus, status]), [['1', 0, 2]]);
+  assert.strictEqual(webhookCalls[0].shipment.currentStation, stationA.address);
+  await waitFor(() => loadState(config.storePath).shipments['1'].status === 2);
+});
+
+test('fails to start on a corrupt store or a port in use', async () => {
+  const config = await configFor();
+  fs.writeFileSync(config.storePath, '{"lastBlock": 3,');
+  await assert.rejects(startIndexer(config, chain.provider), /store .* is corrupt/);
+
+  fs.rmSync(config.storePath);
+  await assert.rejects(startIndexer({ ...config, port: receiver.address().port }, chain.provider), { code: 'EADDRINUSE' });
+});
+
+test('exits with an error when run on a port in use', async () => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      INDEXER_CONTRACT_ADDRESS: await chain.contract.getAddress(),
+      INDEXER_PORT: String(receiver.address().port),
+      INDEXER_STORE: path.join(storeDir, 'store.json'),
+    },
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /The indexer could not start: .*EADDRINUSE/);
+});
@@ -0,0 +1,54 @@
+// indexer/store.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates the state of an empty index.
+ *
+ * @param {string} chainId - The chain the contract lives on.
+ * @param {string} contractAddress - The indexed contract.
+ * @param {number} startBlock - The first block to index.
+ * @returns {Object} { chainId, contractAddress, lastBlock, shipments, events } - lastBlock is the last block indexed,
+ *   shipments maps shipment IDs to their summary and events holds every indexed event, oldest first.
+ */
+function emptyState(chainId, contractAddress, startBlock) {
+  return { chainId, contractAddress, lastBlock: startBlock - 1, shipments: {}, events: [] };
+}
+
+/**
+ * Loads the index saved by saveState().
+ *
+ * @param {string} file - The path of the store file.
+ * @returns {Object|null} The saved state, or null if nothing was saved yet.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+function loadState(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The store ${file} is corrupt (${err.message}); delete it to index from scratch.`);
+  }
+}
+
+/**
+ * Saves the index. The file is replaced in one step, so a crash mid-write cannot corrupt it.
+ *
+ * @param {string} file - The path of the store file.
+ * @param {Object} state - The state to save.
+ */
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(state));
+  fs.renameSync(temporary, file);
+}
+
+module.exports = { emptyState, loadState, saveState };
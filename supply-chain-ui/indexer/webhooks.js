@@ -0,0 +1,47 @@
+// indexer/webhooks.js
+
+const crypto = require('crypto');
+
+/**
+ * Signs a webhook body, so receivers can check it came from this indexer.
+ *
+ * @param {string} body - The JSON body.
+ * @param {string} secret - The shared secret.
+ * @returns {string} The X-Indexer-Signature header: "sha256=" and the hex HMAC-SHA256 of the body.
+ */
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Posts a status change to every webhook URL. Failed deliveries are logged and not retried,
+ * so receivers that need every change should also poll the API.
+ *
+ * @param {Array} urls - The webhook URLs.
+ * @param {Object} change - { shipmentId, previousStatus, status, blockNumber, transactionHash, logIndex }, see sync().
+ * @param {Object} shipment - The shipment as of the change's block.
+ * @param {Object} [options] - { secret, timeout } - without a secret, bodies are not signed; timeout is in milliseconds.
+ * @returns {Promise<Array>} Whether each delivery succeeded, in URL order.
+ */
+async function sendWebhooks(urls, change, shipment, { secret = '', timeout = 5000 } = {}) {
+  const body = JSON.stringify({ type: 'shipment.status_changed', ...change, shipment });
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-Indexer-Signature'] = signBody(body, secret);
+  }
+
+  return Promise.all(urls.map(async (url) => {
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return true;
+    } catch (err) {
+      console.error(`Webhook ${url} failed for shipment ${change.shipmentId}: ${err.message}`);
+      return false;
+    }
+  }));
+}
+
+module.exports = { sendWebhooks, signBody };
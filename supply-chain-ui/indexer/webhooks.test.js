@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { sendWebhooks, signBody } = require('./webhooks');
+
+const CHANGE = { shipmentId: '1', previousStatus: 0, status: 1, blockNumber: 7 };
+const SHIPMENT = { id: '1', status: 1 };
+
+let server;
+let received;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/broken' ? 500 : 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  received = [];
+});
+
+test('posts signed status changes to every webhook', async () => {
+  const results = await sendWebhooks([`${baseUrl}/a`, `${baseUrl}/b`], CHANGE, SHIPMENT, { secret: 's3cret' });
+
+  assert.deepStrictEqual(results, [true, true]);
+  assert.deepStrictEqual(received.map((request) => request.url).sort(), ['/a', '/b']);
+  const [{ headers, body }] = received;
+  assert.deepStrictEqual(JSON.parse(body), { type: 'shipment.status_changed', ...CHANGE, shipment: SHIPMENT });
+  assert.strictEqual(headers['content-type'], 'application/json');
+  assert.strictEqual(headers['x-indexer-signature'], signBody(body, 's3cret'));
+  assert.match(headers['x-indexer-signature'], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('leaves bodies unsigned without a secret', async () => {
+  await sendWebhooks([`${baseUrl}/a`], CHANGE, SHIPMENT);
+
+  assert.strictEqual(received[0].headers['x-indexer-signature'], undefined);
+});
+
+test('reports failed deliveries without throwing', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const results = await sendWebhooks([`${baseUrl}/broken`, 'http://localhost:1/unreachable'], CHANGE, SHIPMENT);
+
+  assert.deepStrictEqual(results, [false, false]);
+  assert.strictEqual(console.error.mock.calls.length, 2);
+});
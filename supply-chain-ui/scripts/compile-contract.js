@@ -0,0 +1,69 @@
+// scripts/compile-contract.js
+
+/**
+ * Compiles contracts/Supply_Chain_Management.sol with solc-js and writes the artifacts the UI ships:
+ * the ABI (src/contracts/SupplyChainManagement.json) and the bytecode the offline demo deploys
+ * (src/contracts/SupplyChainManagement.bytecode.json). The tests compile the contract with
+ * compileContract() from this module, so they always run the settings the artifacts were built with.
+ *
+ * Run with `npm run compile-contract` after changing the contract.
+ */
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const CONTRACT_PATH = path.resolve(__dirname, '../../contracts/Supply_Chain_Management.sol');
+const OUTPUT_DIR = path.resolve(__dirname, '../src/contracts');
+
+// London EVM with the optimizer on and the IR pipeline (viaIR), matching the README's Remix
+// instructions (without them the contract is over the 24 KB contract size limit)
+const SOLC_SETTINGS = {
+  evmVersion: 'london',
+  optimizer: { enabled: true, runs: 200 },
+  viaIR: true,
+};
+
+let compiled = null; // Compiler output, cached for the rest of the process
+
+/**
+ * Compiles the SupplyChainManagement contract.
+ *
+ * @returns {Object} { abi, bytecode }
+ * @throws {Error} If the contract does not compile.
+ */
+function compileContract() {
+  if (compiled) return compiled;
+
+  const input = {
+    language: 'Solidity',
+    sources: { 'Supply_Chain_Management.sol': { content: fs.readFileSync(CONTRACT_PATH, 'utf8') } },
+    settings: { ...SOLC_SETTINGS, outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.formattedMessage).join('\n'));
+  }
+
+  const contract = output.contracts['Supply_Chain_Management.sol'].SupplyChainManagement;
+  compiled = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  return compiled;
+}
+
+if (require.main === module) {
+  let contract;
+  try {
+    contract = compileContract();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'SupplyChainManagement.json'), JSON.stringify(contract.abi, null, '\t'));
+  fs.writeFileSync(
+    path.join(OUTPUT_DIR, 'SupplyChainManagement.bytecode.json'),
+    JSON.stringify({ bytecode: contract.bytecode }, null, '\t')
+  );
+  console.log('Wrote the ABI and bytecode to src/contracts.');
+}
+
+module.exports = { SOLC_SETTINGS, compileContract };
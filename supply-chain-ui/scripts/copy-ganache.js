@@ -0,0 +1,16 @@
+// scripts/copy-ganache.js
+
+/**
+ * Copies Ganache's prebuilt browser bundle to public/, where the offline demo loads it from
+ * (see src/utils/demoChain.js). The bundle is served as is rather than bundled with the app:
+ * minifying and source-mapping its 8 MB again exhausts the memory of a production build.
+ *
+ * Runs before `npm start` and `npm run build`.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = require.resolve('ganache/dist/web/ganache.min.js');
+const TARGET = path.resolve(__dirname, '../public/ganache.min.js');
+
+fs.copyFileSync(SOURCE, TARGET);
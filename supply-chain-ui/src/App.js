@@ -1,136 +1,239 @@
 // src/App.js
 
-import React, { useEffect, useState } from 'react';
-import { BrowserProvider, Contract, isAddress } from 'ethers';
-import SupplyChainManagement from './contracts/SupplyChainManagement.json'; // Import the contract's ABI
+import React, { useCallback, useEffect, useState } from 'react';
+import { getNetworkConfig, getNetworks, loadSelectedNetwork, saveSelectedNetwork } from './config/networks';
+import { connect, hasBlockingIssue } from './utils/connection';
+import { NO_ROLES, fetchRoles } from './utils/roles';
 import CreateShipment from './components/CreateShipment';
+import BulkImport from './components/BulkImport';
+import AmendRoute from './components/AmendRoute';
 import ProgressShipment from './components/ProgressShipment';
 import ReportDamage from './components/ReportDamage';
+import ScanShipment from './components/ScanShipment';
+import CancelShipment from './components/CancelShipment';
+import ReceiveShipment from './components/ReceiveShipment';
 import ShipmentDetails from './components/ShipmentDetails';
+import ShipmentDashboard from './components/ShipmentDashboard';
+import ShipmentAnalytics from './components/ShipmentAnalytics';
+import SetupDiagnostics from './components/SetupDiagnostics';
+import DemoControls from './components/DemoControls';
+import StationRegistry from './components/StationRegistry';
+import RoleAdmin from './components/RoleAdmin';
+import NotificationCenter from './components/NotificationCenter';
+import PaymentBalance from './components/PaymentBalance';
+import AddressLabel from './components/AddressLabel';
+import TransactionHistory from './components/TransactionHistory';
+import TransactionProvider from './components/TransactionProvider';
 import './App.css';
 
 /**
  * The main application component.
- * Initializes the Ethereum provider, signer, and contract.
- * Manages account changes and provides the contract instance to child components.
+ * Connects to the configured network and contract (see src/config/networks.js),
+ * reconnects on wallet account or chain changes and provides the contract
+ * instance to child components. Without a wallet, the app runs read-only.
+ * On the offline demo network, it acts as one of the demo accounts instead of a wallet.
+ * Panels that send transactions are only shown to accounts holding the matching role.
  */
 function App() {
-  // State variables to hold provider, signer, contract, and current account
-  const [provider, setProvider] = useState(null); // Ethereum provider (e.g., MetaMask)
-  const [signer, setSigner] = useState(null);     // Signer for signing transactions
-  const [contract, setContract] = useState(null); // Smart contract instance
-  const [currentAccount, setCurrentAccount] = useState(null); // Current connected Ethereum account
-
-  // useEffect hook to initialize the provider and contract when the component mounts
+  // State variables to hold the selected network and the current connection
+  const [networkKey, setNetworkKey] = useState(loadSelectedNetwork);
+  const [connection, setConnection] = useState(null); // Result of connect(), null while connecting
+  const [attempt, setAttempt] = useState(0); // Bumped to re-run the connection checks
+  const [selectedShipmentId, setSelectedShipmentId] = useState(''); // Shipment picked on the dashboard
+  const [scannedShipmentId, setScannedShipmentId] = useState(''); // Shipment whose QR label was scanned
+  const [roles, setRoles] = useState(NO_ROLES); // Roles of the connected account
+  const [demoAccount, setDemoAccount] = useState(0); // Demo account acted as on the offline demo network
+
+  const network = getNetworkConfig(networkKey);
+
+  /**
+   * Re-runs the connection checks, e.g. after the user fixed their setup.
+   */
+  const retry = useCallback(() => setAttempt((n) => n + 1), []);
+
+  /**
+   * Switches to another configured network and remembers the choice.
+   *
+   * @param {string} key - The network key.
+   */
+  const selectNetwork = (key) => {
+    saveSelectedNetwork(key);
+    setNetworkKey(key);
+  };
+
+  /**
+   * Leaves the offline demo for the first real network.
+   */
+  const leaveDemo = () => {
+    selectNetwork(getNetworks().find((n) => !n.demo).key);
+  };
+
+  /**
+   * Fills in a scanned shipment's ID and scrolls to the form the station wants to use.
+   *
+   * @param {string} shipmentId - The scanned shipment ID.
+   * @param {string} action - 'progress' or 'report'.
+   */
+  const openScannedShipment = (shipmentId, action) => {
+    setScannedShipmentId(shipmentId);
+    const panel = document.getElementById(action === 'progress' ? 'progress-shipment' : 'report-damage');
+    if (panel) {
+      panel.scrollIntoView({ behavior: 'smooth' });
+    }
+  };
+
+  // useEffect hook to connect whenever the network changes or a retry is requested
   useEffect(() => {
-    let newProvider; // Variable to hold the provider within the scope
-    let newContract; // Variable to hold the contract within the scope
-
-    /**
-     * Handles changes to the connected Ethereum accounts.
-     * Updates the signer and contract instances with the new account.
-     *
-     * @param {Array} accounts - The list of accounts provided by MetaMask.
-     */
-    const handleAccountsChanged = async (accounts) => {
-      if (accounts.length === 0) {
-        // MetaMask is locked or the user has not connected any accounts
-        alert('Please connect to MetaMask.');
-      } else {
-        const newAccount = accounts[0]; // Get the new account
-        setCurrentAccount(newAccount);  // Update state with the new account
-
-        // Update the signer with the new account
-        const updatedSigner = await newProvider.getSigner();
-        setSigner(updatedSigner);
-
-        // Connect the contract to the new signer
-        const updatedContract = newContract.connect(updatedSigner);
-        setContract(updatedContract);
-      }
-    };
+    let cancelled = false; // Ignore results of a connection attempt that was superseded
 
-    /**
-     * Initializes the Ethereum provider, signer, and contract.
-     * Requests account access and sets up event listeners for account changes.
-     */
-    const init = async () => {
-      if (window.ethereum) {
-        // Create a new provider using MetaMask's provider
-        newProvider = new BrowserProvider(window.ethereum);
-        setProvider(newProvider);
-
-        // Request account access if needed
-        await newProvider.send('eth_requestAccounts', []);
-
-        // Get the signer (current account)
-        const newSigner = await newProvider.getSigner();
-        setSigner(newSigner);
-
-        // Get the list of accounts
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        setCurrentAccount(accounts[0]); // Set the current account
-
-        // Replace with your deployed contract address
-        const contractAddress = 'your deployed contract address here';
-
-        // Ensure the contract address is a valid Ethereum address
-        if (!isAddress(contractAddress)) {
-          console.error('Invalid contract address');
-          return;
-        }
-
-        // Create a new contract instance with the signer
-        newContract = new Contract(
-          contractAddress,
-          SupplyChainManagement, // The contract's ABI
-          newSigner
-        );
-        setContract(newContract);
-
-        // Listen for account changes in MetaMask
-        window.ethereum.on('accountsChanged', handleAccountsChanged);
-      } else {
-        // MetaMask is not installed
-        alert('Please install MetaMask!');
+    setConnection(null);
+    connect(network, demoAccount).then((result) => {
+      if (!cancelled) {
+        setConnection(result);
       }
-    };
+    }).catch((err) => {
+      console.error(err);
+      if (!cancelled) {
+        setConnection({ contract: null, issues: [{ code: 'unexpected', message: err.message }] });
+      }
+    });
 
-    init(); // Call the initialization function
+    // Reconnect when the user switches accounts or chains in their wallet
+    if (!network.demo && window.ethereum && window.ethereum.on) {
+      window.ethereum.on('accountsChanged', retry);
+      window.ethereum.on('chainChanged', retry);
+    }
 
-    // Clean up the event listener when the component unmounts
+    // Clean up the event listeners when the network changes or the component unmounts
     return () => {
+      cancelled = true;
       if (window.ethereum && window.ethereum.removeListener) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+        window.ethereum.removeListener('accountsChanged', retry);
+        window.ethereum.removeListener('chainChanged', retry);
       }
     };
-  }, []); // Empty dependency array ensures this runs once on mount
+  }, [network, demoAccount, attempt, retry]);
 
-  // If the contract is not yet initialized, display a loading message
-  if (!contract) {
-    return (<div><p>Loading...</p><p>If you are seeing this, you may still need to add the appropriate contract address in the App.js file. Copy it from the deployed contract in either Remix IDE or Truffle.</p></div>);
+  // useEffect hook to load the connected account's roles, and reload them when an admin changes roles
+  useEffect(() => {
+    setRoles(NO_ROLES);
+    if (!connection || !connection.contract) return;
+
+    const { contract, account } = connection;
+    let cancelled = false;
+    const refreshRoles = () => {
+      fetchRoles(contract, account).then((result) => {
+        if (!cancelled) {
+          setRoles(result);
+        }
+      }).catch((err) => console.error(err));
+    };
+    refreshRoles();
+    contract.on('RoleGranted', refreshRoles);
+    contract.on('RoleRevoked', refreshRoles);
+
+    return () => {
+      cancelled = true;
+      contract.off('RoleGranted', refreshRoles);
+      contract.off('RoleRevoked', refreshRoles);
+    };
+  }, [connection]);
+
+  // Until the contract is reachable, explain what is missing
+  if (!connection || hasBlockingIssue(connection.issues) || !connection.contract) {
+    return (
+      <SetupDiagnostics
+        network={network}
+        issues={connection ? connection.issues : null}
+        onSelectNetwork={selectNetwork}
+        onRetry={retry}
+      />
+    );
   }
 
+  const { contract, account: currentAccount, readOnly, issues, demo } = connection;
+  const roleNames = ['admin', 'shipper', 'carrier', 'auditor'].filter((role) => roles[role]);
+
   // Render the main application UI
   return (
-    <div className="container">
-       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
-        <div>
-          <h1 className="mt-4" style={{ fontFamily: "Coolvetica", fontSize: 70 }}>
-            chainmail: a Supply Chain DApp
-          </h1>
-          <p style={{ color: "#0D6EFD", fontFamily: "Creato-Light", fontSize: 25 }}>
-            Connected Account: {currentAccount}
-          </p>
+    <TransactionProvider confirmations={network.confirmations}>
+      <div className="container">
+         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <div>
+            <h1 className="mt-4" style={{ fontFamily: "Coolvetica", fontSize: 70 }}>
+              chainmail: a Supply Chain DApp
+            </h1>
+            <p style={{ color: "#0D6EFD", fontFamily: "Creato-Light", fontSize: 25 }}>
+              {readOnly ? 'Read-only mode' : <>Connected Account: <AddressLabel address={currentAccount} /></>} &middot; {network.name}
+            </p>
+            {/* Roles of the connected account */}
+            {roleNames.map((role) => (
+              <span key={role} className="badge bg-primary me-2 text-capitalize" style = {{fontFamily: "Creato-Light"}}>{role}</span>
+            ))}
+            {/* Alerts about shipments that concern the connected account */}
+            {!readOnly && (
+              <NotificationCenter contract={contract} currentAccount={currentAccount} onSelectShipment={setSelectedShipmentId} />
+            )}
+            {/* Escrowed payments the connected account can withdraw */}
+            {!readOnly && <PaymentBalance contract={contract} currentAccount={currentAccount} />}
+          </div>
+          <div className="logo"></div>
         </div>
-        <div className="logo"></div>
+        {/* Switch demo accounts and load sample shipments */}
+        {demo && (
+          <DemoControls demoAccount={demoAccount} onSelectAccount={setDemoAccount} onReset={retry} onLeave={leaveDemo} />
+        )}
+        {/* Explain why transactions are unavailable in read-only mode */}
+        {issues.map((issue) => (
+          <div key={issue.code} className="alert alert-warning" style = {{fontFamily: "Creato-Light"}}>{issue.message}</div>
+        ))}
+        {/* Explain why no transaction panels are shown */}
+        {!readOnly && !roles.shipper && !roles.carrier && !roles.admin && (
+          <div className="alert alert-info" style = {{fontFamily: "Creato-Light"}}>
+            {roles.auditor
+              ? 'You are an auditor: you can browse and export shipments, but not create or move them.'
+              : 'Your account has no role yet, so you can browse shipments and confirm receipt of shipments sent to you or cancel shipments you own, but not create or move them. Ask an admin to grant you the Shipper or Carrier role.'}
+          </div>
+        )}
+        {/* Pass the contract and current account as props to child components */}
+        <ShipmentDashboard
+          contract={contract}
+          currentAccount={currentAccount}
+          onSelectShipment={setSelectedShipmentId}
+          indexerUrl={network.indexerUrl}
+        />
+        {!readOnly && (
+          <>
+            {/* Shippers create shipments and reroute the ones they own */}
+            {roles.shipper && (
+              <>
+                <CreateShipment contract={contract} currentAccount={currentAccount} />
+                <BulkImport contract={contract} currentAccount={currentAccount} />
+                <AmendRoute contract={contract} currentAccount={currentAccount} />
+              </>
+            )}
+            {/* Carriers scan shipment labels, progress shipments and report damage */}
+            {roles.carrier && (
+              <>
+                <ScanShipment contract={contract} onScan={openScannedShipment} />
+                <ProgressShipment contract={contract} currentAccount={currentAccount} selectedShipmentId={scannedShipmentId} />
+                <ReportDamage contract={contract} currentAccount={currentAccount} selectedShipmentId={scannedShipmentId} />
+              </>
+            )}
+            {/* Shipment owners and current stations can cancel or hold shipments, whatever roles they hold now */}
+            <CancelShipment contract={contract} currentAccount={currentAccount} />
+            {/* Any account can be named as a recipient, so every account can confirm receipt */}
+            <ReceiveShipment contract={contract} currentAccount={currentAccount} />
+          </>
+        )}
+        <ShipmentDetails contract={contract} currentAccount={currentAccount} selectedShipmentId={selectedShipmentId} />
+        {/* Damage rates, dwell times and throughput across all shipments */}
+        <ShipmentAnalytics contract={contract} />
+        {!readOnly && roles.admin && <RoleAdmin contract={contract} currentAccount={currentAccount} />}
+        <StationRegistry />
+        <TransactionHistory />
       </div>
-      {/* Pass the contract and current account as props to child components */}
-      <CreateShipment contract={contract} currentAccount={currentAccount} />
-      <ProgressShipment contract={contract} currentAccount={currentAccount} />
-      <ReportDamage contract={contract} currentAccount={currentAccount} />
-      <ShipmentDetails contract={contract} currentAccount={currentAccount}/>
-    </div>
+    </TransactionProvider>
   );
 }
 
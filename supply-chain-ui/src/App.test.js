@@ -1,8 +1,126 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { connect, ISSUES } from './utils/connection';
+import { Role } from './utils/roles';
+import { DEMO_ACCOUNTS, getDemoChain } from './utils/demoChain';
+import { createMockContract } from './testUtils/mockContract';
 
-test('renders learn react link', () => {
+jest.mock('./utils/connection', () => ({
+  ...jest.requireActual('./utils/connection'),
+  connect: jest.fn(),
+}));
+
+jest.mock('./utils/demoChain', () => ({
+  ...jest.requireActual('./utils/demoChain'),
+  getDemoChain: jest.fn(),
+}));
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+
+test('explains the setup when no contract address is configured', async () => {
+  connect.mockResolvedValue({
+    contract: null,
+    issues: [{ code: ISSUES.MISSING_ADDRESS, message: 'No contract address is configured for Local Ganache.' }],
+  });
+  render(<App />);
+
+  expect(await screen.findByText('No contract address is configured for Local Ganache.')).toBeInTheDocument();
+  expect(screen.queryByText('Create Shipment', { selector: 'h2' })).not.toBeInTheDocument();
+});
+
+/**
+ * Renders the app connected with a wallet whose account holds the given roles.
+ */
+async function renderWithRoles(roles) {
+  const contract = createMockContract({ roles: { [ACCOUNT]: roles } });
+  connect.mockResolvedValue({ contract, account: ACCOUNT, readOnly: false, issues: [] });
+  render(<App />);
+  expect(await screen.findByText(/Connected Account/)).toHaveTextContent(ACCOUNT);
+  await screen.findByText('View Shipment Details', { selector: 'h2' });
+}
+
+function panel(heading) {
+  return screen.queryByText(heading, { selector: 'h2' });
+}
+
+test('shows the panels of every role the account holds', async () => {
+  await renderWithRoles([Role.Admin, Role.Shipper, Role.Carrier]);
+
+  expect(await screen.findByText('Manage Roles', { selector: 'h2' })).toBeInTheDocument();
+  for (const heading of ['Create Shipment', 'Bulk Import Shipments', 'Progress Shipment', 'Report Damage', 'Cancel or Hold Shipment']) {
+    expect(panel(heading)).toBeInTheDocument();
+  }
+});
+
+test('shippers only see the shipper panels', async () => {
+  await renderWithRoles([Role.Shipper]);
+
+  expect(await screen.findByText('Create Shipment', { selector: 'h2' })).toBeInTheDocument();
+  expect(panel('Cancel or Hold Shipment')).toBeInTheDocument();
+  expect(panel('Progress Shipment')).not.toBeInTheDocument();
+  expect(panel('Report Damage')).not.toBeInTheDocument();
+  expect(panel('Manage Roles')).not.toBeInTheDocument();
+});
+
+test('carriers only see the carrier panels', async () => {
+  await renderWithRoles([Role.Carrier]);
+
+  expect(await screen.findByText('Progress Shipment', { selector: 'h2' })).toBeInTheDocument();
+  expect(panel('Report Damage')).toBeInTheDocument();
+  expect(panel('Create Shipment')).not.toBeInTheDocument();
+});
+
+test('auditors get a read-only view', async () => {
+  await renderWithRoles([Role.Auditor]);
+
+  expect(await screen.findByText(/You are an auditor/)).toBeInTheDocument();
+  for (const heading of ['Create Shipment', 'Progress Shipment', 'Report Damage', 'Manage Roles']) {
+    expect(panel(heading)).not.toBeInTheDocument();
+  }
+});
+
+test('accounts without a role can still cancel the shipments they own', async () => {
+  await renderWithRoles([]);
+
+  expect(await screen.findByText(/Your account has no role yet/)).toBeInTheDocument();
+  expect(panel('Cancel or Hold Shipment')).toBeInTheDocument();
+  expect(panel('Create Shipment')).not.toBeInTheDocument();
+});
+
+test('hides the transaction panels in read-only mode', async () => {
+  connect.mockResolvedValue({
+    contract: createMockContract(),
+    account: null,
+    readOnly: true,
+    issues: [{ code: ISSUES.NO_WALLET, message: 'No wallet was detected.' }],
+  });
+  render(<App />);
+
+  expect(await screen.findByText(/Read-only mode/)).toBeInTheDocument();
+  expect(screen.getByText('No wallet was detected.')).toBeInTheDocument();
+  expect(screen.getByText('View Shipment Details', { selector: 'h2' })).toBeInTheDocument();
+  expect(screen.queryByText('Create Shipment', { selector: 'h2' })).not.toBeInTheDocument();
+});
+
+test('lets the offline demo switch between the demo accounts', async () => {
+  const accounts = DEMO_ACCOUNTS.map((account, index) => `0x${String(index + 1).repeat(40)}`);
+  getDemoChain.mockResolvedValue({ accounts });
+  connect.mockImplementation(async (network, demoAccount) => ({
+    contract: createMockContract({ roles: { [accounts[demoAccount]]: DEMO_ACCOUNTS[demoAccount].roles } }),
+    account: accounts[demoAccount],
+    readOnly: false,
+    issues: [],
+    demo: true,
+  }));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(await screen.findByText(/Offline demo/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Load Sample Shipments' })).toBeInTheDocument();
+  expect(await screen.findByText('Create Shipment', { selector: 'h2' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Act as'), { target: { value: '1' } });
+
+  expect(await screen.findByText('Progress Shipment', { selector: 'h2' })).toBeInTheDocument();
+  expect(screen.getByText(/Connected Account/)).toHaveTextContent(accounts[1]);
+  expect(panel('Create Shipment')).not.toBeInTheDocument();
 });
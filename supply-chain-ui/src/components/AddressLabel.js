@@ -0,0 +1,27 @@
+// src/components/AddressLabel.js
+
+import React from 'react';
+import { findStation } from '../utils/stationRegistry';
+import { useStationRegistry } from './StationRegistryProvider';
+
+/**
+ * Displays an address with its name from the station registry, when it has one.
+ *
+ * Props:
+ * - address: The address to display.
+ */
+function AddressLabel({ address }) {
+  const { stations } = useStationRegistry();
+  const station = findStation(stations, address);
+
+  if (!station) {
+    return <span>{address}</span>;
+  }
+  return (
+    <span title={[station.role, station.location].filter(Boolean).join(', ')}>
+      <strong style = {{fontFamily: "Creato-Light"}}>{station.name}</strong> <small className="text-muted">{address}</small>
+    </span>
+  );
+}
+
+export default AddressLabel;
@@ -0,0 +1,145 @@
+// src/components/AmendRoute.js
+
+import React, { useState } from 'react';
+import { isRouteValid, validateRoute } from '../utils/route';
+import { Role, findMissingRole } from '../utils/roles';
+import { readShipment, sameAddress } from '../utils/shipmentIndex';
+import { ShippingStatus } from '../utils/status';
+import AddressLabel from './AddressLabel';
+import RouteBuilder from './RouteBuilder';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Component for rerouting a shipment: the owner loads it, then inserts, removes, replaces or
+ * reorders the stations it has not reached yet. The stations it already passed are locked.
+ * The contract keeps every change in its RouteChanged events.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function AmendRoute({ contract, currentAccount }) {
+  // State variables to hold form input values, the loaded shipment and messages
+  const [shipmentId, setShipmentId] = useState('');
+  const [shipment, setShipment] = useState(null); // readShipment() result of the loaded shipment
+  const [stops, setStops] = useState([]); // Remaining route stops as typed
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  const passedStations = shipment ? shipment.transitStations.slice(0, shipment.currentStationIndex) : [];
+
+  /**
+   * Loads the shipment and fills the editor with the stations it has not reached yet.
+   */
+  const loadShipment = async () => {
+    setShipment(null);
+    if (!shipmentId) return;
+    try {
+      const loaded = await readShipment(contract, shipmentId);
+      if (!sameAddress(loaded.owner, currentAccount)) {
+        setMessage('Only the shipment owner can amend its route.');
+        return;
+      }
+      if (loaded.status === ShippingStatus.Delivered || loaded.status === ShippingStatus.Cancelled) {
+        setMessage('This shipment is already delivered or cancelled, so its route can no longer change.');
+        return;
+      }
+      setShipment(loaded);
+      setStops(loaded.transitStations.slice(loaded.currentStationIndex));
+      setMessage('');
+    } catch (err) {
+      console.error(err);
+      setMessage('Error loading the shipment.');
+    }
+  };
+
+  /**
+   * Handles the form submission to replace the remaining route.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const route = validateRoute(stops, currentAccount, passedStations);
+    if (!isRouteValid(route)) {
+      setMessage('Please fix the highlighted transit stations before amending the route.');
+      return;
+    }
+    const stationsArray = route.map((stop) => stop.address);
+
+    try {
+      const notCarriers = await findMissingRole(contract, Role.Carrier, stationsArray);
+      if (notCarriers.length > 0) {
+        setMessage(`These transit stations are not carriers: ${notCarriers.join(', ')}. Ask an admin to grant them the Carrier role.`);
+        return;
+      }
+
+      await send(contract, 'amendRoute', [shipment.id, stationsArray, reason], `Amend route of shipment ${shipment.id}`);
+      setMessage('Route amended.');
+      setShipment(null);
+      setReason('');
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error amending the route: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Amend Route</h2>
+      {/* Display the current connected Ethereum account */}
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
+      <div className="form-group">
+        <label htmlFor="amend-shipment-id" style = {{fontFamily: "Creato-Light"}}>Shipment ID</label>
+        <div className="input-group">
+          <input
+            id="amend-shipment-id"
+            type="number"
+            className="form-control"
+            value={shipmentId}
+            onChange={(e) => setShipmentId(e.target.value)}
+          />
+          <button type="button" className="btn btn-outline-primary" style = {{fontFamily: "Creato-Light"}} onClick={loadShipment}>
+            Load Route
+          </button>
+        </div>
+      </div>
+      {shipment && (
+        <form className="mt-3" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label style = {{fontFamily: "Creato-Light"}}>Transit Stations</label>
+            <RouteBuilder
+              stops={stops}
+              onChange={setStops}
+              origin={shipment.origin}
+              destination={shipment.destination}
+              currentAccount={currentAccount}
+              passedStations={passedStations}
+            />
+          </div>
+          <div className="form-group mt-3">
+            <label htmlFor="amend-reason" style = {{fontFamily: "Creato-Light"}}>Reason</label>
+            <input
+              id="amend-reason"
+              type="text"
+              className="form-control"
+              placeholder="e.g. Warehouse closed for maintenance"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+          </div>
+          {/* Submit button */}
+          <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>Amend Route</button>
+        </form>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default AmendRoute;
@@ -0,0 +1,64 @@
+import { fireEvent, screen } from '@testing-library/react';
+import AmendRoute from './AmendRoute';
+import { Role } from '../utils/roles';
+import { ShippingStatus } from '../utils/status';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const OWNER = '0x9999999999999999999999999999999999999999';
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+const STATION_C = '0x3333333333333333333333333333333333333333';
+
+let contract;
+
+beforeEach(() => {
+  contract = createMockContract({
+    shipments: {
+      7: {
+        id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, owner: OWNER,
+        status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1,
+      },
+    },
+    roles: { [STATION_A]: [Role.Carrier], [STATION_B]: [Role.Carrier], [STATION_C]: [Role.Carrier] },
+  });
+});
+
+async function load(currentAccount) {
+  renderWithProviders(<AmendRoute contract={contract} currentAccount={currentAccount} />);
+  fireEvent.change(screen.getByLabelText('Shipment ID'), { target: { value: '7' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Load Route' }));
+}
+
+test('the owner edits the stations ahead while the passed ones stay locked', async () => {
+  await load(OWNER);
+
+  expect(await screen.findByLabelText('Station 2 address')).toHaveValue(STATION_B);
+  expect(screen.queryByLabelText('Station 1 address')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Station 2 address'), { target: { value: STATION_C } });
+  fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'B is closed' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Amend Route' }));
+
+  expect(await screen.findByText('Route amended.')).toBeInTheDocument();
+  expect(contract.amendRoute).toHaveBeenCalledWith('7', [STATION_C], 'B is closed');
+});
+
+test('a passed station cannot be added again', async () => {
+  await load(OWNER);
+
+  fireEvent.change(await screen.findByLabelText('Station 2 address'), { target: { value: STATION_A } });
+
+  expect(screen.getByText('The shipment already passed this station.')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'Back to A' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Amend Route' }));
+  expect(await screen.findByText('Please fix the highlighted transit stations before amending the route.')).toBeInTheDocument();
+  expect(contract.amendRoute).not.toHaveBeenCalled();
+});
+
+test('other accounts cannot amend the route', async () => {
+  await load(STATION_A);
+
+  expect(await screen.findByText('Only the shipment owner can amend its route.')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Amend Route' })).not.toBeInTheDocument();
+});
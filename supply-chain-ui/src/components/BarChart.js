@@ -0,0 +1,37 @@
+// src/components/BarChart.js
+
+import React from 'react';
+import '../App.css';
+
+/**
+ * Horizontal bar chart drawn with plain HTML, so it needs no chart library.
+ * Bars are scaled to the largest value.
+ *
+ * Props:
+ * - title: The chart's heading, also its accessible name.
+ * - bars: The bars, each { key, label, value, text }; value is a number and text is shown next to the bar.
+ */
+function BarChart({ title, bars }) {
+  const max = Math.max(0, ...bars.map((bar) => bar.value));
+
+  return (
+    <figure className="bar-chart" aria-label={title}>
+      <figcaption style = {{fontFamily: "Creato-Bold"}}>{title}</figcaption>
+      {bars.length === 0 ? (
+        <p className="text-muted mb-0" style = {{fontFamily: "Creato-Light"}}>No data for this period.</p>
+      ) : (
+        bars.map((bar) => (
+          <div key={bar.key} className="bar-chart-row">
+            <div className="bar-chart-label">{bar.label}</div>
+            <div className="bar-chart-track">
+              <div className="bar-chart-bar" style={{ width: `${max > 0 ? (bar.value / max) * 100 : 0}%` }} />
+            </div>
+            <div className="bar-chart-value">{bar.text}</div>
+          </div>
+        ))
+      )}
+    </figure>
+  );
+}
+
+export default BarChart;
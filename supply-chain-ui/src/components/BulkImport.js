@@ -0,0 +1,267 @@
+// src/components/BulkImport.js
+
+import React, { useState } from 'react';
+import { SUBMIT_MODES, parseImportFile, validateRows } from '../utils/bulkImport';
+import { downloadFile } from '../utils/download';
+import { createdShipmentIds } from '../utils/shipmentIndex';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+// Example file offered as a template; the second row leaves its ID to the contract
+const CSV_TEMPLATE = 'id,origin,destination,quantity,stations,deadline,stationDeadlines\n'
+  + '101,Factory A,Warehouse B,250,0x1111111111111111111111111111111111111111;0x2222222222222222222222222222222222222222,,\n'
+  + ',Factory A,Store C,40,0x1111111111111111111111111111111111111111,,\n';
+
+/**
+ * Component for creating many shipments at once from a CSV or JSON file.
+ * Every row is checked first (a dry run that sends nothing); the valid rows can
+ * then be submitted one transaction per row, or all in one createShipments transaction.
+ * Deadlines given in the file are set in the same transaction that creates their shipment.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function BulkImport({ contract, currentAccount }) {
+  // State variables to hold the imported rows, their results and messages
+  const [fileName, setFileName] = useState('');
+  const [parsedRows, setParsedRows] = useState([]); // Rows as read from the file
+  const [rows, setRows] = useState([]); // Rows with their dry-run errors and warnings
+  const [results, setResults] = useState({}); // Submission result per row, keyed by line
+  const [mode, setMode] = useState(SUBMIT_MODES.SEQUENTIAL);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  // Rows that passed the dry run and have not been created yet
+  const validRows = rows.filter((row) => row.errors.length === 0 && !(results[row.line] && results[row.line].ok));
+
+  /**
+   * Runs the dry run: validates rows against each other and the contract.
+   *
+   * @param {Array} parsed - The rows as read from the file.
+   */
+  const checkRows = async (parsed) => {
+    setBusy(true);
+    setResults({});
+    try {
+      const checked = await validateRows(parsed, contract, currentAccount);
+      setRows(checked);
+      const invalid = checked.filter((row) => row.errors.length > 0).length;
+      setMessage(`Dry run: ${checked.length - invalid} of ${checked.length} rows are ready to import.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error checking rows: ${err.message}`);
+    }
+    setBusy(false);
+  };
+
+  /**
+   * Reads and checks an uploaded CSV or JSON file.
+   *
+   * @param {Event} e - The file input change event.
+   */
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow loading the same file again
+    if (!file) return;
+    setFileName(file.name);
+    setRows([]);
+    try {
+      const parsed = parseImportFile(file.name, await file.text());
+      setParsedRows(parsed);
+      await checkRows(parsed);
+    } catch (err) {
+      setParsedRows([]);
+      setMessage(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  /**
+   * Records the submission result of some rows.
+   *
+   * @param {Array} submitted - The rows.
+   * @param {Object} result - { ok, error, ids }, where ids are the created shipments' IDs, in row order.
+   */
+  const recordResult = (submitted, result) => {
+    setResults((current) => {
+      const next = { ...current };
+      submitted.forEach((row, index) => {
+        const { ids, ...rest } = result;
+        next[row.line] = ids ? { ...rest, id: ids[index] } : rest;
+      });
+      return next;
+    });
+  };
+
+  /**
+   * Submits the valid rows, sequentially or as one batch.
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    recordResult(validRows, { pending: true });
+
+    if (mode === SUBMIT_MODES.BATCH) {
+      try {
+        const receipt = await send(
+          contract,
+          'createShipments',
+          [
+            validRows.map((row) => row.id || 0),
+            validRows.map((row) => row.origin),
+            validRows.map((row) => row.destination),
+            validRows.map((row) => row.quantity),
+            validRows.map((row) => row.route),
+            validRows.map((row) => row.deadlines.deliveryDeadline),
+            validRows.map((row) => row.deadlines.stationDeadlines),
+          ],
+          `Create ${validRows.length} shipments`
+        );
+        recordResult(validRows, { ok: true, ids: createdShipmentIds(contract, receipt) });
+        setMessage(`Imported ${validRows.length} shipments in one transaction.`);
+      } catch (err) {
+        console.error(err);
+        recordResult(validRows, { ok: false, error: err.message });
+        setMessage(`Error importing shipments: ${err.message}. No shipments were created.`);
+      }
+    } else {
+      // Keep going after a failed row so one bad row does not block the rest
+      let imported = 0;
+      for (const row of validRows) {
+        try {
+          const { deliveryDeadline, stationDeadlines } = row.deadlines;
+          const id = row.id || 0; // 0 lets the contract assign the ID
+          const label = row.id ? `Create shipment ${row.id}` : 'Create shipment';
+          const receipt = deliveryDeadline || stationDeadlines.length > 0
+            ? await send(
+              contract,
+              'createShipmentWithDeadlines',
+              [id, '', row.origin, row.destination, row.quantity, row.route, deliveryDeadline, stationDeadlines, []],
+              label
+            )
+            : await send(contract, 'createShipment', [id, row.origin, row.destination, row.quantity, row.route], label);
+          recordResult([row], { ok: true, ids: createdShipmentIds(contract, receipt) });
+          imported++;
+        } catch (err) {
+          console.error(err);
+          recordResult([row], { ok: false, error: err.message });
+        }
+      }
+      setMessage(`Imported ${imported} of ${validRows.length} shipments.`);
+    }
+    setBusy(false);
+  };
+
+  /**
+   * Downloads an example CSV file.
+   */
+  const handleTemplate = () => {
+    downloadFile('shipments-template.csv', CSV_TEMPLATE, 'text/csv');
+  };
+
+  /**
+   * Describes the dry-run and submission state of a row.
+   *
+   * @param {Object} row - The checked row.
+   * @returns {JSX.Element} The row's result.
+   */
+  function renderResult(row) {
+    const result = results[row.line];
+    if (row.errors.length > 0) {
+      return <ul className="text-danger mb-0">{row.errors.map((error) => <li key={error}>{error}</li>)}</ul>;
+    }
+    if (result && result.pending) return <span className="badge bg-secondary">Submitting...</span>;
+    if (result && result.ok) return <span className="badge bg-success">{result.id && !row.id ? `Created as ${result.id}` : 'Created'}</span>;
+    if (result) return <span className="text-danger">Failed: {result.error}</span>;
+    return (
+      <>
+        <span className="badge bg-info text-dark">Ready</span>
+        {row.warnings.map((warning) => <div key={warning} className="text-warning small">{warning}</div>)}
+      </>
+    );
+  }
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Bulk Import Shipments</h2>
+      {/* Display the current connected Ethereum account */}
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
+      <p style = {{fontFamily: "Creato-Light"}}>
+        Upload a CSV file with the columns id, origin, destination, quantity and stations (separated by
+        semicolons), or a JSON array of objects with the same fields. Leave the id empty to let the contract
+        assign the next free one. Optional deadline and stationDeadlines
+        columns (separated by semicolons) set deadlines as date-times such as 2025-06-01T14:00.
+      </p>
+      <label className="btn btn-secondary" style = {{fontFamily: "Creato-Light"}}>
+        Choose File
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} hidden disabled={busy} />
+      </label>{' '}
+      <button type="button" className="btn btn-outline-secondary" style = {{fontFamily: "Creato-Light"}} onClick={handleTemplate}>
+        Download CSV Template
+      </button>
+      {fileName && <span className="ms-3 text-muted">{fileName}</span>}
+
+      {/* Dry-run report */}
+      {rows.length > 0 && (
+        <>
+          <table className="table table-sm mt-3">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>ID</th>
+                <th>Origin</th>
+                <th>Destination</th>
+                <th>Quantity</th>
+                <th>Stations</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.line} className={row.errors.length > 0 ? 'table-danger' : ''}>
+                  <td>{row.line}</td>
+                  <td>{row.id || <span className="text-muted">Next free</span>}</td>
+                  <td>{row.origin}</td>
+                  <td>{row.destination}</td>
+                  <td>{row.quantity}</td>
+                  <td>{row.stations.length}</td>
+                  <td>{renderResult(row)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="form-group">
+            <label style = {{fontFamily: "Creato-Light"}}>Submit As</label>
+            <select className="form-control" value={mode} onChange={(e) => setMode(e.target.value)} disabled={busy}>
+              <option value={SUBMIT_MODES.SEQUENTIAL}>One transaction per shipment (failed rows do not stop the rest)</option>
+              <option value={SUBMIT_MODES.BATCH}>One transaction for all shipments (all or nothing)</option>
+            </select>
+          </div>
+          <button
+            type="button"
+            className="btn btn-primary mt-3"
+            style = {{fontFamily: "Creato-Light"}}
+            onClick={handleImport}
+            disabled={busy || validRows.length === 0}
+          >
+            Import {validRows.length} Valid Shipments
+          </button>{' '}
+          <button
+            type="button"
+            className="btn btn-secondary mt-3"
+            style = {{fontFamily: "Creato-Light"}}
+            onClick={() => checkRows(parsedRows)}
+            disabled={busy}
+          >
+            Check Again
+          </button>
+        </>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default BulkImport;
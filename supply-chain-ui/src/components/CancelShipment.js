@@ -0,0 +1,134 @@
+// src/components/CancelShipment.js
+
+import React, { useEffect, useState } from 'react';
+import { ShippingStatus } from '../utils/status';
+import { readShipment, sameAddress } from '../utils/shipmentIndex';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Component for cancelling a shipment, or putting it on hold and resuming it.
+ * Only the shipment's owner (its creator) or its current station can do this,
+ * and delivered or cancelled shipments can no longer change. The form is offered to every
+ * account, since ownership does not depend on the roles the account holds now, and is
+ * disabled once the entered shipment shows the account is neither.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function CancelShipment({ contract, currentAccount }) {
+  // State variables to hold form input values and messages
+  const [shipmentId, setShipmentId] = useState('');
+  const [action, setAction] = useState('cancel');
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+  const [authorized, setAuthorized] = useState(true); // Whether the account may change the entered shipment
+  const { send } = useTransactions();
+
+  // Check whether the account owns the entered shipment or is its current station
+  useEffect(() => {
+    let cancelled = false;
+    setAuthorized(true);
+    if (!shipmentId) return;
+
+    const checkAuthority = async () => {
+      try {
+        const shipment = await readShipment(contract, shipmentId);
+        if (cancelled) return;
+        // The contract lets the station at the current index act, also while the shipment is on hold
+        const station = shipment.transitStations[shipment.currentStationIndex];
+        setAuthorized(sameAddress(shipment.owner, currentAccount) || sameAddress(station, currentAccount));
+      } catch (err) {
+        // Unknown shipment ID; the contract will explain when submitting
+        console.error(err);
+      }
+    };
+    checkAuthority();
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, currentAccount, shipmentId]);
+
+  /**
+   * Handles the form submission to cancel, hold or resume the shipment.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (action === 'cancel') {
+        await send(contract, 'cancelShipment', [shipmentId, reason], `Cancel shipment ${shipmentId}`);
+        setMessage('Shipment cancelled.');
+      } else if (action === 'hold') {
+        await send(contract, 'updateStatus', [shipmentId, ShippingStatus.OnHold], `Hold shipment ${shipmentId}`);
+        setMessage('Shipment put on hold.');
+      } else {
+        // Resume as Pending if no station has been passed yet, otherwise as In Transit
+        const details = await contract.getShipmentDetails(shipmentId);
+        const resumedStatus = Number(details.currentStationIndex) === 0 ? ShippingStatus.Pending : ShippingStatus.InTransit;
+        await send(contract, 'updateStatus', [shipmentId, resumedStatus], `Resume shipment ${shipmentId}`);
+        setMessage('Shipment resumed.');
+      }
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error updating shipment: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Cancel or Hold Shipment</h2>
+      {/* Display the current connected Ethereum account */}
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
+      <form onSubmit={handleSubmit}>
+        {/* Form fields for shipment ID, action and reason */}
+        <div className="form-group">
+          <label style = {{fontFamily: "Creato-Light"}}>Shipment ID</label>
+          <input
+            type="number"
+            className="form-control"
+            value={shipmentId}
+            onChange={(e) => setShipmentId(e.target.value)}
+            required
+          /><br></br>
+        </div>
+        <div className="form-group">
+          <label style = {{fontFamily: "Creato-Light"}}>Action</label>
+          <select className="form-control" value={action} onChange={(e) => setAction(e.target.value)}>
+            <option value="cancel">Cancel shipment</option>
+            <option value="hold">Put on hold</option>
+            <option value="resume">Resume</option>
+          </select><br></br>
+        </div>
+        {action === 'cancel' && (
+          <div className="form-group">
+            <label style = {{fontFamily: "Creato-Light"}}>Cancellation Reason</label>
+            <input
+              type="text"
+              className="form-control"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+          </div>
+        )}
+        {!authorized && (
+          <div className="alert alert-warning mt-3" style = {{fontFamily: "Creato-Light"}}>
+            Only the owner of shipment {shipmentId} or its current station can cancel, hold or resume it.
+          </div>
+        )}
+        {/* Submit button */}
+        <button type="submit" className="btn btn-danger mt-3" style = {{fontFamily: "Creato-Light"}} disabled={!authorized}>
+          {action === 'cancel' ? 'Cancel Shipment' : action === 'hold' ? 'Put On Hold' : 'Resume Shipment'}
+        </button>
+      </form>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default CancelShipment;
@@ -0,0 +1,50 @@
+import { fireEvent, screen } from '@testing-library/react';
+import CancelShipment from './CancelShipment';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const STATION = '0x2222222222222222222222222222222222222222';
+const OTHER = '0x3333333333333333333333333333333333333333';
+
+function inTransit() {
+  return createMockContract({
+    shipments: {
+      7: {
+        id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, totDamagedQuantity: 0,
+        status: 1, transitStations: [OTHER, STATION], currentStationIndex: 1, owner: OWNER,
+      },
+    },
+  });
+}
+
+test('the owner can cancel a shipment without holding a role', async () => {
+  const contract = inTransit();
+  renderWithProviders(<CancelShipment contract={contract} currentAccount={OWNER} />);
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '7' } });
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Order withdrawn' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Cancel Shipment' }));
+
+  expect(await screen.findByText('Shipment cancelled.')).toBeInTheDocument();
+  expect(contract.cancelShipment).toHaveBeenCalledWith('7', 'Order withdrawn');
+});
+
+test('the current station can put a shipment on hold', async () => {
+  const contract = inTransit();
+  renderWithProviders(<CancelShipment contract={contract} currentAccount={STATION} />);
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '7' } });
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'hold' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Put On Hold' }));
+
+  expect(await screen.findByText('Shipment put on hold.')).toBeInTheDocument();
+  expect(contract.updateStatus).toHaveBeenCalledWith('7', 4);
+});
+
+test('other accounts are told they cannot change the shipment', async () => {
+  const contract = inTransit();
+  renderWithProviders(<CancelShipment contract={contract} currentAccount={OTHER} />);
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: '7' } });
+
+  expect(await screen.findByText(/Only the owner of shipment 7 or its current station/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Cancel Shipment' })).toBeDisabled();
+});
@@ -1,12 +1,27 @@
 // src/components/CreateShipment.js
 
 import React, { useState } from 'react';
-import { getAddress } from 'ethers';
+import { isRouteValid, validateRoute } from '../utils/route';
+import { Role, findMissingRole } from '../utils/roles';
+import { parseEscrow } from '../utils/escrow';
+import { createdShipmentIds } from '../utils/shipmentIndex';
+import { checkDeadlines, toUnixSeconds } from '../utils/sla';
+import { areLineItemsValid, totalQuantity, validateLineItems } from '../utils/lineItems';
+import AddressLabel from './AddressLabel';
+import LineItemEditor from './LineItemEditor';
+import RouteBuilder from './RouteBuilder';
+import { useTransactions } from './TransactionProvider';
 import '../App.css';
 
 /**
  * Component for creating a new shipment in the supply chain.
  * Allows users to input shipment details and submit them to the blockchain.
+ * Without an ID, the contract assigns the next free one, which is shown once the shipment is mined.
+ * Optional deadlines (an overall delivery deadline and/or an expected arrival time per station)
+ * are set in the same transaction that creates the shipment. The shipper can also escrow payment:
+ * a deposit covering a fee per station, released as each station checks the shipment in.
+ * Instead of a single quantity, the shipper can list line items (SKU, description, quantity and unit);
+ * the shipment's quantity is then their total.
  *
  * Props:
  * - contract: The instance of the smart contract to interact with.
@@ -14,12 +29,19 @@ import '../App.css';
  */
 function CreateShipment({ contract, currentAccount }) {
   // State variables to hold form input values
-  const [shipmentId, setShipmentId] = useState('');
+  const [shipmentId, setShipmentId] = useState(''); // Empty to let the contract assign the ID
+  const [reference, setReference] = useState(''); // Optional external reference, e.g. a PO number
   const [origin, setOrigin] = useState('');
   const [destination, setDestination] = useState('');
   const [quantity, setQuantity] = useState('');
-  const [transitStations, setTransitStations] = useState('');
+  const [lineItems, setLineItems] = useState([]); // Line items as typed, empty to enter a single quantity
+  const [transitStations, setTransitStations] = useState(['']); // Route stops as typed
+  const [deliveryDeadline, setDeliveryDeadline] = useState(''); // datetime-local value, empty for none
+  const [stationDeadlines, setStationDeadlines] = useState([]); // datetime-local value per route position
+  const [escrowDeposit, setEscrowDeposit] = useState(''); // ETH, empty for no escrow
+  const [stationFees, setStationFees] = useState([]); // ETH per route position
   const [message, setMessage] = useState(''); // For user feedback
+  const { send } = useTransactions();
 
   /**
    * Handles the form submission to create a new shipment.
@@ -30,33 +52,76 @@ function CreateShipment({ contract, currentAccount }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Split the transitStations input into an array and normalize addresses
-    let stationsArray;
-    try {
-      stationsArray = transitStations.split(',').map((s) => {
-        const trimmed = s.trim();
-        return getAddress(trimmed); // Normalize and validate Ethereum address
-      });
-    } catch (error) {
-      console.error('Invalid address in transit stations:', error);
-      alert('One or more transit station addresses are invalid.');
+    // Validate the route and normalize addresses to checksum format
+    const route = validateRoute(transitStations, currentAccount);
+    if (!isRouteValid(route)) {
+      setMessage('Please fix the highlighted transit stations before creating the shipment.');
+      return;
+    }
+    const stationsArray = route.map((stop) => stop.address);
+
+    const lineItemResults = validateLineItems(lineItems);
+    if (lineItems.length > 0 && !areLineItemsValid(lineItemResults)) {
+      setMessage('Please fix the highlighted line items before creating the shipment.');
+      return;
+    }
+
+    // Deadlines belong to route positions, so they stay in order when stops are reordered
+    const delivery = toUnixSeconds(deliveryDeadline);
+    const perStation = stationsArray.map((station, index) => toUnixSeconds(stationDeadlines[index]));
+    const hasStationDeadlines = perStation.some((deadline) => deadline !== null);
+    const deadlineError = checkDeadlines(delivery, perStation, Math.floor(Date.now() / 1000));
+    if (deadlineError) {
+      setMessage(deadlineError);
+      return;
+    }
+
+    // Fees belong to route positions too
+    const { escrow, error: escrowError } = parseEscrow(escrowDeposit, stationsArray.map((station, index) => stationFees[index] || ''));
+    if (escrowError) {
+      setMessage(escrowError);
       return;
     }
 
     try {
-      // Interact with the smart contract to create a new shipment
-      const tx = await contract.createShipment(
-        shipmentId,
-        origin,
-        destination,
-        quantity,
-        stationsArray
+      // Every transit station must be a carrier, so check before asking the wallet to sign
+      const notCarriers = await findMissingRole(contract, Role.Carrier, stationsArray);
+      if (notCarriers.length > 0) {
+        setMessage(`These transit stations are not carriers: ${notCarriers.join(', ')}. Ask an admin to grant them the Carrier role.`);
+        return;
+      }
+
+      // Interact with the smart contract to create a new shipment (ID 0 lets the contract assign one)
+      const deadlines = [delivery || 0, hasStationDeadlines ? perStation.map((deadline) => deadline || 0) : []];
+      let method;
+      let args;
+      if (lineItems.length > 0) {
+        method = 'createShipmentWithLineItems';
+        args = [
+          shipmentId || 0, reference.trim(), origin, destination, stationsArray,
+          lineItemResults.map((result) => result.lineItem), ...deadlines, escrow ? escrow.stationFees : [],
+        ];
+      } else if (delivery !== null || hasStationDeadlines) {
+        method = 'createShipmentWithDeadlines';
+        args = [shipmentId || 0, reference.trim(), origin, destination, quantity, stationsArray, ...deadlines, escrow ? escrow.stationFees : []];
+      } else {
+        method = escrow ? 'createShipmentWithEscrow' : 'createShipmentWithReference';
+        args = [shipmentId || 0, reference.trim(), origin, destination, quantity, stationsArray];
+        if (escrow) {
+          args.push(escrow.stationFees);
+        }
+      }
+      const receipt = await send(
+        contract,
+        method,
+        escrow ? [...args, { value: escrow.deposit }] : args,
+        shipmentId ? `Create shipment ${shipmentId}` : 'Create shipment'
       );
-      await tx.wait(); // Wait for the transaction to be mined
-      setMessage('Shipment created successfully!');
+      const [createdId = shipmentId] = createdShipmentIds(contract, receipt);
+      setMessage(createdId ? `Shipment created successfully! Its ID is ${createdId}.` : 'Shipment created successfully!');
     } catch (err) {
       console.error(err);
-      setMessage('Error creating shipment.');
+      setMessage(`Error creating shipment: ${err.message}`);
     }
   };
 
@@ -64,17 +129,28 @@ function CreateShipment({ contract, currentAccount }) {
     <div className="mt-5">
       <h2 style = {{fontFamily: "Creato-Bold"}}>Create Shipment</h2>
       {/* Display the current connected Ethereum account */}
-      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: {currentAccount}</p>
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
       <form onSubmit={handleSubmit}>
         {/* Form fields for shipment details */}
         <div className="form-group">
-          <label style = {{fontFamily: "Creato-Light"}}>Shipment ID</label>
+          <label style = {{fontFamily: "Creato-Light"}}>Shipment ID (optional)</label>
           <input
             type="number"
+            min="1"
             className="form-control"
+            placeholder="Leave blank to assign the next free ID"
             value={shipmentId}
             onChange={(e) => setShipmentId(e.target.value)}
-            required
+          /><br></br>
+        </div>
+        <div className="form-group">
+          <label style = {{fontFamily: "Creato-Light"}}>External Reference (optional)</label>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="e.g. PO number or bill of lading"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
           /><br></br>
         </div>
         <div className="form-group">
@@ -99,24 +175,91 @@ function CreateShipment({ contract, currentAccount }) {
         </div>
         <div className="form-group">
           <label style = {{fontFamily: "Creato-Light"}}>Quantity</label>
+          {/* With line items, the quantity is their total */}
           <input
             type="number"
             className="form-control"
-            value={quantity}
+            value={lineItems.length > 0 ? totalQuantity(lineItems).toString() : quantity}
             onChange={(e) => setQuantity(e.target.value)}
+            readOnly={lineItems.length > 0}
             required
-          /><br></br>
+          />
+          {lineItems.length > 0 && <small className="text-muted">Total of the line items.</small>}
+          <br></br>
+        </div>
+        <div className="form-group mb-3">
+          <label style = {{fontFamily: "Creato-Light"}}>Line Items (optional)</label>
+          <LineItemEditor lineItems={lineItems} onChange={setLineItems} />
         </div>
         <div className="form-group">
-          <label style = {{fontFamily: "Creato-Light"}}>Transit Stations (comma-separated addresses)</label>
+          <label style = {{fontFamily: "Creato-Light"}}>Transit Stations</label>
+          <RouteBuilder
+            stops={transitStations}
+            onChange={setTransitStations}
+            origin={origin}
+            destination={destination}
+            currentAccount={currentAccount}
+          />
+        </div>
+        {/* Optional deadlines, to flag late shipments */}
+        <div className="form-group mt-3">
+          <label htmlFor="create-delivery-deadline" style = {{fontFamily: "Creato-Light"}}>Delivery Deadline (optional)</label>
           <input
-            type="text"
+            id="create-delivery-deadline"
+            type="datetime-local"
             className="form-control"
-            value={transitStations}
-            onChange={(e) => setTransitStations(e.target.value)}
-            required
+            value={deliveryDeadline}
+            onChange={(e) => setDeliveryDeadline(e.target.value)}
           />
         </div>
+        <details className="mt-2">
+          <summary style = {{fontFamily: "Creato-Light"}}>Expected Arrival per Station (optional)</summary>
+          {transitStations.map((stop, index) => (
+            <div key={index} className="input-group mt-2">
+              <label htmlFor={`create-station-deadline-${index}`} className="input-group-text">Station {index + 1}</label>
+              <input
+                id={`create-station-deadline-${index}`}
+                type="datetime-local"
+                className="form-control"
+                value={stationDeadlines[index] || ''}
+                onChange={(e) => setStationDeadlines(transitStations.map((_, i) => (i === index ? e.target.value : stationDeadlines[i] || '')))}
+              />
+            </div>
+          ))}
+        </details>
+        {/* Optional payment, held by the contract and paid out to the stations */}
+        <details className="mt-2">
+          <summary style = {{fontFamily: "Creato-Light"}}>Escrow Payment (optional)</summary>
+          <div className="form-group mt-2">
+            <label htmlFor="create-escrow-deposit" style = {{fontFamily: "Creato-Light"}}>Deposit (ETH)</label>
+            <input
+              id="create-escrow-deposit"
+              type="text"
+              inputMode="decimal"
+              className="form-control"
+              placeholder="e.g. 0.5"
+              value={escrowDeposit}
+              onChange={(e) => setEscrowDeposit(e.target.value)}
+            />
+            <small className="text-muted">
+              Each station's fee is paid when it checks the shipment in. The rest is split between the stations on
+              delivery, less deductions for the damage each one reported, which are refunded to you.
+            </small>
+          </div>
+          {transitStations.map((stop, index) => (
+            <div key={index} className="input-group mt-2">
+              <label htmlFor={`create-station-fee-${index}`} className="input-group-text">Station {index + 1} Fee (ETH)</label>
+              <input
+                id={`create-station-fee-${index}`}
+                type="text"
+                inputMode="decimal"
+                className="form-control"
+                value={stationFees[index] || ''}
+                onChange={(e) => setStationFees(transitStations.map((_, i) => (i === index ? e.target.value : stationFees[i] || '')))}
+              />
+            </div>
+          ))}
+        </details>
         {/* Submit button */}
         <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
           Create Shipment
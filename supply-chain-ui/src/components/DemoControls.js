@@ -0,0 +1,100 @@
+// src/components/DemoControls.js
+
+import React, { useEffect, useState } from 'react';
+import { DEMO_ACCOUNTS, demoStations, getDemoChain, resetDemoChain, seedDemoShipments } from '../utils/demoChain';
+import { useStationRegistry } from './StationRegistryProvider';
+import '../App.css';
+
+/**
+ * Controls of the offline demo: switch between the demo accounts to play the shipper, a station,
+ * the auditor or the recipient; load sample shipments; start over with an empty chain; or leave the demo.
+ *
+ * Props:
+ * - demoAccount: Index of the demo account the app acts as (see DEMO_ACCOUNTS).
+ * - onSelectAccount: Callback receiving the index of the demo account to switch to.
+ * - onReset: Callback to reconnect once the demo chain was reset.
+ * - onLeave: Callback to switch back to a real network.
+ */
+function DemoControls({ demoAccount, onSelectAccount, onReset, onLeave }) {
+  // State variables to hold the demo accounts' addresses, progress and messages
+  const [accounts, setAccounts] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const { showDemoStations } = useStationRegistry();
+
+  // Load the demo accounts' addresses to show next to their names
+  useEffect(() => {
+    let cancelled = false;
+    getDemoChain().then((chain) => {
+      if (!cancelled) {
+        setAccounts(chain.accounts);
+      }
+    }).catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Forget the demo accounts' names when leaving the demo
+  useEffect(() => () => showDemoStations([]), [showDemoStations]);
+
+  /**
+   * Creates the sample shipments and names the demo accounts, for as long as the demo runs.
+   */
+  const loadSamples = async () => {
+    setBusy(true);
+    setMessage('Creating sample shipments...');
+    try {
+      const chain = await getDemoChain();
+      const ids = await seedDemoShipments(chain);
+      showDemoStations(demoStations(chain.accounts));
+      setMessage(`Created sample shipments ${ids.join(', ')}. Switch accounts to act as the stations or the recipient.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error creating sample shipments: ${err.message}`);
+    }
+    setBusy(false);
+  };
+
+  /**
+   * Throws the demo chain away and starts a new, empty one.
+   */
+  const reset = async () => {
+    setBusy(true);
+    showDemoStations([]);
+    await resetDemoChain();
+    setBusy(false);
+    onReset();
+  };
+
+  return (
+    <div className="alert alert-info" style = {{fontFamily: "Creato-Light"}}>
+      <p className="mb-2">
+        Offline demo: everything runs on a chain simulated in your browser and is lost when you reload the page.
+      </p>
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <label htmlFor="demo-account" className="mb-0">Act as</label>
+        <select
+          id="demo-account"
+          className="form-select w-auto"
+          value={demoAccount}
+          onChange={(e) => onSelectAccount(Number(e.target.value))}
+          disabled={busy}
+        >
+          {DEMO_ACCOUNTS.map((account, index) => (
+            <option key={index} value={index}>
+              {account.name} ({account.description}){accounts[index] ? ` ${accounts[index]}` : ''}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-primary btn-sm" onClick={loadSamples} disabled={busy}>Load Sample Shipments</button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={reset} disabled={busy}>Reset Demo</button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onLeave} disabled={busy}>Leave Demo</button>
+      </div>
+      {/* Display messages to the user */}
+      {message && <p className="mt-2 mb-0">{message}</p>}
+    </div>
+  );
+}
+
+export default DemoControls;
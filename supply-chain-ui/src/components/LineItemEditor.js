@@ -0,0 +1,95 @@
+// src/components/LineItemEditor.js
+
+import React from 'react';
+import { emptyLineItem, validateLineItems } from '../utils/lineItems';
+import '../App.css';
+
+/**
+ * Editor for the line items of a shipment: one row per SKU with its description,
+ * quantity and unit. Each row is validated inline.
+ *
+ * Props:
+ * - lineItems: The line items as typed: { sku, description, quantity, unit }.
+ * - onChange: Callback receiving the updated list of line items.
+ */
+function LineItemEditor({ lineItems, onChange }) {
+  const results = validateLineItems(lineItems);
+
+  /**
+   * Replaces a field of the line item at an index.
+   *
+   * @param {number} index - The index of the line item.
+   * @param {string} field - The field to replace.
+   * @param {string} value - The new value.
+   */
+  const updateLineItem = (index, field, value) => {
+    onChange(lineItems.map((lineItem, i) => (i === index ? { ...lineItem, [field]: value } : lineItem)));
+  };
+
+  /**
+   * Removes the line item at an index.
+   *
+   * @param {number} index - The index of the line item.
+   */
+  const removeLineItem = (index) => {
+    onChange(lineItems.filter((lineItem, i) => i !== index));
+  };
+
+  return (
+    <div>
+      {lineItems.map((lineItem, index) => {
+        const result = results[index];
+        return (
+          <div key={index} className="mb-2">
+            <div className="input-group">
+              <span className="input-group-text">{index + 1}</span>
+              <input
+                type="text"
+                className={`form-control ${result.error ? 'is-invalid' : ''}`}
+                placeholder="SKU"
+                value={lineItem.sku}
+                onChange={(e) => updateLineItem(index, 'sku', e.target.value)}
+                aria-label={`Line item ${index + 1} SKU`}
+              />
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Description"
+                value={lineItem.description}
+                onChange={(e) => updateLineItem(index, 'description', e.target.value)}
+                aria-label={`Line item ${index + 1} description`}
+              />
+              <input
+                type="number"
+                min="1"
+                className="form-control"
+                style={{ maxWidth: "8em" }}
+                placeholder="Quantity"
+                value={lineItem.quantity}
+                onChange={(e) => updateLineItem(index, 'quantity', e.target.value)}
+                aria-label={`Line item ${index + 1} quantity`}
+              />
+              <input
+                type="text"
+                className="form-control"
+                style={{ maxWidth: "6em" }}
+                placeholder="Unit"
+                value={lineItem.unit}
+                onChange={(e) => updateLineItem(index, 'unit', e.target.value)}
+                aria-label={`Line item ${index + 1} unit`}
+              />
+              <button type="button" className="btn btn-outline-danger" onClick={() => removeLineItem(index)} title="Remove line item">✕</button>
+            </div>
+            {/* Inline feedback for this line item */}
+            {result.error && <small className="text-danger">{result.error}</small>}
+          </div>
+        );
+      })}
+      <button type="button" className="btn btn-outline-primary btn-sm" style = {{fontFamily: "Creato-Light"}} onClick={() => onChange([...lineItems, emptyLineItem()])}>
+        + Add Line Item
+      </button>
+    </div>
+  );
+}
+
+export default LineItemEditor;
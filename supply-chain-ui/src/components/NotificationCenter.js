@@ -0,0 +1,155 @@
+// src/components/NotificationCenter.js
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchNewNotifications, loadNotifications, mergeNotifications, saveNotifications } from '../utils/notifications';
+import '../App.css';
+
+/**
+ * Notification center for the connected account.
+ * Checks the contract's events whenever one is emitted and alerts the account when its
+ * turn is next on a shipment, when damage is reported on a shipment it created, and when
+ * a shipment it takes part in is delivered or cancelled. Alerts are shown in-app and, once
+ * allowed, as browser notifications. Notifications and their read state are kept in
+ * localStorage, and events emitted while the app was closed are caught up on the next visit.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - onSelectShipment: Callback receiving the ID of a shipment picked from a notification.
+ */
+function NotificationCenter({ contract, currentAccount, onSelectShipment }) {
+  // State variables to hold the notifications, whether the list is open and the browser permission
+  const [notifications, setNotifications] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [permission, setPermission] = useState(window.Notification ? window.Notification.permission : 'unsupported');
+  const stored = useRef({ notifications: [], lastBlock: null }); // What is saved in localStorage
+
+  /**
+   * Changes the stored notifications and saves them.
+   *
+   * @param {Function} change - Receives the stored { notifications, lastBlock } and returns the fields to change.
+   */
+  const update = useCallback((change) => {
+    stored.current = { ...stored.current, ...change(stored.current) };
+    saveNotifications(contract.target, currentAccount, stored.current);
+    setNotifications(stored.current.notifications);
+  }, [contract, currentAccount]);
+
+  // Load the account's notifications, then check for new ones whenever the contract emits an event
+  useEffect(() => {
+    let cancelled = false;
+    let checking = Promise.resolve(); // Checks run one at a time, so none reads a stale lastBlock
+
+    stored.current = loadNotifications(contract.target, currentAccount);
+    setNotifications(stored.current.notifications);
+
+    const check = () => {
+      checking = checking.then(async () => {
+        const { added, lastBlock } = await fetchNewNotifications(contract, currentAccount, stored.current.lastBlock);
+        if (cancelled) return;
+        update((current) => ({ notifications: mergeNotifications(current.notifications, added), lastBlock }));
+
+        // Alert outside the app too, if the user allowed it
+        if (window.Notification && window.Notification.permission === 'granted') {
+          for (const notification of added) {
+            new window.Notification('chainmail', { body: notification.message, tag: notification.id });
+          }
+        }
+      }).catch((err) => console.error(err));
+    };
+    check();
+    contract.on("*", check);
+
+    return () => {
+      cancelled = true;
+      contract.off("*", check);
+    };
+  }, [contract, currentAccount, update]);
+
+  /**
+   * Asks the browser for permission to show notifications.
+   */
+  const enableBrowserNotifications = async () => {
+    setPermission(await window.Notification.requestPermission());
+  };
+
+  /**
+   * Marks a notification as read and shows its shipment.
+   *
+   * @param {Object} notification - The notification.
+   */
+  const openNotification = (notification) => {
+    update((current) => ({
+      notifications: current.notifications.map((n) => (n.id === notification.id ? { ...n, read: true } : n)),
+    }));
+    if (onSelectShipment) {
+      onSelectShipment(notification.shipmentId);
+    }
+  };
+
+  const unread = notifications.filter((notification) => !notification.read).length;
+
+  return (
+    <div className="notification-center mb-2">
+      <button
+        type="button"
+        className="btn btn-outline-primary btn-sm"
+        style = {{fontFamily: "Creato-Light"}}
+        onClick={() => setOpen(!open)}
+      >
+        Notifications{' '}
+        {unread > 0 && <span className="badge bg-danger" aria-label={`${unread} unread`}>{unread}</span>}
+      </button>
+      {open && (
+        <div className="card notification-list mt-2">
+          <div className="card-body">
+            {/* Notification actions */}
+            <div className="mb-2">
+              <button
+                type="button"
+                className="btn btn-link btn-sm p-0 me-3"
+                disabled={unread === 0}
+                onClick={() => update((current) => ({ notifications: current.notifications.map((n) => ({ ...n, read: true })) }))}
+              >
+                Mark all read
+              </button>
+              <button
+                type="button"
+                className="btn btn-link btn-sm p-0 me-3"
+                disabled={notifications.length === 0}
+                onClick={() => update(() => ({ notifications: [] }))}
+              >
+                Clear
+              </button>
+              {permission === 'default' && (
+                <button type="button" className="btn btn-link btn-sm p-0" onClick={enableBrowserNotifications}>
+                  Enable browser notifications
+                </button>
+              )}
+            </div>
+            {notifications.length === 0 ? (
+              <p className="mb-0" style = {{fontFamily: "Creato-Light"}}>No notifications yet.</p>
+            ) : (
+              <ul className="list-group list-group-flush">
+                {notifications.map((notification) => (
+                  <li
+                    key={notification.id}
+                    className={`list-group-item list-group-item-action ${notification.read ? '' : 'fw-bold'}`}
+                    style = {{fontFamily: "Creato-Light", cursor: "pointer"}}
+                    onClick={() => openNotification(notification)}
+                  >
+                    {notification.message}
+                    <br />
+                    <small className="text-muted">Block {notification.blockNumber}</small>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,46 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import NotificationCenter from './NotificationCenter';
+import { loadNotifications, saveNotifications } from '../utils/notifications';
+import { createMockContract } from '../testUtils/mockContract';
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+
+let contract;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  contract = createMockContract();
+});
+
+test('restores notifications with their read state and marks them read when opened', async () => {
+  saveNotifications(contract.target, ACCOUNT, {
+    lastBlock: 1,
+    notifications: [
+      { id: 'x-1', type: 'damage', shipmentId: '7', message: '2 damaged items were reported on your shipment 7: crushed', blockNumber: 1, read: false },
+      { id: 'x-0', type: 'turnNext', shipmentId: '6', message: 'Shipment 6 reached the station before yours: your turn is next.', blockNumber: 1, read: true },
+    ],
+  });
+  contract.runner.provider.getBlockNumber.mockResolvedValue(2);
+  const onSelectShipment = jest.fn();
+  render(<NotificationCenter contract={contract} currentAccount={ACCOUNT} onSelectShipment={onSelectShipment} />);
+
+  expect(await screen.findByLabelText('1 unread')).toBeInTheDocument();
+  // Let the check for events since block 1 finish before interacting
+  await waitFor(() => expect(loadNotifications(contract.target, ACCOUNT).lastBlock).toBe(2));
+  fireEvent.click(screen.getByRole('button', { name: /Notifications/ }));
+  fireEvent.click(screen.getByText(/reported on your shipment 7/));
+
+  expect(onSelectShipment).toHaveBeenCalledWith('7');
+  expect(screen.queryByLabelText('1 unread')).not.toBeInTheDocument();
+  expect(loadNotifications(contract.target, ACCOUNT).notifications.every((notification) => notification.read)).toBe(true);
+});
+
+test('starts listening from the current block on the first visit', async () => {
+  render(<NotificationCenter contract={contract} currentAccount={ACCOUNT} />);
+  fireEvent.click(screen.getByRole('button', { name: /Notifications/ }));
+
+  expect(screen.getByText('No notifications yet.')).toBeInTheDocument();
+  expect(contract.on).toHaveBeenCalledWith('*', expect.any(Function));
+  await waitFor(() => expect(loadNotifications(contract.target, ACCOUNT).lastBlock).toBe(1));
+  expect(screen.getByText('No notifications yet.')).toBeInTheDocument();
+});
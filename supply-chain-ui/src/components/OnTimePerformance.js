@@ -0,0 +1,46 @@
+// src/components/OnTimePerformance.js
+
+import React from 'react';
+import AddressLabel from './AddressLabel';
+import '../App.css';
+
+/**
+ * Table of how often each carrier station checked shipments in by their deadlines.
+ * Stations without any shipment deadlines are left out.
+ *
+ * Props:
+ * - rates: The on-time rates per station (see computeOnTimeRates()).
+ */
+function OnTimePerformance({ rates }) {
+  if (rates.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 style = {{fontFamily: "Creato-Bold"}}>On-Time Performance</h4>
+      <table className="table table-sm">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Station</th>
+            <th>On Time</th>
+            <th>Late</th>
+            <th>On-Time Rate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rates.map((rate) => (
+            <tr key={rate.station}>
+              <td><AddressLabel address={rate.station} /></td>
+              <td>{rate.onTime}</td>
+              <td>{rate.late}</td>
+              <td>{(rate.rate * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default OnTimePerformance;
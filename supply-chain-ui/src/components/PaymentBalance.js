@@ -0,0 +1,69 @@
+// src/components/PaymentBalance.js
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatEth } from '../utils/escrow';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Escrowed payments released to the connected account (station fees, settlements and refunds)
+ * that it has not withdrawn yet, with a button to withdraw them. Shows nothing while there are none.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function PaymentBalance({ contract, currentAccount }) {
+  // State variables to hold the withdrawable amount and messages
+  const [amount, setAmount] = useState(0n);
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  /**
+   * Reads the withdrawable amount again.
+   */
+  const refresh = useCallback(async () => {
+    try {
+      setAmount(await contract.payments(currentAccount));
+    } catch (err) {
+      console.error(err);
+    }
+  }, [contract, currentAccount]);
+
+  // Load the amount, then refresh whenever the contract emits an event
+  useEffect(() => {
+    refresh();
+    contract.on("*", refresh);
+    return () => {
+      contract.off("*", refresh);
+    };
+  }, [contract, refresh]);
+
+  /**
+   * Withdraws every payment released to the account.
+   */
+  const withdraw = async () => {
+    try {
+      await send(contract, 'withdrawPayments', [], `Withdraw ${formatEth(amount)}`);
+      setMessage('Payments withdrawn.');
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error withdrawing payments: ${err.message}`);
+    }
+  };
+
+  if (amount === 0n) {
+    return message ? <p style = {{fontFamily: "Creato-Light"}}>{message}</p> : null;
+  }
+
+  return (
+    <p style = {{fontFamily: "Creato-Light"}}>
+      Payments to withdraw: {formatEth(amount)}{' '}
+      <button type="button" className="btn btn-outline-primary btn-sm" onClick={withdraw}>Withdraw</button>
+      {message && <> &emsp; {message}</>}
+    </p>
+  );
+}
+
+export default PaymentBalance;
@@ -1,7 +1,9 @@
 // src/components/ProgressShipment.js
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { getAddress } from 'ethers';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
 import '../App.css';
 
 /**
@@ -11,12 +13,21 @@ import '../App.css';
  * Props:
  * - contract: The instance of the smart contract to interact with.
  * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - selectedShipmentId: Optional shipment ID picked elsewhere (e.g. by scanning its label) to fill in.
  */
-function ProgressShipment({ contract, currentAccount }) {
+function ProgressShipment({ contract, currentAccount, selectedShipmentId }) {
   // State variables to hold form input values and messages
   const [shipmentId, setShipmentId] = useState('');
   const [message, setMessage] = useState('');
   const [expectedNextStation, setExpectedNextStation] = useState('');
+  const { send } = useTransactions();
+
+  // Fill in the shipment picked elsewhere in the app
+  useEffect(() => {
+    if (selectedShipmentId) {
+      setShipmentId(selectedShipmentId);
+    }
+  }, [selectedShipmentId]);
 
   /**
    * Handles the form submission to progress the shipment.
@@ -47,20 +58,19 @@ function ProgressShipment({ contract, currentAccount }) {
       }
 
       // Interact with the smart contract to progress the shipment
-      const tx = await contract.progressToNextStation(shipmentId);
-      await tx.wait(); // Wait for the transaction to be mined
+      await send(contract, 'progressToNextStation', [shipmentId], `Progress shipment ${shipmentId}`);
       setMessage('Shipment progressed to next station.');
     } catch (err) {
       console.error(err);
-      setMessage('Error progressing shipment.');
+      setMessage(`Error progressing shipment: ${err.message}`);
     }
   };
 
   return (
-    <div className="mt-5">
+    <div className="mt-5" id="progress-shipment">
       <h2 style = {{fontFamily: "Creato-Bold"}}>Progress Shipment</h2>
       {/* Display the current connected Ethereum account */}
-      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: {currentAccount}</p>
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
       <form onSubmit={handleProgress}>
         {/* Form field for shipment ID */}
         <div className="form-group">
@@ -80,7 +90,7 @@ function ProgressShipment({ contract, currentAccount }) {
       </form>
       {/* Display the expected next station address */}
       {expectedNextStation && (
-        <p className="mt-3">Expected Next Station: {expectedNextStation}</p>
+        <p className="mt-3">Expected Next Station: <AddressLabel address={expectedNextStation} /></p>
       )}
       {/* Display messages to the user */}
       {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
@@ -0,0 +1,71 @@
+import { fireEvent, screen } from '@testing-library/react';
+import ProgressShipment from './ProgressShipment';
+import { createMockContract, revertError } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+
+let contract;
+
+beforeEach(() => {
+  contract = createMockContract({
+    shipments: {
+      7: {
+        id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100,
+        status: 1, transitStations: [STATION_A, STATION_B], currentStationIndex: 1,
+      },
+    },
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+function progress(shipmentId) {
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: shipmentId } });
+  fireEvent.click(screen.getByRole('button', { name: 'Progress Shipment' }));
+}
+
+test('the next station can progress the shipment', async () => {
+  renderWithProviders(<ProgressShipment contract={contract} currentAccount={STATION_B} />);
+  progress('7');
+
+  expect(await screen.findByText('Shipment progressed to next station.')).toBeInTheDocument();
+  expect(contract.progressToNextStation).toHaveBeenCalledWith('7');
+});
+
+test('the station check ignores address case', async () => {
+  renderWithProviders(<ProgressShipment contract={contract} currentAccount={STATION_B.toLowerCase()} />);
+  progress('7');
+
+  expect(await screen.findByText('Shipment progressed to next station.')).toBeInTheDocument();
+});
+
+test('any other account is told it is not the next station and nothing is sent', async () => {
+  renderWithProviders(<ProgressShipment contract={contract} currentAccount={STATION_A} />);
+  progress('7');
+
+  expect(await screen.findByText('Error: You are not the next station to progress the shipment.')).toBeInTheDocument();
+  expect(screen.getByText(/Expected Next Station/)).toHaveTextContent(STATION_B);
+  expect(contract.progressToNextStation).not.toHaveBeenCalled();
+  expect(contract.progressToNextStation.staticCall).not.toHaveBeenCalled();
+});
+
+test('an unknown shipment shows the error instead of crashing', async () => {
+  renderWithProviders(<ProgressShipment contract={contract} currentAccount={STATION_B} />);
+  progress('8');
+
+  expect(await screen.findByText(/Error progressing shipment: .*Shipment does not exist/)).toBeInTheDocument();
+});
+
+test('a revert caught by the pre-flight check is shown with its reason', async () => {
+  contract.progressToNextStation.staticCall.mockRejectedValue(revertError('Shipment is not in transit'));
+  renderWithProviders(<ProgressShipment contract={contract} currentAccount={STATION_B} />);
+  progress('7');
+
+  expect(await screen.findByText('Error progressing shipment: Shipment is not in transit')).toBeInTheDocument();
+  expect(contract.progressToNextStation).not.toHaveBeenCalled();
+});
@@ -0,0 +1,374 @@
+// src/components/ReceiveShipment.js
+
+import React, { useState } from 'react';
+import { toBigInt } from 'ethers';
+import { ShippingStatus, getStatus, isFinished } from '../utils/status';
+import { readShipment, sameAddress } from '../utils/shipmentIndex';
+import { fetchReceipt, reconcileReceipt } from '../utils/receipt';
+import { fetchLineItems, parseLineItemQuantities } from '../utils/lineItems';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Component for confirming receipt of a delivered shipment.
+ * The recipient (or the owner, if no recipient was named) enters how many items they
+ * accepted and rejected. The numbers are compared with the shipped and damaged quantities,
+ * and a receipt that does not match can be disputed by the recipient or the owner.
+ * Before delivery, the owner can name the recipient. For shipments with line items,
+ * the quantities are entered per line item.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function ReceiveShipment({ contract, currentAccount }) {
+  // State variables to hold form input values, the loaded shipment and messages
+  const [shipmentId, setShipmentId] = useState('');
+  const [shipment, setShipment] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [recipient, setRecipient] = useState('');
+  const [accepted, setAccepted] = useState('');
+  const [rejected, setRejected] = useState('');
+  const [lineItems, setLineItems] = useState([]); // The shipment's line items, empty if it has none
+  const [lineItemAccepted, setLineItemAccepted] = useState([]); // Accepted quantity per line item as typed
+  const [lineItemRejected, setLineItemRejected] = useState([]); // Rejected quantity per line item as typed
+  const [notes, setNotes] = useState('');
+  const [disputeReason, setDisputeReason] = useState('');
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  /**
+   * Loads the shipment and its receipt, and prefills the quantities the records expect.
+   *
+   * @param {string} id - The shipment ID.
+   */
+  const load = async (id) => {
+    const loadedShipment = await readShipment(contract, id);
+    const loadedReceipt = await fetchReceipt(contract, id);
+    const loadedLineItems = await fetchLineItems(contract, id);
+    const expected = reconcileReceipt(loadedShipment, 0n, 0n);
+    setShipment(loadedShipment);
+    setReceipt(loadedReceipt);
+    setAccepted(expected.expectedAccepted.toString());
+    setRejected(expected.expectedRejected.toString());
+    setLineItems(loadedLineItems);
+    setLineItemAccepted(loadedLineItems.map((item) => (item.quantity - item.damaged).toString()));
+    setLineItemRejected(loadedLineItems.map((item) => item.damaged.toString()));
+  };
+
+  /**
+   * Handles the form submission to look up a shipment.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    setShipment(null);
+    setReceipt(null);
+    try {
+      await load(shipmentId);
+      setMessage('');
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error loading shipment: ${err.message}`);
+    }
+  };
+
+  /**
+   * Sends a transaction for the loaded shipment, then reloads it.
+   *
+   * @param {string} method - The contract function.
+   * @param {Array} args - Its arguments after the shipment ID.
+   * @param {string} label - The label shown in the transaction history.
+   * @param {string} success - The message shown once the transaction is confirmed.
+   */
+  const submit = async (method, args, label, success) => {
+    try {
+      await send(contract, method, [shipment.id, ...args], label);
+      await load(shipment.id);
+      setMessage(success);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error updating receipt: ${err.message}`);
+    }
+  };
+
+  /**
+   * Handles the form submission to name the recipient.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleSetRecipient = (e) => {
+    e.preventDefault();
+    submit('setRecipient', [recipient.trim()], `Set recipient of shipment ${shipment.id}`, 'Recipient set.');
+  };
+
+  /**
+   * Handles the form submission to confirm receipt.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    if (lineItems.length === 0) {
+      const { quantities, error } = parseLineItemQuantities([accepted, rejected]);
+      if (error) {
+        setMessage(`Error: ${error}`);
+        return;
+      }
+      submit('confirmReceipt', [...quantities, notes], `Confirm receipt of shipment ${shipment.id}`, 'Receipt confirmed.');
+      return;
+    }
+
+    const acceptedQuantities = parseLineItemQuantities(lineItemAccepted);
+    const rejectedQuantities = parseLineItemQuantities(lineItemRejected);
+    const error = acceptedQuantities.error || rejectedQuantities.error;
+    if (error) {
+      setMessage(`Error: ${error}`);
+      return;
+    }
+    submit(
+      'confirmLineItemReceipt',
+      [acceptedQuantities.quantities, rejectedQuantities.quantities, notes],
+      `Confirm receipt of shipment ${shipment.id}`,
+      'Receipt confirmed.'
+    );
+  };
+
+  /**
+   * Handles the form submission to raise a dispute.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleDispute = (e) => {
+    e.preventDefault();
+    submit('raiseDispute', [disputeReason], `Dispute receipt of shipment ${shipment.id}`, 'Dispute raised.');
+  };
+
+  /**
+   * Parses a quantity input, treating anything that is not a whole number as 0.
+   *
+   * @param {string} value - The input value.
+   * @returns {bigint} The quantity.
+   */
+  const toQuantity = (value) => (/^\d+$/.test(value) ? toBigInt(value) : 0n);
+
+  /**
+   * Adds up the quantities entered per line item.
+   *
+   * @param {Array} values - The input values.
+   * @returns {bigint} The total quantity.
+   */
+  const sumQuantities = (values) => values.reduce((total, value) => total + toQuantity(value), 0n);
+
+  const isOwner = shipment && sameAddress(shipment.owner, currentAccount);
+  const isRecipient = receipt && sameAddress(receipt.recipient, currentAccount);
+  // While confirming, reconcile what is being entered; afterwards, what was confirmed
+  const reconciliation = shipment && receipt && (receipt.confirmed
+    ? reconcileReceipt(shipment, receipt.acceptedQuantity, receipt.rejectedQuantity)
+    : lineItems.length > 0
+      ? reconcileReceipt(shipment, sumQuantities(lineItemAccepted), sumQuantities(lineItemRejected))
+      : reconcileReceipt(shipment, toQuantity(accepted), toQuantity(rejected)));
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Receive Shipment</h2>
+      {/* Display the current connected Ethereum account */}
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
+      <form onSubmit={handleLoad}>
+        {/* Form field for shipment ID */}
+        <div className="form-group">
+          <label style = {{fontFamily: "Creato-Light"}}>Shipment ID</label>
+          <input
+            type="number"
+            className="form-control"
+            value={shipmentId}
+            onChange={(e) => setShipmentId(e.target.value)}
+            required
+          />
+        </div>
+        {/* Submit button */}
+        <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
+          Load Shipment
+        </button>
+      </form>
+      {shipment && receipt && (
+        <div className="mt-4">
+          <p style = {{fontFamily: "Creato-Light"}}>
+            <strong>Status:</strong> {getStatus(shipment.status)} &emsp;
+            <strong>Shipped:</strong> {shipment.quantity.toString()} &emsp;
+            <strong>Reported Damaged:</strong> {shipment.totDamagedQuantity.toString()} &emsp;
+            <strong>Recipient:</strong> <AddressLabel address={receipt.recipient} />
+          </p>
+
+          {/* Before delivery, the owner names who confirms receipt */}
+          {isOwner && !isFinished(shipment.status) && (
+            <form onSubmit={handleSetRecipient}>
+              <div className="form-group">
+                <label htmlFor="receive-recipient" style = {{fontFamily: "Creato-Light"}}>Recipient Address</label>
+                <input
+                  type="text"
+                  id="receive-recipient"
+                  className="form-control"
+                  placeholder="0x..."
+                  value={recipient}
+                  onChange={(e) => setRecipient(e.target.value)}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
+                Set Recipient
+              </button>
+            </form>
+          )}
+          {!isFinished(shipment.status) && (
+            <p style = {{fontFamily: "Creato-Light"}}>Receipt can be confirmed once the shipment is delivered.</p>
+          )}
+
+          {/* The recipient confirms what arrived */}
+          {shipment.status === ShippingStatus.Delivered && !receipt.confirmed && (isRecipient ? (
+            <form onSubmit={handleConfirm}>
+              {lineItems.length > 0 ? (
+                <table className="table table-sm" aria-label="Received quantity per line item">
+                  <thead>
+                    <tr style = {{fontFamily: "Creato-Light"}}>
+                      <th>SKU</th>
+                      <th>Description</th>
+                      <th>Shipped</th>
+                      <th>Damaged</th>
+                      <th>Accepted</th>
+                      <th>Rejected</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lineItems.map((item, index) => (
+                      <tr key={index}>
+                        <td>{item.sku}</td>
+                        <td>{item.description}</td>
+                        <td>{item.quantity.toString()} {item.unit}</td>
+                        <td>{item.damaged.toString()}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control form-control-sm"
+                            aria-label={`Accepted ${item.sku}`}
+                            value={lineItemAccepted[index]}
+                            onChange={(e) => setLineItemAccepted(lineItemAccepted.map((value, i) => (i === index ? e.target.value : value)))}
+                            required
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control form-control-sm"
+                            aria-label={`Rejected ${item.sku}`}
+                            value={lineItemRejected[index]}
+                            onChange={(e) => setLineItemRejected(lineItemRejected.map((value, i) => (i === index ? e.target.value : value)))}
+                            required
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="row g-2">
+                  <div className="col-md-6 form-group">
+                    <label htmlFor="receive-accepted" style = {{fontFamily: "Creato-Light"}}>Accepted Quantity</label>
+                    <input
+                      type="number"
+                      min="0"
+                      id="receive-accepted"
+                      className="form-control"
+                      value={accepted}
+                      onChange={(e) => setAccepted(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <div className="col-md-6 form-group">
+                    <label htmlFor="receive-rejected" style = {{fontFamily: "Creato-Light"}}>Rejected Quantity</label>
+                    <input
+                      type="number"
+                      min="0"
+                      id="receive-rejected"
+                      className="form-control"
+                      value={rejected}
+                      onChange={(e) => setRejected(e.target.value)}
+                      required
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="form-group mt-2">
+                <label htmlFor="receive-notes" style = {{fontFamily: "Creato-Light"}}>Notes</label>
+                <input
+                  type="text"
+                  id="receive-notes"
+                  className="form-control"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                />
+              </div>
+              <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
+                Confirm Receipt
+              </button>
+            </form>
+          ) : (
+            <p style = {{fontFamily: "Creato-Light"}}>Waiting for the recipient to confirm receipt.</p>
+          ))}
+
+          {/* What was confirmed, and any dispute about it */}
+          {receipt.confirmed && (
+            <p style = {{fontFamily: "Creato-Light"}}>
+              <strong>Accepted:</strong> {receipt.acceptedQuantity.toString()} &emsp;
+              <strong>Rejected:</strong> {receipt.rejectedQuantity.toString()} &emsp;
+              <strong>Missing:</strong> {reconciliation.missing.toString()}
+              {receipt.notes && <> &emsp; <strong>Notes:</strong> {receipt.notes}</>}
+            </p>
+          )}
+          {reconciliation.discrepancies.length > 0 ? (
+            <div className="alert alert-warning" style = {{fontFamily: "Creato-Light"}}>
+              <strong>Discrepancies:</strong>
+              <ul className="mb-0">
+                {reconciliation.discrepancies.map((discrepancy) => <li key={discrepancy}>{discrepancy}</li>)}
+              </ul>
+            </div>
+          ) : receipt.confirmed && (
+            <div className="alert alert-success" style = {{fontFamily: "Creato-Light"}}>The receipt matches the shipment records.</div>
+          )}
+          {receipt.disputed && (
+            <p style = {{fontFamily: "Creato-Light"}}>
+              <strong>Disputed By:</strong> <AddressLabel address={receipt.disputedBy} /> &emsp;
+              <strong>Reason:</strong> {receipt.disputeReason}
+            </p>
+          )}
+          {receipt.confirmed && !receipt.disputed && reconciliation.discrepancies.length > 0 && (isRecipient || isOwner) && (
+            <form onSubmit={handleDispute}>
+              <div className="form-group">
+                <label htmlFor="receive-dispute-reason" style = {{fontFamily: "Creato-Light"}}>Dispute Reason</label>
+                <input
+                  type="text"
+                  id="receive-dispute-reason"
+                  className="form-control"
+                  value={disputeReason}
+                  onChange={(e) => setDisputeReason(e.target.value)}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-danger mt-3" style = {{fontFamily: "Creato-Light"}}>
+                Raise Dispute
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default ReceiveShipment;
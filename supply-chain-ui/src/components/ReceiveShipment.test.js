@@ -0,0 +1,112 @@
+import { fireEvent, screen } from '@testing-library/react';
+import ReceiveShipment from './ReceiveShipment';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const STATION = '0x3333333333333333333333333333333333333333';
+
+function load(shipmentId) {
+  fireEvent.change(screen.getByRole('spinbutton'), { target: { value: shipmentId } });
+  fireEvent.click(screen.getByRole('button', { name: 'Load Shipment' }));
+}
+
+function delivered(fixtures = {}) {
+  return createMockContract({
+    shipments: {
+      7: {
+        id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, totDamagedQuantity: 4,
+        status: 2, transitStations: [STATION], currentStationIndex: 1, owner: OWNER,
+      },
+    },
+    ...fixtures,
+  });
+}
+
+test('the recipient confirms the quantities the records expect', async () => {
+  const contract = delivered({ receipts: { 7: { recipient: RECIPIENT } } });
+  renderWithProviders(<ReceiveShipment contract={contract} currentAccount={RECIPIENT} />);
+  load('7');
+
+  expect(await screen.findByLabelText('Accepted Quantity')).toHaveValue(96);
+  expect(screen.getByLabelText('Rejected Quantity')).toHaveValue(4);
+  fireEvent.click(screen.getByRole('button', { name: 'Confirm Receipt' }));
+
+  expect(await screen.findByText('Receipt confirmed.')).toBeInTheDocument();
+  expect(contract.confirmReceipt).toHaveBeenCalledWith('7', 96n, 4n, '');
+});
+
+test('quantities must be whole numbers', async () => {
+  const contract = delivered({ receipts: { 7: { recipient: RECIPIENT } } });
+  renderWithProviders(<ReceiveShipment contract={contract} currentAccount={RECIPIENT} />);
+  load('7');
+
+  for (const value of ['1.5', '-1']) {
+    fireEvent.change(await screen.findByLabelText('Accepted Quantity'), { target: { value } });
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm Receipt' }));
+    expect(await screen.findByText('Error: Quantities must be whole numbers.')).toBeInTheDocument();
+  }
+  expect(contract.confirmReceipt).not.toHaveBeenCalled();
+});
+
+test('the recipient confirms what arrived of each line item', async () => {
+  const contract = createMockContract({
+    shipments: {
+      8: {
+        id: 8, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, totDamagedQuantity: 4,
+        status: 2, transitStations: [STATION], currentStationIndex: 1, owner: OWNER,
+        lineItems: [
+          { sku: 'SKU-1', description: 'Mugs', quantity: 60, unit: 'pcs', damaged: 4 },
+          { sku: 'SKU-2', description: 'Coffee', quantity: 40, unit: 'kg' },
+        ],
+      },
+    },
+    receipts: { 8: { recipient: RECIPIENT } },
+  });
+  renderWithProviders(<ReceiveShipment contract={contract} currentAccount={RECIPIENT} />);
+  load('8');
+
+  expect(await screen.findByLabelText('Accepted SKU-1')).toHaveValue(56);
+  expect(screen.getByLabelText('Rejected SKU-1')).toHaveValue(4);
+  expect(screen.getByLabelText('Accepted SKU-2')).toHaveValue(40);
+  fireEvent.change(screen.getByLabelText('Accepted SKU-2'), { target: { value: '38' } });
+  expect(screen.getByText('2 of the 100 shipped items are missing.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Confirm Receipt' }));
+
+  expect(await screen.findByText('Receipt confirmed.')).toBeInTheDocument();
+  expect(contract.confirmLineItemReceipt).toHaveBeenCalledWith('8', [56n, 38n], [4n, 0n], '');
+  expect(contract.confirmReceipt).not.toHaveBeenCalled();
+});
+
+test('shows discrepancies while the recipient enters what arrived', async () => {
+  const contract = delivered({ receipts: { 7: { recipient: RECIPIENT } } });
+  renderWithProviders(<ReceiveShipment contract={contract} currentAccount={RECIPIENT} />);
+  load('7');
+
+  fireEvent.change(await screen.findByLabelText('Accepted Quantity'), { target: { value: '90' } });
+  expect(screen.getByText('6 of the 100 shipped items are missing.')).toBeInTheDocument();
+});
+
+test('other accounts wait for the recipient', async () => {
+  renderWithProviders(<ReceiveShipment contract={delivered({ receipts: { 7: { recipient: RECIPIENT } } })} currentAccount={STATION} />);
+  load('7');
+
+  expect(await screen.findByText('Waiting for the recipient to confirm receipt.')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Confirm Receipt' })).not.toBeInTheDocument();
+});
+
+test('the owner can dispute a receipt that does not match', async () => {
+  const contract = delivered({
+    receipts: { 7: { recipient: RECIPIENT, confirmed: true, acceptedQuantity: 90, rejectedQuantity: 4 } },
+  });
+  renderWithProviders(<ReceiveShipment contract={contract} currentAccount={OWNER} />);
+  load('7');
+
+  expect(await screen.findByText('6 of the 100 shipped items are missing.')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Dispute Reason'), { target: { value: 'pallet lost' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Raise Dispute' }));
+
+  expect(await screen.findByText('Dispute raised.')).toBeInTheDocument();
+  expect(contract.raiseDispute).toHaveBeenCalledWith('7', 'pallet lost');
+});
@@ -1,46 +1,235 @@
 // src/components/ReportDamage.js
 
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { toBigInt } from 'ethers';
+import { DamageCategory, fetchDamageReports, findDamageReport, getDamageCategory } from '../utils/damage';
+import { describeLineItemQuantities, fetchLineItems, parseLineItemQuantities } from '../utils/lineItems';
+import { evidenceOf, fetchDamageEvidence, hashFile } from '../utils/evidence';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
 import '../App.css';
 
 /**
  * Component for reporting damage to a shipment.
  * Only stations that the shipment has passed through can report damage.
+ * Each station has one report per shipment; a station that already reported
+ * sees its report here and can amend it. For shipments with line items, the
+ * station reports the damaged quantity of each line item instead of a single quantity.
+ * Photos or documents can be attached as evidence: each file is hashed in the browser and only
+ * its hash, with an optional download link, is recorded on chain in a second transaction.
  *
  * Props:
  * - contract: The instance of the smart contract to interact with.
  * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - selectedShipmentId: Optional shipment ID picked elsewhere (e.g. by scanning its label) to fill in.
  */
-function ReportDamage({ contract, currentAccount }) {
+function ReportDamage({ contract, currentAccount, selectedShipmentId }) {
   // State variables to hold form input values and messages
   const [shipmentId, setShipmentId] = useState('');
   const [damagedQuantity, setDamagedQuantity] = useState('');
   const [damageReason, setDamageReason] = useState('')
+  const [category, setCategory] = useState(DamageCategory.Unspecified);
+  const [existingReport, setExistingReport] = useState(null); // This station's earlier report, if any
+  const [maxQuantity, setMaxQuantity] = useState(null); // Most this station can report without exceeding the shipped quantity
+  const [lineItems, setLineItems] = useState([]); // The shipment's line items, empty if it has none
+  const [lineItemDamage, setLineItemDamage] = useState([]); // Damaged quantity per line item as typed
+  const [evidenceFiles, setEvidenceFiles] = useState([]); // Files to attach: { name, contentHash, uri }
+  const [attachedCount, setAttachedCount] = useState(0); // Files this station already attached to its report
   const [message, setMessage] = useState('');
+  const prefilled = useRef(false); // Whether the form holds this station's report on the previous shipment
+  const { send } = useTransactions();
+
+  // Fill in the shipment picked elsewhere in the app
+  useEffect(() => {
+    if (selectedShipmentId) {
+      setShipmentId(selectedShipmentId);
+    }
+  }, [selectedShipmentId]);
+
+  // Load this station's existing report whenever the shipment ID or account changes
+  useEffect(() => {
+    let cancelled = false;
+    setExistingReport(null);
+    setMaxQuantity(null);
+    setLineItems([]);
+    setAttachedCount(0);
+    if (!shipmentId) return;
+
+    const loadReport = async () => {
+      try {
+        const [details, reports, items, evidence] = await Promise.all([
+          contract.getShipmentDetails(shipmentId),
+          fetchDamageReports(contract, shipmentId),
+          fetchLineItems(contract, shipmentId),
+          fetchDamageEvidence(contract, shipmentId),
+        ]);
+        if (cancelled) return;
+
+        const report = findDamageReport(reports, currentAccount);
+        const previous = report ? report.damagedQuantity : 0n;
+        setExistingReport(report);
+        setMaxQuantity(details.quantity - details.totDamagedQuantity + previous);
+        setLineItems(items);
+        setAttachedCount(evidenceOf(evidence, currentAccount).length);
+        setLineItemDamage(items.map((item, index) => (report && report.lineItemQuantities.length > 0 ? report.lineItemQuantities[index].toString() : '')));
+        if (report) {
+          // Pre-fill the form so the station can amend its report
+          setDamagedQuantity(report.damagedQuantity.toString());
+          setDamageReason(report.explanation);
+          setCategory(report.category);
+          prefilled.current = true;
+        } else if (prefilled.current) {
+          // Do not carry the report on the previous shipment over to this one
+          setDamagedQuantity('');
+          setDamageReason('');
+          setCategory(DamageCategory.Unspecified);
+          prefilled.current = false;
+        }
+      } catch (err) {
+        // Unknown shipment ID; the contract will explain when submitting
+        console.error(err);
+      }
+    };
+    loadReport();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, currentAccount, shipmentId]);
+
+  /**
+   * Hashes the files the station picked and adds them to the files to attach.
+   *
+   * @param {Event} e - The change event of the file input.
+   */
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = ''; // Let the same file be picked again after removing it
+    try {
+      const hashed = await Promise.all(files.map(async (file) => ({ name: file.name, contentHash: await hashFile(file), uri: '' })));
+      setEvidenceFiles((current) => [...current, ...hashed]);
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error reading the file: ${err.message}`);
+    }
+  };
+
+  /**
+   * Records the hashes and links of the files to attach on the station's damage report.
+   *
+   * @returns {Promise<void>}
+   */
+  const attachEvidence = async () => {
+    await send(
+      contract,
+      'attachDamageEvidence',
+      [shipmentId, evidenceFiles.map((file) => file.contentHash), evidenceFiles.map((file) => file.uri.trim())],
+      `Attach evidence to the damage report on shipment ${shipmentId}`
+    );
+    setAttachedCount((count) => count + evidenceFiles.length);
+    setEvidenceFiles([]);
+  };
+
+  /**
+   * Attaches the files to the station's existing report without amending it.
+   */
+  const handleAttachOnly = async () => {
+    try {
+      await attachEvidence();
+      setMessage('Evidence attached successfully.');
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error attaching evidence: ${err.message}`);
+    }
+  };
 
   /**
-   * Handles the form submission to report damage.
+   * Handles the form submission to report damage or amend the station's report.
    *
    * @param {Event} e - The form submission event.
    */
   const handleReport = async (e) => {
     e.preventDefault();
+
+    // Shipments with line items take the damaged quantity of each line item, which add up to the station's quantity
+    let quantities = [];
+    let quantity;
+    if (lineItems.length > 0) {
+      const parsed = parseLineItemQuantities(lineItemDamage);
+      if (parsed.error) {
+        setMessage(`Error: ${parsed.error}`);
+        return;
+      }
+      quantities = parsed.quantities;
+      const tooMany = lineItems.findIndex((item, index) => quantities[index] > lineItemMax(index));
+      if (tooMany !== -1) {
+        setMessage(`Error: this station can report at most ${lineItemMax(tooMany).toString()} damaged ${lineItems[tooMany].sku} on this shipment.`);
+        return;
+      }
+      quantity = quantities.reduce((total, value) => total + value, 0n);
+    } else {
+      if (!/^\d+$/.test(damagedQuantity.trim())) {
+        setMessage('Error: the damaged quantity must be a whole number.');
+        return;
+      }
+      quantity = toBigInt(damagedQuantity.trim());
+    }
+
+    // Check the quantity bound before asking the wallet to sign
+    if (maxQuantity !== null && quantity > maxQuantity) {
+      setMessage(`Error: this station can report at most ${maxQuantity.toString()} damaged items on this shipment.`);
+      return;
+    }
+
     try {
       // Interact with the smart contract to report damage
-      const tx = await contract.reportDamage(shipmentId, damagedQuantity, damageReason);
-      await tx.wait(); // Wait for the transaction to be mined
-      setMessage('Damage reported successfully.');
+      await send(
+        contract,
+        lineItems.length > 0 ? 'reportLineItemDamage' : 'reportDamage',
+        [shipmentId, lineItems.length > 0 ? quantities : quantity, damageReason, category],
+        `${existingReport ? 'Amend' : 'Report'} damage on shipment ${shipmentId}`
+      );
+      setMessage(existingReport ? 'Damage report amended successfully.' : 'Damage reported successfully.');
+      setExistingReport({
+        address: currentAccount,
+        damagedQuantity: quantity,
+        explanation: damageReason,
+        category,
+        lineItemQuantities: quantities,
+      });
+
+      // Evidence can only be attached to a report that exists, so it goes in a second transaction
+      if (evidenceFiles.length > 0) {
+        try {
+          await attachEvidence();
+          setMessage(`${existingReport ? 'Damage report amended' : 'Damage reported'} successfully with its evidence.`);
+        } catch (err) {
+          console.error(err);
+          setMessage(`The damage report was saved, but its evidence could not be attached: ${err.message}`);
+        }
+      }
     } catch (err) {
       console.error(err);
-      setMessage('Error reporting damage.');
+      setMessage(`Error reporting damage: ${err.message}`);
     }
   };
 
+  /**
+   * Returns the most this station can report damaged of a line item: what no other station reported damaged.
+   *
+   * @param {number} index - The index of the line item.
+   * @returns {bigint} The largest damaged quantity.
+   */
+  function lineItemMax(index) {
+    const previous = existingReport && existingReport.lineItemQuantities.length > 0 ? existingReport.lineItemQuantities[index] : 0n;
+    return lineItems[index].quantity - lineItems[index].damaged + previous;
+  }
+
   return (
-    <div className="mt-5">
+    <div className="mt-5" id="report-damage">
       <h2 style = {{fontFamily: "Creato-Bold"}}>Report Damage</h2>
       {/* Display the current connected Ethereum account */}
-      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: {currentAccount}</p>
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
       <form onSubmit={handleReport}>
         {/* Form fields for shipment ID and damaged quantity */}
         <div className="form-group">
@@ -53,15 +242,72 @@ function ReportDamage({ contract, currentAccount }) {
             required
           /><br></br>
         </div>
+        {/* Show the station's earlier report, which submitting will replace */}
+        {existingReport && (
+          <div className="alert alert-info" style = {{fontFamily: "Creato-Light"}}>
+            You already reported {existingReport.damagedQuantity.toString()} damaged
+            {existingReport.lineItemQuantities.length > 0 && ` (${describeLineItemQuantities(lineItems, existingReport.lineItemQuantities)})`}
+            {' '}({getDamageCategory(existingReport.category)}): {existingReport.explanation}.
+            {attachedCount > 0 && ` You attached ${attachedCount} evidence ${attachedCount === 1 ? 'file' : 'files'}.`}
+            {' '}Submitting will amend this report.
+          </div>
+        )}
+        {lineItems.length > 0 ? (
+          <table className="table table-sm" aria-label="Damaged quantity per line item">
+            <thead>
+              <tr style = {{fontFamily: "Creato-Light"}}>
+                <th>SKU</th>
+                <th>Description</th>
+                <th>Shipped</th>
+                <th>Damaged Quantity</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lineItems.map((item, index) => (
+                <tr key={index}>
+                  <td>{item.sku}</td>
+                  <td>{item.description}</td>
+                  <td>{item.quantity.toString()} {item.unit}</td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-control form-control-sm"
+                      aria-label={`Damaged ${item.sku}`}
+                      min={0}
+                      max={lineItemMax(index).toString()}
+                      value={lineItemDamage[index] || ''}
+                      onChange={(e) => setLineItemDamage(lineItems.map((_, i) => (i === index ? e.target.value : lineItemDamage[i] || '')))}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="form-group">
+            <label style = {{fontFamily: "Creato-Light"}}>Damaged Quantity</label>
+            <input
+              type="number"
+              className="form-control"
+              min={existingReport ? 0 : 1}
+              max={maxQuantity !== null ? maxQuantity.toString() : undefined}
+              value={damagedQuantity}
+              onChange={(e) => setDamagedQuantity(e.target.value)}
+              required
+            />
+            {maxQuantity !== null && (
+              <small className="text-muted">At most {maxQuantity.toString()} for this shipment.</small>
+            )}
+            <br></br>
+          </div>
+        )}
         <div className="form-group">
-          <label style = {{fontFamily: "Creato-Light"}}>Damaged Quantity</label>
-          <input
-            type="number"
-            className="form-control"
-            value={damagedQuantity}
-            onChange={(e) => setDamagedQuantity(e.target.value)}
-            required
-          /><br></br>
+          <label style = {{fontFamily: "Creato-Light"}}>Damage Category</label>
+          <select className="form-control" value={category} onChange={(e) => setCategory(Number(e.target.value))}>
+            {Object.values(DamageCategory).map((value) => (
+              <option key={value} value={value}>{getDamageCategory(value)}</option>
+            ))}
+          </select><br></br>
         </div>
         <div className="form-group">
           <label style = {{fontFamily: "Creato-Light"}}>Explanation for Damages</label>
@@ -73,10 +319,38 @@ function ReportDamage({ contract, currentAccount }) {
             required
           />
         </div>
+        {/* Optional photos or documents, of which only the hashes go on chain */}
+        <div className="form-group mt-3">
+          <label htmlFor="damage-evidence" style = {{fontFamily: "Creato-Light"}}>Evidence (optional)</label>
+          <input id="damage-evidence" type="file" className="form-control" multiple onChange={handleFiles} />
+          <small className="text-muted">
+            Photos or documents backing up the report. Each file is hashed in your browser and only its hash is
+            recorded; add a download link if you keep the file on a shared store.
+          </small>
+          {evidenceFiles.map((file, index) => (
+            <div key={index} className="input-group mt-2">
+              <span className="input-group-text" title={file.contentHash}>{file.name}</span>
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Download link (optional)"
+                aria-label={`Download link of ${file.name}`}
+                value={file.uri}
+                onChange={(e) => setEvidenceFiles(evidenceFiles.map((f, i) => (i === index ? { ...f, uri: e.target.value } : f)))}
+              />
+              <button type="button" className="btn btn-outline-danger" onClick={() => setEvidenceFiles(evidenceFiles.filter((f, i) => i !== index))} title="Remove file">✕</button>
+            </div>
+          ))}
+        </div>
         {/* Submit button */}
         <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
-          Report Damage
+          {existingReport ? 'Amend Report' : 'Report Damage'}
         </button>
+        {existingReport && evidenceFiles.length > 0 && (
+          <button type="button" className="btn btn-outline-primary mt-3 ms-2" style = {{fontFamily: "Creato-Light"}} onClick={handleAttachOnly}>
+            Attach Files Only
+          </button>
+        )}
       </form>
       {/* Display messages to the user */}
       {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
@@ -0,0 +1,108 @@
+import { fireEvent, screen } from '@testing-library/react';
+import ReportDamage from './ReportDamage';
+import { DamageCategory } from '../utils/damage';
+import { hashFile } from '../utils/evidence';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+jest.mock('../utils/evidence', () => ({
+  ...jest.requireActual('../utils/evidence'),
+  hashFile: jest.fn(),
+}));
+
+const OWNER = '0x9999999999999999999999999999999999999999';
+const STATION = '0x1111111111111111111111111111111111111111';
+const PHOTO = `0x${'a1'.repeat(32)}`;
+const INVOICE = `0x${'b2'.repeat(32)}`;
+
+function openReportForm(fixtures = {}) {
+  const contract = createMockContract({
+    shipments: {
+      7: {
+        id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100,
+        status: 1, transitStations: [STATION], currentStationIndex: 1, owner: OWNER,
+      },
+    },
+    ...fixtures,
+  });
+  renderWithProviders(<ReportDamage contract={contract} currentAccount={STATION} selectedShipmentId="7" />);
+  return contract;
+}
+
+/**
+ * Picks evidence files, each hashing to the given content hash.
+ */
+async function pickFiles(hashes) {
+  hashes.forEach((hash) => hashFile.mockResolvedValueOnce(hash));
+  const files = hashes.map((hash, index) => new File([hash], `file-${index + 1}.jpg`));
+  fireEvent.change(screen.getByLabelText('Evidence (optional)'), { target: { files } });
+  await screen.findByLabelText(`Download link of file-${hashes.length}.jpg`);
+}
+
+test('reports damage, then attaches the hashes of the evidence', async () => {
+  const contract = openReportForm();
+
+  await screen.findByText(/At most 100 for this shipment/);
+  const [, quantity] = screen.getAllByRole('spinbutton');
+  fireEvent.change(quantity, { target: { value: '4' } });
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: 'crushed' } });
+  await pickFiles([PHOTO, INVOICE]);
+  fireEvent.change(screen.getByLabelText('Download link of file-1.jpg'), { target: { value: ' https://files.example.com/1.jpg ' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Report Damage' }));
+
+  expect(await screen.findByText('Damage reported successfully with its evidence.')).toBeInTheDocument();
+  expect(contract.reportDamage).toHaveBeenCalledWith('7', 4n, 'crushed', DamageCategory.Unspecified);
+  expect(contract.attachDamageEvidence).toHaveBeenCalledWith('7', [PHOTO, INVOICE], ['https://files.example.com/1.jpg', '']);
+  expect(screen.queryByLabelText('Download link of file-1.jpg')).not.toBeInTheDocument();
+});
+
+test('rejects damaged quantities that are not whole numbers', async () => {
+  const contract = openReportForm();
+
+  await screen.findByText(/At most 100 for this shipment/);
+  const [, quantity] = screen.getAllByRole('spinbutton');
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: 'crushed' } });
+  for (const value of ['1.5', '1e3']) {
+    fireEvent.change(quantity, { target: { value } });
+    fireEvent.click(screen.getByRole('button', { name: 'Report Damage' }));
+
+    expect(await screen.findByText('Error: the damaged quantity must be a whole number.')).toBeInTheDocument();
+  }
+  expect(contract.reportDamage).not.toHaveBeenCalled();
+});
+
+test('clears the report pre-filled from another shipment', async () => {
+  openReportForm({
+    shipments: {
+      7: { id: 7, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, status: 1, transitStations: [STATION], currentStationIndex: 1 },
+      8: { id: 8, origin: 'Factory A', destination: 'Warehouse C', quantity: 50, status: 1, transitStations: [STATION], currentStationIndex: 1 },
+    },
+    damageReports: { 7: [{ address: STATION, damagedQuantity: 4, explanation: 'crushed', category: DamageCategory.Accident }] },
+  });
+
+  await screen.findByText(/You already reported 4 damaged/);
+  const [shipmentId, quantity] = screen.getAllByRole('spinbutton');
+  expect(quantity).toHaveValue(4);
+  fireEvent.change(shipmentId, { target: { value: '8' } });
+
+  expect(await screen.findByText(/At most 50 for this shipment/)).toBeInTheDocument();
+  expect(quantity).toHaveValue(null);
+  expect(screen.getByRole('textbox')).toHaveValue('');
+  expect(screen.getByRole('combobox')).toHaveValue(String(DamageCategory.Unspecified));
+});
+
+test('attaches evidence to an existing report without amending it', async () => {
+  const contract = openReportForm({
+    damageReports: { 7: [{ address: STATION, damagedQuantity: 4, explanation: 'crushed', category: DamageCategory.Accident }] },
+    evidence: { 7: [{ reporter: STATION, contentHash: PHOTO }] },
+  });
+
+  expect(await screen.findByText(/You attached 1 evidence file\./)).toBeInTheDocument();
+  await pickFiles([INVOICE]);
+  fireEvent.click(screen.getByRole('button', { name: 'Attach Files Only' }));
+
+  expect(await screen.findByText('Evidence attached successfully.')).toBeInTheDocument();
+  expect(contract.attachDamageEvidence).toHaveBeenCalledWith('7', [INVOICE], ['']);
+  expect(contract.reportDamage).not.toHaveBeenCalled();
+  expect(screen.getByText(/You attached 2 evidence files\./)).toBeInTheDocument();
+});
@@ -0,0 +1,167 @@
+// src/components/RoleAdmin.js
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { isAddress } from 'ethers';
+import { Role, fetchRoleMembers, getRoleName } from '../utils/roles';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Admin page for granting and revoking roles.
+ * Shippers create shipments, carriers are transit stations that progress shipments
+ * and report damage, auditors get a read-only view, and admins manage roles.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function RoleAdmin({ contract, currentAccount }) {
+  // State variables to hold form input values, role members and messages
+  const [account, setAccount] = useState('');
+  const [role, setRole] = useState(Role.Shipper);
+  const [members, setMembers] = useState([]);
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  /**
+   * Reloads the accounts that hold roles.
+   */
+  const refresh = useCallback(async () => {
+    try {
+      setMembers(await fetchRoleMembers(contract));
+    } catch (err) {
+      console.error(err);
+      setMessage('Error loading role members.');
+    }
+  }, [contract]);
+
+  // Load the members, then refresh whenever a role is granted or revoked
+  useEffect(() => {
+    refresh();
+    contract.on('RoleGranted', refresh);
+    contract.on('RoleRevoked', refresh);
+    return () => {
+      contract.off('RoleGranted', refresh);
+      contract.off('RoleRevoked', refresh);
+    };
+  }, [contract, refresh]);
+
+  /**
+   * Grants or revokes a role.
+   *
+   * @param {string} method - 'grantRole' or 'revokeRole'.
+   * @param {number} targetRole - The role code.
+   * @param {string} target - The account.
+   */
+  const changeRole = async (method, targetRole, target) => {
+    const granting = method === 'grantRole';
+    try {
+      await send(
+        contract,
+        method,
+        [targetRole, target],
+        `${granting ? 'Grant' : 'Revoke'} ${getRoleName(targetRole)} ${granting ? 'to' : 'from'} ${target}`
+      );
+      setMessage(`${getRoleName(targetRole)} role ${granting ? 'granted' : 'revoked'}.`);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error updating role: ${err.message}`);
+    }
+  };
+
+  /**
+   * Grants or revokes the role entered in the form.
+   *
+   * @param {string} method - 'grantRole' or 'revokeRole'.
+   */
+  const handleForm = (method) => {
+    if (!isAddress(account.trim())) {
+      setMessage('Please enter a valid account address.');
+      return;
+    }
+    changeRole(method, role, account.trim());
+  };
+
+  /**
+   * Handles the form submission to grant a role.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleForm('grantRole');
+  };
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Manage Roles</h2>
+      {/* Display the current connected Ethereum account */}
+      <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
+      <table className="table">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Account</th>
+            <th>Roles</th>
+          </tr>
+        </thead>
+        <tbody>
+          {members.map((member) => (
+            <tr key={member.address}>
+              <td><AddressLabel address={member.address} /></td>
+              <td>
+                {member.roles.map((memberRole) => (
+                  <span key={memberRole} className="badge bg-secondary me-2">
+                    {getRoleName(memberRole)}{' '}
+                    <button
+                      type="button"
+                      className="btn-close btn-close-white btn-sm"
+                      style={{ fontSize: "0.5em" }}
+                      title={`Revoke ${getRoleName(memberRole)}`}
+                      aria-label={`Revoke ${getRoleName(memberRole)} from ${member.address}`}
+                      onClick={() => changeRole('revokeRole', memberRole, member.address)}
+                    />
+                  </span>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <form onSubmit={handleSubmit}>
+        {/* Form fields for the account and role */}
+        <div className="row g-2">
+          <div className="col-md-7">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Account address (0x...)"
+              value={account}
+              onChange={(e) => setAccount(e.target.value)}
+              required
+            />
+          </div>
+          <div className="col-md-3">
+            <select className="form-control" value={role} onChange={(e) => setRole(Number(e.target.value))}>
+              {Object.values(Role).map((value) => (
+                <option key={value} value={value}>{getRoleName(value)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {/* Submit buttons */}
+        <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
+          Grant Role
+        </button>{' '}
+        <button type="button" className="btn btn-danger mt-3" style = {{fontFamily: "Creato-Light"}} onClick={() => handleForm('revokeRole')}>
+          Revoke Role
+        </button>
+      </form>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default RoleAdmin;
@@ -0,0 +1,122 @@
+// src/components/RouteBuilder.js
+
+import React from 'react';
+import { moveStop, validateRoute } from '../utils/route';
+import { findStation } from '../utils/stationRegistry';
+import AddressLabel from './AddressLabel';
+import { useStationRegistry } from './StationRegistryProvider';
+import '../App.css';
+
+/**
+ * Editor for the transit stations of a shipment.
+ * Stops can be added, removed and reordered; each address is validated inline and
+ * a preview shows the resulting route. When amending a route, the stations the shipment
+ * already passed are shown locked ahead of the editable stops.
+ *
+ * Props:
+ * - stops: The station addresses as typed, in route order.
+ * - onChange: Callback receiving the updated list of stops.
+ * - origin: The origin of the shipment, shown in the preview.
+ * - destination: The destination of the shipment, shown in the preview.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - passedStations: Optional stations the shipment already passed, which cannot be edited.
+ */
+function RouteBuilder({ stops, onChange, origin, destination, currentAccount, passedStations = [] }) {
+  const { stations } = useStationRegistry(); // Named stations to pick stops from
+  const results = validateRoute(stops, currentAccount, passedStations);
+  const offset = passedStations.length; // Editable stops are numbered after the passed stations
+
+  /**
+   * Replaces the stop at an index.
+   *
+   * @param {number} index - The index of the stop.
+   * @param {string} value - The new address.
+   */
+  const updateStop = (index, value) => {
+    onChange(stops.map((stop, i) => (i === index ? value : stop)));
+  };
+
+  /**
+   * Removes the stop at an index.
+   *
+   * @param {number} index - The index of the stop.
+   */
+  const removeStop = (index) => {
+    onChange(stops.filter((stop, i) => i !== index));
+  };
+
+  return (
+    <div>
+      {passedStations.map((station, index) => (
+        <div key={station} className="input-group mb-2">
+          <span className="input-group-text">{index + 1}</span>
+          <span className="form-control bg-light">
+            <AddressLabel address={station} /> <small className="text-muted">(passed)</small>
+          </span>
+        </div>
+      ))}
+      {stops.map((stop, index) => {
+        const result = results[index];
+        return (
+          <div key={index} className="mb-2">
+            <div className="input-group">
+              <span className="input-group-text">{offset + index + 1}</span>
+              <input
+                type="text"
+                className={`form-control ${stop && (result.error ? 'is-invalid' : 'is-valid')}`}
+                placeholder="Station address (0x...)"
+                value={stop}
+                onChange={(e) => updateStop(index, e.target.value)}
+                aria-label={`Station ${offset + index + 1} address`}
+              />
+              {/* Pick the stop by name instead of pasting its address */}
+              {Object.keys(stations).length > 0 && (
+                <select className="form-select" style={{ maxWidth: "14em" }} value="" onChange={(e) => updateStop(index, e.target.value)}>
+                  <option value="">From registry...</option>
+                  {Object.values(stations).map((station) => (
+                    <option key={station.address} value={station.address}>
+                      {station.name}{station.location && ` (${station.location})`}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button type="button" className="btn btn-outline-secondary" onClick={() => onChange(moveStop(stops, index, -1))} disabled={index === 0} title="Move up">↑</button>
+              <button type="button" className="btn btn-outline-secondary" onClick={() => onChange(moveStop(stops, index, 1))} disabled={index === stops.length - 1} title="Move down">↓</button>
+              <button type="button" className="btn btn-outline-danger" onClick={() => removeStop(index)} title="Remove stop">✕</button>
+            </div>
+            {/* Inline feedback for this stop */}
+            {stop && result.error && <small className="text-danger">{result.error}</small>}
+            {stop && !result.error && (
+              <small className="text-success">
+                ✓ {findStation(stations, result.address) ? findStation(stations, result.address).name : 'Valid address'}
+                {result.note && <span className="text-muted"> &mdash; {result.note}</span>}
+              </small>
+            )}
+            {stop && result.warning && <small className="text-warning"> &mdash; {result.warning}</small>}
+          </div>
+        );
+      })}
+      <button type="button" className="btn btn-outline-primary btn-sm" style = {{fontFamily: "Creato-Light"}} onClick={() => onChange([...stops, ''])}>
+        + Add Stop
+      </button>
+      {/* Preview of the resulting route */}
+      <div className="mt-3">
+        <label style = {{fontFamily: "Creato-Light"}}>Route Preview</label>
+        <ul className="list-group">
+          <li className="list-group-item list-group-item-light">Origin: {origin || '—'}</li>
+          {passedStations.map((station) => (
+            <li key={station} className="list-group-item list-group-item-light"><AddressLabel address={station} /></li>
+          ))}
+          {results.map((result, index) => (
+            <li key={index} className={`list-group-item ${result.error ? 'list-group-item-danger' : ''}`}>
+              {result.address ? <AddressLabel address={result.address} /> : stops[index] || 'Empty stop'}
+            </li>
+          ))}
+          <li className="list-group-item list-group-item-light">Destination: {destination || '—'}</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default RouteBuilder;
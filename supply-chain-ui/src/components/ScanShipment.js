@@ -0,0 +1,190 @@
+// src/components/ScanShipment.js
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { getAddress } from 'ethers';
+import { decodeQrCode, parseLabel } from '../utils/qrLabel';
+import '../App.css';
+
+// How often a camera frame is checked for a QR code, in milliseconds
+const SCAN_INTERVAL = 300;
+
+/**
+ * Component for scanning a shipment's QR label with the device camera, or from an
+ * uploaded photo of the label. Once a label of this contract is recognized, the
+ * progress or damage report form can be opened with its shipment ID filled in.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - onScan: Callback receiving the scanned shipment ID and the form to open ('progress' or 'report').
+ */
+function ScanShipment({ contract, onScan }) {
+  // State variables to hold the scanned label, the camera state and messages
+  const [label, setLabel] = useState(null); // { shipmentId, contractAddress } of the last recognized label
+  const [scanning, setScanning] = useState(false);
+  const [message, setMessage] = useState('');
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  const hasCamera = Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+  /**
+   * Draws an image or video frame on the hidden canvas and looks for a QR code in it.
+   *
+   * @param {Object} source - An image or video element.
+   * @param {number} width - The width of the source in pixels.
+   * @param {number} height - The height of the source in pixels.
+   * @returns {string|null} The decoded text, or null if no QR code was found.
+   */
+  const decodeSource = useCallback((source, width, height) => {
+    const canvas = canvasRef.current;
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, width, height);
+    return decodeQrCode(context.getImageData(0, 0, width, height));
+  }, []);
+
+  /**
+   * Accepts decoded QR code text if it is a label of the connected contract.
+   *
+   * @param {string} text - The decoded text.
+   */
+  const handleText = useCallback((text) => {
+    try {
+      const scanned = parseLabel(text);
+      if (scanned.contractAddress !== getAddress(contract.target)) {
+        setLabel(null);
+        setMessage(`Error: this label belongs to contract ${scanned.contractAddress}, not the connected contract ${getAddress(contract.target)}.`);
+        return;
+      }
+      setLabel(scanned);
+      setMessage('');
+    } catch (err) {
+      setLabel(null);
+      setMessage(`Error: ${err.message}`);
+    }
+  }, [contract]);
+
+  // While scanning, stream the camera and check a frame every SCAN_INTERVAL until a QR code is found
+  useEffect(() => {
+    if (!scanning) return;
+
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then((result) => {
+      stream = result;
+      if (cancelled) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      const video = videoRef.current;
+      video.srcObject = stream;
+      video.play();
+      timer = setInterval(() => {
+        if (video.readyState < video.HAVE_CURRENT_DATA) return;
+        const text = decodeSource(video, video.videoWidth, video.videoHeight);
+        if (text) {
+          setScanning(false);
+          handleText(text);
+        }
+      }, SCAN_INTERVAL);
+    }).catch((err) => {
+      console.error(err);
+      setScanning(false);
+      setMessage(`Error starting the camera: ${err.message}. Upload a photo of the label instead.`);
+    });
+
+    // Stop the camera when scanning ends or the component unmounts
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (stream) {
+        stream.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, [scanning, decodeSource, handleText]);
+
+  /**
+   * Handles a photo of a label picked from the device.
+   *
+   * @param {Event} e - The file input change event.
+   */
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const text = decodeSource(image, image.naturalWidth, image.naturalHeight);
+      if (text) {
+        handleText(text);
+      } else {
+        setLabel(null);
+        setMessage('Error: no QR code was found in the image.');
+      }
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      setMessage('Error: the file could not be read as an image.');
+    };
+    image.src = url;
+  };
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Scan Shipment Label</h2>
+      <p style = {{fontFamily: "Creato-Light"}}>
+        Scan a shipment's QR label to open its progress or damage report form without typing the ID.
+      </p>
+      {/* Camera controls */}
+      <button
+        type="button"
+        className="btn btn-primary"
+        style = {{fontFamily: "Creato-Light"}}
+        disabled={!hasCamera}
+        onClick={() => setScanning(!scanning)}
+      >
+        {scanning ? 'Stop Camera' : 'Scan with Camera'}
+      </button>{' '}
+      {/* Fallback for devices without a camera, and for testing */}
+      <label className="btn btn-outline-secondary mb-0" style = {{fontFamily: "Creato-Light"}}>
+        Upload Label Photo
+        <input type="file" accept="image/*" hidden onChange={handleUpload} />
+      </label>
+      {!hasCamera && <small className="ms-2 text-muted">No camera is available; upload a photo of the label instead.</small>}
+      {scanning && <video ref={videoRef} className="d-block mt-3" style={{ maxWidth: "100%", maxHeight: "20rem" }} muted playsInline />}
+      <canvas ref={canvasRef} hidden />
+      {/* Open a form for the scanned shipment */}
+      {label && (
+        <div className="mt-3">
+          <p style = {{fontFamily: "Creato-Light"}}><strong>Scanned Shipment ID:</strong> {label.shipmentId}</p>
+          <button
+            type="button"
+            className="btn btn-primary"
+            style = {{fontFamily: "Creato-Light"}}
+            onClick={() => onScan(label.shipmentId, 'progress')}
+          >
+            Open Progress Form
+          </button>{' '}
+          <button
+            type="button"
+            className="btn btn-primary"
+            style = {{fontFamily: "Creato-Light"}}
+            onClick={() => onScan(label.shipmentId, 'report')}
+          >
+            Open Damage Report Form
+          </button>
+        </div>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default ScanShipment;
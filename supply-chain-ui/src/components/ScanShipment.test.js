@@ -0,0 +1,83 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ScanShipment from './ScanShipment';
+import { decodeQrCode, encodeLabel } from '../utils/qrLabel';
+import { createMockContract } from '../testUtils/mockContract';
+
+jest.mock('../utils/qrLabel', () => ({
+  ...jest.requireActual('../utils/qrLabel'),
+  decodeQrCode: jest.fn(),
+}));
+
+const OTHER_CONTRACT = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Stand-in for the browser's Image, which jsdom never loads: it "loads" as soon as its source is set.
+ */
+class LoadingImage {
+  naturalWidth = 100;
+  naturalHeight = 100;
+
+  set src(url) {
+    setTimeout(() => this.onload());
+  }
+}
+
+const originals = {};
+
+beforeEach(() => {
+  originals.Image = global.Image;
+  originals.getContext = HTMLCanvasElement.prototype.getContext;
+  originals.createObjectURL = URL.createObjectURL;
+  originals.revokeObjectURL = URL.revokeObjectURL;
+  global.Image = LoadingImage;
+  HTMLCanvasElement.prototype.getContext = () => ({
+    drawImage: () => {},
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height }),
+  });
+  URL.createObjectURL = () => 'blob:label';
+  URL.revokeObjectURL = () => {};
+});
+
+afterEach(() => {
+  global.Image = originals.Image;
+  HTMLCanvasElement.prototype.getContext = originals.getContext;
+  URL.createObjectURL = originals.createObjectURL;
+  URL.revokeObjectURL = originals.revokeObjectURL;
+});
+
+function upload() {
+  const file = new File(['label'], 'label.png', { type: 'image/png' });
+  fireEvent.change(screen.getByLabelText('Upload Label Photo'), { target: { files: [file] } });
+}
+
+test('a scanned label opens the chosen form for its shipment', async () => {
+  const contract = createMockContract();
+  const onScan = jest.fn();
+  decodeQrCode.mockReturnValue(encodeLabel('7', contract.target));
+  render(<ScanShipment contract={contract} onScan={onScan} />);
+  upload();
+
+  expect(await screen.findByText('Scanned Shipment ID:')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Open Damage Report Form' }));
+  expect(onScan).toHaveBeenCalledWith('7', 'report');
+});
+
+test('labels of another contract are refused', async () => {
+  decodeQrCode.mockReturnValue(encodeLabel('7', OTHER_CONTRACT));
+  render(<ScanShipment contract={createMockContract()} onScan={jest.fn()} />);
+  upload();
+
+  expect(await screen.findByText(/this label belongs to contract 0x1111/)).toBeInTheDocument();
+  expect(screen.queryByText('Scanned Shipment ID:')).not.toBeInTheDocument();
+});
+
+test('explains when the photo has no QR code or the code is not a label', async () => {
+  decodeQrCode.mockReturnValue(null);
+  render(<ScanShipment contract={createMockContract()} onScan={jest.fn()} />);
+  upload();
+  expect(await screen.findByText('Error: no QR code was found in the image.')).toBeInTheDocument();
+
+  decodeQrCode.mockReturnValue('https://example.com');
+  upload();
+  expect(await screen.findByText('Error: This QR code is not a shipment label.')).toBeInTheDocument();
+});
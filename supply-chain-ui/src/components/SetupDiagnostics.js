@@ -0,0 +1,136 @@
+// src/components/SetupDiagnostics.js
+
+import React, { useState } from 'react';
+import { getNetworks } from '../config/networks';
+import { ISSUES, switchChain } from '../utils/connection';
+import '../App.css';
+
+/**
+ * Setup screen shown while the app cannot talk to the contract.
+ * Explains each problem found while connecting and offers a fix where one exists.
+ *
+ * Props:
+ * - network: The configuration of the selected network.
+ * - issues: The issues returned by connect(); null while still connecting.
+ * - onSelectNetwork: Callback receiving the key of a network the user picks.
+ * - onRetry: Callback to run the connection checks again.
+ */
+function SetupDiagnostics({ network, issues, onSelectNetwork, onRetry }) {
+  const [message, setMessage] = useState('');
+
+  /**
+   * Asks the wallet to switch to the configured chain, then re-runs the checks.
+   */
+  const handleSwitchChain = async () => {
+    try {
+      await switchChain(network);
+      setMessage('');
+      onRetry();
+    } catch (err) {
+      console.error(err);
+      setMessage('Could not switch networks. Please switch manually in your wallet.');
+    }
+  };
+
+  /**
+   * Returns the steps that fix an issue.
+   *
+   * @param {Object} issue - The issue to explain.
+   * @returns {JSX.Element|null} The fix for the issue.
+   */
+  function renderFix(issue) {
+    switch (issue.code) {
+      case ISSUES.MISSING_ADDRESS:
+      case ISSUES.INVALID_ADDRESS:
+        return (
+          <span>
+            Deploy the contract (see the README), then set{' '}
+            <code>REACT_APP_{network.key.toUpperCase()}_CONTRACT_ADDRESS</code> in{' '}
+            <code>supply-chain-ui/.env.local</code> and restart <code>npm start</code>.
+          </span>
+        );
+      case ISSUES.WRONG_CHAIN:
+        return (
+          <button className="btn btn-primary btn-sm" style = {{fontFamily: "Creato-Light"}} onClick={handleSwitchChain}>
+            Switch to {network.name}
+          </button>
+        );
+      case ISSUES.RPC_UNREACHABLE:
+        return (
+          <span>
+            Make sure your node is running and that <code>REACT_APP_{network.key.toUpperCase()}_RPC_URL</code>{' '}
+            points at it, or install MetaMask.
+          </span>
+        );
+      case ISSUES.NO_CONTRACT_CODE:
+        return (
+          <span>
+            The address may come from an older deployment (Ganache resets its chain on restart).
+            Redeploy the contract and update the configured address.
+          </span>
+        );
+      case ISSUES.NO_WALLET:
+        return <span>Install MetaMask and reload the page.</span>;
+      default:
+        return null;
+    }
+  }
+
+  return (
+    <div className="container">
+      <h1 className="mt-4" style={{ fontFamily: "Coolvetica", fontSize: 50 }}>Setup</h1>
+      {/* Network selection */}
+      <div className="form-group">
+        <label style = {{fontFamily: "Creato-Light"}}>Network</label>
+        <select
+          className="form-control"
+          value={network.key}
+          onChange={(e) => onSelectNetwork(e.target.value)}
+        >
+          {getNetworks().map((n) => (
+            <option key={n.key} value={n.key}>{n.name} (chain {n.chainId})</option>
+          ))}
+        </select>
+      </div>
+      {network.demo ? (
+        <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>
+          The offline demo simulates a chain in your browser and deploys the contract to it, so it needs no wallet or node.
+        </p>
+      ) : (
+        <table className="table mt-3">
+          <tbody>
+            <tr><th>RPC URL</th><td>{network.rpcUrl || 'not configured'}</td></tr>
+            <tr><th>Chain ID</th><td>{network.chainId}</td></tr>
+            <tr><th>Contract Address</th><td>{network.contractAddress || 'not configured'}</td></tr>
+          </tbody>
+        </table>
+      )}
+      {/* Connection checks */}
+      {issues === null ? (
+        <p style = {{fontFamily: "Creato-Light"}}>{network.demo ? 'Starting the offline demo...' : 'Connecting...'}</p>
+      ) : (
+        <ul className="list-group">
+          {issues.map((issue) => (
+            <li key={issue.code} className="list-group-item">
+              <p className="mb-1">{issue.message}</p>
+              {renderFix(issue)}
+            </li>
+          ))}
+        </ul>
+      )}
+      <button className="btn btn-secondary mt-3" style = {{fontFamily: "Creato-Light"}} onClick={onRetry}>
+        Check Again
+      </button>
+      {/* Try the app without any setup */}
+      {!network.demo && (
+        <button className="btn btn-outline-primary mt-3 ms-2" style = {{fontFamily: "Creato-Light"}} onClick={() => onSelectNetwork('demo')}>
+          Try the Offline Demo
+        </button>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default SetupDiagnostics;
@@ -0,0 +1,182 @@
+// src/components/ShipmentAnalytics.js
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { computeAnalytics, fetchAnalyticsData } from '../utils/analytics';
+import { findStation } from '../utils/stationRegistry';
+import { toUnixSeconds } from '../utils/sla';
+import { formatDuration } from '../utils/timeline';
+import { useStationRegistry } from './StationRegistryProvider';
+import AddressLabel from './AddressLabel';
+import BarChart from './BarChart';
+import '../App.css';
+
+/**
+ * Reporting page aggregating every shipment from the contract's events: the quantity shipped
+ * per lane, the damage rate and average dwell time of each station, and the number of shipments
+ * in each status, as charts and a station table. A date range limits it to the shipments created
+ * in that period.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ */
+function ShipmentAnalytics({ contract }) {
+  const { stations } = useStationRegistry();
+  // State variables to hold the fetched data, the date range and messages
+  const [data, setData] = useState(null);
+  const [from, setFrom] = useState(''); // yyyy-mm-dd, empty for no limit
+  const [to, setTo] = useState('');
+  const [message, setMessage] = useState('');
+  const fetched = useRef(null); // The last fetchAnalyticsData() result, updated incrementally
+  const pending = useRef(Promise.resolve()); // The reload in progress, so that reloads do not overlap
+
+  /**
+   * Brings the shipments, events and damage reports up to date with the contract's events.
+   */
+  const reload = useCallback(async () => {
+    try {
+      fetched.current = await fetchAnalyticsData(contract, fetched.current);
+      setData(fetched.current);
+      setMessage('');
+    } catch (err) {
+      console.error(err);
+      setMessage('Error loading analytics.');
+    }
+  }, [contract]);
+
+  /**
+   * Queues a reload after the one in progress.
+   */
+  const refresh = useCallback(() => {
+    pending.current = pending.current.then(reload);
+  }, [reload]);
+
+  // Load the data, then refresh whenever the contract emits an event
+  useEffect(() => {
+    fetched.current = null;
+    refresh();
+    contract.on("*", refresh);
+    return () => {
+      contract.off("*", refresh);
+    };
+  }, [contract, refresh]);
+
+  /**
+   * Names a station by its registry entry, or its address.
+   *
+   * @param {string} address - The station address.
+   * @returns {string} The label.
+   */
+  const stationLabel = (address) => {
+    const station = findStation(stations, address);
+    return station ? station.name : address;
+  };
+
+  // The range covers whole days in the browser's time zone
+  const analytics = data && computeAnalytics(data, {
+    from: toUnixSeconds(from && `${from}T00:00:00`),
+    to: toUnixSeconds(to && `${to}T23:59:59`),
+  });
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Analytics</h2>
+      {/* Date range of the shipments to include */}
+      <div className="row g-2 align-items-end">
+        <div className="col-md-3">
+          <label htmlFor="analytics-from" style = {{fontFamily: "Creato-Light"}}>Created From</label>
+          <input id="analytics-from" type="date" className="form-control" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div className="col-md-3">
+          <label htmlFor="analytics-to" style = {{fontFamily: "Creato-Light"}}>Created To</label>
+          <input id="analytics-to" type="date" className="form-control" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+      {!analytics ? (
+        !message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>Loading analytics...</p>
+      ) : (
+        <>
+          <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>
+            {analytics.shipmentCount} {analytics.shipmentCount === 1 ? 'shipment was' : 'shipments were'} created in this period.
+          </p>
+          <div className="row">
+            <div className="col-md-6">
+              <BarChart
+                title="Shipments by Status"
+                bars={analytics.statusCounts.map(({ status, label, count }) => ({ key: status, label, value: count, text: count }))}
+              />
+            </div>
+            <div className="col-md-6">
+              <BarChart
+                title="Quantity Shipped per Lane"
+                bars={analytics.lanes.map((lane) => ({
+                  key: `${lane.origin}\n${lane.destination}`,
+                  label: `${lane.origin} → ${lane.destination}`,
+                  value: Number(lane.quantity),
+                  text: `${lane.quantity.toString()} (${lane.shipments} ${lane.shipments === 1 ? 'shipment' : 'shipments'})`,
+                }))}
+              />
+            </div>
+            <div className="col-md-6">
+              <BarChart
+                title="Damage Rate per Station"
+                bars={analytics.stations.map((station) => ({
+                  key: station.station,
+                  label: stationLabel(station.station),
+                  value: station.damageRate,
+                  text: `${(station.damageRate * 100).toFixed(1)}%`,
+                }))}
+              />
+            </div>
+            <div className="col-md-6">
+              <BarChart
+                title="Average Dwell Time per Station"
+                bars={analytics.stations
+                  .filter((station) => station.averageDwellSeconds !== null)
+                  .map((station) => ({
+                    key: station.station,
+                    label: stationLabel(station.station),
+                    value: station.averageDwellSeconds,
+                    text: formatDuration(station.averageDwellSeconds),
+                  }))}
+              />
+            </div>
+          </div>
+          {/* Every station's figures, worst damage rate first */}
+          <table className="table table-sm mt-3">
+            <thead>
+              <tr style = {{fontFamily: "Creato-Light"}}>
+                <th>Station</th>
+                <th>Shipments</th>
+                <th>Quantity Handled</th>
+                <th>Damaged</th>
+                <th>Damage Rate</th>
+                <th>Damage Reports</th>
+                <th>Average Dwell Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.stations.map((station) => (
+                <tr key={station.station}>
+                  <td><AddressLabel address={station.station} /></td>
+                  <td>{station.shipments}</td>
+                  <td>{station.quantity.toString()}</td>
+                  <td>{station.damaged.toString()}</td>
+                  <td>{(station.damageRate * 100).toFixed(1)}%</td>
+                  <td>{station.reports}</td>
+                  <td>{station.averageDwellSeconds === null ? '—' : formatDuration(station.averageDwellSeconds)}</td>
+                </tr>
+              ))}
+              {analytics.stations.length === 0 && (
+                <tr><td colSpan={7}>No station handled a shipment in this period.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ShipmentAnalytics;
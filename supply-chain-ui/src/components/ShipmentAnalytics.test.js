@@ -0,0 +1,87 @@
+import { act, fireEvent, screen, waitFor, within } from '@testing-library/react';
+import ShipmentAnalytics from './ShipmentAnalytics';
+import { ShippingStatus } from '../utils/status';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Builds a log like the ones queryFilter returns; the mock provider dates block N at 1700000000 + N * 60.
+ */
+function log(eventName, blockNumber, args) {
+  return { eventName, blockNumber, index: 0, transactionHash: `0x${blockNumber}`, args };
+}
+
+let contract;
+let shipments;
+let logs;
+
+beforeEach(() => {
+  shipments = {
+    1: { id: 1, origin: 'Factory', destination: 'Store', quantity: 40, totDamagedQuantity: 4, status: ShippingStatus.InTransit, transitStations: [STATION_A], currentStationIndex: 1 },
+  };
+  contract = createMockContract({
+    shipments,
+    damageReports: { 1: [{ address: STATION_A, damagedQuantity: 4, explanation: 'wet' }] },
+  });
+  logs = [
+    log('ShipmentCreated', 1, { shipmentId: 1n }),
+    log('StationUpdated', 2, { shipmentId: 1n, station: STATION_A }),
+    log('DamageReported', 3, { shipmentId: 1n, reporter: STATION_A }),
+  ];
+  contract.runner.provider.getBlockNumber.mockResolvedValue(3);
+  contract.queryFilter.mockImplementation(async (name, fromBlock, toBlock) => logs.filter((entry) => (
+    entry.eventName === name && entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock
+  )));
+});
+
+test('charts lanes, station damage rates and statuses', async () => {
+  renderWithProviders(<ShipmentAnalytics contract={contract} />);
+
+  expect(await screen.findByText('1 shipment was created in this period.')).toBeInTheDocument();
+  const lanes = screen.getByRole('figure', { name: 'Quantity Shipped per Lane' });
+  expect(within(lanes).getByText('Factory → Store')).toBeInTheDocument();
+  expect(within(lanes).getByText('40 (1 shipment)')).toBeInTheDocument();
+  expect(within(screen.getByRole('figure', { name: 'Damage Rate per Station' })).getByText('10.0%')).toBeInTheDocument();
+
+  const [, row] = within(screen.getByRole('table')).getAllByRole('row');
+  expect(within(row).getAllByRole('cell').map((cell) => cell.textContent)).toEqual([
+    STATION_A, '1', '40', '4', '10.0%', '1', '—',
+  ]);
+});
+
+test('filters shipments by creation date', async () => {
+  renderWithProviders(<ShipmentAnalytics contract={contract} />);
+  await screen.findByText('1 shipment was created in this period.');
+
+  fireEvent.change(screen.getByLabelText('Created From'), { target: { value: '2030-01-01' } });
+
+  expect(screen.getByText('0 shipments were created in this period.')).toBeInTheDocument();
+  expect(screen.getByText('No station handled a shipment in this period.')).toBeInTheDocument();
+});
+
+test('only fetches what changed when the contract emits an event', async () => {
+  renderWithProviders(<ShipmentAnalytics contract={contract} />);
+  await screen.findByText('1 shipment was created in this period.');
+  const [[, onEvent]] = contract.on.mock.calls;
+
+  shipments[2] = { id: 2, origin: 'Port', destination: 'Shop', quantity: 5, status: ShippingStatus.Pending, transitStations: [STATION_A] };
+  logs.push(log('ShipmentCreated', 4, { shipmentId: 2n }));
+  contract.runner.provider.getBlockNumber.mockResolvedValue(4);
+  contract.runner.provider.getBlock.mockClear();
+  contract.getDamageReports.mockClear();
+  contract.queryFilter.mockClear();
+  act(() => onEvent());
+
+  expect(await screen.findByText('2 shipments were created in this period.')).toBeInTheDocument();
+  expect(contract.queryFilter).toHaveBeenCalledWith('ShipmentCreated', 4, 4);
+  expect(contract.runner.provider.getBlock.mock.calls.map(([block]) => block)).toEqual([4]);
+  expect(contract.getDamageReports.mock.calls.map(([id]) => id)).toEqual(['2']);
+
+  // Nothing to fetch when no block was mined since
+  contract.getDamageReports.mockClear();
+  act(() => onEvent());
+  await waitFor(() => expect(contract.runner.provider.getBlockNumber).toHaveBeenCalledTimes(3));
+  expect(contract.getDamageReports).not.toHaveBeenCalled();
+});
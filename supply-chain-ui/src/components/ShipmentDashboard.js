@@ -0,0 +1,275 @@
+// src/components/ShipmentDashboard.js
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchIndexedShipments } from '../utils/indexerApi';
+import { filterShipments, sortShipments, updateShipmentIndex } from '../utils/shipmentIndex';
+import { ShippingStatus, getStatus } from '../utils/status';
+import { assessLegs, computeOnTimeRates, fetchArrivalTimes, isOverdue } from '../utils/sla';
+import AddressLabel from './AddressLabel';
+import ShipmentExport from './ShipmentExport';
+import OnTimePerformance from './OnTimePerformance';
+import '../App.css';
+
+// Columns of the shipment table: [property, heading]
+const COLUMNS = [
+  ['id', 'ID'],
+  ['reference', 'Reference'],
+  ['status', 'Status'],
+  ['origin', 'Origin'],
+  ['destination', 'Destination'],
+  ['damageRatio', 'Damage'],
+  ['currentStation', 'Current Station'],
+  ['deliveryDeadline', 'Deadline'],
+];
+
+// Milliseconds between reloads from the indexer, which may not have synced yet when the contract emits an event.
+// The indexer is only polled while it answers; otherwise the list is updated when the contract emits an event.
+const INDEXER_REFRESH_INTERVAL = 5000;
+
+/**
+ * Dashboard listing every shipment known to the contract.
+ * Shipments are discovered from the contract's events and shown in a sortable,
+ * filterable table; when the contract emits an event, only the shipments with new events are re-read. Shipments that missed a deadline are flagged as overdue, and the
+ * on-time rate of each station is computed from its check-in times.
+ * With an indexer configured, the list is loaded from its REST API instead and reloaded regularly, falling
+ * back to the chain's events while the indexer is unavailable.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - onSelectShipment: Optional callback receiving the ID of a clicked shipment.
+ * - indexerUrl: Optional URL of the indexer's REST API (see indexer/server.js) to load the list from.
+ */
+function ShipmentDashboard({ contract, currentAccount, onSelectShipment, indexerUrl }) {
+  // State variables to hold the indexed shipments, table settings and messages
+  const [shipments, setShipments] = useState([]);
+  const [arrivals, setArrivals] = useState(new Map()); // shipment ID => station check-in times
+  const [loading, setLoading] = useState(true);
+  const [indexedBlock, setIndexedBlock] = useState(null); // Last block the indexer had seen, null if read from the chain
+  const [sort, setSort] = useState({ key: 'id', direction: 'desc' });
+  const [filters, setFilters] = useState({ status: '', search: '', onlyMyStations: false, onlyAwaitingMe: false, onlyOverdue: false });
+  const [message, setMessage] = useState('');
+  const chainIndex = useRef(null); // { index, arrivals } last read from the chain, updated incrementally
+  const pending = useRef(Promise.resolve()); // The reload in progress, so that reloads do not overlap
+  const indexerUp = useRef(false); // Whether the indexer answered the last reload
+
+  /**
+   * Brings the shipment list read from the chain up to date with the contract's events.
+   *
+   * @returns {Promise<Object>} { shipments, arrivals }, see fetchArrivalTimes() for arrivals.
+   */
+  const loadFromChain = useCallback(async () => {
+    const previous = chainIndex.current;
+    const index = await updateShipmentIndex(contract, previous && previous.index);
+    // Keep the check-in times of earlier events, unless the list was rebuilt
+    const known = previous && index.events.length > index.newEvents.length ? previous.arrivals : new Map();
+    const arrivals = await fetchArrivalTimes(contract, index.newEvents, known);
+    chainIndex.current = { index, arrivals };
+    return { shipments: index.shipments, arrivals };
+  }, [contract]);
+
+  /**
+   * Reloads the shipment list from the indexer, or updates it from the contract's events.
+   */
+  const reload = useCallback(async () => {
+    try {
+      let index = null;
+      let notice = '';
+      if (indexerUrl) {
+        try {
+          index = await fetchIndexedShipments(indexerUrl, await contract.getAddress());
+          indexerUp.current = true;
+        } catch (err) {
+          indexerUp.current = false;
+          console.error(err);
+          notice = 'The indexer is unavailable, so shipments were loaded from the chain.';
+        }
+      }
+      if (index) {
+        setArrivals(await fetchArrivalTimes(contract, index.events));
+        setShipments(index.shipments);
+        setIndexedBlock(index.lastBlock);
+      } else {
+        const loaded = await loadFromChain();
+        setArrivals(loaded.arrivals);
+        setShipments(loaded.shipments);
+        setIndexedBlock(null);
+      }
+      setMessage(notice);
+    } catch (err) {
+      console.error(err);
+      setMessage('Error loading shipments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, indexerUrl, loadFromChain]);
+
+  /**
+   * Queues a reload after the one in progress.
+   */
+  const refresh = useCallback(() => {
+    pending.current = pending.current.then(reload);
+  }, [reload]);
+
+  // Load the shipments, then refresh whenever the contract emits an event, and regularly while the indexer answers
+  useEffect(() => {
+    if (!contract) return;
+    chainIndex.current = null;
+    indexerUp.current = false;
+    refresh();
+    contract.on("*", refresh);
+    const timer = indexerUrl ? setInterval(() => indexerUp.current && refresh(), INDEXER_REFRESH_INTERVAL) : null;
+    return () => {
+      contract.off("*", refresh);
+      clearInterval(timer);
+    };
+  }, [contract, indexerUrl, refresh]);
+
+  /**
+   * Sorts by a column, toggling the direction when it is already the sort column.
+   *
+   * @param {string} key - The property to sort by.
+   */
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  /**
+   * Updates a single filter.
+   *
+   * @param {string} name - The filter name.
+   * @param {*} value - The new filter value.
+   */
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }));
+  };
+
+  // Assess each shipment against its deadlines as of now
+  const now = Math.floor(Date.now() / 1000);
+  const assessed = shipments.map((shipment) => {
+    const legs = assessLegs(shipment, arrivals.get(shipment.id), now);
+    return { ...shipment, legs, overdue: isOverdue(legs) };
+  });
+  const visible = sortShipments(filterShipments(assessed, filters, currentAccount), sort.key, sort.direction);
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Shipments</h2>
+      {/* Filters */}
+      <div className="row g-2 align-items-center">
+        <div className="col-md-4">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Search ID, origin, destination or reference"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+          />
+        </div>
+        <div className="col-md-3">
+          <select
+            className="form-control"
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+          >
+            <option value="">All statuses</option>
+            {Object.values(ShippingStatus).map((status) => (
+              <option key={status} value={status}>{getStatus(status)}</option>
+            ))}
+          </select>
+        </div>
+        {currentAccount && (
+          <div className="col-md-5" style = {{fontFamily: "Creato-Light"}}>
+            <label className="me-3">
+              <input
+                type="checkbox"
+                className="form-check-input me-1"
+                checked={filters.onlyMyStations}
+                onChange={(e) => updateFilter('onlyMyStations', e.target.checked)}
+              />
+              I am a transit station
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                className="form-check-input me-1"
+                checked={filters.onlyAwaitingMe}
+                onChange={(e) => updateFilter('onlyAwaitingMe', e.target.checked)}
+              />
+              Awaiting my action
+            </label>
+          </div>
+        )}
+        <div className="col-md-12" style = {{fontFamily: "Creato-Light"}}>
+          <label>
+            <input
+              type="checkbox"
+              className="form-check-input me-1"
+              checked={filters.onlyOverdue}
+              onChange={(e) => updateFilter('onlyOverdue', e.target.checked)}
+            />
+            Overdue only
+          </label>
+        </div>
+      </div>
+      {/* Export the shipments that match the filters */}
+      <ShipmentExport contract={contract} shipmentIds={visible.map((shipment) => shipment.id)} fileName="shipments" />
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+      {indexedBlock !== null && (
+        <p className="mt-3 small text-muted" style = {{fontFamily: "Creato-Light"}}>Listed by the indexer as of block {indexedBlock}.</p>
+      )}
+      {loading ? (
+        <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>Loading shipments...</p>
+      ) : (
+        <table className="table table-hover mt-3">
+          <thead>
+            <tr>
+              {COLUMNS.map(([key, heading]) => (
+                <th key={key} role="button" onClick={() => handleSort(key)} style = {{fontFamily: "Creato-Light"}}>
+                  {heading}{sort.key === key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((shipment) => (
+              <tr
+                key={shipment.id}
+                role={onSelectShipment ? 'button' : undefined}
+                onClick={() => onSelectShipment && onSelectShipment(shipment.id)}
+              >
+                <td>{shipment.id}</td>
+                <td>{shipment.reference}</td>
+                <td>
+                  {getStatus(shipment.status)}{' '}
+                  {shipment.overdue && <span className="badge bg-danger">Overdue</span>}
+                </td>
+                <td>{shipment.origin}</td>
+                <td>{shipment.destination}</td>
+                <td>
+                  {(shipment.damageRatio * 100).toFixed(1)}%{' '}
+                  <small className="text-muted">
+                    ({shipment.totDamagedQuantity.toString()}/{shipment.quantity.toString()})
+                  </small>
+                </td>
+                <td>{shipment.currentStation ? <AddressLabel address={shipment.currentStation} /> : 'Not yet departed'}</td>
+                <td>{shipment.deliveryDeadline ? new Date(shipment.deliveryDeadline * 1000).toLocaleString() : ''}</td>
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr><td colSpan={COLUMNS.length}>No shipments match the filters.</td></tr>
+            )}
+          </tbody>
+        </table>
+      )}
+      {/* How reliably each station meets its deadlines, across all shipments */}
+      {!loading && <OnTimePerformance rates={computeOnTimeRates(assessed.map((shipment) => shipment.legs))} />}
+    </div>
+  );
+}
+
+export default ShipmentDashboard;
@@ -0,0 +1,149 @@
+import { act, screen, waitFor, within } from '@testing-library/react';
+import ShipmentDashboard from './ShipmentDashboard';
+import { ShippingStatus } from '../utils/status';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const INDEXER_URL = 'http://localhost:4000';
+
+/**
+ * Builds a log like the ones queryFilter returns.
+ */
+function log(eventName, blockNumber, args) {
+  return { eventName, blockNumber, index: 0, transactionHash: `0x${blockNumber}`, args };
+}
+
+let contract;
+let shipments;
+let logs;
+
+beforeEach(() => {
+  shipments = {
+    1: { id: 1, origin: 'Factory', destination: 'Chain Store', quantity: 10, status: ShippingStatus.Pending, transitStations: [] },
+  };
+  logs = [log('ShipmentCreated', 1, { shipmentId: 1n })];
+  contract = createMockContract({ shipments });
+  contract.queryFilter.mockImplementation(async (name, fromBlock, toBlock) => logs.filter((entry) => (
+    entry.eventName === name && entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock
+  )));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+/**
+ * Returns the origins listed in the shipment table.
+ */
+function listedOrigins() {
+  const [, ...rows] = within(screen.getByRole('table')).getAllByRole('row');
+  return rows.map((row) => within(row).getAllByRole('cell')[3].textContent);
+}
+
+test('lists shipments from the chain without an indexer', async () => {
+  renderWithProviders(<ShipmentDashboard contract={contract} />);
+
+  expect(await screen.findByText('Chain Store')).toBeInTheDocument();
+  expect(listedOrigins()).toEqual(['Factory']);
+  expect(screen.queryByText(/Listed by the indexer/)).not.toBeInTheDocument();
+});
+
+test('only re-reads the shipments with new events when the contract emits one', async () => {
+  renderWithProviders(<ShipmentDashboard contract={contract} />);
+  await screen.findByText('Chain Store');
+  const [[, onEvent]] = contract.on.mock.calls;
+
+  shipments[2] = { id: 2, origin: 'Port', destination: 'Corner Shop', quantity: 5, status: ShippingStatus.Pending, transitStations: [] };
+  logs.push(log('ShipmentCreated', 2, { shipmentId: 2n }));
+  contract.runner.provider.getBlockNumber.mockResolvedValue(2);
+  contract.getShipmentDetails.mockClear();
+  contract.queryFilter.mockClear();
+  act(() => onEvent());
+
+  expect(await screen.findByText('Corner Shop')).toBeInTheDocument();
+  expect(listedOrigins()).toEqual(['Port', 'Factory']);
+  expect(contract.getShipmentDetails.mock.calls.map(([id]) => id)).toEqual(['2']);
+  expect(contract.queryFilter).toHaveBeenCalledWith('ShipmentCreated', 2, 2);
+
+  // Nothing to re-read when no block was mined since
+  contract.getShipmentDetails.mockClear();
+  act(() => onEvent());
+  await waitFor(() => expect(contract.runner.provider.getBlockNumber).toHaveBeenCalledTimes(3));
+  expect(contract.getShipmentDetails).not.toHaveBeenCalled();
+});
+
+test('lists shipments from the indexer when one is configured', async () => {
+  const responses = {
+    '/status': { contractAddress: contract.target, lastBlock: 42 },
+    '/shipments': [{
+      id: '5', origin: 'Indexed Factory', destination: 'Indexed Store', reference: 'PO-5', quantity: '20', totDamagedQuantity: '0',
+      damageRatio: 0, status: ShippingStatus.Pending, transitStations: [], currentStationIndex: 0, currentStation: null,
+      nextStation: null, deliveryDeadline: null, stationDeadlines: [], lastActivityBlock: 40,
+    }],
+    '/events?name=StationUpdated': [],
+  };
+  global.fetch = jest.fn(async (url) => ({ ok: true, status: 200, json: async () => responses[url.replace(INDEXER_URL, '')] }));
+
+  renderWithProviders(<ShipmentDashboard contract={contract} indexerUrl={INDEXER_URL} />);
+
+  expect(await screen.findByText('Indexed Store')).toBeInTheDocument();
+  expect(listedOrigins()).toEqual(['Indexed Factory']);
+  expect(screen.getByText('Listed by the indexer as of block 42.')).toBeInTheDocument();
+  expect(contract.queryFilter).not.toHaveBeenCalled();
+});
+
+test('polls the indexer only while it answers', async () => {
+  jest.useFakeTimers();
+  let indexerUp = true;
+  global.fetch = jest.fn(async (url) => {
+    if (!indexerUp) {
+      throw new TypeError('Failed to fetch');
+    }
+    const path = url.replace(INDEXER_URL, '');
+    return { ok: true, status: 200, json: async () => (path === '/status' ? { contractAddress: contract.target, lastBlock: 42 } : []) };
+  });
+
+  try {
+    renderWithProviders(<ShipmentDashboard contract={contract} indexerUrl={INDEXER_URL} />);
+    expect(await screen.findByText('Listed by the indexer as of block 42.')).toBeInTheDocument();
+
+    global.fetch.mockClear();
+    act(() => jest.advanceTimersByTime(5000));
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+    // The next reload falls back to the chain once, and the timer stops reloading from then on
+    indexerUp = false;
+    act(() => jest.advanceTimersByTime(5000));
+    expect(await screen.findByText('Chain Store')).toBeInTheDocument();
+    global.fetch.mockClear();
+    contract.queryFilter.mockClear();
+    await act(async () => {
+      jest.advanceTimersByTime(20000);
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(contract.queryFilter).not.toHaveBeenCalled();
+
+    // Contract events still update the list, and resume polling once the indexer answers again
+    indexerUp = true;
+    const [[, onEvent]] = contract.on.mock.calls;
+    act(() => onEvent());
+    expect(await screen.findByText('Listed by the indexer as of block 42.')).toBeInTheDocument();
+    global.fetch.mockClear();
+    act(() => jest.advanceTimersByTime(5000));
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('falls back to the chain while the indexer is unavailable', async () => {
+  global.fetch = jest.fn(async () => {
+    throw new TypeError('Failed to fetch');
+  });
+
+  renderWithProviders(<ShipmentDashboard contract={contract} indexerUrl={INDEXER_URL} />);
+
+  expect(await screen.findByText('Chain Store')).toBeInTheDocument();
+  expect(screen.getByText('The indexer is unavailable, so shipments were loaded from the chain.')).toBeInTheDocument();
+});
@@ -2,22 +2,47 @@
 
 import { useEffect } from "react";
 import React, { useState } from 'react';
+import { ShippingStatus, getStatus } from '../utils/status';
+import { fetchDamageReports, getDamageCategory } from '../utils/damage';
+import { fetchReceipt, reconcileReceipt } from '../utils/receipt';
+import { fetchDeadlines } from '../utils/sla';
+import { describeLineItemQuantities, fetchLineItems } from '../utils/lineItems';
+import ShipmentTimeline from './ShipmentTimeline';
+import ShipmentRoute from './ShipmentRoute';
+import ShipmentEscrow from './ShipmentEscrow';
+import ShipmentEvidence from './ShipmentEvidence';
+import ShipmentLineItems from './ShipmentLineItems';
+import ShipmentExport from './ShipmentExport';
+import AddressLabel from './AddressLabel';
 import '../App.css';
 
 /**
  * Component for viewing the details of a shipment.
- * Allows users to input a shipment ID and retrieve its details from the blockchain.
+ * Allows users to input a shipment ID, or search by external reference, and retrieve its details from the blockchain.
  *
  * Props:
  * - contract: The instance of the smart contract to interact with.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ * - selectedShipmentId: Optional shipment ID picked elsewhere (e.g. on the dashboard) to display.
  */
-function ShipmentDetails({ contract, currentAccount }) {
+function ShipmentDetails({ contract, currentAccount, selectedShipmentId }) {
   // State variables to hold form input values, shipment details, and messages
   const [shipmentId, setShipmentId] = useState('');
   const [shipmentDetails, setShipmentDetails] = useState(null);
   const [damageReporters, setDamageReporters] = useState([]);
+  const [receipt, setReceipt] = useState(null);
+  const [lineItems, setLineItems] = useState([]); // Empty for shipments created with a single quantity
+  const [reference, setReference] = useState(''); // External reference to search for
+  const [referenceMatches, setReferenceMatches] = useState([]); // IDs found by the last reference search
   const [message, setMessage] = useState('');
 
+  // Show the shipment picked elsewhere in the app
+  useEffect(() => {
+    if (selectedShipmentId) {
+      setShipmentId(selectedShipmentId);
+    }
+  }, [selectedShipmentId]);
+
  // Fetch shipment details when shipmentId changes
   const fetchShipmentDetails = async () => {
     if (!shipmentId) return;
@@ -37,6 +62,11 @@ function ShipmentDetails({ contract, currentAccount }) {
         callerDamageReason
       ] = details;
 
+      // Fetch who owns the shipment and, if cancelled, who cancelled it and why
+      const [owner, cancelledBy, cancellationReason] = await contract.getShipmentOwnership(shipmentId);
+      const externalReference = await contract.shipmentReferences(shipmentId);
+      const { deliveryDeadline, stationDeadlines } = await fetchDeadlines(contract, shipmentId);
+
       setShipmentDetails({
         id,
         origin,
@@ -47,18 +77,22 @@ function ShipmentDetails({ contract, currentAccount }) {
         transitStations,
         currentStationIndex,
         callerDamagedQuantity,
-        callerDamageReason
+        callerDamageReason,
+        owner,
+        cancelledBy,
+        cancellationReason,
+        externalReference,
+        deliveryDeadline,
+        stationDeadlines
       });
       setMessage("");
 
       //fetch and update the damage reporters and quantities list
-      const [reporters, quantities, explanations] = await contract.getDamageReports(shipmentId);
-      const reporterList = reporters.map((address, index) => ({
-        address, 
-        damagedQuantity: quantities[index], 
-        explanation: explanations[index]
-      }));
-      setDamageReporters(reporterList);
+      setDamageReporters(await fetchDamageReports(contract, shipmentId));
+      setLineItems(await fetchLineItems(contract, shipmentId));
+
+      // Fetch the recipient's receipt confirmation, if any
+      setReceipt(await fetchReceipt(contract, shipmentId));
       
     } catch (err) {
       console.error(err);
@@ -68,6 +102,30 @@ function ShipmentDetails({ contract, currentAccount }) {
 
 useEffect(() => { fetchShipmentDetails(); }, [shipmentId]);
 
+  /**
+   * Handles the form submission to find shipments by external reference.
+   * A single match is shown right away; several matches are listed to pick from.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleReferenceSearch = async (e) => {
+    e.preventDefault();
+    try {
+      const ids = (await contract.getShipmentIdsByReference(reference.trim())).map((id) => id.toString());
+      setReferenceMatches(ids);
+      if (ids.length === 0) {
+        setMessage(`No shipment has the reference "${reference.trim()}".`);
+      } else if (ids.length === 1) {
+        setShipmentId(ids[0]);
+      } else {
+        setMessage('');
+      }
+    } catch (err) {
+      console.error(err);
+      setMessage("Error searching by reference.");
+    }
+  };
+
 /**
    * Listen for any smart contract events to trigger a refresh.
    */
@@ -87,33 +145,12 @@ useEffect(() => {
   };
 }, [contract, shipmentId]);
 
-  /**
-   * Converts the shipment status code to a human-readable string.
-   *
-   * @param {number} status - The status code of the shipment.
-   * @returns {string} The status as a string.
-   */
-  function getStatus(status) {
-    switch (status) {
-      case 0:
-        return "Pending";
-      case 1:
-        return "In Transit";
-      case 2:
-        return "Delivered";
-      case 3:
-        return "Cancelled";
-      default:
-        return "Unknown";
-    }
-  }
-
   return (
     <>
       <div className="mt-5">
         <h2 style = {{fontFamily: "Creato-Bold"}}>View Shipment Details</h2>
         {/* Display the current connected Ethereum account */}
-        <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: {currentAccount}</p>
+        <p style = {{color: "#0D6EFD", fontFamily: "Creato-Light"}}>Current Account: <AddressLabel address={currentAccount} /></p>
         {/* Form field for shipment ID */}
         <div className="form-group">
           <label style = {{fontFamily: "Creato-Light"}}>Shipment ID</label>
@@ -125,14 +162,50 @@ useEffect(() => {
             required
           />
         </div>
+        {/* Form field for searching by external reference */}
+        <form className="mt-2" onSubmit={handleReferenceSearch}>
+          <label style = {{fontFamily: "Creato-Light"}}>Or Search by External Reference</label>
+          <div className="input-group">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="e.g. PO number or bill of lading"
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              required
+            />
+            <button type="submit" className="btn btn-outline-primary" style = {{fontFamily: "Creato-Light"}}>Search</button>
+          </div>
+        </form>
+        {referenceMatches.length > 1 && (
+          <p className="mt-2" style = {{fontFamily: "Creato-Light"}}>
+            {referenceMatches.length} shipments have this reference:{" "}
+            {referenceMatches.map((id) => (
+              <button key={id} type="button" className="btn btn-link btn-sm p-0 me-2" onClick={() => setShipmentId(id)}>
+                Shipment {id}
+              </button>
+            ))}
+          </p>
+        )}
         {/* Display messages to the user */}
         {message && <p className="mt-3">{message}</p>}
         {/* Display shipment details if available */}
         {shipmentDetails && (
           <div className="mt-4">
+            {/* Export this shipment's report or print its manifest */}
+            <ShipmentExport
+              contract={contract}
+              shipmentIds={[shipmentDetails.id.toString()]}
+              fileName={`shipment-${shipmentDetails.id.toString()}`}
+            />
             <p>
               <strong style = {{fontFamily: "Creato-Light"}}>ID:</strong> {shipmentDetails.id.toString()}
             </p>
+            {shipmentDetails.externalReference && (
+              <p>
+                <strong style = {{fontFamily: "Creato-Light"}}>External Reference:</strong> {shipmentDetails.externalReference}
+              </p>
+            )}
             <p>
               <strong style = {{fontFamily: "Creato-Light"}}>Origin:</strong> {shipmentDetails.origin}
             </p>
@@ -151,7 +224,7 @@ useEffect(() => {
               {damageReporters.length > 0 ? (
                 damageReporters.map((report, index) => (
                     <li key={index} style = {{textIndent: "1.2vw"}}>
-                      <strong style = {{fontFamily: "Creato-Light"}}>Address:</strong> {report.address} &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Damaged Quantity:</strong> {" "}{report.damagedQuantity.toString()} &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Explanation:</strong> {report.explanation}
+                      <strong style = {{fontFamily: "Creato-Light"}}>Address:</strong> <AddressLabel address={report.address} /> &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Damaged Quantity:</strong> {" "}{report.damagedQuantity.toString()}{report.lineItemQuantities.length > 0 && ` (${describeLineItemQuantities(lineItems, report.lineItemQuantities)})`} &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Category:</strong> {getDamageCategory(report.category)} &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Explanation:</strong> {report.explanation}
                     </li>
                 ))
               ) : (<inline>N/A</inline>)
@@ -161,16 +234,56 @@ useEffect(() => {
               <strong style = {{fontFamily: "Creato-Light"}}>Status:</strong>{" "}
               {getStatus(Number(shipmentDetails.status))}
             </p>
+            {shipmentDetails.deliveryDeadline && (
+              <p>
+                <strong style = {{fontFamily: "Creato-Light"}}>Delivery Deadline:</strong>{" "}
+                {new Date(shipmentDetails.deliveryDeadline * 1000).toLocaleString()}
+              </p>
+            )}
+            {Number(shipmentDetails.status) === ShippingStatus.Cancelled && (
+              <p>
+                <strong style = {{fontFamily: "Creato-Light"}}>Cancelled By:</strong>{" "}
+                <AddressLabel address={shipmentDetails.cancelledBy} /> &emsp;
+                <strong style = {{fontFamily: "Creato-Light"}}>Reason:</strong> {shipmentDetails.cancellationReason}
+              </p>
+            )}
+            {receipt && receipt.confirmed && (
+              <p>
+                <strong style = {{fontFamily: "Creato-Light"}}>Receipt:</strong>{" "}
+                {receipt.acceptedQuantity.toString()} accepted, {receipt.rejectedQuantity.toString()} rejected,{" "}
+                {reconcileReceipt(shipmentDetails, receipt.acceptedQuantity, receipt.rejectedQuantity).missing.toString()} missing
+                {receipt.notes && <> &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Notes:</strong> {receipt.notes}</>}
+                {receipt.disputed && (
+                  <> &emsp; <strong style = {{fontFamily: "Creato-Light"}}>Disputed:</strong> {receipt.disputeReason}</>
+                )}
+              </p>
+            )}
             <p>
-              <strong style = {{fontFamily: "Creato-Light"}}>Current Station Index:</strong>{" "}
-              {shipmentDetails.currentStationIndex.toString()}
+              <strong style = {{fontFamily: "Creato-Light"}}>Owner:</strong>{" "}
+              <AddressLabel address={shipmentDetails.owner} />
             </p>
-            <p>
-              <strong style = {{fontFamily: "Creato-Light"}}>Transit Stations:</strong>
-              {shipmentDetails.transitStations.map((station, index) => (
-                <li key={index} style = {{textIndent: "1.2vw"}}> <strong style = {{fontFamily: "Creato-Light"}}>Address:</strong> {station}</li>
-              ))}
+            {/* Shipped, damaged and received quantities per SKU */}
+            <ShipmentLineItems lineItems={lineItems} />
+            {/* Files attached to the damage reports, which viewers can check against their hashes */}
+            <ShipmentEvidence contract={contract} shipment={shipmentDetails} />
+            <p className="mb-2">
+              <strong style = {{fontFamily: "Creato-Light"}}>Route:</strong>
             </p>
+            {/* Where the shipment is on its route, and where damage was reported */}
+            <ShipmentRoute contract={contract} shipment={shipmentDetails} damageReports={damageReporters} />
+            {/* Escrowed payment, payouts and settlement, if the owner escrowed payment */}
+            <ShipmentEscrow
+              contract={contract}
+              shipment={shipmentDetails}
+              recipient={receipt ? receipt.recipient : null}
+              currentAccount={currentAccount}
+            />
+            {/* History of the shipment reconstructed from contract events */}
+            <ShipmentTimeline
+              contract={contract}
+              shipmentId={shipmentDetails.id.toString()}
+              status={Number(shipmentDetails.status)}
+            />
           </div>
         )}
       </div>
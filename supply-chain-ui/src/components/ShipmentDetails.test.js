@@ -0,0 +1,265 @@
+import { fireEvent, screen, within } from '@testing-library/react';
+import ShipmentDetails from './ShipmentDetails';
+import { DamageCategory } from '../utils/damage';
+import { ShippingStatus } from '../utils/status';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+import { hashFile } from '../utils/evidence';
+
+jest.mock('../utils/evidence', () => ({
+  ...jest.requireActual('../utils/evidence'),
+  hashFile: jest.fn(),
+}));
+
+const OWNER = '0x9999999999999999999999999999999999999999';
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+
+function renderDetails(shipment, damageReports = [], evidence = []) {
+  const contract = createMockContract({
+    shipments: { [shipment.id]: shipment },
+    damageReports: { [shipment.id]: damageReports },
+    evidence: { [shipment.id]: evidence },
+  });
+  renderWithProviders(
+    <ShipmentDetails contract={contract} currentAccount={OWNER} selectedShipmentId={shipment.id.toString()} />
+  );
+  return contract;
+}
+
+/**
+ * Returns the text of the paragraph introduced by a field label, e.g. "Quantity:".
+ */
+function field(label) {
+  return screen.getByText(label).closest('p').textContent;
+}
+
+test('shows every field returned by the contract', async () => {
+  renderDetails({
+    id: 3, origin: 'Factory A', destination: 'Warehouse B', quantity: 120, totDamagedQuantity: 15,
+    status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1, owner: OWNER,
+  }, [
+    { address: STATION_A, damagedQuantity: 15, explanation: 'wet boxes', category: DamageCategory.Packing },
+  ]);
+
+  expect(await screen.findByText('ID:')).toBeInTheDocument();
+  expect(field('ID:')).toContain('3');
+  expect(field('Origin:')).toContain('Factory A');
+  expect(field('Destination:')).toContain('Warehouse B');
+  expect(field('Quantity:')).toContain('120');
+  expect(field('Total Damaged Quantity:')).toContain('15');
+  expect(field('Status:')).toContain('In Transit');
+  expect(field('Owner:')).toContain(OWNER);
+
+  const steps = within(screen.getByRole('list', { name: 'Route' })).getAllByRole('listitem');
+  expect(steps.map((step) => step.textContent)).toEqual([
+    expect.stringContaining('Factory A'),
+    expect.stringContaining(STATION_A),
+    expect.stringContaining(STATION_B),
+    expect.stringContaining('Warehouse B'),
+  ]);
+  expect(await within(steps[1]).findByText('Current')).toBeInTheDocument();
+  expect(within(steps[1]).getByText('15 damaged')).toBeInTheDocument();
+  expect(within(steps[2]).getByText('Pending · Next')).toBeInTheDocument();
+  expect(screen.queryByRole('img', { name: 'Route map' })).not.toBeInTheDocument();
+
+  const reports = field('Damage Reporters & Quantity:');
+  expect(reports).toContain(STATION_A);
+  expect(reports).toContain('Packing');
+  expect(reports).toContain('wet boxes');
+  expect(screen.queryByText('Cancelled By:')).not.toBeInTheDocument();
+});
+
+test('draws the stations with coordinates on a route map', async () => {
+  window.localStorage.setItem('chainmail.stations', JSON.stringify({
+    [STATION_A]: { address: STATION_A, name: 'Rotterdam Port', latitude: 51.95, longitude: 4.14 },
+  }));
+  renderDetails({
+    id: 9, origin: 'Factory A', destination: 'Warehouse B', quantity: 10,
+    status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1, owner: OWNER,
+  });
+
+  const map = await screen.findByRole('img', { name: 'Route map' });
+  expect(within(map).getByText('Rotterdam Port')).toBeInTheDocument();
+  expect(screen.getByText(/1 station has no coordinates/)).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('shows deadlines and flags the legs that missed them', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  renderDetails({
+    id: 10, origin: 'Factory A', destination: 'Warehouse B', quantity: 10,
+    status: ShippingStatus.Pending, transitStations: [STATION_A, STATION_B], owner: OWNER,
+    deliveryDeadline: now + 86400, stationDeadlines: [now - 3600, 0],
+  });
+
+  expect(await screen.findByText('Delivery Deadline:')).toBeInTheDocument();
+  const steps = within(screen.getByRole('list', { name: 'Route' })).getAllByRole('listitem');
+  expect(within(steps[1]).getByText('Overdue')).toBeInTheDocument();
+  expect(within(steps[2]).queryByText('Overdue')).not.toBeInTheDocument();
+  expect(within(steps[2]).getByText(/^Due /)).toBeInTheDocument();
+});
+
+test('lists the changes made to the route', async () => {
+  const contract = createMockContract({
+    shipments: {
+      11: {
+        id: 11, origin: 'Factory A', destination: 'Warehouse B', quantity: 10,
+        status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1, owner: OWNER,
+      },
+    },
+  });
+  const change = {
+    eventName: 'RouteChanged', blockNumber: 5, index: 0, transactionHash: '0x05',
+    args: { shipmentId: 11n, fromIndex: 1n, previousStations: [STATION_A], newStations: [STATION_B], reason: 'Warehouse closed' },
+  };
+  contract.queryFilter.mockImplementation(async (name) => (name === 'RouteChanged' ? [change] : []));
+  renderWithProviders(<ShipmentDetails contract={contract} currentAccount={OWNER} selectedShipmentId="11" />);
+
+  const changes = await screen.findByRole('list', { name: 'Route changes' });
+  expect(within(changes).getByText('Warehouse closed')).toBeInTheDocument();
+  expect(within(changes).getByText(/from station 2/)).toBeInTheDocument();
+});
+
+test('shows the escrow and how it was settled', async () => {
+  const contract = createMockContract({
+    shipments: {
+      12: {
+        id: 12, origin: 'Factory A', destination: 'Warehouse B', quantity: 100,
+        status: ShippingStatus.Delivered, transitStations: [STATION_A, STATION_B], currentStationIndex: 2, owner: OWNER,
+      },
+    },
+    escrows: { 12: { deposit: 10n ** 18n, balance: 0n, stationFees: [10n ** 17n, 0n], settled: true } },
+  });
+  const log = (eventName, index, args) => ({ eventName, blockNumber: 5, index, transactionHash: '0x05', args: { shipmentId: 12n, ...args } });
+  const logs = [
+    log('PaymentReleased', 0, { payee: STATION_A, kind: 0n, amount: 10n ** 17n }),
+    log('PaymentReleased', 1, { payee: STATION_A, kind: 1n, amount: 45n * 10n ** 16n }),
+    log('PaymentReleased', 2, { payee: OWNER, kind: 2n, amount: 45n * 10n ** 16n }),
+    log('EscrowSettled', 3, { balance: 9n * 10n ** 17n, share: 45n * 10n ** 16n, refund: 45n * 10n ** 16n }),
+  ];
+  contract.queryFilter.mockImplementation(async (name) => logs.filter((entry) => entry.eventName === name));
+  renderWithProviders(<ShipmentDetails contract={contract} currentAccount={OWNER} selectedShipmentId="12" />);
+
+  const breakdown = await screen.findByRole('table', { name: 'Settlement breakdown' });
+  const [, rowA, rowB, refund] = within(breakdown).getAllByRole('row');
+  expect(within(rowA).getAllByRole('cell').map((cell) => cell.textContent).slice(1)).toEqual([
+    '0.1 ETH (paid)', '0.45 ETH', '0.0 ETH', '0.45 ETH',
+  ]);
+  // Station B reported all its share's worth of damage
+  expect(within(rowB).getAllByRole('cell').map((cell) => cell.textContent).slice(1)).toEqual([
+    '0.0 ETH', '0.45 ETH', '0.45 ETH', '0.0 ETH',
+  ]);
+  expect(refund).toHaveTextContent('0.45 ETH');
+  expect(within(screen.getByRole('table', { name: 'Payouts' })).getAllByRole('row')).toHaveLength(4);
+  expect(screen.queryByRole('button', { name: 'Settle Escrow' })).not.toBeInTheDocument();
+});
+
+test('shows shipped, damaged and received totals per SKU', async () => {
+  renderDetails({
+    id: 6, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, totDamagedQuantity: 5,
+    status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1, owner: OWNER,
+    lineItems: [
+      { sku: 'SKU-1', description: 'Mugs', quantity: 40, unit: 'pcs', damaged: 3 },
+      { sku: 'SKU-2', description: 'Coffee', quantity: 50, unit: 'kg', damaged: 2 },
+      { sku: 'SKU-1', description: 'Mugs', quantity: 10, unit: 'pcs' },
+    ],
+  }, [
+    { address: STATION_A, damagedQuantity: 5, explanation: 'dropped', category: DamageCategory.Accident, lineItemQuantities: [3, 2, 0] },
+  ]);
+
+  const table = await screen.findByRole('table', { name: 'Line items per SKU' });
+  expect(within(table).getAllByRole('row').slice(1).map((row) => within(row).getAllByRole('cell').map((cell) => cell.textContent))).toEqual([
+    ['SKU-1', 'Mugs', 'pcs', '50', '3', '—', '—'],
+    ['SKU-2', 'Coffee', 'kg', '50', '2', '—', '—'],
+  ]);
+  expect(field('Damage Reporters & Quantity:')).toContain('5 (3 pcs of SKU-1, 2 kg of SKU-2)');
+});
+
+test('lists the damage evidence and verifies downloaded files against it', async () => {
+  const PHOTO = `0x${'a1'.repeat(32)}`;
+  renderDetails({
+    id: 10, origin: 'Factory A', destination: 'Warehouse B', quantity: 100, totDamagedQuantity: 4,
+    status: ShippingStatus.InTransit, transitStations: [STATION_A, STATION_B], currentStationIndex: 1, owner: OWNER,
+  }, [
+    { address: STATION_A, damagedQuantity: 4, explanation: 'crushed', category: DamageCategory.Accident },
+  ], [
+    { reporter: STATION_A, contentHash: PHOTO, uri: 'https://files.example.com/crushed.jpg' },
+    { reporter: STATION_A, contentHash: `0x${'b2'.repeat(32)}`, uri: '' },
+  ]);
+
+  const table = await screen.findByRole('table', { name: 'Damage evidence' });
+  expect(within(table).getByRole('link', { name: 'Download' })).toHaveAttribute('href', 'https://files.example.com/crushed.jpg');
+  expect(within(table).getByText('Not published')).toBeInTheDocument();
+
+  const input = screen.getByLabelText('Verify a Downloaded File');
+  hashFile.mockResolvedValue(PHOTO);
+  fireEvent.change(input, { target: { files: [new File(['photo'], 'crushed.jpg')] } });
+  expect(await screen.findByText(/crushed.jpg matches the evidence attached by/)).toBeInTheDocument();
+
+  hashFile.mockResolvedValue(`0x${'c3'.repeat(32)}`);
+  fireEvent.change(input, { target: { files: [new File(['edited'], 'edited.jpg')] } });
+  expect(await screen.findByText(/edited.jpg does not match any evidence/)).toBeInTheDocument();
+});
+
+test('shows N/A when nobody reported damage', async () => {
+  renderDetails({
+    id: 4, origin: 'Factory A', destination: 'Warehouse B', quantity: 10,
+    status: ShippingStatus.Pending, transitStations: [STATION_A], owner: OWNER,
+  });
+
+  expect(await screen.findByText('Status:')).toBeInTheDocument();
+  expect(field('Status:')).toContain('Pending');
+  expect(field('Damage Reporters & Quantity:')).toContain('N/A');
+  expect(screen.queryByRole('table', { name: 'Line items per SKU' })).not.toBeInTheDocument();
+  expect(screen.queryByRole('table', { name: 'Damage evidence' })).not.toBeInTheDocument();
+});
+
+test('shows who cancelled a cancelled shipment and why', async () => {
+  renderDetails({
+    id: 5, origin: 'Factory A', destination: 'Warehouse B', quantity: 10,
+    status: ShippingStatus.Cancelled, transitStations: [STATION_A], owner: OWNER,
+    cancelledBy: OWNER, cancellationReason: 'Order withdrawn',
+  });
+
+  expect(await screen.findByText('Cancelled By:')).toBeInTheDocument();
+  expect(field('Cancelled By:')).toContain(OWNER);
+  expect(field('Cancelled By:')).toContain('Order withdrawn');
+});
+
+test('finds shipments by external reference', async () => {
+  const shipment = { origin: 'Factory A', destination: 'Warehouse B', quantity: 10, transitStations: [STATION_A], owner: OWNER };
+  const contract = createMockContract({
+    shipments: {
+      6: { ...shipment, id: 6, reference: 'PO-77' },
+      7: { ...shipment, id: 7, reference: 'BL-12' },
+      8: { ...shipment, id: 8, reference: 'BL-12' },
+    },
+  });
+  renderWithProviders(<ShipmentDetails contract={contract} currentAccount={OWNER} />);
+  const search = (reference) => {
+    fireEvent.change(screen.getByPlaceholderText('e.g. PO number or bill of lading'), { target: { value: reference } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+  };
+
+  search('PO-77');
+  expect(await screen.findByText('External Reference:')).toBeInTheDocument();
+  expect(field('ID:')).toContain('6');
+
+  search('BL-12');
+  fireEvent.click(await screen.findByRole('button', { name: 'Shipment 8' }));
+  expect(await screen.findByText('BL-12', { exact: false, selector: 'p' })).toBeInTheDocument();
+  expect(field('ID:')).toContain('8');
+
+  search('nothing');
+  expect(await screen.findByText('No shipment has the reference "nothing".')).toBeInTheDocument();
+});
+
+test('reports an unknown shipment', async () => {
+  const contract = createMockContract();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderWithProviders(<ShipmentDetails contract={contract} currentAccount={OWNER} selectedShipmentId="42" />);
+
+  expect(await screen.findByText('Error retrieving shipment details.')).toBeInTheDocument();
+  console.error.mockRestore();
+});
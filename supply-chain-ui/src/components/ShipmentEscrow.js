@@ -0,0 +1,148 @@
+// src/components/ShipmentEscrow.js
+
+import React, { useEffect, useState } from 'react';
+import { PayoutKind, buildSettlement, fetchEscrow, formatEth, getPayoutKind, listPayouts } from '../utils/escrow';
+import { fetchEvents, sameAddress } from '../utils/shipmentIndex';
+import { ShippingStatus } from '../utils/status';
+import AddressLabel from './AddressLabel';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+/**
+ * Escrowed payment of a shipment: what was deposited and is still held, every payout made, and
+ * each station's fee and settlement. Once the shipment is delivered, its owner or recipient can
+ * settle the remaining balance. Shows nothing for shipments without escrow.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - shipment: The shipment, with id, transitStations, status and owner.
+ * - recipient: The account that confirms receipt of the shipment.
+ * - currentAccount: The Ethereum account currently connected via MetaMask.
+ */
+function ShipmentEscrow({ contract, shipment, recipient, currentAccount }) {
+  // State variables to hold the escrow, the shipment's events and messages
+  const [escrow, setEscrow] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [message, setMessage] = useState('');
+  const { send } = useTransactions();
+
+  // Load the escrow and its payouts whenever the shipment is reloaded
+  useEffect(() => {
+    let cancelled = false;
+    const shipmentId = shipment.id.toString();
+    Promise.all([fetchEscrow(contract, shipmentId), fetchEvents(contract, { shipmentId })])
+      .then(([loadedEscrow, loadedEvents]) => {
+        if (!cancelled) {
+          setEscrow(loadedEscrow);
+          setEvents(loadedEvents);
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        setMessage('Error loading the escrow.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, shipment]);
+
+  /**
+   * Settles the balance left in escrow between the stations.
+   */
+  const settle = async () => {
+    try {
+      await send(contract, 'settleEscrow', [shipment.id.toString()], `Settle escrow of shipment ${shipment.id}`);
+      setMessage('Escrow settled. Payees can now withdraw their payments.');
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error settling the escrow: ${err.message}`);
+    }
+  };
+
+  if (!escrow) {
+    return message ? <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p> : null;
+  }
+
+  const payouts = listPayouts(events);
+  const released = payouts.reduce((total, payout) => total + payout.amount, 0n);
+  const settlement = buildSettlement(shipment.transitStations, events);
+  const feePaid = (station) => payouts.some((p) => p.kind === PayoutKind.StationFee && sameAddress(p.payee, station));
+  const canSettle = !escrow.settled
+    && Number(shipment.status) === ShippingStatus.Delivered
+    && (sameAddress(currentAccount, shipment.owner) || sameAddress(currentAccount, recipient));
+
+  return (
+    <div className="mt-4">
+      <h4 style = {{fontFamily: "Creato-Bold"}}>Escrow</h4>
+      <p style = {{fontFamily: "Creato-Light"}}>
+        Deposited {formatEth(escrow.deposit)} &emsp; Paid out {formatEth(released)} &emsp; Held {formatEth(escrow.balance)}
+        {!escrow.settled && Number(shipment.status) !== ShippingStatus.Cancelled && ' (settled between the stations once delivered)'}
+      </p>
+      {/* Each station's fee and, once settled, its share of the balance less its damage deduction */}
+      <table className="table table-sm" aria-label="Settlement breakdown">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Station</th>
+            <th>Fee</th>
+            <th>Share</th>
+            <th>Damage Deduction</th>
+            <th>Settlement</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shipment.transitStations.map((station, index) => {
+            const row = settlement && settlement.stations[index];
+            const fee = escrow.stationFees[index] ?? 0n;
+            return (
+              <tr key={index}>
+                <td><AddressLabel address={station} /></td>
+                <td>{formatEth(fee)}{fee > 0n && (feePaid(station) ? ' (paid)' : ' (pending)')}</td>
+                <td>{row ? formatEth(row.share) : '—'}</td>
+                <td>{row ? formatEth(row.deduction) : '—'}</td>
+                <td>{row ? formatEth(row.payout) : '—'}</td>
+              </tr>
+            );
+          })}
+          {settlement && (
+            <tr>
+              <td colSpan={4}>Refund to owner (damage deductions and rounding)</td>
+              <td>{formatEth(settlement.refund)}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {canSettle && (
+        <button type="button" className="btn btn-primary" style = {{fontFamily: "Creato-Light"}} onClick={settle}>
+          Settle Escrow
+        </button>
+      )}
+      {/* Every amount released from the escrow */}
+      {payouts.length > 0 && (
+        <table className="table table-sm mt-3" aria-label="Payouts">
+          <thead>
+            <tr style = {{fontFamily: "Creato-Light"}}>
+              <th>Payee</th>
+              <th>Payout</th>
+              <th>Amount</th>
+              <th>Transaction</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payouts.map((payout, index) => (
+              <tr key={index}>
+                <td><AddressLabel address={payout.payee} /></td>
+                <td>{getPayoutKind(payout.kind)}</td>
+                <td>{formatEth(payout.amount)}</td>
+                <td><small>{payout.transactionHash}</small></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default ShipmentEscrow;
@@ -0,0 +1,113 @@
+// src/components/ShipmentEvidence.js
+
+import React, { useEffect, useState } from 'react';
+import { fetchDamageEvidence, findMatchingEvidence, hashFile, isDownloadLink } from '../utils/evidence';
+import AddressLabel from './AddressLabel';
+import '../App.css';
+
+/**
+ * Evidence the stations attached to their damage reports on a shipment: the hash of each file and
+ * where it can be downloaded. Viewers can check a downloaded file against the recorded hashes; the
+ * file is hashed in the browser and never uploaded. Shows nothing for shipments without evidence.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - shipment: The shipment, with its id.
+ */
+function ShipmentEvidence({ contract, shipment }) {
+  // State variables to hold the evidence, the result of the last check and messages
+  const [evidence, setEvidence] = useState([]);
+  const [verification, setVerification] = useState(null); // { name, contentHash, matches } of the last file checked
+  const [message, setMessage] = useState('');
+
+  // Load the evidence whenever the shipment is reloaded
+  useEffect(() => {
+    let cancelled = false;
+    fetchDamageEvidence(contract, shipment.id.toString())
+      .then((loaded) => {
+        if (!cancelled) {
+          setEvidence(loaded);
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        setMessage('Error loading the damage evidence.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, shipment]);
+
+  /**
+   * Hashes the file the viewer picked and looks it up in the evidence.
+   *
+   * @param {Event} e - The change event of the file input.
+   */
+  const handleVerify = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Let the same file be checked again
+    if (!file) return;
+    try {
+      const contentHash = await hashFile(file);
+      setVerification({ name: file.name, contentHash, matches: findMatchingEvidence(evidence, contentHash) });
+      setMessage('');
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error reading the file: ${err.message}`);
+    }
+  };
+
+  if (evidence.length === 0) {
+    return message ? <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p> : null;
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 style = {{fontFamily: "Creato-Bold"}}>Damage Evidence</h4>
+      <table className="table table-sm" aria-label="Damage evidence">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Station</th>
+            <th>File</th>
+            <th>SHA-256</th>
+          </tr>
+        </thead>
+        <tbody>
+          {evidence.map((item, index) => (
+            <tr key={index}>
+              <td><AddressLabel address={item.reporter} /></td>
+              <td>
+                {!item.uri && <span className="text-muted">Not published</span>}
+                {item.uri && isDownloadLink(item.uri) && <a href={item.uri} target="_blank" rel="noopener noreferrer">Download</a>}
+                {item.uri && !isDownloadLink(item.uri) && item.uri}
+              </td>
+              <td><code className="small text-break">{item.contentHash}</code></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {/* Check a downloaded file against the recorded hashes */}
+      <div className="form-group">
+        <label htmlFor={`verify-evidence-${shipment.id}`} style = {{fontFamily: "Creato-Light"}}>Verify a Downloaded File</label>
+        <input id={`verify-evidence-${shipment.id}`} type="file" className="form-control" onChange={handleVerify} />
+      </div>
+      {verification && (verification.matches.length > 0 ? (
+        <div className="alert alert-success mt-2" style = {{fontFamily: "Creato-Light"}}>
+          ✓ {verification.name} matches the evidence attached by{' '}
+          {verification.matches.map((match, index) => (
+            <span key={index}>{index > 0 && ', '}<AddressLabel address={match.reporter} /></span>
+          ))}.
+        </div>
+      ) : (
+        <div className="alert alert-danger mt-2" style = {{fontFamily: "Creato-Light"}}>
+          {verification.name} does not match any evidence recorded for this shipment (its SHA-256 is{' '}
+          <code className="text-break">{verification.contentHash}</code>). It may have been altered.
+        </div>
+      ))}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default ShipmentEvidence;
@@ -0,0 +1,103 @@
+// src/components/ShipmentExport.js
+
+import React, { useState } from 'react';
+import { buildShipmentReports, reportsToCsv, reportsToJson } from '../utils/reports';
+import { downloadFile } from '../utils/download';
+import ShipmentManifest from './ShipmentManifest';
+import ShipmentLabels from './ShipmentLabels';
+import { useStationRegistry } from './StationRegistryProvider';
+import '../App.css';
+
+/**
+ * Export actions for one or more shipments: CSV and JSON reports with their custody
+ * chain, damage reports and transactions, a printable manifest and printable QR labels.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - shipmentIds: The IDs of the shipments to export.
+ * - fileName: The base name of exported files, e.g. "shipment-7".
+ */
+function ShipmentExport({ contract, shipmentIds, fileName }) {
+  const { stations } = useStationRegistry(); // Names stations in the reports
+  const [busy, setBusy] = useState(false);
+  const [manifest, setManifest] = useState(null); // Reports shown in the manifest, null while closed
+  const [labels, setLabels] = useState(null); // Shipments shown as QR labels, null while closed
+  const [message, setMessage] = useState('');
+
+  /**
+   * Builds the reports of the shipments and hands them to an action.
+   *
+   * @param {Function} action - Receives the reports.
+   */
+  const withReports = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      action(await buildShipmentReports(contract, shipmentIds, stations));
+    } catch (err) {
+      console.error(err);
+      setMessage(`Error building report: ${err.message}`);
+    }
+    setBusy(false);
+  };
+
+  const disabled = busy || shipmentIds.length === 0;
+
+  return (
+    <div className="mt-2">
+      <div className="btn-group btn-group-sm" role="group" aria-label="Export shipments">
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          style = {{fontFamily: "Creato-Light"}}
+          disabled={disabled}
+          onClick={() => withReports((reports) => downloadFile(`${fileName}.csv`, reportsToCsv(reports), 'text/csv'))}
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          style = {{fontFamily: "Creato-Light"}}
+          disabled={disabled}
+          onClick={() => withReports((reports) => downloadFile(
+            `${fileName}.json`,
+            reportsToJson(reports, { contractAddress: contract.target }),
+            'application/json'
+          ))}
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          style = {{fontFamily: "Creato-Light"}}
+          disabled={disabled}
+          onClick={() => withReports(setManifest)}
+        >
+          Print Manifest
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          style = {{fontFamily: "Creato-Light"}}
+          disabled={disabled}
+          onClick={() => withReports((reports) => setLabels(reports.map((report) => report.shipment)))}
+        >
+          Print Labels
+        </button>
+      </div>
+      {busy && <small className="ms-2 text-muted">Building report...</small>}
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+      {manifest && (
+        <ShipmentManifest reports={manifest} contractAddress={contract.target} onClose={() => setManifest(null)} />
+      )}
+      {labels && (
+        <ShipmentLabels shipments={labels} contractAddress={contract.target} onClose={() => setLabels(null)} />
+      )}
+    </div>
+  );
+}
+
+export default ShipmentExport;
@@ -0,0 +1,80 @@
+// src/components/ShipmentLabels.js
+
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { encodeLabel, renderQrCode } from '../utils/qrLabel';
+import '../App.css';
+
+/**
+ * Printable QR labels for one or more shipments, shown over the app like the manifest.
+ * Each label encodes the shipment ID and contract address, so station staff can scan
+ * it in Scan Shipment Label instead of typing the ID.
+ *
+ * Props:
+ * - shipments: The shipments to label, each with id, origin, destination and quantity (see buildShipmentReports()).
+ * - contractAddress: The address of the contract the shipments live in.
+ * - onClose: Callback to close the labels.
+ */
+function ShipmentLabels({ shipments, contractAddress, onClose }) {
+  // State variables to hold the QR code images and messages
+  const [images, setImages] = useState({}); // shipment ID => QR code data URL
+  const [message, setMessage] = useState('');
+
+  // Hide the rest of the app from the printout while the labels are open
+  useEffect(() => {
+    document.body.classList.add('manifest-open');
+    return () => {
+      document.body.classList.remove('manifest-open');
+    };
+  }, []);
+
+  // Render a QR code for every shipment
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(shipments.map((shipment) => renderQrCode(encodeLabel(shipment.id, contractAddress))))
+      .then((urls) => {
+        if (!cancelled) {
+          setImages(Object.fromEntries(shipments.map((shipment, index) => [shipment.id, urls[index]])));
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        setMessage(`Error generating labels: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [shipments, contractAddress]);
+
+  return createPortal(
+    <div className="manifest-overlay">
+      <div className="no-print mb-3">
+        <button type="button" className="btn btn-primary" style = {{fontFamily: "Creato-Light"}} onClick={() => window.print()}>
+          Print Labels
+        </button>{' '}
+        <button type="button" className="btn btn-secondary" style = {{fontFamily: "Creato-Light"}} onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+      <div className="shipment-labels">
+        {shipments.map((shipment) => (
+          <div key={shipment.id} className="shipment-label">
+            {images[shipment.id] && <img src={images[shipment.id]} alt={`QR label of shipment ${shipment.id}`} />}
+            <div>
+              <h3 style = {{fontFamily: "Creato-Bold"}}>Shipment #{shipment.id}</h3>
+              {shipment.reference && <p className="mb-1">Ref: {shipment.reference}</p>}
+              <p className="mb-1">{shipment.origin} &rarr; {shipment.destination}</p>
+              <p className="mb-1">Quantity: {shipment.quantity}</p>
+              <small className="text-muted">Contract {contractAddress}</small>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default ShipmentLabels;
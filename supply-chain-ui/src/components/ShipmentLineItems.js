@@ -0,0 +1,60 @@
+// src/components/ShipmentLineItems.js
+
+import React from 'react';
+import { summarizeBySku } from '../utils/lineItems';
+import '../App.css';
+
+/**
+ * Line items of a shipment, totalled per SKU: how much was shipped, reported damaged,
+ * and accepted or rejected by the recipient. Shows nothing for shipments without line items.
+ *
+ * Props:
+ * - lineItems: The shipment's line items, as returned by fetchLineItems().
+ */
+function ShipmentLineItems({ lineItems }) {
+  if (lineItems.length === 0) {
+    return null;
+  }
+
+  /**
+   * Formats a received quantity, which is unknown until receipt is confirmed per line item.
+   *
+   * @param {bigint|null} quantity - The quantity.
+   * @returns {string} The quantity, or a dash.
+   */
+  const received = (quantity) => (quantity === null ? '—' : quantity.toString());
+
+  return (
+    <div className="mt-4 mb-4">
+      <h4 style = {{fontFamily: "Creato-Bold"}}>Line Items</h4>
+      <table className="table table-sm" aria-label="Line items per SKU">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>SKU</th>
+            <th>Description</th>
+            <th>Unit</th>
+            <th>Shipped</th>
+            <th>Damaged</th>
+            <th>Received</th>
+            <th>Rejected</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summarizeBySku(lineItems).map((total) => (
+            <tr key={`${total.sku} ${total.unit}`}>
+              <td>{total.sku}</td>
+              <td>{total.description}</td>
+              <td>{total.unit}</td>
+              <td>{total.shipped.toString()}</td>
+              <td className={total.damaged > 0n ? 'text-danger' : ''}>{total.damaged.toString()}</td>
+              <td>{received(total.accepted)}</td>
+              <td>{received(total.rejected)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ShipmentLineItems;
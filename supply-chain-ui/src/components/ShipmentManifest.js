@@ -0,0 +1,151 @@
+// src/components/ShipmentManifest.js
+
+import React, { useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { formatDuration } from '../utils/timeline';
+import '../App.css';
+
+/**
+ * Print-friendly manifest of one or more shipments, shown over the app.
+ * While it is open, printing (or saving as PDF) from the browser prints only the
+ * manifest, one shipment per page.
+ *
+ * Props:
+ * - reports: The shipment reports to show (see buildShipmentReports()).
+ * - contractAddress: The address of the contract the reports were read from.
+ * - onClose: Callback to close the manifest.
+ */
+function ShipmentManifest({ reports, contractAddress, onClose }) {
+  // Hide the rest of the app from the printout while the manifest is open
+  useEffect(() => {
+    document.body.classList.add('manifest-open');
+    return () => {
+      document.body.classList.remove('manifest-open');
+    };
+  }, []);
+
+  const generatedAt = new Date().toLocaleString();
+
+  return createPortal(
+    <div className="manifest-overlay">
+      <div className="no-print mb-3">
+        <button type="button" className="btn btn-primary" style = {{fontFamily: "Creato-Light"}} onClick={() => window.print()}>
+          Print / Save as PDF
+        </button>{' '}
+        <button type="button" className="btn btn-secondary" style = {{fontFamily: "Creato-Light"}} onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {reports.map(({ shipment, custody, damageReports, events }) => (
+        <div key={shipment.id} className="manifest-shipment">
+          <h2 style = {{fontFamily: "Creato-Bold"}}>Shipment Manifest #{shipment.id}</h2>
+          <p className="text-muted">
+            Generated {generatedAt} from contract {contractAddress}
+          </p>
+          <table className="table table-sm table-bordered">
+            <tbody>
+              {shipment.reference && <tr><th>External Reference</th><td>{shipment.reference}</td></tr>}
+              <tr><th>Origin</th><td>{shipment.origin}</td></tr>
+              <tr><th>Destination</th><td>{shipment.destination}</td></tr>
+              <tr><th>Quantity</th><td>{shipment.quantity}</td></tr>
+              <tr><th>Total Damaged</th><td>{shipment.totalDamaged}</td></tr>
+              <tr><th>Status</th><td>{shipment.status}</td></tr>
+              <tr><th>Owner</th><td>{shipment.owner}</td></tr>
+              {shipment.cancelledBy && (
+                <tr><th>Cancelled By</th><td>{shipment.cancelledBy} ({shipment.cancellationReason})</td></tr>
+              )}
+            </tbody>
+          </table>
+
+          <h4 style = {{fontFamily: "Creato-Bold"}}>Chain of Custody</h4>
+          <table className="table table-sm table-bordered">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Station</th>
+                <th>Checked In</th>
+                <th>Dwell</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {custody.map((stop) => (
+                <tr key={stop.position}>
+                  <td>{stop.position}</td>
+                  <td>
+                    {stop.name && <strong>{stop.name}<br /></strong>}
+                    <small>{stop.address}</small>
+                  </td>
+                  <td>{stop.passedAt ? new Date(stop.passedAt).toLocaleString() : 'Not yet'}</td>
+                  <td>{stop.dwellSeconds !== null ? formatDuration(stop.dwellSeconds) : ''}</td>
+                  <td><small>{stop.transactionHash}</small></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4 style = {{fontFamily: "Creato-Bold"}}>Damage Reports</h4>
+          {damageReports.length > 0 ? (
+            <table className="table table-sm table-bordered">
+              <thead>
+                <tr>
+                  <th>Station</th>
+                  <th>Quantity</th>
+                  <th>Category</th>
+                  <th>Explanation</th>
+                  <th>Reported</th>
+                  <th>Transaction</th>
+                </tr>
+              </thead>
+              <tbody>
+                {damageReports.map((report) => (
+                  <tr key={report.address}>
+                    <td>
+                      {report.name && <strong>{report.name}<br /></strong>}
+                      <small>{report.address}</small>
+                    </td>
+                    <td>{report.damagedQuantity}</td>
+                    <td>{report.category}</td>
+                    <td>
+                      {report.explanation}
+                      {report.amendments > 0 && <small className="text-muted"> (amended {report.amendments}×)</small>}
+                    </td>
+                    <td>{report.reportedAt ? new Date(report.reportedAt).toLocaleString() : ''}</td>
+                    <td><small>{report.transactionHash}</small></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p>No damage reported.</p>
+          )}
+
+          <h4 style = {{fontFamily: "Creato-Bold"}}>Events</h4>
+          <table className="table table-sm table-bordered">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>By</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event, index) => (
+                <tr key={index}>
+                  <td>{new Date(event.timestamp).toLocaleString()}</td>
+                  <td>{event.name}</td>
+                  <td><small>{event.actor}</small></td>
+                  <td><small>{event.transactionHash}</small></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>,
+    document.body
+  );
+}
+
+export default ShipmentManifest;
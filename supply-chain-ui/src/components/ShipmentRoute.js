@@ -0,0 +1,198 @@
+// src/components/ShipmentRoute.js
+
+import React, { useEffect, useState } from 'react';
+import { StepState, buildRouteSteps, fetchPassedStations, fetchRouteChanges, projectRoute } from '../utils/routeMap';
+import { LegState, assessLegs, fetchArrivalTimes } from '../utils/sla';
+import { fetchEvents } from '../utils/shipmentIndex';
+import { useStationRegistry } from './StationRegistryProvider';
+import AddressLabel from './AddressLabel';
+import '../App.css';
+
+// Size of the route map, in SVG units
+const MAP_SIZE = { width: 600, height: 320, padding: 40 };
+
+// Text shown under each step for its state
+const STATE_LABELS = {
+  [StepState.Passed]: 'Passed',
+  [StepState.Current]: 'Current',
+  [StepState.Pending]: 'Pending',
+};
+
+// Badge shown for each leg that has a deadline: [text, badge classes]
+const LEG_BADGES = {
+  [LegState.OnTime]: ['On time', 'bg-success'],
+  [LegState.Late]: ['Late', 'bg-warning text-dark'],
+  [LegState.Overdue]: ['Overdue', 'bg-danger'],
+};
+
+/**
+ * Formats a deadline for display.
+ *
+ * @param {number} deadline - The deadline in unix seconds.
+ * @returns {string} The deadline in the browser's locale.
+ */
+function formatDeadline(deadline) {
+  return new Date(deadline * 1000).toLocaleString();
+}
+
+/**
+ * Lists stations separated by arrows.
+ *
+ * @param {Array} addresses - The station addresses.
+ * @returns {JSX.Element} The stations, or "no stations".
+ */
+function StationList({ addresses }) {
+  if (addresses.length === 0) {
+    return <em>no stations</em>;
+  }
+  return addresses.map((address, index) => (
+    <React.Fragment key={address}>
+      {index > 0 && ' → '}
+      <AddressLabel address={address} />
+    </React.Fragment>
+  ));
+}
+
+/**
+ * Visual route of a shipment: a stepper from its origin through its transit stations to its
+ * destination, marking the stations it passed, where it is now, the stations still ahead and
+ * the stations that reported damage. Stations with a deadline show it, and whether they met it.
+ * When stations in the registry have coordinates, they are also drawn on a map, which needs no
+ * map tiles and so works offline. If the owner amended the route, the changes are listed below it.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - shipment: The shipment, with id, origin, destination, transitStations, currentStationIndex, status,
+ *   deliveryDeadline and stationDeadlines.
+ * - damageReports: The shipment's damage reports (see fetchDamageReports()).
+ */
+function ShipmentRoute({ contract, shipment, damageReports }) {
+  const { stations } = useStationRegistry();
+  // State variables to hold which stations were passed, when they checked in, route changes and messages
+  const [passed, setPassed] = useState([]);
+  const [arrivals, setArrivals] = useState(new Map()); // lower-case station address => check-in time
+  const [changes, setChanges] = useState([]); // See fetchRouteChanges()
+  const [message, setMessage] = useState('');
+
+  // Ask the contract which stations the shipment passed, when, and how its route changed, whenever the shipment is reloaded
+  useEffect(() => {
+    let cancelled = false;
+    const shipmentId = shipment.id.toString();
+    Promise.all([
+      fetchPassedStations(contract, shipmentId, shipment.transitStations),
+      fetchEvents(contract, { shipmentId }).then((events) => Promise.all([
+        fetchArrivalTimes(contract, events),
+        fetchRouteChanges(contract, events),
+      ])),
+    ])
+      .then(([passedStations, [arrivalTimes, routeChanges]]) => {
+        if (!cancelled) {
+          setPassed(passedStations);
+          setArrivals(arrivalTimes.get(shipmentId) || new Map());
+          setChanges(routeChanges);
+          setMessage('');
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        setMessage('Error loading the route.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, shipment]);
+
+  const steps = buildRouteSteps(shipment, passed, damageReports);
+  const legs = assessLegs(shipment, arrivals, Math.floor(Date.now() / 1000));
+  const { points, missing } = projectRoute(steps, stations, MAP_SIZE);
+
+  return (
+    <div className="mb-3">
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+      <ol className="route-stepper" aria-label="Route">
+        {steps.map((step, index) => (
+          <li key={index} className={`route-step route-step-${step.state}`}>
+            <span className="route-step-dot" />
+            <small className="text-muted d-block">
+              {step.kind === 'station' ? step.label : step.kind === 'origin' ? 'Origin' : 'Destination'}
+            </small>
+            {step.address ? <AddressLabel address={step.address} /> : <strong style = {{fontFamily: "Creato-Light"}}>{step.label}</strong>}
+            <small className="d-block">
+              {STATE_LABELS[step.state]}{step.next && ' · Next'}
+            </small>
+            {step.kind === 'station' && legs[index - 1].deadline !== null && (
+              <small className="d-block text-muted">Due {formatDeadline(legs[index - 1].deadline)}</small>
+            )}
+            {step.kind === 'destination' && shipment.deliveryDeadline && (
+              <small className="d-block text-muted">Due {formatDeadline(shipment.deliveryDeadline)}</small>
+            )}
+            {step.kind === 'station' && LEG_BADGES[legs[index - 1].state] && (
+              <span className={`badge ${LEG_BADGES[legs[index - 1].state][1]} me-1`}>{LEG_BADGES[legs[index - 1].state][0]}</span>
+            )}
+            {step.damagedQuantity > 0n && (
+              <span className="badge bg-danger">{step.damagedQuantity.toString()} damaged</span>
+            )}
+          </li>
+        ))}
+      </ol>
+      {points.length > 0 && (
+        <>
+          <svg
+            className="route-map"
+            viewBox={`0 0 ${MAP_SIZE.width} ${MAP_SIZE.height}`}
+            role="img"
+            aria-label="Route map"
+          >
+            {/* Legs between consecutive located stations, solid once the shipment reached the later one */}
+            {points.slice(1).map((point, index) => (
+              <line
+                key={`leg-${index}`}
+                x1={points[index].x}
+                y1={points[index].y}
+                x2={point.x}
+                y2={point.y}
+                className={`route-map-leg route-map-leg-${point.step.state === StepState.Pending ? 'pending' : 'passed'}`}
+              />
+            ))}
+            {points.map((point) => (
+              <g
+                key={point.step.address}
+                className={`route-map-stop route-step-${point.step.state} ${point.step.damagedQuantity > 0n ? 'route-map-damaged' : ''}`}
+              >
+                <title>
+                  {point.name} ({STATE_LABELS[point.step.state]}
+                  {point.step.damagedQuantity > 0n && `, ${point.step.damagedQuantity.toString()} damaged`})
+                </title>
+                <circle cx={point.x} cy={point.y} r={point.step.damagedQuantity > 0n ? 9 : 7} />
+                <text x={point.x} y={point.y - 14} textAnchor="middle">{point.name}</text>
+              </g>
+            ))}
+          </svg>
+          {missing > 0 && (
+            <small className="text-muted d-block" style = {{fontFamily: "Creato-Light"}}>
+              {missing} {missing === 1 ? 'station has' : 'stations have'} no coordinates in the Station Registry
+              and {missing === 1 ? 'is' : 'are'} not on the map.
+            </small>
+          )}
+        </>
+      )}
+      {changes.length > 0 && (
+        <div className="mt-3">
+          <strong style = {{fontFamily: "Creato-Light"}}>Route Changes:</strong>
+          <ol className="list-group list-group-numbered" aria-label="Route changes">
+            {changes.map((change, index) => (
+              <li key={index} className="list-group-item" style = {{fontFamily: "Creato-Light"}}>
+                {new Date(change.timestamp * 1000).toLocaleString()}: from station {change.fromIndex + 1},{' '}
+                <StationList addresses={change.previousStations} /> replaced by <StationList addresses={change.newStations} />
+                {change.reason && <small className="d-block text-muted">{change.reason}</small>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ShipmentRoute;
@@ -0,0 +1,178 @@
+// src/components/ShipmentTimeline.js
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { buildTimeline, formatDuration } from '../utils/timeline';
+import { eventShipmentId } from '../utils/shipmentIndex';
+import { getStatus, isFinished } from '../utils/status';
+import { getDamageCategory } from '../utils/damage';
+import { formatEth, getPayoutKind } from '../utils/escrow';
+import AddressLabel from './AddressLabel';
+import '../App.css';
+
+/**
+ * Chronological history of a shipment, reconstructed from the contract's events.
+ * Shows when each event happened, who sent it, and how long the shipment sat at each station.
+ *
+ * Props:
+ * - contract: The instance of the smart contract to interact with.
+ * - shipmentId: The ID of the shipment to show.
+ * - status: The current status code of the shipment.
+ */
+function ShipmentTimeline({ contract, shipmentId, status }) {
+  // State variables to hold the timeline entries and messages
+  const [entries, setEntries] = useState([]);
+  const [message, setMessage] = useState('');
+  const lookups = useRef(null); // Blocks and transactions already looked up, see buildTimeline()
+  const pending = useRef(Promise.resolve()); // The reload in progress, so that reloads do not overlap
+
+  const finished = isFinished(status);
+
+  /**
+   * Rebuilds the timeline from the contract's events.
+   */
+  const reload = useCallback(async () => {
+    try {
+      setEntries(await buildTimeline(contract, shipmentId, finished, lookups.current));
+      setMessage('');
+    } catch (err) {
+      console.error(err);
+      setMessage('Error loading shipment history.');
+    }
+  }, [contract, shipmentId, finished]);
+
+  /**
+   * Queues a reload after the one in progress.
+   */
+  const refresh = useCallback(() => {
+    pending.current = pending.current.then(reload);
+  }, [reload]);
+
+  // Load the timeline, then refresh whenever the contract emits an event for this shipment
+  useEffect(() => {
+    lookups.current = { blocks: new Map(), transactions: new Map() };
+    refresh();
+    const refreshOnEvent = (payload) => {
+      if (eventShipmentId(payload) === String(shipmentId)) {
+        refresh();
+      }
+    };
+    contract.on("*", refreshOnEvent);
+    return () => {
+      contract.off("*", refreshOnEvent);
+    };
+  }, [contract, shipmentId, refresh]);
+
+  /**
+   * Describes what happened in a timeline entry.
+   *
+   * @param {Object} entry - The timeline entry.
+   * @returns {JSX.Element} The description.
+   */
+  function describe(entry) {
+    switch (entry.name) {
+      case 'ShipmentCreated':
+        return <span>Shipment created</span>;
+      case 'StationUpdated':
+        return (
+          <span>
+            Checked in at station <AddressLabel address={entry.args.station} />
+            {entry.dwellSeconds !== null && (
+              <em>
+                {' '}&mdash; {finished || entry !== lastCheckIn ? 'stayed' : 'there for'} {formatDuration(entry.dwellSeconds)}
+              </em>
+            )}
+          </span>
+        );
+      case 'StatusUpdated':
+        return <span>Status changed to {getStatus(Number(entry.args.newStatus))}</span>;
+      case 'ShipmentCancelled':
+        return <span>Shipment cancelled: {entry.args.reason}</span>;
+      case 'DamageReported':
+        return (
+          <span>
+            {entry.args.previousQuantity > 0n
+              ? `Damage amended: ${entry.args.previousQuantity} → ${entry.args.damagedQuantity}`
+              : `Damage reported: ${entry.args.damagedQuantity}`}
+            {' '}({getDamageCategory(Number(entry.args.category))}, {entry.args.damageReason})
+          </span>
+        );
+      case 'DamageEvidenceAttached':
+        return (
+          <span>
+            Evidence attached to the damage report: <code className="small">{entry.args.contentHash.slice(0, 10)}…</code>
+            {entry.args.uri && ` (${entry.args.uri})`}
+          </span>
+        );
+      case 'RecipientSet':
+        return <span>Recipient set to <AddressLabel address={entry.args.recipient} /></span>;
+      case 'ReceiptConfirmed':
+        return (
+          <span>
+            Receipt confirmed: {entry.args.acceptedQuantity.toString()} accepted, {entry.args.rejectedQuantity.toString()} rejected
+            {entry.args.notes && ` (${entry.args.notes})`}
+          </span>
+        );
+      case 'DisputeRaised':
+        return <span>Dispute raised: {entry.args.reason}</span>;
+      case 'DeadlinesSet':
+        return (
+          <span>
+            Deadlines set
+            {entry.args.deliveryDeadline > 0n && `: deliver by ${new Date(Number(entry.args.deliveryDeadline) * 1000).toLocaleString()}`}
+            {entry.args.stationDeadlines.some((deadline) => deadline > 0n) && ' (with expected arrival times per station)'}
+          </span>
+        );
+      case 'EscrowDeposited':
+        return <span>Escrowed {formatEth(entry.args.amount)}</span>;
+      case 'PaymentReleased':
+        return (
+          <span>
+            {getPayoutKind(Number(entry.args.kind))} of {formatEth(entry.args.amount)} released to <AddressLabel address={entry.args.payee} />
+          </span>
+        );
+      case 'EscrowSettled':
+        return <span>Escrow settled: {formatEth(entry.args.share)} share per station, {formatEth(entry.args.refund)} refunded to the owner</span>;
+      case 'RouteChanged':
+        return (
+          <span>
+            Route amended from station {Number(entry.args.fromIndex) + 1}: {entry.args.newStations.length} {entry.args.newStations.length === 1 ? 'station' : 'stations'} ahead
+            {entry.args.reason && ` (${entry.args.reason})`}
+          </span>
+        );
+      default:
+        return <span>{entry.name}</span>;
+    }
+  }
+
+  const lastCheckIn = entries.filter((entry) => entry.name === 'StationUpdated').pop();
+
+  return (
+    <div className="mt-4">
+      <h4 style = {{fontFamily: "Creato-Bold"}}>Timeline</h4>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3">{message}</p>}
+      <table className="table table-sm">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Time</th>
+            <th>Event</th>
+            <th>By</th>
+            <th>Transaction</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={`${entry.transactionHash}-${entry.logIndex}`}>
+              <td>{new Date(entry.timestamp * 1000).toLocaleString()}</td>
+              <td>{describe(entry)}</td>
+              <td><small><AddressLabel address={entry.actor} /></small></td>
+              <td><small>{entry.transactionHash}</small></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ShipmentTimeline;
@@ -0,0 +1,51 @@
+import { act, screen, waitFor } from '@testing-library/react';
+import ShipmentTimeline from './ShipmentTimeline';
+import { ShippingStatus } from '../utils/status';
+import { createMockContract } from '../testUtils/mockContract';
+import { renderWithProviders } from '../testUtils/renderWithProviders';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Builds a log like the ones queryFilter returns.
+ */
+function log(eventName, blockNumber, args) {
+  return { eventName, blockNumber, index: 0, transactionHash: `0x${blockNumber}`, args };
+}
+
+/**
+ * Builds what contract.on() passes its listener for an event.
+ */
+function payload(contract, eventName, shipmentId) {
+  return { fragment: contract.interface.getEvent(eventName), args: { shipmentId } };
+}
+
+let contract;
+let logs;
+
+beforeEach(() => {
+  contract = createMockContract();
+  logs = [log('ShipmentCreated', 1, { shipmentId: 1n })];
+  contract.queryFilter.mockImplementation(async (name) => logs.filter((entry) => entry.eventName === name));
+});
+
+test('only refreshes on events of its shipment, reusing the blocks and transactions it looked up', async () => {
+  renderWithProviders(<ShipmentTimeline contract={contract} shipmentId="1" status={ShippingStatus.Pending} />);
+  expect(await screen.findByText('Shipment created')).toBeInTheDocument();
+  const [[, onEvent]] = contract.on.mock.calls;
+  const { getBlock, getTransaction } = contract.runner.provider;
+  expect(getBlock).toHaveBeenCalledTimes(1);
+
+  // Events of other shipments, and ones that concern no shipment, are ignored
+  contract.queryFilter.mockClear();
+  act(() => onEvent(payload(contract, 'ShipmentCreated', 2n)));
+  act(() => onEvent({}));
+  expect(contract.queryFilter).not.toHaveBeenCalled();
+
+  logs.push(log('StationUpdated', 2, { shipmentId: 1n, station: STATION_A }));
+  act(() => onEvent(payload(contract, 'StationUpdated', 1n)));
+
+  expect(await screen.findByText(/Checked in at station/)).toBeInTheDocument();
+  await waitFor(() => expect(getBlock.mock.calls.map(([block]) => block)).toEqual([1, 2]));
+  expect(getTransaction.mock.calls.map(([hash]) => hash)).toEqual(['0x1', '0x2']);
+});
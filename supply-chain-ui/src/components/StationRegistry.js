@@ -0,0 +1,200 @@
+// src/components/StationRegistry.js
+
+import React, { useState } from 'react';
+import { STATION_ROLES, exportStations, importStations } from '../utils/stationRegistry';
+import { downloadFile } from '../utils/download';
+import { useStationRegistry } from './StationRegistryProvider';
+import '../App.css';
+
+const EMPTY_FORM = { address: '', name: '', location: '', role: STATION_ROLES[0], latitude: '', longitude: '' };
+
+/**
+ * Fills the form with a registered station, showing missing coordinates as empty fields.
+ *
+ * @param {Object} station - The station entry.
+ * @returns {Object} The form values.
+ */
+function formOf(station) {
+  return { ...station, latitude: station.latitude ?? '', longitude: station.longitude ?? '' };
+}
+
+/**
+ * Component for managing the station registry.
+ * Maps station addresses to names, locations, roles and optional map coordinates, stored in
+ * this browser, and imports/exports the registry as JSON so a team can share it.
+ */
+function StationRegistry() {
+  const { savedStations: stations, saveStation, removeStation, replaceStations } = useStationRegistry();
+  // State variables to hold form input values and messages
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState('');
+
+  /**
+   * Updates a single form field.
+   *
+   * @param {string} name - The field name.
+   * @param {string} value - The new field value.
+   */
+  const updateField = (name, value) => {
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Handles the form submission to add or update a station.
+   *
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      saveStation(form);
+      setForm(EMPTY_FORM);
+      setMessage('Station saved.');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  /**
+   * Downloads the registry as a JSON file.
+   */
+  const handleExport = () => {
+    downloadFile('stations.json', exportStations(stations), 'application/json');
+  };
+
+  /**
+   * Merges the stations from an uploaded JSON file into the registry.
+   *
+   * @param {Event} e - The file input change event.
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const merged = importStations(stations, await file.text());
+      replaceStations(merged);
+      setMessage(`Imported stations from ${file.name}.`);
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Station Registry</h2>
+      <table className="table">
+        <thead>
+          <tr style = {{fontFamily: "Creato-Light"}}>
+            <th>Name</th>
+            <th>Address</th>
+            <th>Location</th>
+            <th>Role</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.values(stations).map((station) => (
+            <tr key={station.address}>
+              <td>{station.name}</td>
+              <td><small>{station.address}</small></td>
+              <td>
+                {station.location}
+                {station.latitude !== null && (
+                  <small className="text-muted d-block">{station.latitude}, {station.longitude}</small>
+                )}
+              </td>
+              <td>{station.role}</td>
+              <td>
+                <button type="button" className="btn btn-link btn-sm" onClick={() => setForm(formOf(station))}>Edit</button>
+                <button type="button" className="btn btn-link btn-sm text-danger" onClick={() => removeStation(station.address)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+          {Object.keys(stations).length === 0 && (
+            <tr><td colSpan={5}>No stations registered yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+      <form onSubmit={handleSubmit}>
+        {/* Form fields for a station entry */}
+        <div className="row g-2">
+          <div className="col-md-4">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Address (0x...)"
+              value={form.address}
+              onChange={(e) => updateField('address', e.target.value)}
+              required
+            />
+          </div>
+          <div className="col-md-3">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Name"
+              value={form.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              required
+            />
+          </div>
+          <div className="col-md-3">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Location"
+              value={form.location}
+              onChange={(e) => updateField('location', e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <select className="form-control" value={form.role} onChange={(e) => updateField('role', e.target.value)}>
+              {STATION_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+            </select>
+          </div>
+          {/* Optional coordinates, to place the station on route maps */}
+          <div className="col-md-3">
+            <input
+              type="number"
+              step="any"
+              min="-90"
+              max="90"
+              className="form-control"
+              placeholder="Latitude (optional)"
+              value={form.latitude}
+              onChange={(e) => updateField('latitude', e.target.value)}
+            />
+          </div>
+          <div className="col-md-3">
+            <input
+              type="number"
+              step="any"
+              min="-180"
+              max="180"
+              className="form-control"
+              placeholder="Longitude (optional)"
+              value={form.longitude}
+              onChange={(e) => updateField('longitude', e.target.value)}
+            />
+          </div>
+        </div>
+        {/* Submit, export and import buttons */}
+        <button type="submit" className="btn btn-primary mt-3" style = {{fontFamily: "Creato-Light"}}>
+          Save Station
+        </button>{' '}
+        <button type="button" className="btn btn-secondary mt-3" style = {{fontFamily: "Creato-Light"}} onClick={handleExport}>
+          Export JSON
+        </button>{' '}
+        <label className="btn btn-secondary mt-3 mb-0" style = {{fontFamily: "Creato-Light"}}>
+          Import JSON
+          <input type="file" accept="application/json,.json" onChange={handleImport} hidden />
+        </label>
+      </form>
+      {/* Display messages to the user */}
+      {message && <p className="mt-3" style = {{fontFamily: "Creato-Light"}}>{message}</p>}
+    </div>
+  );
+}
+
+export default StationRegistry;
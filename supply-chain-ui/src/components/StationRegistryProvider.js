@@ -0,0 +1,85 @@
+// src/components/StationRegistryProvider.js
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { loadStations, normalizeStation, saveStations } from '../utils/stationRegistry';
+
+const StationRegistryContext = createContext({ stations: {}, savedStations: {}, showDemoStations: () => {} });
+
+/**
+ * Makes the locally stored station registry available to every component below it
+ * and persists changes to localStorage.
+ * Stations named for the offline demo are kept apart and never saved, so they do not outlive the demo.
+ *
+ * Props:
+ * - children: The components that can use the registry.
+ */
+function StationRegistryProvider({ children }) {
+  const [stations, setStations] = useState(loadStations);
+  const [demoStations, setDemoStations] = useState({}); // The demo accounts' entries, see showDemoStations()
+
+  // Persist every change to the registry
+  useEffect(() => {
+    saveStations(stations);
+  }, [stations]);
+
+  /**
+   * Adds or replaces a station.
+   *
+   * @param {Object} entry - { address, name, location, role, latitude, longitude }
+   * @throws {Error} If the entry is invalid.
+   */
+  const saveStation = (entry) => {
+    const station = normalizeStation(entry);
+    setStations((current) => ({ ...current, [station.address]: station }));
+  };
+
+  /**
+   * Removes a station.
+   *
+   * @param {string} address - The checksummed address of the station.
+   */
+  const removeStation = (address) => {
+    setStations((current) => {
+      const { [address]: removed, ...rest } = current;
+      return rest;
+    });
+  };
+
+  /**
+   * Names the offline demo's accounts until the demo is left, without adding them to the saved registry.
+   * Saved entries take precedence.
+   *
+   * @param {Array} entries - The demo stations, see demoStations() in src/utils/demoChain.js; empty to remove them.
+   * @throws {Error} If an entry is invalid.
+   */
+  const showDemoStations = useCallback((entries) => {
+    setDemoStations(Object.fromEntries(entries.map(normalizeStation).map((station) => [station.address, station])));
+  }, []);
+
+  const value = {
+    stations: { ...demoStations, ...stations },
+    savedStations: stations,
+    saveStation,
+    removeStation,
+    replaceStations: setStations,
+    showDemoStations,
+  };
+
+  return (
+    <StationRegistryContext.Provider value={value}>
+      {children}
+    </StationRegistryContext.Provider>
+  );
+}
+
+/**
+ * Returns the station registry and the functions to change it.
+ *
+ * @returns {Object} { stations, savedStations, saveStation, removeStation, replaceStations, showDemoStations } - stations
+ *   names addresses, demo stations included; savedStations only holds the entries saved to localStorage.
+ */
+export function useStationRegistry() {
+  return useContext(StationRegistryContext);
+}
+
+export default StationRegistryProvider;
@@ -0,0 +1,41 @@
+import { act, render, screen } from '@testing-library/react';
+import StationRegistryProvider, { useStationRegistry } from './StationRegistryProvider';
+import AddressLabel from './AddressLabel';
+import { loadStations } from '../utils/stationRegistry';
+
+const SAVED = '0x1111111111111111111111111111111111111111';
+const DEMO = '0x2222222222222222222222222222222222222222';
+
+let registry;
+
+/**
+ * Exposes the registry to the test and labels both addresses.
+ */
+function Consumer() {
+  registry = useStationRegistry();
+  return (
+    <>
+      <AddressLabel address={SAVED} />
+      <AddressLabel address={DEMO} />
+    </>
+  );
+}
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('demo stations name addresses without being saved', () => {
+  render(<StationRegistryProvider><Consumer /></StationRegistryProvider>);
+  act(() => registry.saveStation({ address: SAVED, name: 'Main Warehouse' }));
+  act(() => registry.showDemoStations([{ address: DEMO, name: 'North Hub' }]));
+
+  expect(screen.getByText('Main Warehouse')).toBeInTheDocument();
+  expect(screen.getByText('North Hub')).toBeInTheDocument();
+  expect(Object.keys(registry.savedStations)).toEqual([SAVED]);
+  expect(Object.keys(loadStations())).toEqual([SAVED]);
+
+  act(() => registry.showDemoStations([]));
+  expect(screen.queryByText('North Hub')).not.toBeInTheDocument();
+  expect(screen.getByText('Main Warehouse')).toBeInTheDocument();
+});
@@ -0,0 +1,50 @@
+// src/components/TransactionHistory.js
+
+import React from 'react';
+import { TX_STATES } from '../utils/transactions';
+import { useTransactions } from './TransactionProvider';
+import '../App.css';
+
+// Bootstrap badge colour for each lifecycle state
+const STATE_BADGES = {
+  [TX_STATES.SIMULATING]: 'bg-secondary',
+  [TX_STATES.AWAITING_SIGNATURE]: 'bg-info',
+  [TX_STATES.SUBMITTED]: 'bg-primary',
+  [TX_STATES.MINED]: 'bg-primary',
+  [TX_STATES.CONFIRMED]: 'bg-success',
+  [TX_STATES.FAILED]: 'bg-danger',
+};
+
+/**
+ * Panel listing the transactions sent during this session, newest first,
+ * with their lifecycle state, hash and failure reason.
+ */
+function TransactionHistory() {
+  const { transactions } = useTransactions();
+
+  if (transactions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-5">
+      <h2 style = {{fontFamily: "Creato-Bold"}}>Recent Transactions</h2>
+      <ul className="list-group">
+        {transactions.map((tx) => (
+          <li key={tx.id} className="list-group-item">
+            <span className={`badge ${STATE_BADGES[tx.state] || 'bg-secondary'} me-2`}>{tx.state}</span>
+            <strong style = {{fontFamily: "Creato-Light"}}>{tx.label}</strong>{' '}
+            <small className="text-muted">{new Date(tx.startedAt).toLocaleTimeString()}</small>
+            {tx.hash && <div><small>Hash: {tx.hash}</small></div>}
+            {tx.blockNumber !== undefined && (
+              <div><small>Block {tx.blockNumber}, gas used {tx.gasUsed.toString()}</small></div>
+            )}
+            {tx.error && <div className="text-danger"><small>{tx.error}</small></div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TransactionHistory;
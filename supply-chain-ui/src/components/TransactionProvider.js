@@ -0,0 +1,56 @@
+// src/components/TransactionProvider.js
+
+import React, { createContext, useCallback, useContext, useState } from 'react';
+import { runTransaction } from '../utils/transactions';
+
+const TransactionContext = createContext({ transactions: [], send: null });
+
+/**
+ * Sends contract transactions for every component below it and keeps a history
+ * of the transactions sent during this session.
+ *
+ * Props:
+ * - confirmations: Number of blocks after which a mined transaction counts as confirmed.
+ * - children: The components that can send transactions.
+ */
+function TransactionProvider({ confirmations, children }) {
+  // Transactions sent this session, newest first
+  const [transactions, setTransactions] = useState([]);
+
+  /**
+   * Sends a contract transaction and records its lifecycle in the history.
+   *
+   * @param {Object} contract - The instance of the smart contract.
+   * @param {string} method - The contract function to call.
+   * @param {Array} args - The function arguments.
+   * @param {string} label - A short description shown in the history, e.g. "Create shipment 5".
+   * @returns {Promise<Object>} The transaction receipt.
+   * @throws {TransactionError} If the transaction is rejected, reverts or fails.
+   */
+  const send = useCallback((contract, method, args, label) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setTransactions((current) => [{ id, label, method, startedAt: Date.now() }, ...current]);
+
+    const onUpdate = (update) => {
+      setTransactions((current) => current.map((tx) => (tx.id === id ? { ...tx, ...update } : tx)));
+    };
+    return runTransaction(contract, method, args, { confirmations, onUpdate });
+  }, [confirmations]);
+
+  return (
+    <TransactionContext.Provider value={{ transactions, send }}>
+      {children}
+    </TransactionContext.Provider>
+  );
+}
+
+/**
+ * Returns the session's transaction history and the function to send transactions.
+ *
+ * @returns {Object} { transactions, send }
+ */
+export function useTransactions() {
+  return useContext(TransactionContext);
+}
+
+export default TransactionProvider;
@@ -0,0 +1,85 @@
+// src/config/networks.js
+
+/**
+ * Network and contract configuration.
+ * Values are read from REACT_APP_* environment variables (see .env) so each
+ * teammate can point the UI at their own deployment via .env.local instead of
+ * editing source files.
+ */
+const NETWORKS = {
+  ganache: {
+    key: 'ganache',
+    name: 'Local Ganache',
+    chainId: Number(process.env.REACT_APP_GANACHE_CHAIN_ID || 1337),
+    rpcUrl: process.env.REACT_APP_GANACHE_RPC_URL || 'http://127.0.0.1:7545',
+    contractAddress: process.env.REACT_APP_GANACHE_CONTRACT_ADDRESS || '',
+    // Ganache only mines a block per transaction, so waiting for more would never finish
+    confirmations: Number(process.env.REACT_APP_GANACHE_CONFIRMATIONS || 1),
+    // REST API of the indexer (see indexer/server.js) to load shipment lists from, '' to read the chain
+    indexerUrl: process.env.REACT_APP_GANACHE_INDEXER_URL || '',
+  },
+  testnet: {
+    key: 'testnet',
+    name: process.env.REACT_APP_TESTNET_NAME || 'Sepolia Testnet',
+    chainId: Number(process.env.REACT_APP_TESTNET_CHAIN_ID || 11155111),
+    rpcUrl: process.env.REACT_APP_TESTNET_RPC_URL || '',
+    contractAddress: process.env.REACT_APP_TESTNET_CONTRACT_ADDRESS || '',
+    confirmations: Number(process.env.REACT_APP_TESTNET_CONFIRMATIONS || 2),
+    indexerUrl: process.env.REACT_APP_TESTNET_INDEXER_URL || '',
+  },
+  // A chain simulated in the browser with the contract already deployed (see src/utils/demoChain.js)
+  demo: {
+    key: 'demo',
+    name: 'Offline Demo',
+    chainId: 1337,
+    rpcUrl: '',
+    contractAddress: '',
+    confirmations: 1,
+    indexerUrl: '',
+    demo: true,
+  },
+};
+
+// Key of the network used when the user has not picked one yet
+export const DEFAULT_NETWORK = NETWORKS[process.env.REACT_APP_NETWORK] ? process.env.REACT_APP_NETWORK : 'ganache';
+
+// localStorage key remembering the network the user last selected
+const SELECTED_NETWORK_KEY = 'chainmail.network';
+
+/**
+ * Returns the configuration of every known network.
+ *
+ * @returns {Array} The list of network configurations.
+ */
+export function getNetworks() {
+  return Object.values(NETWORKS);
+}
+
+/**
+ * Returns the configuration for a network.
+ *
+ * @param {string} key - The network key (e.g. "ganache").
+ * @returns {Object} The network configuration, or the default network's if the key is unknown.
+ */
+export function getNetworkConfig(key) {
+  return NETWORKS[key] || NETWORKS[DEFAULT_NETWORK];
+}
+
+/**
+ * Returns the key of the network the user last selected, falling back to the default.
+ *
+ * @returns {string} The selected network key.
+ */
+export function loadSelectedNetwork() {
+  const stored = window.localStorage.getItem(SELECTED_NETWORK_KEY);
+  return NETWORKS[stored] ? stored : DEFAULT_NETWORK;
+}
+
+/**
+ * Remembers the network the user selected across reloads.
+ *
+ * @param {string} key - The network key.
+ */
+export function saveSelectedNetwork(key) {
+  window.localStorage.setItem(SELECTED_NETWORK_KEY, key);
+}
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+import { ZeroHash, sha256, toUtf8Bytes } from 'ethers';
+import { Role } from '../utils/roles';
+import { DamageCategory } from '../utils/damage';
+import { fetchDamageEvidence } from '../utils/evidence';
+import { fetchEvents } from '../utils/shipmentIndex';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+
+const PHOTO = sha256(toUtf8Bytes('photo of crushed boxes'));
+const SURVEY = sha256(toUtf8Bytes('surveyor report'));
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1 has passed both stations; stationA reported damage
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+  await (await contract.connect(stationA).reportDamage(1, 4, 'crushed boxes', DamageCategory.Accident)).wait();
+});
+
+test('stations attach the hashes of their evidence to their damage report', async () => {
+  await (await contract.connect(stationA).attachDamageEvidence(1, [PHOTO, SURVEY], ['https://files.example.com/1/photo.jpg', ''])).wait();
+  await (await contract.connect(stationB).reportDamage(1, 2, 'wet', DamageCategory.Spoilage)).wait();
+  await (await contract.connect(stationB).attachDamageEvidence(1, [PHOTO], [''])).wait();
+
+  expect(await fetchDamageEvidence(contract, '1')).toEqual([
+    { reporter: stationA.address, contentHash: PHOTO, uri: 'https://files.example.com/1/photo.jpg' },
+    { reporter: stationA.address, contentHash: SURVEY, uri: '' },
+    { reporter: stationB.address, contentHash: PHOTO, uri: '' },
+  ]);
+  const attached = (await fetchEvents(contract, { shipmentId: '1' })).filter((event) => event.name === 'DamageEvidenceAttached');
+  expect(attached.map((event) => [event.args.reporter, event.args.contentHash])).toEqual([
+    [stationA.address, PHOTO], [stationA.address, SURVEY], [stationB.address, PHOTO],
+  ]);
+});
+
+test('evidence stays attached when the report is amended', async () => {
+  await (await contract.connect(stationA).attachDamageEvidence(1, [PHOTO], [''])).wait();
+  await (await contract.connect(stationA).reportDamage(1, 0, 'false alarm', DamageCategory.Unspecified)).wait();
+
+  expect(await fetchDamageEvidence(contract, '1')).toHaveLength(1);
+});
+
+test('evidence needs a damage report and a content hash per file', async () => {
+  await expectRevert(contract, stationB, 'attachDamageEvidence', [1, [PHOTO], ['']], 'Report damage before attaching evidence');
+  await expectRevert(contract, stationA, 'attachDamageEvidence', [1, [], []], 'Attach at least one file');
+  await expectRevert(contract, stationA, 'attachDamageEvidence', [1, [PHOTO, SURVEY], ['']], 'Every file needs a URI, which may be empty');
+  await expectRevert(contract, stationA, 'attachDamageEvidence', [1, [ZeroHash], ['']], 'Content hash cannot be empty');
+  await expectRevert(contract, stationA, 'attachDamageEvidence', [2, [PHOTO], ['']], 'Shipment does not exist');
+  expect(await fetchDamageEvidence(contract, '1')).toEqual([]);
+});
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import { Role } from '../utils/roles';
+import { LegState, assessLegs, computeOnTimeRates, fetchArrivalTimes } from '../utils/sla';
+import { buildShipmentIndex, readShipment } from '../utils/shipmentIndex';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+const HOUR = 3600;
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let outsider;
+let start; // Block time when shipment 1 was created
+
+const chain = setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1: through stationA then stationB
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address])).wait();
+  start = (await deployed.provider.getBlock('latest')).timestamp;
+});
+
+/**
+ * Moves the chain's clock forward and mines a block at the new time.
+ */
+async function advanceTime(seconds) {
+  await chain.provider.send('evm_increaseTime', [seconds]);
+  await chain.provider.send('evm_mine', []);
+}
+
+/**
+ * Progresses a shipment as a station and returns the time of the block it was mined in.
+ */
+async function progressAt(station, shipmentId) {
+  const receipt = await (await contract.connect(station).progressToNextStation(shipmentId)).wait();
+  return (await chain.provider.getBlock(receipt.blockNumber)).timestamp;
+}
+
+/**
+ * Assesses every leg of every shipment the way the dashboard does, as of a block time.
+ */
+async function assessAll(now) {
+  const { shipments, events } = await buildShipmentIndex(contract);
+  const arrivals = await fetchArrivalTimes(contract, events);
+  return Object.fromEntries(shipments.map((shipment) => [shipment.id, assessLegs(shipment, arrivals.get(shipment.id), now)]));
+}
+
+test('only the owner sets deadlines, in route order, before the shipment is finished', async () => {
+  await expectRevert(contract, outsider, 'setDeadlines', [1, start + 10 * HOUR, []], 'Only the owner can set deadlines');
+  await expectRevert(contract, shipper, 'setDeadlines', [1, 0, [start + HOUR]], 'Station deadlines must match the transit stations');
+  await expectRevert(contract, shipper, 'setDeadlines', [1, 0, [start + 2 * HOUR, start + HOUR]], 'Deadlines must not decrease along the route');
+  await expectRevert(contract, shipper, 'setDeadlines', [1, start + HOUR, [0, start + 2 * HOUR]], 'Deadlines must not decrease along the route');
+
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+  await expectRevert(contract, shipper, 'setDeadlines', [1, start + HOUR, []], 'Shipment is already delivered or cancelled');
+});
+
+test('deadlines are stored on chain and can be replaced', async () => {
+  await (await contract.setDeadlines(1, start + 10 * HOUR, [start + HOUR, 0])).wait();
+  let shipment = await readShipment(contract, '1');
+  expect(shipment.deliveryDeadline).toBe(start + 10 * HOUR);
+  expect(shipment.stationDeadlines).toEqual([start + HOUR, null]);
+
+  await (await contract.setDeadlines(1, start + 12 * HOUR, [])).wait();
+  shipment = await readShipment(contract, '1');
+  expect(shipment.deliveryDeadline).toBe(start + 12 * HOUR);
+  expect(shipment.stationDeadlines).toEqual([]);
+
+  const { events } = await buildShipmentIndex(contract);
+  expect(events.filter((event) => event.name === 'DeadlinesSet')).toHaveLength(2);
+});
+
+test('shipments can be created with their deadlines in one transaction', async () => {
+  const create = (id, deliveryDeadline, stationDeadlines) => [
+    id, 'PO-2', 'Factory A', 'Store C', 5, [stationA.address, stationB.address], deliveryDeadline, stationDeadlines, [],
+  ];
+  await expectRevert(contract, shipper, 'createShipmentWithDeadlines', create(2, 0, [start + HOUR]), 'Station deadlines must match the transit stations');
+  await expectRevert(contract, shipper, 'createShipmentWithDeadlines', create(2, start + HOUR, [0, start + 2 * HOUR]), 'Deadlines must not decrease along the route');
+
+  await (await contract.createShipmentWithDeadlines(...create(2, start + 3 * HOUR, [start + HOUR, 0]))).wait();
+  expect(await readShipment(contract, '2')).toMatchObject({
+    reference: 'PO-2',
+    deliveryDeadline: start + 3 * HOUR,
+    stationDeadlines: [start + HOUR, null],
+  });
+
+  // Without deadlines, nothing is recorded for them
+  await (await contract.createShipmentWithDeadlines(...create(3, 0, []))).wait();
+  const { events } = await buildShipmentIndex(contract);
+  expect(events.filter((event) => event.name === 'DeadlinesSet').map((event) => event.shipmentId)).toEqual(['2']);
+});
+
+test('legs are judged by check-in time, and stations get on-time rates', async () => {
+  // Shipment 1 expects stationA within an hour and delivery within three
+  await (await contract.setDeadlines(1, start + 3 * HOUR, [start + HOUR, 0])).wait();
+  // Shipment 2 only has a delivery deadline, two hours out
+  await (await contract.createShipment(2, 'Factory A', 'Store C', 5, [stationA.address, stationB.address])).wait();
+  await (await contract.setDeadlines(2, start + 2 * HOUR, [])).wait();
+
+  let legs = await assessAll(await progressAt(stationA, 1));
+  expect(legs['1'].map((leg) => leg.state)).toEqual([LegState.OnTime, LegState.Upcoming]);
+  expect(legs['2'].map((leg) => leg.state)).toEqual([null, LegState.Upcoming]);
+
+  await advanceTime(2.5 * HOUR);
+  legs = await assessAll(await progressAt(stationB, 1));
+  expect(legs['1'].map((leg) => leg.state)).toEqual([LegState.OnTime, LegState.OnTime]);
+  expect(legs['2'].map((leg) => leg.state)).toEqual([null, LegState.Overdue]);
+
+  await progressAt(stationA, 2);
+  legs = await assessAll(await progressAt(stationB, 2));
+  expect(legs['2'].map((leg) => leg.state)).toEqual([null, LegState.Late]);
+
+  expect(computeOnTimeRates(Object.values(legs))).toEqual([
+    { station: stationB.address, onTime: 1, late: 1, rate: 0.5 },
+    { station: stationA.address, onTime: 1, late: 0, rate: 1 },
+  ]);
+});
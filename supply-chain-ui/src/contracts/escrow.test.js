@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import { parseEther } from 'ethers';
+import { Role } from '../utils/roles';
+import { PayoutKind, buildSettlement, fetchEscrow, listPayouts } from '../utils/escrow';
+import { fetchEvents } from '../utils/shipmentIndex';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let outsider;
+
+const chain = setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1: 100 items through stationA then stationB, with 1 ETH escrowed and fees of 0.1 and 0.2 ETH
+  await (await contract.createShipmentWithEscrow(
+    1, '', 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address],
+    [parseEther('0.1'), parseEther('0.2')], { value: parseEther('1') }
+  )).wait();
+});
+
+/**
+ * Progresses shipment 1 through both stations, which delivers it.
+ */
+async function deliver() {
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+}
+
+test('station fees are released as the stations check the shipment in', async () => {
+  expect(await fetchEscrow(contract, 1)).toEqual({
+    deposit: parseEther('1'), balance: parseEther('1'), stationFees: [parseEther('0.1'), parseEther('0.2')], settled: false,
+  });
+
+  await deliver();
+
+  expect(await contract.payments(stationA.address)).toBe(parseEther('0.1'));
+  expect(await contract.payments(stationB.address)).toBe(parseEther('0.2'));
+  expect((await fetchEscrow(contract, 1)).balance).toBe(parseEther('0.7'));
+});
+
+test('the balance is settled between the stations less their damage deductions', async () => {
+  await deliver();
+  await (await contract.connect(stationA).reportDamage(1, 20, 'Crushed', 0)).wait();
+  await (await contract.connect(stationB).reportDamage(1, 10, 'Wet', 0)).wait();
+
+  await expectRevert(contract, outsider, 'settleEscrow', [1], 'Only the owner or the recipient can settle');
+  await (await contract.settleEscrow(1)).wait();
+  await expectRevert(contract, shipper, 'settleEscrow', [1], 'Escrow has already been settled');
+
+  // 0.35 ETH each, less 0.7 ETH times the fraction of the items each reported damaged
+  const events = await fetchEvents(contract, { shipmentId: '1' });
+  expect(buildSettlement([stationA.address, stationB.address], events)).toEqual({
+    balance: parseEther('0.7'),
+    share: parseEther('0.35'),
+    refund: parseEther('0.21'),
+    stations: [
+      { station: stationA.address, share: parseEther('0.35'), deduction: parseEther('0.14'), payout: parseEther('0.21') },
+      { station: stationB.address, share: parseEther('0.35'), deduction: parseEther('0.07'), payout: parseEther('0.28') },
+    ],
+  });
+  expect(listPayouts(events).map((payout) => payout.kind)).toEqual([
+    PayoutKind.StationFee, PayoutKind.StationFee, PayoutKind.Settlement, PayoutKind.Settlement, PayoutKind.Refund,
+  ]);
+  expect(await contract.payments(stationB.address)).toBe(parseEther('0.48'));
+  expect(await fetchEscrow(contract, 1)).toMatchObject({ balance: 0n, settled: true });
+
+  // Payees withdraw what was released to them
+  const receipt = await (await contract.connect(stationB).withdrawPayments()).wait();
+  const before = await chain.provider.getBalance(stationB.address, receipt.blockNumber - 1);
+  const gas = receipt.gasUsed * receipt.gasPrice;
+  expect(await chain.provider.getBalance(stationB.address, receipt.blockNumber)).toBe(before + parseEther('0.48') - gas);
+  expect(await contract.payments(stationB.address)).toBe(0n);
+  await expectRevert(contract, stationB, 'withdrawPayments', [], 'No payments to withdraw');
+});
+
+test('the escrow is only settled once the shipment is delivered', async () => {
+  await expectRevert(contract, shipper, 'settleEscrow', [1], 'Shipment has not been delivered');
+  await (await contract.createShipment(2, 'Factory A', 'Warehouse B', 10, [stationA.address])).wait();
+  await expectRevert(contract, shipper, 'settleEscrow', [2], 'Shipment has no escrow');
+});
+
+test('cancelling a shipment refunds what is still escrowed to the owner', async () => {
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.cancelShipment(1, 'Order withdrawn')).wait();
+
+  expect(await contract.payments(shipper.address)).toBe(parseEther('0.9'));
+  expect(await fetchEscrow(contract, 1)).toMatchObject({ balance: 0n, settled: true });
+});
+
+test('the deposit must cover the station fees', async () => {
+  const create = (fees, value) => [
+    0, '', 'Factory A', 'Warehouse B', 10, [stationA.address], fees, { value },
+  ];
+  await expectRevert(contract, shipper, 'createShipmentWithEscrow', create([], parseEther('1')), 'Station fees must match the transit stations');
+  await expectRevert(contract, shipper, 'createShipmentWithEscrow', create([parseEther('2')], parseEther('1')), 'Station fees exceed the deposit');
+  await expectRevert(contract, shipper, 'createShipmentWithEscrow', create([0], 0), 'Escrow deposit must be greater than zero');
+});
+
+test('a station is listed once, so it gets one share of the escrow', async () => {
+  const route = [stationA.address, stationB.address, stationA.address];
+  await expectRevert(
+    contract, shipper, 'createShipmentWithEscrow', [0, '', 'Factory A', 'Warehouse B', 10, route, [0, 0, 0], { value: parseEther('1') }],
+    'Every transit station must be listed once'
+  );
+  await expectRevert(contract, shipper, 'createShipment', [0, 'A', 'B', 10, route], 'Every transit station must be listed once');
+  await expectRevert(
+    contract, shipper, 'createShipments', [[0], ['A'], ['B'], [10], [[stationB.address, stationB.address]], [0], [[]]],
+    'Every transit station must be listed once'
+  );
+});
+
+test('amending the route keeps the replaced stations\' fees in escrow', async () => {
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.amendRoute(1, [stationB.address], 'Same station, new terms')).wait();
+
+  expect((await fetchEscrow(contract, 1)).stationFees).toEqual([parseEther('0.1'), 0n]);
+
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+  expect(await contract.payments(stationB.address)).toBe(0n);
+  expect((await fetchEscrow(contract, 1)).balance).toBe(parseEther('0.9'));
+});
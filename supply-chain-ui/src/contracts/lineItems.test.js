@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import { parseEther } from 'ethers';
+import { Role } from '../utils/roles';
+import { DamageCategory, fetchDamageReports } from '../utils/damage';
+import { fetchEscrow } from '../utils/escrow';
+import { fetchLineItems } from '../utils/lineItems';
+import { fetchReceipt } from '../utils/receipt';
+import { readShipment } from '../utils/shipmentIndex';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let outsider;
+
+const LINE_ITEMS = [
+  { sku: 'SKU-1', description: 'Ceramic mugs', quantity: 60n, unit: 'pcs' },
+  { sku: 'SKU-2', description: 'Coffee beans', quantity: 40n, unit: 'kg' },
+];
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1: two line items through stationA then stationB
+  await (await contract.createShipmentWithLineItems(
+    1, 'PO-1', 'Factory A', 'Warehouse B', [stationA.address, stationB.address], LINE_ITEMS, 0, [], []
+  )).wait();
+});
+
+/**
+ * Progresses shipment 1 through both stations, which delivers it.
+ */
+async function deliver() {
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+}
+
+test('the shipment quantity is the total of its line items', async () => {
+  expect((await readShipment(contract, '1')).quantity).toBe(100n);
+  expect(await fetchLineItems(contract, '1')).toEqual([
+    { ...LINE_ITEMS[0], damaged: 0n, accepted: null, rejected: null },
+    { ...LINE_ITEMS[1], damaged: 0n, accepted: null, rejected: null },
+  ]);
+});
+
+test('line items must have a SKU and a quantity', async () => {
+  const create = (lineItems) => [2, '', 'Factory A', 'Warehouse B', [stationA.address], lineItems, 0, [], []];
+
+  await expectRevert(contract, shipper, 'createShipmentWithLineItems', create([]), 'A shipment needs at least one line item');
+  await expectRevert(contract, shipper, 'createShipmentWithLineItems', create([{ ...LINE_ITEMS[0], sku: '' }]), 'Every line item needs a SKU');
+  await expectRevert(contract, shipper, 'createShipmentWithLineItems', create([{ ...LINE_ITEMS[0], quantity: 0n }]), 'Line item quantities must be greater than zero');
+  await expectRevert(contract, outsider, 'createShipmentWithLineItems', create(LINE_ITEMS), 'Only shippers can create shipments');
+});
+
+test('shipments with line items can escrow payment', async () => {
+  await (await contract.createShipmentWithLineItems(
+    2, '', 'Factory A', 'Warehouse B', [stationA.address], LINE_ITEMS, 0, [], [parseEther('0.1')], { value: parseEther('1') }
+  )).wait();
+
+  expect(await fetchEscrow(contract, 2)).toMatchObject({ deposit: parseEther('1'), stationFees: [parseEther('0.1')] });
+  expect(await fetchEscrow(contract, 1)).toBeNull();
+});
+
+test('stations report and amend damage per line item', async () => {
+  await deliver();
+  await (await contract.connect(stationA).reportLineItemDamage(1, [3, 0], 'chipped', DamageCategory.Packing)).wait();
+  await (await contract.connect(stationB).reportLineItemDamage(1, [1, 5], 'wet sacks', DamageCategory.Spoilage)).wait();
+
+  expect((await readShipment(contract, '1')).totDamagedQuantity).toBe(9n);
+  expect((await fetchLineItems(contract, '1')).map((item) => item.damaged)).toEqual([4n, 5n]);
+  expect(await fetchDamageReports(contract, '1')).toEqual([
+    { address: stationA.address, damagedQuantity: 3n, explanation: 'chipped', category: DamageCategory.Packing, lineItemQuantities: [3n, 0n] },
+    { address: stationB.address, damagedQuantity: 6n, explanation: 'wet sacks', category: DamageCategory.Spoilage, lineItemQuantities: [1n, 5n] },
+  ]);
+
+  // Amending replaces the station's quantities rather than adding to them
+  await (await contract.connect(stationA).reportLineItemDamage(1, [0, 2], 'wet sacks', DamageCategory.Spoilage)).wait();
+  expect((await fetchLineItems(contract, '1')).map((item) => item.damaged)).toEqual([1n, 7n]);
+  expect((await readShipment(contract, '1')).totDamagedQuantity).toBe(8n);
+});
+
+test('damage on shipments with line items must be reported per line item', async () => {
+  await deliver();
+
+  await expectRevert(contract, stationA, 'reportDamage', [1, 3, 'chipped', DamageCategory.Packing], 'Report damage per line item');
+  await expectRevert(contract, stationA, 'reportLineItemDamage', [1, [3], 'chipped', DamageCategory.Packing], 'Damaged quantities must match the line items');
+  await expectRevert(contract, stationA, 'reportLineItemDamage', [1, [0, 41], 'spilled', DamageCategory.Spoilage], "Damaged quantity cannot exceed the line item's quantity");
+  await expectRevert(contract, stationA, 'reportLineItemDamage', [1, [0, 0], 'nothing', DamageCategory.Unspecified], 'Damaged quantity must be greater than zero');
+  await expectRevert(contract, outsider, 'reportLineItemDamage', [1, [1, 0], 'chipped', DamageCategory.Packing], 'Station has not been passed yet');
+});
+
+test('shipments without line items keep reporting a single quantity', async () => {
+  await (await contract.createShipmentWithReference(2, '', 'Factory A', 'Warehouse B', 10, [stationA.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(2)).wait();
+
+  expect(await fetchLineItems(contract, '2')).toEqual([]);
+  await expectRevert(contract, stationA, 'reportLineItemDamage', [2, [1], 'chipped', DamageCategory.Packing], 'Shipment has no line items');
+  await expectRevert(contract, stationA, 'confirmLineItemReceipt', [2, [9], [1], ''], 'Shipment has no line items');
+});
+
+test('the recipient confirms receipt per line item', async () => {
+  await deliver();
+  await (await contract.connect(stationA).reportLineItemDamage(1, [2, 0], 'chipped', DamageCategory.Packing)).wait();
+
+  await expectRevert(contract, shipper, 'confirmLineItemReceipt', [1, [58], [2], ''], 'Quantities must match the line items');
+  await expectRevert(contract, shipper, 'confirmLineItemReceipt', [1, [59, 40], [2, 0], ''], "Accepted and rejected quantities cannot exceed a line item's quantity");
+  await expectRevert(contract, outsider, 'confirmLineItemReceipt', [1, [58, 40], [2, 0], ''], 'Only the recipient can confirm receipt');
+
+  await (await contract.confirmLineItemReceipt(1, [58, 38], [2, 0], 'two sacks short')).wait();
+
+  expect(await fetchReceipt(contract, '1')).toMatchObject({ confirmed: true, acceptedQuantity: 96n, rejectedQuantity: 2n });
+  expect((await fetchLineItems(contract, '1')).map(({ accepted, rejected }) => [accepted, rejected])).toEqual([[58n, 2n], [38n, 0n]]);
+});
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import { DamageCategory } from '../utils/damage';
+import { Role } from '../utils/roles';
+import { fetchReceipt, reconcileReceipt } from '../utils/receipt';
+import { readShipment } from '../utils/shipmentIndex';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let recipient;
+let outsider;
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, recipient, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1: 100 items through stationA then stationB, addressed to recipient
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address])).wait();
+  await (await contract.setRecipient(1, recipient.address)).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+});
+
+/**
+ * Delivers shipment 1 by checking in at its last station.
+ */
+async function deliver() {
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+}
+
+test('only the owner names the recipient, and only before delivery', async () => {
+  await expectRevert(contract, recipient, 'setRecipient', [1, outsider.address], 'Only the owner can set the recipient');
+  expect((await fetchReceipt(contract, '1')).recipient).toBe(recipient.address);
+
+  await deliver();
+  await expectRevert(contract, shipper, 'setRecipient', [1, outsider.address], 'Shipment is already delivered or cancelled');
+});
+
+test('the owner confirms receipt when no recipient was named', async () => {
+  await (await contract.createShipment(2, 'Factory A', 'Store C', 5, [stationA.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(2)).wait();
+
+  expect((await fetchReceipt(contract, '2')).recipient).toBe(shipper.address);
+  await (await contract.confirmReceipt(2, 5, 0, '')).wait();
+  expect((await fetchReceipt(contract, '2')).confirmed).toBe(true);
+});
+
+test('receipt can only be confirmed once, by the recipient, after delivery', async () => {
+  await expectRevert(contract, recipient, 'confirmReceipt', [1, 100, 0, ''], 'Shipment has not been delivered');
+  await deliver();
+  await expectRevert(contract, shipper, 'confirmReceipt', [1, 100, 0, ''], 'Only the recipient can confirm receipt');
+  await expectRevert(contract, recipient, 'confirmReceipt', [1, 90, 11, ''], 'Accepted and rejected quantities cannot exceed shipped quantity');
+
+  await (await contract.connect(recipient).confirmReceipt(1, 100, 0, 'all good')).wait();
+  await expectRevert(contract, recipient, 'confirmReceipt', [1, 100, 0, ''], 'Receipt has already been confirmed');
+  expect(await fetchReceipt(contract, '1')).toMatchObject({
+    confirmed: true, acceptedQuantity: 100n, rejectedQuantity: 0n, notes: 'all good', disputed: false,
+  });
+});
+
+test('a receipt that matches the damage reports cannot be disputed', async () => {
+  await (await contract.connect(stationA).reportDamage(1, 4, 'crushed', DamageCategory.Accident)).wait();
+  await deliver();
+  await (await contract.connect(recipient).confirmReceipt(1, 96, 4, '')).wait();
+
+  const shipment = await readShipment(contract, '1');
+  expect(reconcileReceipt(shipment, 96n, 4n)).toEqual({ expectedAccepted: 96n, expectedRejected: 4n, missing: 0n, discrepancies: [] });
+  await expectRevert(contract, recipient, 'raiseDispute', [1, 'short'], 'Receipt matches the shipment records');
+});
+
+test('a partial delivery is reconciled and disputed', async () => {
+  await (await contract.connect(stationA).reportDamage(1, 4, 'crushed', DamageCategory.Accident)).wait();
+  await deliver();
+  await expectRevert(contract, recipient, 'raiseDispute', [1, 'short'], 'Receipt has not been confirmed');
+  await (await contract.connect(recipient).confirmReceipt(1, 90, 6, 'two pallets short')).wait();
+
+  const shipment = await readShipment(contract, '1');
+  const { missing, discrepancies } = reconcileReceipt(shipment, 90n, 6n);
+  expect(missing).toBe(4n);
+  expect(discrepancies).toEqual([
+    '4 of the 100 shipped items are missing.',
+    '6 items were rejected, but stations reported 4 damaged.',
+  ]);
+
+  await expectRevert(contract, outsider, 'raiseDispute', [1, 'short'], 'Only the recipient or the owner can raise a dispute');
+  await expectRevert(contract, shipper, 'raiseDispute', [1, ''], 'A dispute reason is required');
+  await (await contract.raiseDispute(1, '4 items never arrived')).wait();
+  await expectRevert(contract, recipient, 'raiseDispute', [1, 'short'], 'A dispute has already been raised');
+  expect(await fetchReceipt(contract, '1')).toMatchObject({
+    disputed: true, disputedBy: shipper.address, disputeReason: '4 items never arrived',
+  });
+});
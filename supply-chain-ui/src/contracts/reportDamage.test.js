@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import { DamageCategory } from '../utils/damage';
+import { Role } from '../utils/roles';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let outsider;
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+
+  // Shipment 1: 100 items through stationA then stationB, both already passed
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+});
+
+/**
+ * Reports damage on shipment 1 as a station and waits for it to be mined.
+ */
+async function report(station, quantity, reason = 'crushed', category = DamageCategory.Unspecified) {
+  return (await contract.connect(station).reportDamage(1, quantity, reason, category)).wait();
+}
+
+/**
+ * Expects a damage report on shipment 1 to revert with a reason.
+ */
+async function expectReportToRevert(station, quantity, reason) {
+  await expectRevert(contract, station, 'reportDamage', [1, quantity, 'crushed', DamageCategory.Unspecified], reason);
+}
+
+async function totalDamaged() {
+  return (await contract.getShipmentDetails(1)).totDamagedQuantity;
+}
+
+test('a first report adds to the total and lists the reporter', async () => {
+  await report(stationA, 10, 'wet boxes', DamageCategory.Packing);
+
+  expect(await totalDamaged()).toBe(10n);
+  const [reporters, quantities, reasons, categories] = await contract.getDamageReports(1);
+  expect([...reporters]).toEqual([stationA.address]);
+  expect([...quantities]).toEqual([10n]);
+  expect([...reasons]).toEqual(['wet boxes']);
+  expect(categories.map(Number)).toEqual([DamageCategory.Packing]);
+});
+
+test('amending a report adjusts the total by the difference', async () => {
+  await report(stationA, 10);
+  await report(stationB, 5);
+
+  await report(stationA, 25, 'more found', DamageCategory.Accident);
+  expect(await totalDamaged()).toBe(30n);
+
+  await report(stationA, 4);
+  expect(await totalDamaged()).toBe(9n);
+
+  // The amending station is still listed only once
+  const [reporters, quantities] = await contract.getDamageReports(1);
+  expect([...reporters]).toEqual([stationA.address, stationB.address]);
+  expect([...quantities]).toEqual([4n, 5n]);
+});
+
+test('amending to zero withdraws the quantity but keeps the report', async () => {
+  await report(stationA, 10);
+  await report(stationA, 0, 'false alarm');
+
+  expect(await totalDamaged()).toBe(0n);
+  const [reporters, quantities, reasons] = await contract.getDamageReports(1);
+  expect([...reporters]).toEqual([stationA.address]);
+  expect([...quantities]).toEqual([0n]);
+  expect([...reasons]).toEqual(['false alarm']);
+
+  // Reporting again after withdrawing does not list the station twice
+  await report(stationA, 3);
+  expect([...(await contract.getDamageReports(1))[0]]).toEqual([stationA.address]);
+});
+
+test('a first report of zero is rejected', async () => {
+  await expectReportToRevert(stationA, 0, 'Damaged quantity must be greater than zero');
+});
+
+test('reported damage cannot exceed the shipped quantity', async () => {
+  await expectReportToRevert(stationA, 101, 'Total damaged quantity cannot exceed shipped quantity');
+
+  await report(stationA, 60);
+  await expectReportToRevert(stationB, 41, 'Total damaged quantity cannot exceed shipped quantity');
+  await report(stationB, 40);
+  expect(await totalDamaged()).toBe(100n);
+
+  // An amendment is checked against the total without the station's previous report
+  await expectReportToRevert(stationA, 61, 'Total damaged quantity cannot exceed shipped quantity');
+  await report(stationA, 50);
+  expect(await totalDamaged()).toBe(90n);
+});
+
+test('the event carries the category and the previous quantity', async () => {
+  await report(stationA, 10, 'rotten', DamageCategory.Spoilage);
+  const receipt = await report(stationA, 12, 'more rotten', DamageCategory.Spoilage);
+
+  const event = receipt.logs.map((log) => contract.interface.parseLog(log)).find((log) => log.name === 'DamageReported');
+  expect(event.args.shipmentId).toBe(1n);
+  expect(event.args.reporter).toBe(stationA.address);
+  expect(event.args.damagedQuantity).toBe(12n);
+  expect(event.args.previousQuantity).toBe(10n);
+  expect(Number(event.args.category)).toBe(DamageCategory.Spoilage);
+});
+
+test('only passed stations can report damage', async () => {
+  await expectReportToRevert(outsider, 1, 'Station has not been passed yet');
+  await expectReportToRevert(shipper, 1, 'Station has not been passed yet');
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import { Role, fetchRoleMembers, fetchRoles, findMissingRole } from '../utils/roles';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let admin;
+let shipper;
+let carrier;
+let auditor;
+let outsider;
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [admin, shipper, carrier, auditor, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [carrier]);
+  await grantRoles(contract, Role.Auditor, [auditor]);
+});
+
+test('the deployer is the first admin and roles can be read per account', async () => {
+  expect(await fetchRoles(contract, admin.address)).toEqual({ admin: true, shipper: false, carrier: false, auditor: false });
+  expect(await fetchRoles(contract, shipper.address)).toEqual({ admin: false, shipper: true, carrier: false, auditor: false });
+  expect(await fetchRoles(contract, null)).toEqual({ admin: false, shipper: false, carrier: false, auditor: false });
+});
+
+test('only admins manage roles', async () => {
+  await expectRevert(contract, shipper, 'grantRole', [Role.Shipper, outsider.address], 'Only an admin can manage roles');
+  await expectRevert(contract, shipper, 'revokeRole', [Role.Carrier, carrier.address], 'Only an admin can manage roles');
+  await expectRevert(contract, admin, 'grantRole', [Role.Shipper, shipper.address], 'Account already has this role');
+  await expectRevert(contract, admin, 'revokeRole', [Role.Shipper, outsider.address], 'Account does not have this role');
+});
+
+test('the last admin cannot be revoked', async () => {
+  await expectRevert(contract, admin, 'revokeRole', [Role.Admin, admin.address], 'Cannot revoke the last admin');
+
+  await grantRoles(contract, Role.Admin, [outsider]);
+  await (await contract.revokeRole(Role.Admin, admin.address)).wait();
+  expect(await contract.hasRole(Role.Admin, admin.address)).toBe(false);
+  expect(await contract.adminCount()).toBe(1n);
+});
+
+test('only shippers create shipments, and only through carriers', async () => {
+  await expectRevert(contract, outsider, 'createShipment', [1, 'A', 'B', 10, [carrier.address]], 'Only shippers can create shipments');
+  await expectRevert(contract, auditor, 'createShipment', [1, 'A', 'B', 10, [carrier.address]], 'Only shippers can create shipments');
+  await expectRevert(contract, shipper, 'createShipment', [1, 'A', 'B', 10, [outsider.address]], 'Every transit station must be a carrier');
+  await expectRevert(contract, shipper, 'createShipments', [[1], ['A'], ['B'], [10], [[auditor.address]], [0], [[]]], 'Every transit station must be a carrier');
+
+  await (await contract.connect(shipper).createShipment(1, 'A', 'B', 10, [carrier.address])).wait();
+  expect((await contract.getShipmentDetails(1)).transitStations).toEqual([carrier.address]);
+});
+
+test('a revoked carrier can no longer progress shipments or report damage', async () => {
+  await grantRoles(contract, Role.Carrier, [outsider]);
+  await (await contract.connect(shipper).createShipment(1, 'A', 'B', 10, [carrier.address, outsider.address])).wait();
+  await (await contract.connect(carrier).progressToNextStation(1)).wait();
+
+  await (await contract.revokeRole(Role.Carrier, carrier.address)).wait();
+  await (await contract.revokeRole(Role.Carrier, outsider.address)).wait();
+  await expectRevert(contract, carrier, 'reportDamage', [1, 1, 'dented', 0], 'Only carriers can report damage');
+  await expectRevert(contract, outsider, 'progressToNextStation', [1], 'Only carriers can progress shipments');
+});
+
+test('role members are rebuilt from the grant and revoke events', async () => {
+  await (await contract.revokeRole(Role.Auditor, auditor.address)).wait();
+  await grantRoles(contract, Role.Auditor, [shipper]);
+
+  expect(await fetchRoleMembers(contract)).toEqual([
+    { address: admin.address, roles: [Role.Admin] },
+    { address: shipper.address, roles: [Role.Shipper, Role.Auditor] },
+    { address: carrier.address, roles: [Role.Carrier] },
+  ]);
+  expect(await findMissingRole(contract, Role.Carrier, [carrier.address, shipper.address])).toEqual([shipper.address]);
+});
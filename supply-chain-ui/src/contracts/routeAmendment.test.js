@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+import { Role } from '../utils/roles';
+import { fetchRouteChanges } from '../utils/routeMap';
+import { fetchEvents, readShipment } from '../utils/shipmentIndex';
+import { fetchDeadlines } from '../utils/sla';
+import { expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let stationC;
+let outsider;
+
+const chain = setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, stationC, outsider] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB, stationC]);
+
+  // Shipment 1: through stationA then stationB, and already checked in at stationA
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+});
+
+test('the owner replaces the stations ahead and the change is recorded', async () => {
+  await (await contract.amendRoute(1, [stationC.address, stationB.address], 'Detour via C')).wait();
+
+  const shipment = await readShipment(contract, '1');
+  expect(shipment.transitStations).toEqual([stationA.address, stationC.address, stationB.address]);
+  expect(shipment.currentStationIndex).toBe(1);
+  expect(shipment.nextStation).toBe(stationC.address);
+
+  const changes = await fetchRouteChanges(contract, await fetchEvents(contract, { shipmentId: '1' }));
+  expect(changes).toEqual([{
+    fromIndex: 1,
+    previousStations: [stationB.address],
+    newStations: [stationC.address, stationB.address],
+    reason: 'Detour via C',
+    timestamp: expect.any(Number),
+  }]);
+
+  // The shipment follows the amended route
+  await expectRevert(contract, stationB, 'progressToNextStation', [1], 'Only the next station can call this function');
+  await (await contract.connect(stationC).progressToNextStation(1)).wait();
+  expect(await contract.hasPassedStation(1, stationC.address)).toBe(true);
+});
+
+test('stations can be removed from the route ahead', async () => {
+  await (await contract.createShipment(2, 'Factory A', 'Warehouse B', 10, [stationA.address, stationB.address, stationC.address])).wait();
+  await (await contract.amendRoute(2, [stationC.address], 'B is closed')).wait();
+
+  expect((await readShipment(contract, '2')).transitStations).toEqual([stationC.address]);
+});
+
+test('only the owner amends active routes, and never back to passed, repeated or non-carrier stations', async () => {
+  await expectRevert(contract, outsider, 'amendRoute', [1, [stationC.address], ''], 'Only the owner can amend the route');
+  await expectRevert(contract, shipper, 'amendRoute', [1, [], ''], 'The route needs at least one station ahead');
+  await expectRevert(contract, shipper, 'amendRoute', [1, [outsider.address], ''], 'Every transit station must be a carrier');
+  await expectRevert(contract, shipper, 'amendRoute', [1, [stationA.address], ''], 'The shipment has already passed this station');
+  await expectRevert(contract, shipper, 'amendRoute', [1, [stationC.address, stationA.address], ''], 'The shipment has already passed this station');
+  await expectRevert(
+    contract, shipper, 'amendRoute', [1, [stationC.address, stationB.address, stationC.address], ''], 'Every transit station must be listed once'
+  );
+  await expectRevert(contract, shipper, 'amendRoute', [42, [stationC.address], ''], 'Shipment does not exist');
+
+  await (await contract.cancelShipment(1, 'Order withdrawn')).wait();
+  await expectRevert(contract, shipper, 'amendRoute', [1, [stationC.address], ''], 'Shipment is already delivered or cancelled');
+});
+
+test('per-station deadlines of the replaced stations are dropped', async () => {
+  const now = (await chain.provider.getBlock('latest')).timestamp;
+  await (await contract.setDeadlines(1, now + 7200, [now + 3600, now + 7200])).wait();
+
+  await (await contract.amendRoute(1, [stationC.address, stationB.address], 'Detour via C')).wait();
+
+  const { deliveryDeadline, stationDeadlines } = await fetchDeadlines(contract, 1);
+  expect(deliveryDeadline).toBe(now + 7200);
+  expect(stationDeadlines).toEqual([now + 3600, null, null]);
+});
@@ -0,0 +1,218 @@
+/**
+ * @jest-environment node
+ */
+import SupplyChainManagement from './SupplyChainManagement.json';
+import SupplyChainManagementBytecode from './SupplyChainManagement.bytecode.json';
+import { DamageCategory, fetchDamageReports } from '../utils/damage';
+import { buildShipmentIndex, createdShipmentIds, fetchEvents, readShipment } from '../utils/shipmentIndex';
+import { ShippingStatus } from '../utils/status';
+import { runTransaction } from '../utils/transactions';
+import { Role } from '../utils/roles';
+import { compileContract, expectRevert, grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let stationC;
+let outsider;
+let otherShipper;
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, stationC, outsider, otherShipper] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper, otherShipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB, stationC]);
+
+  // Shipment 1: 100 items through stationA, stationB and stationC, not yet picked up
+  await (await contract.createShipment(
+    1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address, stationC.address]
+  )).wait();
+});
+
+/**
+ * Progresses shipment 1 as a station and waits for it to be mined.
+ */
+async function progress(station) {
+  return (await contract.connect(station).progressToNextStation(1)).wait();
+}
+
+test('the ABI shipped with the UI matches the contract source', () => {
+  expect(SupplyChainManagement).toEqual(compileContract().abi);
+});
+
+test('the bytecode shipped for the offline demo matches the contract source', () => {
+  expect(SupplyChainManagementBytecode.bytecode).toBe(compileContract().bytecode);
+});
+
+test('a shipment travels from creation to delivery', async () => {
+  let shipment = await readShipment(contract, '1');
+  expect(shipment).toMatchObject({
+    origin: 'Factory A',
+    destination: 'Warehouse B',
+    quantity: 100n,
+    status: ShippingStatus.Pending,
+    currentStationIndex: 0,
+    owner: shipper.address,
+    currentStation: null,
+    nextStation: stationA.address,
+  });
+
+  await progress(stationA);
+  shipment = await readShipment(contract, '1');
+  expect(shipment.status).toBe(ShippingStatus.InTransit);
+  expect(shipment.currentStation).toBe(stationA.address);
+  expect(shipment.nextStation).toBe(stationB.address);
+
+  await progress(stationB);
+  await progress(stationC);
+  shipment = await readShipment(contract, '1');
+  expect(shipment.status).toBe(ShippingStatus.Delivered);
+  expect(shipment.currentStationIndex).toBe(3);
+  expect(shipment.nextStation).toBeNull();
+
+  for (const station of [stationA, stationB, stationC]) {
+    expect(await contract.hasPassedStation(1, station.address)).toBe(true);
+  }
+  expect(await contract.hasPassedStation(1, outsider.address)).toBe(false);
+});
+
+test('only the next station can progress the shipment', async () => {
+  await expectRevert(contract, stationB, 'progressToNextStation', [1], 'Only the next station can call this function');
+  await expectRevert(contract, shipper, 'progressToNextStation', [1], 'Only the next station can call this function');
+
+  await progress(stationA);
+  await expectRevert(contract, stationA, 'progressToNextStation', [1], 'Only the next station can call this function');
+});
+
+test('a delivered shipment cannot progress or change status', async () => {
+  await progress(stationA);
+  await progress(stationB);
+  await progress(stationC);
+
+  await expectRevert(contract, stationC, 'progressToNextStation', [1], 'Shipment is not in transit');
+  await expectRevert(contract, shipper, 'updateStatus', [1, ShippingStatus.OnHold], 'Shipment is already delivered or cancelled');
+  await expectRevert(contract, shipper, 'cancelShipment', [1, 'too late'], 'Shipment is already delivered or cancelled');
+});
+
+test('shipment IDs are unique', async () => {
+  await expectRevert(contract, otherShipper, 'createShipment', [1, 'X', 'Y', 5, [stationA.address]], 'Shipment with this ID already exists');
+  await expectRevert(contract, outsider, 'getShipmentDetails', [2], 'Shipment does not exist');
+});
+
+test('shipments created without an ID get the next free one, skipping IDs picked by hand', async () => {
+  await (await contract.createShipment(3, 'Port C', 'Store D', 5, [stationA.address])).wait();
+
+  const ids = [];
+  for (const reference of ['PO-1001', '', 'PO-1001']) {
+    const receipt = await (await contract.createShipmentWithReference(0, reference, 'Port C', 'Store D', 5, [stationA.address])).wait();
+    ids.push(...createdShipmentIds(contract, receipt));
+  }
+  expect(ids).toEqual(['2', '4', '5']);
+  expect(await contract.createShipment.staticCall(0, 'X', 'Y', 1, [stationA.address])).toBe(6n);
+
+  expect(await contract.getShipmentIdsByReference('PO-1001')).toEqual([2n, 5n]);
+  expect(await contract.getShipmentIdsByReference('PO-1002')).toEqual([]);
+  expect(await readShipment(contract, '5')).toMatchObject({ id: '5', reference: 'PO-1001' });
+  expect((await readShipment(contract, '4')).reference).toBe('');
+});
+
+test('several shipments can be created in one transaction', async () => {
+  await (await contract.connect(otherShipper).createShipments(
+    [2, 3], ['Port C', 'Port E'], ['Store D', 'Store F'], [10, 20], [[stationA.address], [stationB.address, stationC.address]],
+    [0, 2000000000], [[], [1900000000, 0]]
+  )).wait();
+
+  const second = await readShipment(contract, '2');
+  const third = await readShipment(contract, '3');
+  expect(second).toMatchObject({ origin: 'Port C', quantity: 10n, transitStations: [stationA.address], owner: otherShipper.address });
+  expect(third).toMatchObject({ destination: 'Store F', quantity: 20n, transitStations: [stationB.address, stationC.address] });
+  expect(second).toMatchObject({ deliveryDeadline: null, stationDeadlines: [] });
+  expect(third).toMatchObject({ deliveryDeadline: 2000000000, stationDeadlines: [1900000000, null] });
+});
+
+test('a batch with an existing ID or mismatched arrays creates nothing', async () => {
+  await expectRevert(contract, 
+    otherShipper, 'createShipments', [[2, 1], ['X', 'X'], ['Y', 'Y'], [5, 5], [[stationA.address], [stationA.address]], [0, 0], [[], []]],
+    'Shipment with this ID already exists'
+  );
+  await expectRevert(contract, otherShipper, 'createShipments', [[2], ['X', 'X'], ['Y'], [5], [[stationA.address]], [0], [[]]], 'Array lengths do not match');
+  await expectRevert(contract, 
+    otherShipper, 'createShipments', [[2], ['X'], ['Y'], [5], [[stationA.address]], [0], [[1900000000, 0]]],
+    'Station deadlines must match the transit stations'
+  );
+  expect((await contract.shipments(2)).id).toBe(0n);
+});
+
+test('passed stations report damage after delivery', async () => {
+  await progress(stationA);
+  await progress(stationB);
+  await expectRevert(contract, stationC, 'reportDamage', [1, 5, 'dented', DamageCategory.Accident], 'Station has not been passed yet');
+
+  await progress(stationC);
+  await (await contract.connect(stationA).reportDamage(1, 4, 'wet boxes', DamageCategory.Packing)).wait();
+  await (await contract.connect(stationC).reportDamage(1, 6, 'dented', DamageCategory.Accident)).wait();
+
+  expect((await readShipment(contract, '1')).totDamagedQuantity).toBe(10n);
+  expect(await fetchDamageReports(contract, '1')).toEqual([
+    { address: stationA.address, damagedQuantity: 4n, explanation: 'wet boxes', category: DamageCategory.Packing, lineItemQuantities: [] },
+    { address: stationC.address, damagedQuantity: 6n, explanation: 'dented', category: DamageCategory.Accident, lineItemQuantities: [] },
+  ]);
+});
+
+test('a held shipment cannot progress until it is resumed', async () => {
+  await progress(stationA);
+  await (await contract.connect(stationB).updateStatus(1, ShippingStatus.OnHold)).wait();
+  await expectRevert(contract, stationB, 'progressToNextStation', [1], 'Shipment is not in transit');
+  await expectRevert(contract, outsider, 'updateStatus', [1, ShippingStatus.InTransit], 'Not authorized to update status');
+
+  await (await contract.updateStatus(1, ShippingStatus.InTransit)).wait();
+  await progress(stationB);
+  expect((await readShipment(contract, '1')).currentStationIndex).toBe(2);
+});
+
+test('the dashboard index follows every shipment through its events', async () => {
+  await (await contract.connect(otherShipper).createShipment(2, 'Port C', 'Store D', 10, [stationB.address])).wait();
+  await progress(stationA);
+  await (await contract.connect(otherShipper).cancelShipment(2, 'Order withdrawn')).wait();
+
+  const { shipments, events } = await buildShipmentIndex(contract);
+  expect(shipments.map((shipment) => [shipment.id, shipment.status])).toEqual(
+    expect.arrayContaining([['1', ShippingStatus.InTransit], ['2', ShippingStatus.Cancelled]])
+  );
+  expect(events.filter((event) => event.shipmentId === '2').map((event) => event.name)).toEqual([
+    'ShipmentCreated', 'ShipmentCancelled', 'StatusUpdated',
+  ]);
+});
+
+test("a shipment's events are queried by its ID where the event indexes it", async () => {
+  await (await contract.connect(otherShipper).createShipment(2, 'Port C', 'Store D', 10, [stationB.address])).wait();
+  await progress(stationA);
+  await (await contract.connect(stationA).reportDamage(1, 3, 'crushed', DamageCategory.Packing)).wait();
+  await (await contract.connect(otherShipper).cancelShipment(2, 'Order withdrawn')).wait();
+  const queryFilter = jest.spyOn(contract, 'queryFilter');
+
+  expect((await fetchEvents(contract, { shipmentId: '1' })).map((event) => event.name)).toEqual([
+    'ShipmentCreated', 'StationUpdated', 'StatusUpdated', 'DamageReported',
+  ]);
+  expect((await fetchEvents(contract, { shipmentId: 2 })).map((event) => event.name)).toEqual([
+    'ShipmentCreated', 'ShipmentCancelled', 'StatusUpdated',
+  ]);
+  const queried = queryFilter.mock.calls.map(([filter]) => filter);
+  expect(queried).toContain('StationUpdated');
+  expect(queried).not.toContain('DamageReported');
+});
+
+test('the transaction manager reports the lifecycle and decodes reverts', async () => {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update.state);
+
+  await runTransaction(contract.connect(stationA), 'progressToNextStation', [1], { onUpdate });
+  expect(updates).toEqual(['simulating', 'awaiting-signature', 'submitted', 'mined', 'confirmed']);
+
+  await expect(
+    runTransaction(contract.connect(stationA), 'progressToNextStation', [1])
+  ).rejects.toThrow('Only the next station can call this function');
+});
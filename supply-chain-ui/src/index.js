@@ -5,9 +5,12 @@ import './index.css';
 import React from 'react';
 import ReactDOM from 'react-dom';
 import App from './App'; // Import the main App component
+import StationRegistryProvider from './components/StationRegistryProvider'; // Shares the station registry with all components
 
 // Render the App component into the root DOM element
 ReactDOM.render(
-  <App />, // The main application component
+  <StationRegistryProvider>
+    <App />
+  </StationRegistryProvider>, // The main application component, with access to the station registry
   document.getElementById('root') // The root element in index.html
 );
@@ -0,0 +1,212 @@
+// src/testUtils/mockContract.js
+
+import { Interface, Result, ZeroAddress, getAddress, toBigInt } from 'ethers';
+import SupplyChainManagement from '../contracts/SupplyChainManagement.json';
+import { Role } from '../utils/roles';
+
+// Contract functions that send transactions
+const WRITE_METHODS = [
+  'createShipment', 'createShipmentWithReference', 'createShipments', 'progressToNextStation', 'reportDamage', 'updateStatus', 'cancelShipment',
+  'grantRole', 'revokeRole', 'setRecipient', 'confirmReceipt', 'raiseDispute', 'setDeadlines',
+  'amendRoute', 'createShipmentWithEscrow', 'settleEscrow', 'withdrawPayments',
+  'createShipmentWithLineItems', 'reportLineItemDamage', 'confirmLineItemReceipt', 'attachDamageEvidence',
+  'createShipmentWithDeadlines',
+];
+
+/**
+ * Builds an error shaped like the one ethers throws for a reverted call.
+ *
+ * @param {string} reason - The revert reason.
+ * @returns {Error} The error.
+ */
+export function revertError(reason) {
+  const err = new Error(`execution reverted: "${reason}"`);
+  err.code = 'CALL_EXCEPTION';
+  err.reason = reason;
+  err.revert = { name: 'Error', signature: 'Error(string)', args: [reason] };
+  return err;
+}
+
+/**
+ * Builds a transaction function mock with the staticCall and estimateGas
+ * helpers that the transaction manager uses.
+ *
+ * @returns {Function} The jest mock.
+ */
+function mockWriteMethod() {
+  const method = jest.fn(async () => ({
+    hash: `0x${'ab'.repeat(32)}`,
+    wait: async () => ({ blockNumber: 1, gasUsed: 21000n }),
+  }));
+  method.staticCall = jest.fn(async () => undefined);
+  method.estimateGas = jest.fn(async () => 21000n);
+  return method;
+}
+
+/**
+ * Creates a stand-in for an ethers Contract connected to the SupplyChainManagement ABI.
+ * View functions answer from the given fixtures; transaction functions are jest mocks
+ * that succeed unless told otherwise.
+ *
+ * @param {Object} [fixtures] - { shipments, damageReports, evidence, roles, receipts, escrows, payments }. Shipments,
+ *   damage reports, evidence, receipts and escrows are keyed by shipment ID and look like readShipment(),
+ *   fetchDamageReports(), fetchDamageEvidence(), fetchReceipt() and fetchEscrow() results; roles maps addresses to arrays of role
+ *   codes and payments maps addresses to the wei they can withdraw. Shipments may carry lineItems shaped
+ *   like fetchLineItems() results.
+ * @returns {Object} The mock contract.
+ */
+export function createMockContract({ shipments = {}, damageReports = {}, evidence = {}, roles = {}, receipts = {}, escrows = {}, payments = {} } = {}) {
+  const find = (id) => {
+    const shipment = shipments[id.toString()];
+    if (!shipment) throw revertError('Shipment does not exist');
+    return shipment;
+  };
+
+  const holds = (role, address) => (roles[getAddress(address)] || []).includes(Number(role));
+
+  const contract = {
+    target: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    interface: new Interface(SupplyChainManagement),
+    runner: {
+      provider: {
+        getBlock: jest.fn(async (blockNumber) => ({ number: blockNumber, timestamp: 1700000000 + blockNumber * 60 })),
+        getTransaction: jest.fn(async () => ({ from: ZeroAddress })),
+        getBlockNumber: jest.fn(async () => 1),
+      },
+    },
+    on: jest.fn(),
+    off: jest.fn(),
+    getAddress: jest.fn(async () => contract.target),
+    // Topic filters stand for their event name, which is what tests match queryFilter calls on
+    filters: new Proxy({}, { get: (target, name) => () => name }),
+    queryFilter: jest.fn(async () => []),
+
+    getShipmentDetails: jest.fn(async (id) => {
+      const s = find(id);
+      return Result.fromItems(
+        [
+          toBigInt(s.id), s.origin, s.destination, toBigInt(s.quantity), toBigInt(s.totDamagedQuantity || 0),
+          toBigInt(s.status || 0), s.transitStations, toBigInt(s.currentStationIndex || 0),
+          0n, '',
+        ],
+        [
+          'id', 'origin', 'destination', 'quantity', 'totDamagedQuantity',
+          'status', 'transitStations', 'currentStationIndex',
+          'callerDamagedQuantity', 'callerDamageReason',
+        ]
+      );
+    }),
+
+    getShipmentOwnership: jest.fn(async (id) => {
+      const s = find(id);
+      return Result.fromItems(
+        [s.owner || ZeroAddress, s.cancelledBy || ZeroAddress, s.cancellationReason || ''],
+        ['owner', 'cancelledBy', 'cancellationReason']
+      );
+    }),
+
+    getDamageReports: jest.fn(async (id) => {
+      const reports = damageReports[id.toString()] || [];
+      return Result.fromItems([
+        reports.map((r) => r.address),
+        reports.map((r) => toBigInt(r.damagedQuantity)),
+        reports.map((r) => r.explanation),
+        reports.map((r) => toBigInt(r.category || 0)),
+        reports.map((r) => (r.lineItemQuantities || []).map((quantity) => toBigInt(quantity))),
+      ]);
+    }),
+
+    getDamageEvidence: jest.fn(async (id) => {
+      find(id);
+      const files = evidence[id.toString()] || [];
+      return Result.fromItems(
+        [files.map((file) => file.reporter), files.map((file) => file.contentHash), files.map((file) => file.uri || '')],
+        ['reporters', 'contentHashes', 'uris']
+      );
+    }),
+
+    // Shipments without line items have none; accepted and rejected quantities are only known once set
+    getLineItems: jest.fn(async (id) => {
+      const items = find(id).lineItems || [];
+      const known = (key) => (items.every((item) => item[key] != null) ? items.map((item) => toBigInt(item[key])) : []);
+      return Result.fromItems(
+        [
+          items.map((item) => Result.fromItems(
+            [item.sku, item.description || '', toBigInt(item.quantity), item.unit || ''],
+            ['sku', 'description', 'quantity', 'unit']
+          )),
+          items.map((item) => toBigInt(item.damaged || 0)),
+          items.length > 0 ? known('accepted') : [],
+          items.length > 0 ? known('rejected') : [],
+        ],
+        ['items', 'damaged', 'accepted', 'rejected']
+      );
+    }),
+
+    // Public getter of the shipments mapping; unknown IDs read as zeroes
+    shipments: jest.fn(async (id) => {
+      const s = shipments[id.toString()];
+      return Result.fromItems([s ? toBigInt(s.id) : 0n], ['id']);
+    }),
+
+    // Stations before the current station index have been passed
+    hasPassedStation: jest.fn(async (id, station) => {
+      const s = find(id);
+      const index = s.transitStations.findIndex((address) => getAddress(address) === getAddress(station));
+      return index !== -1 && index < Number(s.currentStationIndex || 0);
+    }),
+
+    shipmentReferences: jest.fn(async (id) => find(id).reference || ''),
+    getShipmentIdsByReference: jest.fn(async (reference) => Object.values(shipments)
+      .filter((s) => s.reference === reference)
+      .map((s) => toBigInt(s.id))),
+
+    // Deadlines are in unix seconds; shipments without them have none
+    getDeadlines: jest.fn(async (id) => {
+      const s = find(id);
+      return Result.fromItems(
+        [toBigInt(s.deliveryDeadline || 0), (s.stationDeadlines || []).map((deadline) => toBigInt(deadline || 0))],
+        ['deliveryDeadline', 'perStation']
+      );
+    }),
+
+    // Shipments without a receipt fixture have not been confirmed, and the owner is their recipient
+    getReceipt: jest.fn(async (id) => {
+      const s = find(id);
+      const r = receipts[id.toString()] || {};
+      return Result.fromItems(
+        [
+          r.recipient || s.owner || ZeroAddress, Boolean(r.confirmed),
+          toBigInt(r.acceptedQuantity || 0), toBigInt(r.rejectedQuantity || 0), r.notes || '',
+          Boolean(r.disputed), r.disputedBy || ZeroAddress, r.disputeReason || '',
+        ],
+        [
+          'recipient', 'confirmed', 'acceptedQuantity', 'rejectedQuantity', 'notes',
+          'disputed', 'disputedBy', 'disputeReason',
+        ]
+      );
+    }),
+
+    // Shipments without an escrow fixture have no escrow
+    getEscrow: jest.fn(async (id) => {
+      find(id);
+      const e = escrows[id.toString()] || {};
+      return Result.fromItems(
+        [toBigInt(e.deposit || 0), toBigInt(e.balance || 0), (e.stationFees || []).map((fee) => toBigInt(fee)), Boolean(e.settled)],
+        ['deposit', 'balance', 'stationFees', 'settled']
+      );
+    }),
+    payments: jest.fn(async (address) => toBigInt(payments[getAddress(address)] || 0)),
+
+    hasRole: jest.fn(async (role, address) => holds(role, address)),
+    getRoles: jest.fn(async (address) => Result.fromItems(
+      Object.values(Role).map((role) => holds(role, address)),
+      ['admin', 'shipper', 'carrier', 'auditor']
+    )),
+  };
+
+  for (const method of WRITE_METHODS) {
+    contract[method] = mockWriteMethod();
+  }
+  return contract;
+}
@@ -0,0 +1,21 @@
+// src/testUtils/renderWithProviders.js
+
+import React from 'react';
+import { render } from '@testing-library/react';
+import StationRegistryProvider from '../components/StationRegistryProvider';
+import TransactionProvider from '../components/TransactionProvider';
+
+/**
+ * Renders a component inside the providers that App and index.js wrap it in,
+ * so it can use the station registry and send transactions.
+ *
+ * @param {Object} ui - The React element to render.
+ * @returns {Object} The @testing-library/react render result.
+ */
+export function renderWithProviders(ui) {
+  return render(
+    <StationRegistryProvider>
+      <TransactionProvider confirmations={1}>{ui}</TransactionProvider>
+    </StationRegistryProvider>
+  );
+}
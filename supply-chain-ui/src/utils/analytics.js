@@ -0,0 +1,141 @@
+// src/utils/analytics.js
+
+import { fetchDamageReports } from './damage';
+import { updateShipmentIndex } from './shipmentIndex';
+import { ShippingStatus, getStatus } from './status';
+import { computeDwellTimes } from './timeline';
+
+/**
+ * Fetches everything the analytics need: every shipment, every indexed event with the time
+ * of its block, and every station's damage report per shipment.
+ * Given the previous result, only the events emitted since are queried, and only the shipments
+ * they concern have their damage reports read again.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Object|null} [previous] - The previous result of fetchAnalyticsData(), or null to fetch everything.
+ * @returns {Promise<Object>} { shipments, events, damageReports, index }; damageReports is keyed by
+ *   shipment ID, and index is the shipment list to update next time (see updateShipmentIndex()).
+ */
+export async function fetchAnalyticsData(contract, previous = null) {
+  const provider = contract.runner.provider;
+  const index = await updateShipmentIndex(contract, previous && previous.index);
+  // Keep the timed events and damage reports fetched before, unless the list was rebuilt
+  const known = previous && index.events.length > index.newEvents.length ? previous : { events: [], damageReports: {} };
+
+  // Look up each block once, even if it emitted several events
+  const blocks = new Map();
+  for (const event of index.newEvents) {
+    if (!blocks.has(event.blockNumber)) {
+      blocks.set(event.blockNumber, provider.getBlock(event.blockNumber));
+    }
+  }
+  const timedEvents = await Promise.all(
+    index.newEvents.map(async (event) => ({ ...event, timestamp: (await blocks.get(event.blockNumber)).timestamp }))
+  );
+
+  const changed = new Set(index.newEvents.map((event) => event.shipmentId));
+  const stale = index.shipments.filter((shipment) => changed.has(shipment.id) || !known.damageReports[shipment.id]);
+  const reports = await Promise.all(stale.map((shipment) => fetchDamageReports(contract, shipment.id)));
+  return {
+    shipments: index.shipments,
+    events: [...known.events, ...timedEvents],
+    damageReports: {
+      ...known.damageReports,
+      ...Object.fromEntries(stale.map((shipment, position) => [shipment.id, reports[position]])),
+    },
+    index,
+  };
+}
+
+/**
+ * Returns the entry for a key, adding it first if needed.
+ *
+ * @param {Map} map - The map.
+ * @param {string} key - The key.
+ * @param {Function} create - Creates the entry for a new key.
+ * @returns {Object} The entry.
+ */
+function entryFor(map, key, create) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Aggregates the shipments created within a date range: the quantity shipped per lane
+ * (origin → destination), the quantity each station handled and reported damaged, how long
+ * shipments stayed at each station on average, and how many shipments are in each status.
+ *
+ * A station handled a shipment once it checked it in (StationUpdated). Its damaged quantity
+ * is its current damage report (getDamageReports), so amended reports count once; reports
+ * counts its DamageReported events, amendments included. Dwell times only count finished
+ * stays, i.e. until the next station checked the shipment in.
+ *
+ * @param {Object} data - The output of fetchAnalyticsData().
+ * @param {Object} [range] - { from, to } in unix seconds, either null for no limit; compared
+ *   with the time each shipment was created.
+ * @returns {Object} { shipmentCount, statusCounts, lanes, stations } - statusCounts holds one
+ *   { status, label, count } per ShippingStatus; lanes hold { origin, destination, shipments,
+ *   quantity, damaged }, largest quantity first; stations hold { station, shipments, quantity,
+ *   damaged, damageRate, reports, averageDwellSeconds }, highest damage rate first.
+ */
+export function computeAnalytics({ shipments, events, damageReports }, { from = null, to = null } = {}) {
+  const createdAt = new Map(
+    events.filter((event) => event.name === 'ShipmentCreated').map((event) => [event.shipmentId, event.timestamp])
+  );
+  const included = shipments.filter((shipment) => {
+    const time = createdAt.get(shipment.id);
+    return time !== undefined && (from === null || time >= from) && (to === null || time <= to);
+  });
+
+  const lanes = new Map(); // "origin\ndestination" => lane
+  const stations = new Map(); // lower-case station address => station totals
+  const stationFor = (address) => entryFor(stations, address.toLowerCase(), () => ({
+    station: address, shipments: 0, quantity: 0n, damaged: 0n, reports: 0, dwellSeconds: 0, dwellCount: 0,
+  }));
+
+  for (const shipment of included) {
+    const lane = entryFor(lanes, `${shipment.origin}\n${shipment.destination}`, () => ({
+      origin: shipment.origin, destination: shipment.destination, shipments: 0, quantity: 0n, damaged: 0n,
+    }));
+    lane.shipments++;
+    lane.quantity += shipment.quantity;
+    lane.damaged += shipment.totDamagedQuantity;
+
+    const shipmentEvents = events.filter((event) => event.shipmentId === shipment.id);
+    // Treat every stay as finished, so the stay at the station the shipment is still at is left out
+    for (const checkIn of computeDwellTimes(shipmentEvents, null, true).filter((event) => event.name === 'StationUpdated')) {
+      const totals = stationFor(checkIn.args.station);
+      totals.shipments++;
+      totals.quantity += shipment.quantity;
+      if (checkIn.dwellSeconds !== null) {
+        totals.dwellSeconds += checkIn.dwellSeconds;
+        totals.dwellCount++;
+      }
+    }
+    for (const event of shipmentEvents.filter((e) => e.name === 'DamageReported')) {
+      stationFor(event.args.reporter).reports++;
+    }
+    for (const report of damageReports[shipment.id] || []) {
+      stationFor(report.address).damaged += report.damagedQuantity;
+    }
+  }
+
+  return {
+    shipmentCount: included.length,
+    statusCounts: Object.values(ShippingStatus).map((status) => ({
+      status,
+      label: getStatus(status),
+      count: included.filter((shipment) => shipment.status === status).length,
+    })),
+    lanes: [...lanes.values()].sort((a, b) => (a.quantity === b.quantity ? 0 : a.quantity > b.quantity ? -1 : 1)),
+    stations: [...stations.values()]
+      .map(({ dwellSeconds, dwellCount, ...totals }) => ({
+        ...totals,
+        damageRate: totals.quantity > 0n ? Number((totals.damaged * 10000n) / totals.quantity) / 10000 : 0,
+        averageDwellSeconds: dwellCount > 0 ? dwellSeconds / dwellCount : null,
+      }))
+      .sort((a, b) => b.damageRate - a.damageRate || a.station.localeCompare(b.station)),
+  };
+}
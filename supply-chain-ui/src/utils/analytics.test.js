@@ -0,0 +1,70 @@
+import { computeAnalytics } from './analytics';
+import { ShippingStatus } from './status';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+
+const DAY = 86400;
+
+/**
+ * Builds an event record like fetchAnalyticsData() returns.
+ */
+function event(name, shipmentId, timestamp, args = {}) {
+  return { name, shipmentId, timestamp, blockNumber: timestamp, logIndex: 0, args };
+}
+
+// Shipment 1 went A -> B on day 0 and was delivered; 2 used the same lane on day 10 and is at A;
+// 3 is a pending shipment on another lane, created on day 20
+const DATA = {
+  shipments: [
+    { id: '1', origin: 'Factory', destination: 'Store', quantity: 100n, totDamagedQuantity: 10n, status: ShippingStatus.Delivered },
+    { id: '2', origin: 'Factory', destination: 'Store', quantity: 50n, totDamagedQuantity: 0n, status: ShippingStatus.InTransit },
+    { id: '3', origin: 'Port', destination: 'Store', quantity: 20n, totDamagedQuantity: 0n, status: ShippingStatus.Pending },
+  ],
+  events: [
+    event('ShipmentCreated', '1', 0),
+    event('StationUpdated', '1', 3600, { station: STATION_A }),
+    event('StationUpdated', '1', 3 * 3600, { station: STATION_B }),
+    event('DamageReported', '1', 4 * 3600, { reporter: STATION_B }),
+    event('DamageReported', '1', 5 * 3600, { reporter: STATION_B }),
+    event('ShipmentCreated', '2', 10 * DAY),
+    event('StationUpdated', '2', 10 * DAY + 3600, { station: STATION_A }),
+    event('ShipmentCreated', '3', 20 * DAY),
+  ],
+  damageReports: {
+    1: [{ address: STATION_B, damagedQuantity: 10n }],
+    2: [],
+    3: [],
+  },
+};
+
+test('aggregates lanes, stations and statuses across all shipments', () => {
+  const analytics = computeAnalytics(DATA);
+
+  expect(analytics.shipmentCount).toBe(3);
+  expect(analytics.statusCounts.filter(({ count }) => count > 0)).toEqual([
+    { status: ShippingStatus.Pending, label: 'Pending', count: 1 },
+    { status: ShippingStatus.InTransit, label: 'In Transit', count: 1 },
+    { status: ShippingStatus.Delivered, label: 'Delivered', count: 1 },
+  ]);
+  expect(analytics.lanes).toEqual([
+    { origin: 'Factory', destination: 'Store', shipments: 2, quantity: 150n, damaged: 10n },
+    { origin: 'Port', destination: 'Store', shipments: 1, quantity: 20n, damaged: 0n },
+  ]);
+  // B reported 10 of the 100 items it handled, in a report amended once; A's stay on
+  // shipment 2 is still going on, so only its 2 hours on shipment 1 count
+  expect(analytics.stations).toEqual([
+    { station: STATION_B, shipments: 1, quantity: 100n, damaged: 10n, reports: 2, damageRate: 0.1, averageDwellSeconds: null },
+    { station: STATION_A, shipments: 2, quantity: 150n, damaged: 0n, reports: 0, damageRate: 0, averageDwellSeconds: 2 * 3600 },
+  ]);
+});
+
+test('only counts the shipments created within the date range', () => {
+  const analytics = computeAnalytics(DATA, { from: 5 * DAY, to: 15 * DAY });
+
+  expect(analytics.shipmentCount).toBe(1);
+  expect(analytics.lanes.map((lane) => lane.quantity)).toEqual([50n]);
+  expect(analytics.stations).toEqual([
+    { station: STATION_A, shipments: 1, quantity: 50n, damaged: 0n, reports: 0, damageRate: 0, averageDwellSeconds: null },
+  ]);
+});
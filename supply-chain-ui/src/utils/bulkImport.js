@@ -0,0 +1,270 @@
+// src/utils/bulkImport.js
+
+import { isRouteValid, validateRoute } from './route';
+import { Role, findMissingRole } from './roles';
+import { checkDeadlines } from './sla';
+
+// Columns of an import file, in CSV order
+export const IMPORT_COLUMNS = ['id', 'origin', 'destination', 'quantity', 'stations'];
+
+// Optional columns: the delivery deadline and the per-station deadlines (separated by semicolons) as
+// date-times such as 2025-06-01T14:00; matched case-insensitively, like the required ones
+export const DEADLINE_COLUMNS = ['deadline', 'stationDeadlines'];
+
+// How valid rows are sent to the contract
+export const SUBMIT_MODES = {
+  SEQUENTIAL: 'sequential', // One createShipment transaction per row
+  BATCH: 'batch',           // A single createShipments transaction for all rows
+};
+
+/**
+ * Splits CSV text into records of fields. Supports quoted fields containing
+ * commas, newlines and doubled quotes ("").
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array} One array of field strings per record.
+ */
+function splitCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Splits a station list such as "0xabc...;0xdef..." into addresses.
+ * Stations may be separated by semicolons, pipes or whitespace.
+ *
+ * @param {string} value - The station list.
+ * @returns {Array} The station addresses as written.
+ */
+function splitStations(value) {
+  return value.split(/[;|\s]+/).filter(Boolean);
+}
+
+/**
+ * Splits a per-station deadline list such as "2025-06-01T10:00;;2025-06-02T10:00" into one
+ * date-time per station, keeping empty entries for stations without a deadline.
+ *
+ * @param {string} value - The deadline list, empty for none.
+ * @returns {Array} The date-times as written.
+ */
+function splitDeadlines(value) {
+  return value ? value.split(';').map((deadline) => deadline.trim()) : [];
+}
+
+/**
+ * Converts a deadline date-time from an import file to unix seconds.
+ *
+ * @param {string} value - An ISO 8601 date-time, in the browser's time zone unless it names one.
+ * @returns {number|null} The time in unix seconds, null if the value is empty, or NaN if it is not a date-time.
+ */
+function parseDeadline(value) {
+  if (!value) return null;
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) ? Math.floor(Date.parse(value) / 1000) : NaN;
+}
+
+/**
+ * Parses CSV import text. The first line must be a header naming the columns
+ * (see IMPORT_COLUMNS, and optionally DEADLINE_COLUMNS); the stations column lists the route
+ * separated by semicolons.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array} One { line, id, origin, destination, quantity, stations, deadline, stationDeadlines } per data row.
+ * @throws {Error} If the header is missing a column.
+ */
+export function parseCsv(text) {
+  const [header = [], ...records] = splitCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = IMPORT_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`The CSV header is missing the column(s): ${missing.join(', ')}.`);
+  }
+
+  const rows = [];
+  records.forEach((record, index) => {
+    // Skip blank lines
+    if (record.every((value) => !value.trim())) return;
+    const value = (name) => (record[columns.indexOf(name)] || '').trim();
+    rows.push({
+      line: index + 2, // Line number in the file, counting the header
+      id: value('id'),
+      origin: value('origin'),
+      destination: value('destination'),
+      quantity: value('quantity'),
+      stations: splitStations(value('stations')),
+      deadline: value('deadline'),
+      stationDeadlines: splitDeadlines(value('stationdeadlines')),
+    });
+  });
+  return rows;
+}
+
+/**
+ * Parses JSON import text: an array of shipments, or an object with a "shipments" array.
+ * Each shipment has id, origin, destination, quantity and stations (an array or a
+ * semicolon-separated string), and optionally deadline and stationDeadlines (likewise).
+ *
+ * @param {string} text - The JSON text.
+ * @returns {Array} One { line, id, origin, destination, quantity, stations, deadline, stationDeadlines } per shipment;
+ *   line is the 1-based position.
+ * @throws {Error} If the text is not valid JSON or not a list of shipments.
+ */
+export function parseJson(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && data.shipments;
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected a JSON array of shipments or an object with a "shipments" array.');
+  }
+  return entries.map((entry, index) => {
+    const shipment = entry || {};
+    const stations = shipment.stations || [];
+    const stationDeadlines = shipment.stationDeadlines || [];
+    return {
+      line: index + 1,
+      id: String(shipment.id ?? '').trim(),
+      origin: String(shipment.origin ?? '').trim(),
+      destination: String(shipment.destination ?? '').trim(),
+      quantity: String(shipment.quantity ?? '').trim(),
+      stations: Array.isArray(stations) ? stations.map(String) : splitStations(String(stations)),
+      deadline: String(shipment.deadline ?? '').trim(),
+      stationDeadlines: Array.isArray(stationDeadlines)
+        ? stationDeadlines.map((deadline) => String(deadline ?? '').trim())
+        : splitDeadlines(String(stationDeadlines)),
+    };
+  });
+}
+
+/**
+ * Parses an import file, picking the format from its name or content.
+ *
+ * @param {string} fileName - The name of the file, e.g. "shipments.csv".
+ * @param {string} text - The file content.
+ * @returns {Array} The parsed rows.
+ * @throws {Error} If the file cannot be parsed.
+ */
+export function parseImportFile(fileName, text) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return isJson ? parseJson(text) : parseCsv(text);
+}
+
+/**
+ * Validates parsed rows against each other and against the contract.
+ * Checks that IDs are positive integers, unique within the file and not yet used on
+ * chain (via the contract's shipments(id) getter), or empty to let the contract assign the next
+ * free ID as Create Shipment does, that quantities are positive
+ * integers, that every route is valid (see validateRoute()) and only lists carriers, and
+ * that deadlines follow the rules of checkDeadlines().
+ *
+ * @param {Array} rows - The output of parseImportFile().
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} currentAccount - The connected account.
+ * @returns {Promise<Array>} The rows, each with { errors, warnings, route, deadlines } added;
+ *   route holds the checksummed station addresses, and deadlines { deliveryDeadline, stationDeadlines }
+ *   the deadlines in unix seconds as the contract takes them (0 for none, an empty array without per-station ones).
+ */
+export async function validateRows(rows, contract, currentAccount) {
+  const seen = new Set();
+  return Promise.all(rows.map(async (row) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!row.id) {
+      // The contract assigns the ID
+    } else if (!/^\d+$/.test(row.id) || /^0+$/.test(row.id)) {
+      errors.push('ID must be a positive whole number, or empty to assign the next free one.');
+    } else if (seen.has(row.id.replace(/^0+/, ''))) {
+      errors.push(`ID ${row.id} appears more than once in the file.`);
+    } else {
+      seen.add(row.id.replace(/^0+/, ''));
+      try {
+        const existing = await contract.shipments(row.id);
+        if (existing.id !== 0n) {
+          errors.push(`A shipment with ID ${row.id} already exists.`);
+        }
+      } catch (err) {
+        errors.push(`Could not check whether ID ${row.id} exists: ${err.message}`);
+      }
+    }
+
+    if (!row.origin) errors.push('Origin is required.');
+    if (!row.destination) errors.push('Destination is required.');
+    if (!/^\d+$/.test(row.quantity) || /^0+$/.test(row.quantity)) {
+      errors.push('Quantity must be a positive whole number.');
+    }
+
+    const route = validateRoute(row.stations, currentAccount);
+    if (route.length === 0) {
+      errors.push('At least one transit station is required.');
+    }
+    route.forEach((stop, index) => {
+      if (stop.error) errors.push(`Station ${index + 1}: ${stop.error}`);
+      if (stop.warning) warnings.push(`Station ${index + 1}: ${stop.warning}`);
+    });
+
+    // Deadlines belong to route positions, as in the Create Shipment form
+    const deliveryDeadline = parseDeadline(row.deadline);
+    const perStation = (row.stationDeadlines || []).map(parseDeadline);
+    if (Number.isNaN(deliveryDeadline) || perStation.some(Number.isNaN)) {
+      errors.push('Deadlines must be date-times such as 2025-06-01T14:00.');
+    } else if (perStation.length > 0 && perStation.length !== route.length) {
+      errors.push('Give one station deadline per transit station, or none.');
+    } else {
+      const deadlineError = checkDeadlines(deliveryDeadline, perStation, Math.floor(Date.now() / 1000));
+      if (deadlineError) errors.push(deadlineError);
+    }
+
+    const valid = isRouteValid(route);
+    if (valid) {
+      try {
+        const notCarriers = await findMissingRole(contract, Role.Carrier, route.map((stop) => stop.address));
+        notCarriers.forEach((address) => errors.push(`Station ${address} is not a carrier.`));
+      } catch (err) {
+        errors.push(`Could not check the stations' roles: ${err.message}`);
+      }
+    }
+
+    return {
+      ...row,
+      errors,
+      warnings,
+      route: valid ? route.map((stop) => stop.address) : [],
+      deadlines: {
+        deliveryDeadline: deliveryDeadline || 0,
+        stationDeadlines: perStation.some((deadline) => deadline !== null) ? perStation.map((deadline) => deadline || 0) : [],
+      },
+    };
+  }));
+}
@@ -0,0 +1,146 @@
+import { parseCsv, parseImportFile, parseJson, validateRows } from './bulkImport';
+import { Role } from './roles';
+import { createMockContract } from '../testUtils/mockContract';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+const OUTSIDER = '0x3333333333333333333333333333333333333333';
+// A valid address with one letter's case flipped, so its checksum fails
+const BAD_CHECKSUM = '0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+describe('parsing', () => {
+  test('reads CSV rows with quoted fields and semicolon-separated stations', () => {
+    const rows = parseCsv(
+      'ID,Origin,Destination,Quantity,Stations\r\n'
+      + `1,"Factory A, Hall 2",Warehouse B,100,${STATION_A};${STATION_B}\r\n`
+      + '\r\n'
+      + `2,Port C,"Store ""D""",5,${STATION_B}\r\n`
+    );
+
+    expect(rows).toEqual([
+      {
+        line: 2, id: '1', origin: 'Factory A, Hall 2', destination: 'Warehouse B', quantity: '100',
+        stations: [STATION_A, STATION_B], deadline: '', stationDeadlines: [],
+      },
+      { line: 4, id: '2', origin: 'Port C', destination: 'Store "D"', quantity: '5', stations: [STATION_B], deadline: '', stationDeadlines: [] },
+    ]);
+  });
+
+  test('reads the optional deadline columns, keeping stations without a deadline', () => {
+    const [row] = parseCsv(
+      'id,origin,destination,quantity,stations,Deadline,StationDeadlines\n'
+      + `1,A,B,10,${STATION_A};${STATION_B},2030-01-03T12:00,2030-01-01T12:00;\n`
+    );
+
+    expect(row).toMatchObject({ deadline: '2030-01-03T12:00', stationDeadlines: ['2030-01-01T12:00', ''] });
+  });
+
+  test('rejects a CSV file without the required columns', () => {
+    expect(() => parseCsv('id,origin,quantity\n1,A,5')).toThrow('missing the column(s): destination, stations');
+  });
+
+  test('reads a JSON array or an object with a shipments array', () => {
+    const shipment = { id: 7, origin: 'A', destination: 'B', quantity: 3, stations: [STATION_A], stationDeadlines: ['2030-01-01T12:00'] };
+    const expected = [{
+      line: 1, id: '7', origin: 'A', destination: 'B', quantity: '3', stations: [STATION_A], deadline: '', stationDeadlines: ['2030-01-01T12:00'],
+    }];
+
+    expect(parseJson(JSON.stringify([shipment]))).toEqual(expected);
+    expect(parseJson(JSON.stringify({ shipments: [shipment] }))).toEqual(expected);
+    expect(() => parseJson('{"id": 7}')).toThrow('Expected a JSON array of shipments');
+  });
+
+  test('picks the format from the file name or content', () => {
+    expect(parseImportFile('shipments.txt', '[]')).toEqual([]);
+    expect(parseImportFile('shipments.csv', 'id,origin,destination,quantity,stations\n')).toEqual([]);
+  });
+});
+
+describe('validation', () => {
+  let contract;
+
+  beforeEach(() => {
+    contract = createMockContract({
+      shipments: { 5: { id: 5, origin: 'A', destination: 'B', quantity: 1, transitStations: [STATION_A] } },
+      roles: { [STATION_A]: [Role.Carrier], [STATION_B]: [Role.Carrier] },
+    });
+  });
+
+  function row(overrides) {
+    return { line: 2, id: '1', origin: 'A', destination: 'B', quantity: '10', stations: [STATION_A], ...overrides };
+  }
+
+  test('accepts a valid row and checksums its stations', async () => {
+    const [checked] = await validateRows([row({ stations: [STATION_A.toLowerCase()] })], contract, STATION_B);
+    expect(checked.errors).toEqual([]);
+    expect(checked.route).toEqual([STATION_A]);
+    expect(checked.deadlines).toEqual({ deliveryDeadline: 0, stationDeadlines: [] });
+  });
+
+  test('converts deadlines to unix seconds for the contract', async () => {
+    const [checked] = await validateRows(
+      [row({ stations: [STATION_A, STATION_B], deadline: '2030-01-03T12:00Z', stationDeadlines: ['', '2030-01-02T12:00Z'] })],
+      contract,
+      OUTSIDER
+    );
+    expect(checked.errors).toEqual([]);
+    expect(checked.deadlines).toEqual({ deliveryDeadline: 1893672000, stationDeadlines: [0, 1893585600] });
+  });
+
+  test('flags invalid, past and out-of-order deadlines', async () => {
+    const checked = await validateRows([
+      row({ id: '1', deadline: 'next week' }),
+      row({ id: '2', stationDeadlines: ['2030-01-01T12:00', '2030-01-02T12:00'] }),
+      row({ id: '3', deadline: '2001-01-01T12:00' }),
+      row({ id: '4', deadline: '2030-01-01T12:00', stationDeadlines: ['2030-01-02T12:00'] }),
+    ], contract, OUTSIDER);
+    expect(checked.map((result) => result.errors)).toEqual([
+      ['Deadlines must be date-times such as 2025-06-01T14:00.'],
+      ['Give one station deadline per transit station, or none.'],
+      ['Deadlines must be in the future.'],
+      [expect.stringMatching(/^Deadlines must not decrease along the route/)],
+    ]);
+  });
+
+  test('flags IDs that already exist on chain or repeat in the file', async () => {
+    const checked = await validateRows([row({ id: '5' }), row({ id: '8' }), row({ id: '08' })], contract, STATION_B);
+    expect(checked[0].errors).toEqual(['A shipment with ID 5 already exists.']);
+    expect(checked[1].errors).toEqual([]);
+    expect(checked[2].errors).toEqual(['ID 08 appears more than once in the file.']);
+    expect(contract.shipments).toHaveBeenCalledWith('5');
+  });
+
+  test('leaves rows without an ID to the contract', async () => {
+    const checked = await validateRows([row({ id: '' }), row({ id: '' })], contract, STATION_B);
+    expect(checked.map((shipment) => shipment.errors)).toEqual([[], []]);
+    expect(contract.shipments).not.toHaveBeenCalled();
+  });
+
+  test('flags invalid IDs, quantities and stations', async () => {
+    const [checked] = await validateRows(
+      [row({ id: '0', origin: '', quantity: '-3', stations: [BAD_CHECKSUM, STATION_A, STATION_A] })],
+      contract,
+      STATION_B
+    );
+    expect(checked.errors).toEqual([
+      'ID must be a positive whole number, or empty to assign the next free one.',
+      'Origin is required.',
+      'Quantity must be a positive whole number.',
+      expect.stringMatching(/^Station 1: Checksum mismatch/),
+      expect.stringMatching(/^Station 3: Duplicate station/),
+    ]);
+    expect(checked.route).toEqual([]);
+  });
+
+  test('flags stations that are not carriers', async () => {
+    const [checked] = await validateRows([row({ stations: [STATION_A, OUTSIDER] })], contract, STATION_B);
+    expect(checked.errors).toEqual([`Station ${OUTSIDER} is not a carrier.`]);
+  });
+
+  test('requires at least one station and warns about the connected account', async () => {
+    const checked = await validateRows([row({ stations: [] }), row({ id: '2', stations: [STATION_B] })], contract, STATION_B);
+    expect(checked[0].errors).toEqual(['At least one transit station is required.']);
+    expect(checked[1].errors).toEqual([]);
+    expect(checked[1].warnings).toEqual(['Station 1: This is your connected account.']);
+  });
+});
@@ -0,0 +1,236 @@
+// src/utils/connection.js
+
+import { BrowserProvider, JsonRpcProvider, Contract, isAddress, getAddress, toQuantity } from 'ethers';
+import SupplyChainManagement from '../contracts/SupplyChainManagement.json'; // Import the contract's ABI
+import { getDemoChain } from './demoChain';
+
+/**
+ * Problems the setup screen knows how to explain.
+ * Blocking issues prevent the app from loading; the others only limit what it can do.
+ */
+export const ISSUES = {
+  MISSING_ADDRESS: 'missing-address',
+  INVALID_ADDRESS: 'invalid-address',
+  NO_WALLET: 'no-wallet',
+  NO_ACCOUNTS: 'no-accounts',
+  WRONG_CHAIN: 'wrong-chain',
+  RPC_UNREACHABLE: 'rpc-unreachable',
+  NO_CONTRACT_CODE: 'no-contract-code',
+};
+
+const NON_BLOCKING = [ISSUES.NO_WALLET, ISSUES.NO_ACCOUNTS];
+
+/**
+ * Checks whether a list of issues prevents the app from loading.
+ *
+ * @param {Array} issues - The issues returned by connect().
+ * @returns {boolean} True if at least one issue is blocking.
+ */
+export function hasBlockingIssue(issues) {
+  return issues.some((issue) => !NON_BLOCKING.includes(issue.code));
+}
+
+/**
+ * Checks the configured contract address.
+ *
+ * @param {Object} network - The network configuration.
+ * @returns {Object|null} An issue describing the problem, or null if the address is usable.
+ */
+function checkContractAddress(network) {
+  if (!network.contractAddress) {
+    return {
+      code: ISSUES.MISSING_ADDRESS,
+      message: `No contract address is configured for ${network.name}.`,
+    };
+  }
+  if (!isAddress(network.contractAddress)) {
+    return {
+      code: ISSUES.INVALID_ADDRESS,
+      message: `The configured contract address "${network.contractAddress}" is not a valid Ethereum address.`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Opens a read-only connection over plain JSON-RPC.
+ * Used when no wallet is injected in the browser.
+ *
+ * @param {Object} network - The network configuration.
+ * @returns {Promise<Object>} The provider and any issues found while connecting.
+ */
+async function connectReadOnly(network) {
+  if (!network.rpcUrl) {
+    return {
+      provider: null,
+      issues: [{ code: ISSUES.RPC_UNREACHABLE, message: `No RPC URL is configured for ${network.name}.` }],
+    };
+  }
+
+  // staticNetwork stops ethers from retrying forever when the node is down
+  const provider = new JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  try {
+    await provider.getBlockNumber();
+  } catch (err) {
+    console.error(err);
+    provider.destroy();
+    return {
+      provider: null,
+      issues: [{ code: ISSUES.RPC_UNREACHABLE, message: `Could not reach the RPC endpoint ${network.rpcUrl}.` }],
+    };
+  }
+  return { provider, issues: [] };
+}
+
+/**
+ * Connects to the demo chain as one of its accounts, starting the chain if needed.
+ * No wallet is involved: the demo chain signs for its own accounts.
+ *
+ * @param {Object} network - The demo network configuration.
+ * @param {number} demoAccount - Index of the demo account to act as (see DEMO_ACCOUNTS).
+ * @returns {Promise<Object>} The same fields as connect(), with demo set to true.
+ */
+async function connectDemo(network, demoAccount) {
+  const { provider, contract, accounts } = await getDemoChain();
+  const signer = await provider.getSigner(accounts[demoAccount] || accounts[0]);
+  return {
+    provider,
+    signer,
+    contract: contract.connect(signer),
+    account: signer.address,
+    chainId: network.chainId,
+    readOnly: false,
+    issues: [],
+    demo: true,
+  };
+}
+
+/**
+ * Connects to the configured network and contract.
+ * Uses the injected wallet (e.g. MetaMask) when available, otherwise falls back to
+ * a read-only JSON-RPC provider. Configuration problems are returned as issues
+ * rather than thrown so the setup screen can explain them.
+ * The demo network instead runs on a chain simulated in the browser.
+ *
+ * @param {Object} network - The network configuration.
+ * @param {number} [demoAccount=0] - On the demo network, index of the demo account to act as.
+ * @returns {Promise<Object>} { provider, signer, contract, account, chainId, readOnly, issues, demo }
+ */
+export async function connect(network, demoAccount = 0) {
+  if (network.demo) {
+    return connectDemo(network, demoAccount);
+  }
+
+  const result = {
+    provider: null,
+    signer: null,
+    contract: null,
+    account: null,
+    chainId: null,
+    readOnly: true,
+    issues: [],
+    demo: false,
+  };
+
+  const addressIssue = checkContractAddress(network);
+  if (addressIssue) {
+    result.issues.push(addressIssue);
+  }
+
+  if (window.ethereum) {
+    result.provider = new BrowserProvider(window.ethereum);
+
+    // Request account access if needed
+    try {
+      await result.provider.send('eth_requestAccounts', []);
+    } catch (err) {
+      console.error(err);
+    }
+
+    const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    if (accounts.length === 0) {
+      result.issues.push({
+        code: ISSUES.NO_ACCOUNTS,
+        message: 'Your wallet is not connected to this site. You can browse shipments, but not send transactions.',
+      });
+    } else {
+      result.account = accounts[0];
+      result.signer = await result.provider.getSigner();
+      result.readOnly = false;
+    }
+
+    result.chainId = Number((await result.provider.getNetwork()).chainId);
+    if (result.chainId !== network.chainId) {
+      result.issues.push({
+        code: ISSUES.WRONG_CHAIN,
+        message: `Your wallet is connected to chain ${result.chainId}, but the app is configured for ${network.name} (chain ${network.chainId}).`,
+      });
+      return result;
+    }
+  } else {
+    result.issues.push({
+      code: ISSUES.NO_WALLET,
+      message: 'No wallet was detected. Install MetaMask to send transactions; the app is running in read-only mode.',
+    });
+
+    const readOnly = await connectReadOnly(network);
+    result.issues.push(...readOnly.issues);
+    if (!readOnly.provider) {
+      return result;
+    }
+    result.provider = readOnly.provider;
+    result.chainId = network.chainId;
+  }
+
+  if (addressIssue) {
+    return result;
+  }
+
+  // Make sure something is actually deployed at the configured address
+  const code = await result.provider.getCode(network.contractAddress);
+  if (code === '0x') {
+    result.issues.push({
+      code: ISSUES.NO_CONTRACT_CODE,
+      message: `No contract is deployed at ${getAddress(network.contractAddress)} on ${network.name}.`,
+    });
+    return result;
+  }
+
+  // Create the contract instance with the signer, or the provider when read-only
+  result.contract = new Contract(
+    network.contractAddress,
+    SupplyChainManagement, // The contract's ABI
+    result.signer || result.provider
+  );
+  return result;
+}
+
+/**
+ * Asks the injected wallet to switch to the configured chain,
+ * adding the chain to the wallet first if it does not know it yet.
+ *
+ * @param {Object} network - The network configuration.
+ */
+export async function switchChain(network) {
+  const chainId = toQuantity(network.chainId);
+  try {
+    await window.ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId }],
+    });
+  } catch (err) {
+    // 4902: the wallet does not know this chain yet
+    if (err.code !== 4902) {
+      throw err;
+    }
+    await window.ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.name,
+        rpcUrls: [network.rpcUrl],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+      }],
+    });
+  }
+}
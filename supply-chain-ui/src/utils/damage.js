@@ -0,0 +1,67 @@
+// src/utils/damage.js
+
+import { sameAddress } from './shipmentIndex';
+
+/**
+ * Mirrors the contract's DamageCategory enum.
+ */
+export const DamageCategory = {
+  Unspecified: 0,
+  Packing: 1,
+  Accident: 2,
+  Spoilage: 3,
+  Other: 4,
+};
+
+/**
+ * Converts a damage category code to a human-readable string.
+ *
+ * @param {number} category - The category code.
+ * @returns {string} The category as a string.
+ */
+export function getDamageCategory(category) {
+  switch (category) {
+    case DamageCategory.Unspecified:
+      return "Unspecified";
+    case DamageCategory.Packing:
+      return "Packing";
+    case DamageCategory.Accident:
+      return "Accident";
+    case DamageCategory.Spoilage:
+      return "Spoilage";
+    case DamageCategory.Other:
+      return "Other";
+    default:
+      return "Unknown";
+  }
+}
+
+/**
+ * Fetches every station's damage report for a shipment.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @returns {Promise<Array>} One { address, damagedQuantity, explanation, category, lineItemQuantities } per reporting
+ *   station; lineItemQuantities holds the damaged quantity of each line item, empty for shipments without line items.
+ */
+export async function fetchDamageReports(contract, shipmentId) {
+  const [reporters, quantities, explanations, categories, lineItemQuantities] = await contract.getDamageReports(shipmentId);
+  return reporters.map((address, index) => ({
+    address,
+    damagedQuantity: quantities[index],
+    explanation: explanations[index],
+    category: Number(categories[index]),
+    lineItemQuantities: [...lineItemQuantities[index]],
+  }));
+}
+
+/**
+ * Finds the report filed by a station.
+ *
+ * @param {Array} reports - The output of fetchDamageReports().
+ * @param {string} address - The station address.
+ * @returns {Object|null} The station's report, or null if it has not reported.
+ */
+export function findDamageReport(reports, address) {
+  return reports.find((report) => sameAddress(report.address, address)) || null;
+}
@@ -0,0 +1,208 @@
+// src/utils/demoChain.js
+
+import { BrowserProvider, ContractFactory, parseEther } from 'ethers';
+import SupplyChainManagement from '../contracts/SupplyChainManagement.json';
+import SupplyChainManagementBytecode from '../contracts/SupplyChainManagement.bytecode.json';
+import { DamageCategory } from './damage';
+import { Role } from './roles';
+import { createdShipmentIds } from './shipmentIndex';
+import { ShippingStatus } from './status';
+
+/**
+ * The demo's accounts, by index in the demo chain's wallet: who they play, the roles they get on chain
+ * and how they appear in the station registry. Stations carry coordinates so route maps can be drawn.
+ */
+export const DEMO_ACCOUNTS = [
+  { name: 'Acme Shipping', description: 'Admin and shipper', roles: [Role.Admin, Role.Shipper], stationRole: 'Warehouse' },
+  { name: 'North Hub', description: 'Carrier', roles: [Role.Carrier], stationRole: 'Distribution Center', location: 'Hamburg', latitude: 53.55, longitude: 9.99 },
+  { name: 'Central Depot', description: 'Carrier', roles: [Role.Carrier], stationRole: 'Warehouse', location: 'Frankfurt', latitude: 50.11, longitude: 8.68 },
+  { name: 'South Port', description: 'Carrier', roles: [Role.Carrier], stationRole: 'Port', location: 'Genoa', latitude: 44.41, longitude: 8.93 },
+  { name: 'Audit Co', description: 'Auditor', roles: [Role.Auditor], stationRole: 'Other' },
+  { name: 'Corner Store', description: 'Recipient without a role', roles: [], stationRole: 'Retailer' },
+];
+
+let demoChain = null; // Promise of the running demo chain, shared by every connection
+
+/**
+ * Loads Ganache. Browsers load its prebuilt bundle, which scripts/copy-ganache.js puts in public/, since
+ * bundling it with the app exhausts the memory of a production build; tests run in Node and import the package.
+ *
+ * @returns {Promise<Object>} The Ganache module.
+ */
+async function loadGanache() {
+  if (typeof window === 'undefined') {
+    return (await import(/* webpackIgnore: true */ 'ganache')).default;
+  }
+  if (!window.Ganache) {
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = `${process.env.PUBLIC_URL}/ganache.min.js`;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('The demo chain could not be loaded.'));
+      document.head.appendChild(script);
+    });
+  }
+  return window.Ganache;
+}
+
+/**
+ * Starts an in-browser chain with the demo accounts and deploys the contract to it.
+ * Ganache is only downloaded when the demo is first started, so it does not weigh on the normal app.
+ *
+ * @returns {Promise<Object>} { provider, contract, accounts, stop } - contract is connected to the first
+ *   account and accounts holds the demo accounts' addresses, in DEMO_ACCOUNTS order.
+ */
+async function startDemoChain() {
+  const ganache = await loadGanache();
+  const chain = ganache.provider({
+    logging: { quiet: true },
+    chain: { chainId: 1337 },
+    wallet: { deterministic: true, totalAccounts: DEMO_ACCOUNTS.length },
+  });
+  // The chain mines instantly, so poll for receipts far more often than the 4s default
+  const provider = new BrowserProvider(chain, undefined, { pollingInterval: 250 });
+  const signers = await Promise.all(DEMO_ACCOUNTS.map((account, index) => provider.getSigner(index)));
+
+  const factory = new ContractFactory(SupplyChainManagement, SupplyChainManagementBytecode.bytecode, signers[0]);
+  const contract = await (await factory.deploy()).waitForDeployment();
+
+  // The deployer is already an admin
+  for (const [index, account] of DEMO_ACCOUNTS.entries()) {
+    for (const role of account.roles) {
+      if (index === 0 && role === Role.Admin) continue;
+      await (await contract.grantRole(role, signers[index].address)).wait();
+    }
+  }
+
+  return {
+    provider,
+    contract,
+    accounts: signers.map((signer) => signer.address),
+    stop: () => {
+      provider.destroy();
+      return chain.disconnect();
+    },
+  };
+}
+
+/**
+ * Returns the running demo chain, starting it on first use.
+ *
+ * @returns {Promise<Object>} See startDemoChain().
+ */
+export function getDemoChain() {
+  if (!demoChain) {
+    demoChain = startDemoChain().catch((err) => {
+      demoChain = null; // Let the next attempt start over
+      throw err;
+    });
+  }
+  return demoChain;
+}
+
+/**
+ * Stops the demo chain, dropping everything that happened on it. The next getDemoChain() starts a new one.
+ *
+ * @returns {Promise<void>}
+ */
+export async function resetDemoChain() {
+  if (!demoChain) return;
+  const running = demoChain;
+  demoChain = null;
+  try {
+    await (await running).stop();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Builds station registry entries naming the demo accounts, with coordinates for the stations.
+ *
+ * @param {Array} accounts - The demo accounts' addresses, in DEMO_ACCOUNTS order.
+ * @returns {Array} One { address, name, location, role, latitude, longitude } per account.
+ */
+export function demoStations(accounts) {
+  return DEMO_ACCOUNTS.map((account, index) => ({
+    address: accounts[index],
+    name: account.name,
+    location: account.location || '',
+    role: account.stationRole,
+    latitude: account.latitude ?? '',
+    longitude: account.longitude ?? '',
+  }));
+}
+
+/**
+ * Fills the demo chain with sample shipments showing every part of the app: one waiting at its origin,
+ * one in transit with damage and a missed station deadline, one delivered with escrow, a receipt and a
+ * settlement, one on hold, one cancelled, one whose route was amended and one of several line items with
+ * damage reported per line item, delivered and awaiting receipt. Shipments get the next free IDs,
+ * so seeding again adds another set.
+ *
+ * @param {Object} chain - The running demo chain, see getDemoChain().
+ * @returns {Promise<Array>} The IDs of the created shipments.
+ */
+export async function seedDemoShipments({ provider, contract, accounts }) {
+  const [shipper, north, central, south, , store] = await Promise.all(accounts.map((address) => provider.getSigner(address)));
+  const HOUR = 3600;
+  const now = async () => (await provider.getBlock('latest')).timestamp;
+
+  const run = async (signer, method, ...args) => (await contract.connect(signer)[method](...args)).wait();
+  const create = async (reference, origin, destination, quantity, stations, deliveryDeadline = 0, stationDeadlines = []) => {
+    const receipt = await run(
+      shipper, 'createShipmentWithDeadlines', 0, reference, origin, destination, quantity, stations.map((s) => s.address),
+      deliveryDeadline, stationDeadlines, []
+    );
+    return createdShipmentIds(contract, receipt)[0];
+  };
+
+  // Waiting at its origin, due in three days
+  const pending = await create('PO-1001', 'Acme Factory', 'Corner Store', 120, [north, central, south], (await now()) + 72 * HOUR);
+
+  // In transit, with damage reported and already overdue at the second station
+  const start = await now();
+  const inTransit = await create('PO-1002', 'Acme Factory', 'Corner Store', 80, [north, central], start + 24 * HOUR, [0, start - HOUR]);
+  await run(north, 'progressToNextStation', inTransit);
+  await run(north, 'reportDamage', inTransit, 6, 'Boxes crushed in loading', DamageCategory.Packing);
+
+  // Delivered with escrow, then received, with a shortfall disputed, and settled
+  const createReceipt = await run(
+    shipper, 'createShipmentWithEscrow', 0, 'PO-1003', 'Acme Factory', 'Corner Store', 50, [north.address, south.address],
+    [parseEther('0.1'), parseEther('0.1')], { value: parseEther('1') }
+  );
+  const [delivered] = createdShipmentIds(contract, createReceipt);
+  await run(shipper, 'setRecipient', delivered, store.address);
+  await run(north, 'progressToNextStation', delivered);
+  await run(south, 'progressToNextStation', delivered);
+  await run(south, 'reportDamage', delivered, 5, 'Water damage', DamageCategory.Spoilage);
+  await run(store, 'confirmReceipt', delivered, 43, 5, 'Two cartons missing');
+  await run(store, 'raiseDispute', delivered, '2 items missing from the delivery');
+  await run(shipper, 'settleEscrow', delivered);
+
+  // Put on hold by its owner after the first station
+  const onHold = await create('', 'Port Warehouse', 'Corner Store', 200, [central, south]);
+  await run(central, 'progressToNextStation', onHold);
+  await run(shipper, 'updateStatus', onHold, ShippingStatus.OnHold);
+
+  // Cancelled before departure
+  const cancelled = await create('PO-1005', 'Acme Factory', 'Corner Store', 30, [north]);
+  await run(shipper, 'cancelShipment', cancelled, 'Order withdrawn by the customer');
+
+  // Rerouted around a closed depot
+  const rerouted = await create('PO-1006', 'Acme Factory', 'Corner Store', 60, [north, central]);
+  await run(north, 'progressToNextStation', rerouted);
+  await run(shipper, 'amendRoute', rerouted, [south.address], 'Central Depot closed for inventory');
+
+  // Mixed products, delivered to the store with damage reported per line item, awaiting receipt
+  const mixedReceipt = await run(shipper, 'createShipmentWithLineItems', 0, 'PO-1007', 'Acme Factory', 'Corner Store', [north.address], [
+    { sku: 'MUG-01', description: 'Ceramic mug', quantity: 48, unit: 'pcs' },
+    { sku: 'BEAN-1K', description: 'Coffee beans, 1 kg bag', quantity: 20, unit: 'bags' },
+  ], 0, [], []);
+  const [mixed] = createdShipmentIds(contract, mixedReceipt);
+  await run(shipper, 'setRecipient', mixed, store.address);
+  await run(north, 'progressToNextStation', mixed);
+  await run(north, 'reportLineItemDamage', mixed, [3, 1], 'Mugs chipped, one bag torn', DamageCategory.Packing);
+
+  return [pending, inTransit, delivered, onHold, cancelled, rerouted, mixed];
+}
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+import { connect } from './connection';
+import { getNetworkConfig } from '../config/networks';
+import { DEMO_ACCOUNTS, demoStations, getDemoChain, resetDemoChain, seedDemoShipments } from './demoChain';
+import { fetchEscrow } from './escrow';
+import { fetchLineItems } from './lineItems';
+import { fetchReceipt } from './receipt';
+import { fetchRoles } from './roles';
+import { buildShipmentIndex } from './shipmentIndex';
+import { normalizeStation } from './stationRegistry';
+import { ShippingStatus } from './status';
+
+jest.setTimeout(60000);
+
+afterEach(async () => {
+  await resetDemoChain();
+});
+
+test('connects to the demo chain as the chosen demo account', async () => {
+  const connection = await connect(getNetworkConfig('demo'), 1);
+  const { accounts } = await getDemoChain();
+
+  expect(connection).toMatchObject({ account: accounts[1], readOnly: false, issues: [], demo: true });
+  expect(await fetchRoles(connection.contract, connection.account)).toEqual({ admin: false, shipper: false, carrier: true, auditor: false });
+  expect(await fetchRoles(connection.contract, accounts[0])).toEqual({ admin: true, shipper: true, carrier: false, auditor: false });
+});
+
+test('seeds sample shipments in every state', async () => {
+  const chain = await getDemoChain();
+  const ids = await seedDemoShipments(chain);
+
+  const { shipments } = await buildShipmentIndex(chain.contract);
+  const statusOf = (id) => shipments.find((shipment) => shipment.id.toString() === id).status;
+  expect(ids.map(statusOf)).toEqual([
+    ShippingStatus.Pending,
+    ShippingStatus.InTransit,
+    ShippingStatus.Delivered,
+    ShippingStatus.OnHold,
+    ShippingStatus.Cancelled,
+    ShippingStatus.InTransit,
+    ShippingStatus.Delivered,
+  ]);
+  expect((await fetchLineItems(chain.contract, ids[6])).map((item) => item.damaged)).toEqual([3n, 1n]);
+  expect(await fetchReceipt(chain.contract, ids[2])).toMatchObject({ confirmed: true, disputed: true });
+  expect(await fetchEscrow(chain.contract, ids[2])).toMatchObject({ settled: true });
+});
+
+test('resetting starts an empty chain', async () => {
+  await seedDemoShipments(await getDemoChain());
+  await resetDemoChain();
+
+  const { shipments } = await buildShipmentIndex((await getDemoChain()).contract);
+  expect(shipments).toEqual([]);
+});
+
+test('names every demo account in the station registry', async () => {
+  const { accounts } = await getDemoChain();
+
+  expect(demoStations(accounts).map(normalizeStation).map((station) => [station.address, station.name])).toEqual(
+    DEMO_ACCOUNTS.map((account, index) => [accounts[index], account.name])
+  );
+});
@@ -0,0 +1,17 @@
+// src/utils/download.js
+
+/**
+ * Saves text as a file through the browser's download prompt.
+ *
+ * @param {string} fileName - The suggested file name, e.g. "stations.json".
+ * @param {string} content - The file content.
+ * @param {string} type - The MIME type, e.g. "application/json".
+ */
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,146 @@
+// src/utils/escrow.js
+
+import { formatEther, parseEther } from 'ethers';
+import { sameAddress } from './shipmentIndex';
+
+/**
+ * Why an escrowed amount was paid out, matching the contract's PayoutKind enum.
+ */
+export const PayoutKind = {
+  StationFee: 0, // A station's fee, released when it checked the shipment in
+  Settlement: 1, // A station's share of the balance left on delivery, less its damage deduction
+  Refund: 2,     // Returned to the owner: damage deductions, rounding, or the balance of a cancelled shipment
+};
+
+// Display labels for each payout kind
+const PAYOUT_KIND_LABELS = {
+  [PayoutKind.StationFee]: 'Station fee',
+  [PayoutKind.Settlement]: 'Settlement',
+  [PayoutKind.Refund]: 'Refund to owner',
+};
+
+/**
+ * Gets the label of a payout kind.
+ *
+ * @param {number} kind - The PayoutKind code.
+ * @returns {string} The label.
+ */
+export function getPayoutKind(kind) {
+  return PAYOUT_KIND_LABELS[kind] || 'Unknown';
+}
+
+/**
+ * Formats an amount of wei as ETH.
+ *
+ * @param {bigint} wei - The amount.
+ * @returns {string} e.g. "0.25 ETH".
+ */
+export function formatEth(wei) {
+  return `${formatEther(wei)} ETH`;
+}
+
+/**
+ * Parses the escrow a shipper entered for a new shipment, in ETH.
+ *
+ * @param {string} deposit - The deposit as typed, empty for no escrow.
+ * @param {Array} fees - The fee of each transit station as typed, empty for none.
+ * @returns {Object} { escrow, error } - escrow is { deposit, stationFees } in wei, or null for no escrow;
+ *   error explains what is wrong with the input, or is null.
+ */
+export function parseEscrow(deposit, fees) {
+  const parse = (value) => {
+    const amount = parseEther(value.trim());
+    if (amount < 0n) throw new Error('negative');
+    return amount;
+  };
+
+  if (!deposit.trim()) {
+    return fees.some((fee) => fee.trim())
+      ? { escrow: null, error: 'Enter an escrow deposit to pay station fees.' }
+      : { escrow: null, error: null };
+  }
+  let depositWei;
+  let stationFees;
+  try {
+    depositWei = parse(deposit);
+    stationFees = fees.map((fee) => (fee.trim() ? parse(fee) : 0n));
+  } catch (err) {
+    return { escrow: null, error: 'Escrow amounts must be amounts of ETH, such as 0.5.' };
+  }
+  if (depositWei === 0n) {
+    return { escrow: null, error: 'The escrow deposit must be greater than zero.' };
+  }
+  if (stationFees.reduce((total, fee) => total + fee, 0n) > depositWei) {
+    return { escrow: null, error: 'The station fees add up to more than the escrow deposit.' };
+  }
+  return { escrow: { deposit: depositWei, stationFees }, error: null };
+}
+
+/**
+ * Fetches the payment escrowed for a shipment.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @returns {Promise<Object|null>} { deposit, balance, stationFees, settled } in wei, or null if the
+ *   shipment has no escrow.
+ */
+export async function fetchEscrow(contract, shipmentId) {
+  const escrow = await contract.getEscrow(shipmentId);
+  if (escrow.deposit === 0n) {
+    return null;
+  }
+  return {
+    deposit: escrow.deposit,
+    balance: escrow.balance,
+    stationFees: [...escrow.stationFees],
+    settled: escrow.settled,
+  };
+}
+
+/**
+ * Lists the payouts made from a shipment's escrow, from its PaymentReleased events.
+ *
+ * @param {Array} events - The shipment's event records from fetchEvents().
+ * @returns {Array} One { payee, kind, amount, blockNumber, transactionHash } per payout, oldest first.
+ */
+export function listPayouts(events) {
+  return events
+    .filter((event) => event.name === 'PaymentReleased')
+    .map((event) => ({
+      payee: event.args.payee,
+      kind: Number(event.args.kind),
+      amount: event.args.amount,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+}
+
+/**
+ * Breaks down how a delivered shipment's escrow was settled: each transit station's even share of the
+ * balance, the deduction for the damage it reported and what it was paid, plus the refund to the owner.
+ * Built from the EscrowSettled and PaymentReleased events, so later damage report amendments do not
+ * change it.
+ *
+ * @param {Array} transitStations - The shipment's station addresses.
+ * @param {Array} events - The shipment's event records from fetchEvents().
+ * @returns {Object|null} { balance, share, refund, stations }, with one { station, share, deduction, payout }
+ *   per station; null until the escrow is settled.
+ */
+export function buildSettlement(transitStations, events) {
+  const settled = events.find((event) => event.name === 'EscrowSettled');
+  if (!settled) {
+    return null;
+  }
+  const { balance, share, refund } = settled.args;
+  const settlements = listPayouts(events).filter((payout) => payout.kind === PayoutKind.Settlement);
+  return {
+    balance,
+    share,
+    refund,
+    stations: transitStations.map((station) => {
+      const payout = settlements.find((p) => sameAddress(p.payee, station));
+      const paid = payout ? payout.amount : 0n;
+      return { station, share, deduction: share - paid, payout: paid };
+    }),
+  };
+}
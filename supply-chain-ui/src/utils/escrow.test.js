@@ -0,0 +1,21 @@
+import { parseEther } from 'ethers';
+import { parseEscrow } from './escrow';
+
+test('no deposit means no escrow', () => {
+  expect(parseEscrow('', ['', ''])).toEqual({ escrow: null, error: null });
+  expect(parseEscrow(' ', ['0.1']).error).toBe('Enter an escrow deposit to pay station fees.');
+});
+
+test('parses the deposit and the fees in ETH, missing fees being zero', () => {
+  expect(parseEscrow('1.5', ['0.25', ''])).toEqual({
+    escrow: { deposit: parseEther('1.5'), stationFees: [parseEther('0.25'), 0n] },
+    error: null,
+  });
+});
+
+test('rejects amounts that are not ETH or that the deposit does not cover', () => {
+  expect(parseEscrow('abc', []).error).toBe('Escrow amounts must be amounts of ETH, such as 0.5.');
+  expect(parseEscrow('1', ['-0.1']).error).toBe('Escrow amounts must be amounts of ETH, such as 0.5.');
+  expect(parseEscrow('0', []).error).toBe('The escrow deposit must be greater than zero.');
+  expect(parseEscrow('1', ['0.6', '0.5']).error).toBe('The station fees add up to more than the escrow deposit.');
+});
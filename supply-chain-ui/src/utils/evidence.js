@@ -0,0 +1,62 @@
+// src/utils/evidence.js
+
+import { hexlify } from 'ethers';
+import { sameAddress } from './shipmentIndex';
+
+/**
+ * Computes the content hash recorded on chain for an evidence file. The file never leaves the browser:
+ * it is hashed with the Web Crypto API, which browsers offer on https pages and on localhost.
+ *
+ * @param {Blob} file - The file.
+ * @returns {Promise<string>} The SHA-256 hash of the file's content, as a 0x-prefixed hex string.
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return hexlify(new Uint8Array(digest));
+}
+
+/**
+ * Fetches the evidence attached to the damage reports of a shipment.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @returns {Promise<Array>} One { reporter, contentHash, uri } per file, grouped by station in the order they
+ *   first reported damage; uri is empty for files that are not published.
+ */
+export async function fetchDamageEvidence(contract, shipmentId) {
+  const [reporters, contentHashes, uris] = await contract.getDamageEvidence(shipmentId);
+  return reporters.map((reporter, index) => ({ reporter, contentHash: contentHashes[index], uri: uris[index] }));
+}
+
+/**
+ * Finds the evidence a file matches.
+ *
+ * @param {Array} evidence - The output of fetchDamageEvidence().
+ * @param {string} contentHash - The hash of the file, see hashFile().
+ * @returns {Array} The matching evidence, empty if the file is not one that was attached.
+ */
+export function findMatchingEvidence(evidence, contentHash) {
+  return evidence.filter((item) => item.contentHash.toLowerCase() === contentHash.toLowerCase());
+}
+
+/**
+ * Filters the evidence attached by one station.
+ *
+ * @param {Array} evidence - The output of fetchDamageEvidence().
+ * @param {string} reporter - The station address.
+ * @returns {Array} The station's evidence.
+ */
+export function evidenceOf(evidence, reporter) {
+  return evidence.filter((item) => sameAddress(item.reporter, reporter));
+}
+
+/**
+ * Checks whether an evidence URI can be offered as a download link. Other URIs, such as paths on
+ * a local store, are only shown, so that a station cannot make viewers open a script URL.
+ *
+ * @param {string} uri - The URI recorded with the evidence.
+ * @returns {boolean} True for http and https URLs.
+ */
+export function isDownloadLink(uri) {
+  return /^https?:\/\//i.test(uri.trim());
+}
@@ -0,0 +1,36 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { webcrypto } from 'crypto';
+import { sha256, toUtf8Bytes } from 'ethers';
+import { findMatchingEvidence, hashFile, isDownloadLink } from './evidence';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+
+test('hashes the content of a file with SHA-256', async () => {
+  // The test environment lacks the browser's Web Crypto global; Node's implementation is the same API
+  global.crypto = webcrypto;
+  const file = new Blob(['photo of crushed boxes'], { type: 'image/jpeg' });
+
+  expect(await hashFile(file)).toBe(sha256(toUtf8Bytes('photo of crushed boxes')));
+});
+
+test('finds the evidence a file matches, whatever the case of its hash', () => {
+  const photo = sha256(toUtf8Bytes('photo'));
+  const evidence = [
+    { reporter: STATION_A, contentHash: photo, uri: '' },
+    { reporter: STATION_B, contentHash: sha256(toUtf8Bytes('survey')), uri: '' },
+  ];
+
+  expect(findMatchingEvidence(evidence, photo.toUpperCase().replace('0X', '0x'))).toEqual([evidence[0]]);
+  expect(findMatchingEvidence(evidence, sha256(toUtf8Bytes('altered photo')))).toEqual([]);
+});
+
+test('only offers web links as downloads', () => {
+  expect(isDownloadLink('https://files.example.com/photo.jpg')).toBe(true);
+  expect(isDownloadLink('http://nas.local/claims/7.pdf')).toBe(true);
+  expect(isDownloadLink('data:text/html,<script>alert(1)</script>')).toBe(false);
+  expect(isDownloadLink('/mnt/claims/7.pdf')).toBe(false);
+});
@@ -0,0 +1,58 @@
+// src/utils/indexerApi.js
+
+import { toBigInt } from 'ethers';
+import { sameAddress } from './shipmentIndex';
+
+/**
+ * Requests a path from the indexer's REST API.
+ *
+ * @param {string} baseUrl - The API's URL, e.g. "http://localhost:4000".
+ * @param {string} path - The path, starting with a slash.
+ * @returns {Promise<*>} The parsed JSON response.
+ * @throws {Error} If the indexer cannot be reached or answers with an error.
+ */
+async function getJson(baseUrl, path) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`);
+  if (!response.ok) {
+    throw new Error(`The indexer answered ${path} with HTTP ${response.status}.`);
+  }
+  return response.json();
+}
+
+/**
+ * Converts a shipment served by the indexer to the summary readShipment() returns.
+ * The API sends quantities as decimal strings, since JSON has no big integers.
+ *
+ * @param {Object} shipment - The shipment from the API.
+ * @returns {Object} The shipment summary, with lastActivityBlock.
+ */
+export function fromIndexedShipment(shipment) {
+  return {
+    ...shipment,
+    quantity: toBigInt(shipment.quantity),
+    totDamagedQuantity: toBigInt(shipment.totDamagedQuantity),
+  };
+}
+
+/**
+ * Loads the shipment list from the indexer instead of the chain, with the check-ins the dashboard
+ * assesses deadlines with. The indexed events carry their block timestamp, so fetchArrivalTimes()
+ * does not need to look up blocks.
+ *
+ * @param {string} baseUrl - The API's URL.
+ * @param {string} contractAddress - The contract the app is connected to.
+ * @returns {Promise<Object>} { shipments, events, lastBlock } like buildShipmentIndex(), with only the
+ *   StationUpdated events, and the last block the indexer has seen.
+ * @throws {Error} If the indexer is unreachable or indexes another contract.
+ */
+export async function fetchIndexedShipments(baseUrl, contractAddress) {
+  const [status, shipments, events] = await Promise.all([
+    getJson(baseUrl, '/status'),
+    getJson(baseUrl, '/shipments'),
+    getJson(baseUrl, '/events?name=StationUpdated'),
+  ]);
+  if (!sameAddress(status.contractAddress, contractAddress)) {
+    throw new Error(`The indexer indexes ${status.contractAddress}, not ${contractAddress}.`);
+  }
+  return { shipments: shipments.map(fromIndexedShipment), events, lastBlock: status.lastBlock };
+}
@@ -0,0 +1,53 @@
+import { fetchIndexedShipments, fromIndexedShipment } from './indexerApi';
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const SHIPMENT = {
+  id: '7', origin: 'Factory', destination: 'Store', reference: 'PO-7', quantity: '40', totDamagedQuantity: '4',
+  damageRatio: 0.1, status: 1, transitStations: [], currentStationIndex: 1, lastActivityBlock: 9,
+};
+const CHECK_IN = { name: 'StationUpdated', shipmentId: '7', blockNumber: 9, timestamp: 1700000000, args: { shipmentId: '7', station: CONTRACT } };
+
+/**
+ * Answers the indexer's endpoints like the indexer would.
+ */
+function serve(responses) {
+  global.fetch = jest.fn(async (url) => {
+    const path = url.replace('http://localhost:4000', '');
+    return path in responses
+      ? { ok: true, status: 200, json: async () => responses[path] }
+      : { ok: false, status: 404, json: async () => ({ error: 'Not found.' }) };
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('converts quantities back to big integers', () => {
+  expect(fromIndexedShipment(SHIPMENT)).toEqual({ ...SHIPMENT, quantity: 40n, totDamagedQuantity: 4n });
+});
+
+test('loads the shipments and check-ins of the connected contract', async () => {
+  serve({
+    '/status': { contractAddress: CONTRACT.toLowerCase(), lastBlock: 12 },
+    '/shipments': [SHIPMENT],
+    '/events?name=StationUpdated': [CHECK_IN],
+  });
+
+  expect(await fetchIndexedShipments('http://localhost:4000/', CONTRACT)).toEqual({
+    shipments: [fromIndexedShipment(SHIPMENT)],
+    events: [CHECK_IN],
+    lastBlock: 12,
+  });
+});
+
+test('rejects indexers of another contract or that fail', async () => {
+  serve({ '/status': { contractAddress: '0x1111111111111111111111111111111111111111', lastBlock: 12 }, '/shipments': [], '/events?name=StationUpdated': [] });
+  await expect(fetchIndexedShipments('http://localhost:4000', CONTRACT)).rejects.toThrow(
+    `The indexer indexes 0x1111111111111111111111111111111111111111, not ${CONTRACT}.`
+  );
+
+  serve({ '/status': { contractAddress: CONTRACT, lastBlock: 12 } });
+  await expect(fetchIndexedShipments('http://localhost:4000', CONTRACT)).rejects.toThrow('The indexer answered /shipments with HTTP 404.');
+});
@@ -0,0 +1,150 @@
+// src/utils/lineItems.js
+
+import { toBigInt } from 'ethers';
+
+// Unit suggested for new line items
+export const DEFAULT_UNIT = 'pcs';
+
+/**
+ * Returns an empty row for the line item editor.
+ *
+ * @returns {Object} { sku, description, quantity, unit } as typed.
+ */
+export function emptyLineItem() {
+  return { sku: '', description: '', quantity: '', unit: DEFAULT_UNIT };
+}
+
+/**
+ * Validates the line items a shipper entered, each on its own and then against each other.
+ *
+ * @param {Array} rows - The line items as typed: { sku, description, quantity, unit }.
+ * @returns {Array} One { lineItem, error } per row; lineItem is { sku, description, quantity, unit } with
+ *   trimmed text and a bigint quantity, ready for the contract, or null if the row is invalid.
+ */
+export function validateLineItems(rows) {
+  const skus = rows.map((row) => row.sku.trim());
+  return rows.map((row, index) => {
+    const sku = skus[index];
+    const quantity = String(row.quantity).trim();
+    let error = null;
+    if (!sku) {
+      error = 'Enter the SKU.';
+    } else if (skus.indexOf(sku) !== index) {
+      error = 'Duplicate SKU: combine its quantities in one line item.';
+    } else if (!/^\d+$/.test(quantity) || toBigInt(quantity) === 0n) {
+      error = 'The quantity must be a whole number greater than zero.';
+    }
+    return {
+      lineItem: error ? null : { sku, description: row.description.trim(), quantity: toBigInt(quantity), unit: row.unit.trim() },
+      error,
+    };
+  });
+}
+
+/**
+ * Checks whether validated line items can be submitted.
+ *
+ * @param {Array} results - The output of validateLineItems().
+ * @returns {boolean} True if there is at least one line item and none has an error.
+ */
+export function areLineItemsValid(results) {
+  return results.length > 0 && results.every((result) => !result.error);
+}
+
+/**
+ * Adds up the quantities of line items as typed, ignoring rows that are not valid yet.
+ *
+ * @param {Array} rows - The line items as typed.
+ * @returns {bigint} The total quantity.
+ */
+export function totalQuantity(rows) {
+  return rows.reduce((total, row) => {
+    const quantity = String(row.quantity).trim();
+    return /^\d+$/.test(quantity) ? total + toBigInt(quantity) : total;
+  }, 0n);
+}
+
+/**
+ * Parses a quantity per line item as typed, e.g. the damaged quantities a station reports.
+ * Empty fields count as 0.
+ *
+ * @param {Array} values - The quantities as typed, one per line item.
+ * @returns {Object} { quantities, error } - quantities are bigints, or null if a value is not a whole number.
+ */
+export function parseLineItemQuantities(values) {
+  const trimmed = values.map((value) => String(value ?? '').trim());
+  if (trimmed.some((value) => value && !/^\d+$/.test(value))) {
+    return { quantities: null, error: 'Quantities must be whole numbers.' };
+  }
+  return { quantities: trimmed.map((value) => (value ? toBigInt(value) : 0n)), error: null };
+}
+
+/**
+ * Fetches the line items of a shipment with the quantities damaged and received.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @returns {Promise<Array>} One { sku, description, quantity, unit, damaged, accepted, rejected } per line item;
+ *   accepted and rejected are null until receipt is confirmed per line item. Empty for shipments created
+ *   with a single quantity.
+ */
+export async function fetchLineItems(contract, shipmentId) {
+  const [items, damaged, accepted, rejected] = await contract.getLineItems(shipmentId);
+  return items.map((item, index) => ({
+    sku: item.sku,
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    damaged: damaged[index] ?? 0n,
+    accepted: accepted.length > 0 ? accepted[index] : null,
+    rejected: rejected.length > 0 ? rejected[index] : null,
+  }));
+}
+
+/**
+ * Totals line items per SKU, for shipments that list a SKU more than once.
+ * Line items of the same SKU in different units are kept apart, since their quantities do not add up.
+ *
+ * @param {Array} lineItems - The output of fetchLineItems().
+ * @returns {Array} One { sku, description, unit, shipped, damaged, accepted, rejected } per SKU and unit, in
+ *   order of first appearance; accepted and rejected are null unless known for every line item of the SKU.
+ */
+export function summarizeBySku(lineItems) {
+  const totals = new Map(); // "sku unit" => totals
+  for (const item of lineItems) {
+    const key = `${item.sku}\u0000${item.unit}`;
+    const total = totals.get(key);
+    if (!total) {
+      totals.set(key, {
+        sku: item.sku,
+        description: item.description,
+        unit: item.unit,
+        shipped: item.quantity,
+        damaged: item.damaged,
+        accepted: item.accepted,
+        rejected: item.rejected,
+      });
+      continue;
+    }
+    total.shipped += item.quantity;
+    total.damaged += item.damaged;
+    total.accepted = total.accepted === null || item.accepted === null ? null : total.accepted + item.accepted;
+    total.rejected = total.rejected === null || item.rejected === null ? null : total.rejected + item.rejected;
+  }
+  return [...totals.values()];
+}
+
+/**
+ * Describes a station's damage per line item, e.g. "2 pcs of SKU-1, 5 kg of SKU-2".
+ *
+ * @param {Array} lineItems - The shipment's line items.
+ * @param {Array} quantities - The damaged quantity of each line item.
+ * @returns {string} The line items with damage, empty if there are none.
+ */
+export function describeLineItemQuantities(lineItems, quantities) {
+  return lineItems
+    .map((item, index) => ({ item, quantity: quantities[index] ?? 0n }))
+    .filter(({ quantity }) => quantity > 0n)
+    .map(({ item, quantity }) => `${quantity}${item.unit ? ` ${item.unit}` : ''} of ${item.sku}`)
+    .join(', ');
+}
@@ -0,0 +1,52 @@
+import { areLineItemsValid, describeLineItemQuantities, parseLineItemQuantities, summarizeBySku, totalQuantity, validateLineItems } from './lineItems';
+
+const row = (sku, quantity, unit = 'pcs', description = '') => ({ sku, description, quantity, unit });
+
+test('validates line items and prepares them for the contract', () => {
+  const results = validateLineItems([row(' SKU-1 ', '12', ' pcs ', ' Mugs '), row('', '3'), row('SKU-1', '1'), row('SKU-2', '0'), row('SKU-3', '1.5')]);
+
+  expect(results.map((result) => result.error)).toEqual([
+    null,
+    'Enter the SKU.',
+    'Duplicate SKU: combine its quantities in one line item.',
+    'The quantity must be a whole number greater than zero.',
+    'The quantity must be a whole number greater than zero.',
+  ]);
+  expect(results[0].lineItem).toEqual({ sku: 'SKU-1', description: 'Mugs', quantity: 12n, unit: 'pcs' });
+  expect(areLineItemsValid(results)).toBe(false);
+  expect(areLineItemsValid(results.slice(0, 1))).toBe(true);
+  expect(areLineItemsValid([])).toBe(false);
+});
+
+test('totals the quantities typed so far', () => {
+  expect(totalQuantity([row('A', '12'), row('B', ''), row('C', 'x'), row('D', '3')])).toBe(15n);
+});
+
+test('parses quantities per line item, empty ones being zero', () => {
+  expect(parseLineItemQuantities(['2', '', ' 0 '])).toEqual({ quantities: [2n, 0n, 0n], error: null });
+  expect(parseLineItemQuantities(['2', '-1']).error).toBe('Quantities must be whole numbers.');
+});
+
+test('totals line items per SKU and unit', () => {
+  const item = (sku, unit, quantity, damaged, accepted = null, rejected = null) => (
+    { sku, description: `${sku} description`, quantity, unit, damaged, accepted, rejected }
+  );
+
+  expect(summarizeBySku([
+    item('SKU-1', 'pcs', 10n, 1n, 9n, 1n),
+    item('SKU-2', 'kg', 5n, 0n, 5n, 0n),
+    item('SKU-1', 'pcs', 20n, 2n, 18n, 0n),
+    item('SKU-1', 'box', 2n, 0n),
+  ])).toEqual([
+    { sku: 'SKU-1', description: 'SKU-1 description', unit: 'pcs', shipped: 30n, damaged: 3n, accepted: 27n, rejected: 1n },
+    { sku: 'SKU-2', description: 'SKU-2 description', unit: 'kg', shipped: 5n, damaged: 0n, accepted: 5n, rejected: 0n },
+    { sku: 'SKU-1', description: 'SKU-1 description', unit: 'box', shipped: 2n, damaged: 0n, accepted: null, rejected: null },
+  ]);
+});
+
+test('describes damage per line item', () => {
+  const lineItems = [{ sku: 'SKU-1', unit: 'pcs' }, { sku: 'SKU-2', unit: 'kg' }, { sku: 'SKU-3', unit: '' }];
+
+  expect(describeLineItemQuantities(lineItems, [2n, 0n, 1n])).toBe('2 pcs of SKU-1, 1 of SKU-3');
+  expect(describeLineItemQuantities(lineItems, [])).toBe('');
+});
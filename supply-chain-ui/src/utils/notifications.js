@@ -0,0 +1,204 @@
+// src/utils/notifications.js
+
+import { getAddress } from 'ethers';
+import { ShippingStatus } from './status';
+import { fetchEvents, readShipment, sameAddress } from './shipmentIndex';
+import { fetchReceipt } from './receipt';
+
+// Kinds of notifications an account can receive
+export const NotificationType = {
+  TurnNext: 'turnNext',          // The shipment reached the station before the account's, or starts at it
+  Damage: 'damage',              // A station reported damage on a shipment the account created
+  Delivered: 'delivered',        // A shipment the account is part of was delivered
+  Cancelled: 'cancelled',        // A shipment the account is part of was cancelled
+};
+
+// Notifications kept per account; older ones are dropped
+export const MAX_NOTIFICATIONS = 100;
+
+/**
+ * Returns the localStorage key holding an account's notifications for a contract.
+ *
+ * @param {string} contractAddress - The contract address.
+ * @param {string} account - The connected account.
+ * @returns {string} The key.
+ */
+function storageKey(contractAddress, account) {
+  return `chainmail.notifications.${getAddress(contractAddress)}.${getAddress(account)}`;
+}
+
+/**
+ * Loads an account's notifications from localStorage.
+ *
+ * @param {string} contractAddress - The contract address.
+ * @param {string} account - The connected account.
+ * @returns {Object} { notifications, lastBlock }, where lastBlock is the last block checked for events,
+ *   or null if the account never checked.
+ */
+export function loadNotifications(contractAddress, account) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey(contractAddress, account)) || 'null');
+    if (stored && Array.isArray(stored.notifications)) {
+      return { notifications: stored.notifications, lastBlock: Number.isInteger(stored.lastBlock) ? stored.lastBlock : null };
+    }
+  } catch (err) {
+    console.error('Ignoring corrupt notifications:', err);
+  }
+  return { notifications: [], lastBlock: null };
+}
+
+/**
+ * Saves an account's notifications to localStorage.
+ *
+ * @param {string} contractAddress - The contract address.
+ * @param {string} account - The connected account.
+ * @param {Object} state - { notifications, lastBlock }
+ */
+export function saveNotifications(contractAddress, account, state) {
+  window.localStorage.setItem(storageKey(contractAddress, account), JSON.stringify(state));
+}
+
+/**
+ * Checks whether an account takes part in a shipment: as its owner, one of its
+ * transit stations or its recipient.
+ *
+ * @param {Object} shipment - A readShipment() result, with the recipient from getReceipt() as `recipient`.
+ * @param {string} account - The account.
+ * @returns {boolean} True if the account takes part in the shipment.
+ */
+export function isPartyTo(shipment, account) {
+  return sameAddress(shipment.owner, account)
+    || sameAddress(shipment.recipient, account)
+    || shipment.transitStations.some((station) => sameAddress(station, account));
+}
+
+/**
+ * Works out which notifications an event raises for an account.
+ * Accounts are not notified of their own actions.
+ *
+ * @param {Object} event - An event record (see fetchEvents()).
+ * @param {Object} shipment - The shipment the event belongs to, as of the event's block (see isPartyTo()).
+ * @param {string} account - The connected account.
+ * @returns {Array} The new notifications: { id, type, shipmentId, message, blockNumber, transactionHash, read }.
+ */
+export function notificationsForEvent(event, shipment, account) {
+  const notify = (type, message) => [{
+    id: `${event.transactionHash}-${event.logIndex}-${type}`,
+    type,
+    shipmentId: event.shipmentId,
+    message,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    read: false,
+  }];
+  const stations = shipment.transitStations;
+
+  switch (event.name) {
+    case 'ShipmentCreated':
+      return sameAddress(stations[0], account) && !sameAddress(shipment.owner, account)
+        ? notify(NotificationType.TurnNext, `Shipment ${event.shipmentId} was created with your station first: your turn is next.`)
+        : [];
+    case 'StationUpdated': {
+      const index = stations.findIndex((station) => sameAddress(station, event.args.station));
+      return index >= 0 && sameAddress(stations[index + 1], account)
+        ? notify(NotificationType.TurnNext, `Shipment ${event.shipmentId} reached the station before yours: your turn is next.`)
+        : [];
+    }
+    case 'DamageReported':
+      return sameAddress(shipment.owner, account) && !sameAddress(event.args.reporter, account)
+        ? notify(
+          NotificationType.Damage,
+          `${event.args.damagedQuantity} damaged items were reported on your shipment ${event.shipmentId}: ${event.args.damageReason}`
+        )
+        : [];
+    case 'StatusUpdated':
+      // The last station delivers the shipment itself
+      return Number(event.args.newStatus) === ShippingStatus.Delivered
+        && isPartyTo(shipment, account) && !sameAddress(stations[stations.length - 1], account)
+        ? notify(NotificationType.Delivered, `Shipment ${event.shipmentId} was delivered.`)
+        : [];
+    case 'ShipmentCancelled':
+      return isPartyTo(shipment, account) && !sameAddress(event.args.cancelledBy, account)
+        ? notify(NotificationType.Cancelled, `Shipment ${event.shipmentId} was cancelled: ${event.args.reason}`)
+        : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Adds new notifications to a list, newest first, skipping ones it already holds.
+ *
+ * @param {Array} notifications - The current notifications, newest first.
+ * @param {Array} added - The new notifications, oldest first.
+ * @returns {Array} The merged list, capped at MAX_NOTIFICATIONS.
+ */
+export function mergeNotifications(notifications, added) {
+  const known = new Set(notifications.map((notification) => notification.id));
+  const fresh = added.filter((notification) => !known.has(notification.id)).reverse();
+  return [...fresh, ...notifications].slice(0, MAX_NOTIFICATIONS);
+}
+
+/**
+ * Reads a shipment and its recipient, for isPartyTo().
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {number} [blockTag] - The block to read the shipment at, by default the latest.
+ * @returns {Promise<Object>} The readShipment() result, with the recipient as `recipient`.
+ */
+async function readParties(contract, shipmentId, blockTag) {
+  const [shipment, receipt] = await Promise.all([
+    readShipment(contract, shipmentId, blockTag),
+    fetchReceipt(contract, shipmentId, blockTag),
+  ]);
+  return { ...shipment, recipient: receipt.recipient };
+}
+
+/**
+ * Checks the events since the last check for notifications for an account.
+ * On the first check, nothing is reported: notifications start from the current block. The same happens
+ * when the chain is behind the last check, i.e. it was reset.
+ * Shipments that cannot be read as of an event's block are read as they are now, and events whose
+ * shipment cannot be read at all are skipped, so that the check always moves on to the latest block.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} account - The connected account.
+ * @param {number|null} lastBlock - The last block already checked, or null if the account never checked.
+ * @returns {Promise<Object>} { added, lastBlock }, with the new notifications oldest first.
+ */
+export async function fetchNewNotifications(contract, account, lastBlock) {
+  const latest = await contract.runner.provider.getBlockNumber();
+  // A chain that was restarted (such as Ganache or the demo chain) starts over from its first block
+  if (lastBlock === null || lastBlock > latest) {
+    return { added: [], lastBlock: latest };
+  }
+
+  const events = await fetchEvents(contract, { fromBlock: lastBlock + 1 });
+
+  // Read each shipment as it was when the event was emitted, since its route or recipient may have changed
+  // since; once per block, even if the shipment emitted several events in it
+  const shipments = new Map();
+  const added = [];
+  for (const event of events) {
+    const key = `${event.shipmentId}@${event.blockNumber}`;
+    if (!shipments.has(key)) {
+      shipments.set(key, readParties(contract, event.shipmentId, event.blockNumber)
+        .catch((err) => {
+          // Nodes that do not keep old state, as most public RPC endpoints, refuse reads about 128 blocks back
+          console.error(`Could not read shipment ${event.shipmentId} at block ${event.blockNumber}, using its current state:`, err);
+          return readParties(contract, event.shipmentId);
+        })
+        .catch((err) => {
+          console.error(`Skipping the notifications of shipment ${event.shipmentId}:`, err);
+          return null;
+        }));
+    }
+    const shipment = await shipments.get(key);
+    if (shipment) {
+      added.push(...notificationsForEvent(event, shipment, account));
+    }
+  }
+
+  return { added, lastBlock: Math.max(latest, ...events.map((event) => event.blockNumber)) };
+}
@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import { NotificationType, fetchNewNotifications, mergeNotifications } from './notifications';
+import { DamageCategory } from './damage';
+import { Role } from './roles';
+import { grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let recipient;
+
+const chain = setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, recipient] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB]);
+});
+
+/**
+ * Returns the types and shipment IDs of the notifications an account gets for the blocks after `lastBlock`.
+ */
+async function notificationsOf(account, lastBlock) {
+  const { added } = await fetchNewNotifications(contract, account.address, lastBlock);
+  return added.map((notification) => [notification.type, notification.shipmentId]);
+}
+
+test('the first check only records where notifications start', async () => {
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address, stationB.address])).wait();
+  const latest = await chain.provider.getBlockNumber();
+
+  expect(await fetchNewNotifications(contract, stationA.address, null)).toEqual({ added: [], lastBlock: latest });
+});
+
+test('starts over when the chain was reset behind the last check', async () => {
+  const latest = await chain.provider.getBlockNumber();
+
+  expect(await fetchNewNotifications(contract, stationA.address, latest + 50)).toEqual({ added: [], lastBlock: latest });
+});
+
+test('notifies each party of what concerns it', async () => {
+  const start = await chain.provider.getBlockNumber();
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address, stationB.address])).wait();
+  await (await contract.setRecipient(1, recipient.address)).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationA).reportDamage(1, 2, 'crushed', DamageCategory.Accident)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+
+  expect(await notificationsOf(stationA, start)).toEqual([[NotificationType.TurnNext, '1'], [NotificationType.Delivered, '1']]);
+  expect(await notificationsOf(stationB, start)).toEqual([[NotificationType.TurnNext, '1']]);
+  expect(await notificationsOf(shipper, start)).toEqual([[NotificationType.Damage, '1'], [NotificationType.Delivered, '1']]);
+  expect(await notificationsOf(recipient, start)).toEqual([[NotificationType.Delivered, '1']]);
+});
+
+test('uses the route the shipment had when the event was emitted', async () => {
+  const start = await chain.provider.getBlockNumber();
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address])).wait();
+  await (await contract.amendRoute(1, [stationB.address], 'warehouse closed')).wait();
+
+  expect(await notificationsOf(stationA, start)).toEqual([[NotificationType.TurnNext, '1']]);
+  expect(await notificationsOf(stationB, start)).toEqual([]);
+});
+
+test('uses the current route when the node refuses to read old state', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const start = await chain.provider.getBlockNumber();
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address])).wait();
+  await (await contract.amendRoute(1, [stationB.address], 'warehouse closed')).wait();
+  const latest = await chain.provider.getBlockNumber();
+
+  // Like a pruned node, refuse every read at a past block
+  const call = chain.provider.call.bind(chain.provider);
+  jest.spyOn(chain.provider, 'call').mockImplementation(async (tx) => {
+    if (tx.blockTag !== undefined) {
+      throw new Error('missing trie node');
+    }
+    return call(tx);
+  });
+
+  expect(await notificationsOf(stationA, start)).toEqual([]);
+  expect(await fetchNewNotifications(contract, stationB.address, start)).toEqual({
+    added: [expect.objectContaining({ type: NotificationType.TurnNext, shipmentId: '1' })],
+    lastBlock: latest,
+  });
+});
+
+test('skips the events of shipments it cannot read and still moves on', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const start = await chain.provider.getBlockNumber();
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address])).wait();
+  const latest = await chain.provider.getBlockNumber();
+  jest.spyOn(contract.runner, 'call').mockRejectedValue(new Error('missing trie node'));
+
+  expect(await fetchNewNotifications(contract, stationA.address, start)).toEqual({ added: [], lastBlock: latest });
+});
+
+test('notifies the other parties when a shipment is cancelled', async () => {
+  await (await contract.createShipment(1, 'A', 'B', 10, [stationA.address, stationB.address])).wait();
+  const start = await chain.provider.getBlockNumber();
+  await (await contract.cancelShipment(1, 'order withdrawn')).wait();
+
+  const { added } = await fetchNewNotifications(contract, stationB.address, start);
+  expect(added).toEqual([expect.objectContaining({
+    type: NotificationType.Cancelled,
+    message: 'Shipment 1 was cancelled: order withdrawn',
+    read: false,
+  })]);
+  expect(await notificationsOf(shipper, start)).toEqual([]);
+});
+
+test('merging keeps the newest first and skips known notifications', () => {
+  const older = { id: 'a', read: true };
+  const merged = mergeNotifications([older], [{ id: 'a', read: false }, { id: 'b' }, { id: 'c' }]);
+
+  expect(merged.map((notification) => notification.id)).toEqual(['c', 'b', 'a']);
+  expect(merged[2].read).toBe(true);
+});
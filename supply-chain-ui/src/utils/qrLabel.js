@@ -0,0 +1,55 @@
+// src/utils/qrLabel.js
+
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { getAddress, isAddress } from 'ethers';
+
+// Prefix of the text encoded in shipment labels, e.g. chainmail://shipment/7?contract=0x...
+export const LABEL_PREFIX = 'chainmail://shipment/';
+
+/**
+ * Builds the text encoded in a shipment's QR label.
+ *
+ * @param {string} shipmentId - The shipment ID.
+ * @param {string} contractAddress - The address of the contract the shipment lives in.
+ * @returns {string} The label text.
+ */
+export function encodeLabel(shipmentId, contractAddress) {
+  return `${LABEL_PREFIX}${shipmentId}?contract=${getAddress(contractAddress)}`;
+}
+
+/**
+ * Reads a scanned QR label.
+ *
+ * @param {string} text - The decoded QR code text.
+ * @returns {Object} { shipmentId, contractAddress }
+ * @throws {Error} If the text is not a shipment label.
+ */
+export function parseLabel(text) {
+  const match = /^chainmail:\/\/shipment\/([1-9]\d*)\?contract=(0x[0-9a-fA-F]{40})$/.exec((text || '').trim());
+  if (!match || !isAddress(match[2])) {
+    throw new Error('This QR code is not a shipment label.');
+  }
+  return { shipmentId: match[1], contractAddress: getAddress(match[2]) };
+}
+
+/**
+ * Renders label text as a QR code image.
+ *
+ * @param {string} text - The label text.
+ * @returns {Promise<string>} A PNG data URL.
+ */
+export function renderQrCode(text) {
+  return QRCode.toDataURL(text, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+}
+
+/**
+ * Looks for a QR code in an image, e.g. a camera frame drawn on a canvas.
+ *
+ * @param {Object} imageData - { data, width, height }, as returned by CanvasRenderingContext2D.getImageData().
+ * @returns {string|null} The decoded text, or null if no QR code was found.
+ */
+export function decodeQrCode({ data, width, height }) {
+  const code = jsQR(data, width, height);
+  return code ? code.data : null;
+}
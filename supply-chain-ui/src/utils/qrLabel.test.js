@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import QRCode from 'qrcode';
+import { LABEL_PREFIX, decodeQrCode, encodeLabel, parseLabel } from './qrLabel';
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+/**
+ * Draws a QR code as black and white RGBA pixels, like a canvas would.
+ */
+function drawQrCode(text, scale = 4, margin = 4) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const width = (modules.size + margin * 2) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = Math.floor(y / scale) - margin;
+      const col = Math.floor(x / scale) - margin;
+      const dark = row >= 0 && col >= 0 && row < modules.size && col < modules.size && modules.get(row, col);
+      if (dark) {
+        data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { data, width, height: width };
+}
+
+test('labels encode the shipment ID and contract address', () => {
+  const text = encodeLabel('7', CONTRACT.toLowerCase());
+
+  expect(text).toBe(`${LABEL_PREFIX}7?contract=${CONTRACT}`);
+  expect(parseLabel(text)).toEqual({ shipmentId: '7', contractAddress: CONTRACT });
+});
+
+test('rejects QR codes that are not shipment labels', () => {
+  for (const text of ['https://example.com', `${LABEL_PREFIX}0?contract=${CONTRACT}`, `${LABEL_PREFIX}7?contract=0x123`, '']) {
+    expect(() => parseLabel(text)).toThrow('This QR code is not a shipment label.');
+  }
+});
+
+test('decodes a label from an image', () => {
+  const text = encodeLabel('42', CONTRACT);
+
+  expect(decodeQrCode(drawQrCode(text))).toBe(text);
+  expect(decodeQrCode({ data: new Uint8ClampedArray(40 * 40 * 4).fill(255), width: 40, height: 40 })).toBeNull();
+});
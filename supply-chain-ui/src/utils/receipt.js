@@ -0,0 +1,59 @@
+// src/utils/receipt.js
+
+/**
+ * Fetches the receipt confirmation of a shipment.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {number} [blockTag] - The block to read the receipt at, by default the latest.
+ * @returns {Promise<Object>} { recipient, confirmed, acceptedQuantity, rejectedQuantity, notes, disputed, disputedBy, disputeReason }
+ */
+export async function fetchReceipt(contract, shipmentId, blockTag) {
+  const overrides = blockTag === undefined ? [] : [{ blockTag }];
+  const receipt = await contract.getReceipt(shipmentId, ...overrides);
+  return {
+    recipient: receipt.recipient,
+    confirmed: receipt.confirmed,
+    acceptedQuantity: receipt.acceptedQuantity,
+    rejectedQuantity: receipt.rejectedQuantity,
+    notes: receipt.notes,
+    disputed: receipt.disputed,
+    disputedBy: receipt.disputedBy,
+    disputeReason: receipt.disputeReason,
+  };
+}
+
+/**
+ * Compares what the recipient received with the shipment's records.
+ * According to the records, the items reported as damaged should be rejected
+ * and every other shipped item accepted; anything neither accepted nor rejected is missing.
+ * Mirrors the check the contract makes before a dispute can be raised.
+ *
+ * @param {Object} shipment - { quantity, totDamagedQuantity } as bigints.
+ * @param {bigint} acceptedQuantity - The quantity of items accepted.
+ * @param {bigint} rejectedQuantity - The quantity of items rejected.
+ * @returns {Object} { expectedAccepted, expectedRejected, missing, discrepancies }, where discrepancies
+ *   is an array of human-readable strings, empty if the receipt matches the records.
+ */
+export function reconcileReceipt(shipment, acceptedQuantity, rejectedQuantity) {
+  const { quantity, totDamagedQuantity } = shipment;
+  const received = acceptedQuantity + rejectedQuantity;
+  const missing = received < quantity ? quantity - received : 0n;
+  const discrepancies = [];
+
+  if (received > quantity) {
+    discrepancies.push(`Accepted and rejected items add up to ${received}, but only ${quantity} were shipped.`);
+  } else if (missing > 0n) {
+    discrepancies.push(`${missing} of the ${quantity} shipped items are missing.`);
+  }
+  if (rejectedQuantity !== totDamagedQuantity) {
+    discrepancies.push(`${rejectedQuantity} items were rejected, but stations reported ${totDamagedQuantity} damaged.`);
+  }
+
+  return {
+    expectedAccepted: quantity - totDamagedQuantity,
+    expectedRejected: totDamagedQuantity,
+    missing,
+    discrepancies,
+  };
+}
@@ -0,0 +1,250 @@
+// src/utils/reports.js
+
+import { fetchDamageReports, getDamageCategory } from './damage';
+import { readShipment, sameAddress } from './shipmentIndex';
+import { findStation } from './stationRegistry';
+import { getStatus, isFinished } from './status';
+import { buildTimeline } from './timeline';
+
+// Version of the JSON export format
+const EXPORT_VERSION = 1;
+
+// Columns of the CSV export. Each shipment becomes several rows, one per record:
+// a "station" row per transit station, a "damage" row per reporting station, an
+// "evidence" row per file attached to a damage report and an "event" row per contract event.
+export const CSV_COLUMNS = [
+  'shipment_id', 'reference', 'origin', 'destination', 'quantity', 'total_damaged', 'status', 'owner',
+  'record', 'position', 'address', 'station_name', 'timestamp', 'damaged_quantity', 'category', 'detail', 'transaction_hash',
+];
+
+/**
+ * Converts a block timestamp to an ISO 8601 date.
+ *
+ * @param {number|null} timestamp - The timestamp in seconds.
+ * @returns {string|null} The date, or null if there is no timestamp.
+ */
+function toIsoDate(timestamp) {
+  return timestamp === null || timestamp === undefined ? null : new Date(timestamp * 1000).toISOString();
+}
+
+/**
+ * Converts decoded event arguments to plain JSON values.
+ *
+ * @param {Object} args - The ethers Result holding the event arguments.
+ * @returns {Object} The arguments by name, with numbers as strings.
+ */
+function plainArgs(args) {
+  return Object.fromEntries(
+    Object.entries(args.toObject()).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  );
+}
+
+/**
+ * Looks up the registered name of a station.
+ *
+ * @param {Object} stations - The station registry.
+ * @param {string} address - The station address.
+ * @returns {string|null} The station's name, or null if it is not registered.
+ */
+function stationName(stations, address) {
+  const station = findStation(stations, address);
+  return station ? station.name : null;
+}
+
+/**
+ * Builds the report of a shipment for auditors and customers: its summary, its
+ * custody chain with the time each station checked in, every station's damage
+ * report with the hashes of the evidence attached to it, and all of its events,
+ * each with the transaction that caused it.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {Object} [stations] - The station registry, used to name stations.
+ * @returns {Promise<Object>} { shipment, custody, damageReports, events }
+ */
+export async function buildShipmentReport(contract, shipmentId, stations = {}) {
+  const shipment = await readShipment(contract, shipmentId);
+  const [timeline, reports] = await Promise.all([
+    buildTimeline(contract, shipmentId, isFinished(shipment.status)),
+    fetchDamageReports(contract, shipmentId),
+  ]);
+
+  // Stations check in in route order, so the n-th check-in belongs to the n-th station
+  const checkIns = timeline.filter((entry) => entry.name === 'StationUpdated');
+  const custody = shipment.transitStations.map((address, index) => {
+    const checkIn = checkIns[index] || null;
+    return {
+      position: index + 1,
+      address,
+      name: stationName(stations, address),
+      passed: index < shipment.currentStationIndex,
+      passedAt: checkIn ? toIsoDate(checkIn.timestamp) : null,
+      dwellSeconds: checkIn ? checkIn.dwellSeconds : null,
+      transactionHash: checkIn ? checkIn.transactionHash : null,
+    };
+  });
+
+  const damageReports = reports.map((report) => {
+    // The latest DamageReported event of a station holds its current report
+    const reported = timeline.filter(
+      (entry) => entry.name === 'DamageReported' && sameAddress(entry.args.reporter, report.address)
+    );
+    const latest = reported[reported.length - 1] || null;
+    const evidence = timeline
+      .filter((entry) => entry.name === 'DamageEvidenceAttached' && sameAddress(entry.args.reporter, report.address))
+      .map((entry) => ({
+        contentHash: entry.args.contentHash,
+        uri: entry.args.uri || null,
+        attachedAt: toIsoDate(entry.timestamp),
+        transactionHash: entry.transactionHash,
+      }));
+    return {
+      address: report.address,
+      name: stationName(stations, report.address),
+      damagedQuantity: report.damagedQuantity.toString(),
+      category: getDamageCategory(report.category),
+      explanation: report.explanation,
+      amendments: Math.max(0, reported.length - 1),
+      reportedAt: latest ? toIsoDate(latest.timestamp) : null,
+      transactionHash: latest ? latest.transactionHash : null,
+      evidence,
+    };
+  });
+
+  const events = timeline.map((entry) => ({
+    name: entry.name,
+    timestamp: toIsoDate(entry.timestamp),
+    blockNumber: entry.blockNumber,
+    actor: entry.actor,
+    args: plainArgs(entry.args),
+    transactionHash: entry.transactionHash,
+  }));
+
+  return {
+    shipment: {
+      id: shipment.id,
+      reference: shipment.reference || null,
+      origin: shipment.origin,
+      destination: shipment.destination,
+      quantity: shipment.quantity.toString(),
+      totalDamaged: shipment.totDamagedQuantity.toString(),
+      status: getStatus(shipment.status),
+      owner: shipment.owner,
+      currentStationIndex: shipment.currentStationIndex,
+      cancelledBy: shipment.cancelledBy,
+      cancellationReason: shipment.cancellationReason || null,
+    },
+    custody,
+    damageReports,
+    events,
+  };
+}
+
+/**
+ * Builds the reports of several shipments, in the given order.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Array} shipmentIds - The shipment IDs.
+ * @param {Object} [stations] - The station registry, used to name stations.
+ * @returns {Promise<Array>} The reports.
+ */
+export async function buildShipmentReports(contract, shipmentIds, stations = {}) {
+  return Promise.all(shipmentIds.map((id) => buildShipmentReport(contract, id, stations)));
+}
+
+/**
+ * Serializes reports as a JSON export.
+ *
+ * @param {Array} reports - The output of buildShipmentReports().
+ * @param {Object} [meta] - { contractAddress, network } identifying where the data comes from.
+ * @returns {string} The JSON text.
+ */
+export function reportsToJson(reports, { contractAddress = null, network = null } = {}) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    contractAddress,
+    network,
+    shipments: reports,
+  }, null, 2);
+}
+
+/**
+ * Quotes a CSV field if needed.
+ * Text that spreadsheets would run as a formula (starting with =, +, -, @, a tab or a carriage return), such
+ * as a damage explanation a station wrote, is prefixed with an apostrophe so that it is shown as text.
+ *
+ * @param {*} value - The field value; null and undefined become empty fields.
+ * @returns {string} The CSV field.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes reports as a CSV export (see CSV_COLUMNS).
+ *
+ * @param {Array} reports - The output of buildShipmentReports().
+ * @returns {string} The CSV text.
+ */
+export function reportsToCsv(reports) {
+  const rows = [];
+  for (const { shipment, custody, damageReports, events } of reports) {
+    const summary = {
+      shipment_id: shipment.id,
+      reference: shipment.reference,
+      origin: shipment.origin,
+      destination: shipment.destination,
+      quantity: shipment.quantity,
+      total_damaged: shipment.totalDamaged,
+      status: shipment.status,
+      owner: shipment.owner,
+    };
+    custody.forEach((stop) => rows.push({
+      ...summary,
+      record: 'station',
+      position: stop.position,
+      address: stop.address,
+      station_name: stop.name,
+      timestamp: stop.passedAt,
+      detail: stop.passed ? 'passed' : 'pending',
+      transaction_hash: stop.transactionHash,
+    }));
+    damageReports.forEach((report) => rows.push({
+      ...summary,
+      record: 'damage',
+      address: report.address,
+      station_name: report.name,
+      timestamp: report.reportedAt,
+      damaged_quantity: report.damagedQuantity,
+      category: report.category,
+      detail: report.explanation,
+      transaction_hash: report.transactionHash,
+    }));
+    damageReports.forEach((report) => report.evidence.forEach((file) => rows.push({
+      ...summary,
+      record: 'evidence',
+      address: report.address,
+      station_name: report.name,
+      timestamp: file.attachedAt,
+      detail: file.uri ? `${file.contentHash} ${file.uri}` : file.contentHash,
+      transaction_hash: file.transactionHash,
+    })));
+    events.forEach((event) => rows.push({
+      ...summary,
+      record: 'event',
+      address: event.actor,
+      timestamp: event.timestamp,
+      detail: event.name,
+      transaction_hash: event.transactionHash,
+    }));
+  }
+
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach((row) => lines.push(CSV_COLUMNS.map((column) => csvField(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
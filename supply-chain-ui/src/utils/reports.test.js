@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+import { sha256, toUtf8Bytes } from 'ethers';
+import { CSV_COLUMNS, buildShipmentReport, buildShipmentReports, reportsToCsv, reportsToJson } from './reports';
+import { DamageCategory } from './damage';
+import { Role } from './roles';
+import { grantRoles, setUpLocalChain } from '../testUtils/localChain';
+
+jest.setTimeout(30000);
+
+let contract;
+let shipper;
+let stationA;
+let stationB;
+let stationC;
+
+setUpLocalChain(async (deployed) => {
+  contract = deployed.contract;
+  [shipper, stationA, stationB, stationC] = deployed.signers;
+  await grantRoles(contract, Role.Shipper, [shipper]);
+  await grantRoles(contract, Role.Carrier, [stationA, stationB, stationC]);
+
+  // Shipment 1 has passed stationA and stationB; stationA reported damage, then amended it
+  await (await contract.createShipment(1, 'Factory A', 'Warehouse B', 100, [stationA.address, stationB.address, stationC.address])).wait();
+  await (await contract.connect(stationA).progressToNextStation(1)).wait();
+  await (await contract.connect(stationA).reportDamage(1, 3, 'wet boxes', DamageCategory.Packing)).wait();
+  await (await contract.connect(stationB).progressToNextStation(1)).wait();
+  await (await contract.connect(stationA).reportDamage(1, 5, 'more wet boxes', DamageCategory.Packing)).wait();
+});
+
+test('reports the custody chain with check-in times and transactions', async () => {
+  const stations = { [stationB.address]: { address: stationB.address, name: 'Central Hub' } };
+  const { shipment, custody } = await buildShipmentReport(contract, '1', stations);
+
+  expect(shipment).toMatchObject({ id: '1', quantity: '100', totalDamaged: '5', status: 'In Transit' });
+  expect(custody.map((stop) => [stop.position, stop.address, stop.name, stop.passed])).toEqual([
+    [1, stationA.address, null, true],
+    [2, stationB.address, 'Central Hub', true],
+    [3, stationC.address, null, false],
+  ]);
+  expect(custody[0].passedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  expect(custody[1].transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+  expect(custody[2]).toMatchObject({ passedAt: null, transactionHash: null });
+});
+
+test('reports each station\'s current damage report and how often it was amended', async () => {
+  const { damageReports, events } = await buildShipmentReport(contract, '1');
+
+  expect(damageReports).toEqual([expect.objectContaining({
+    address: stationA.address,
+    damagedQuantity: '5',
+    category: 'Packing',
+    explanation: 'more wet boxes',
+    amendments: 1,
+  })]);
+  const lastReport = events.filter((event) => event.name === 'DamageReported').pop();
+  expect(damageReports[0].transactionHash).toBe(lastReport.transactionHash);
+  expect(lastReport.args).toMatchObject({ damagedQuantity: '5', previousQuantity: '3', reporter: stationA.address });
+});
+
+test('exports reports as CSV and JSON', async () => {
+  await (await contract.createShipment(2, 'Port "C", Dock 4', 'Store D', 10, [stationC.address])).wait();
+  const reports = await buildShipmentReports(contract, ['1', '2']);
+
+  const lines = reportsToCsv(reports).trim().split('\r\n');
+  expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+  expect(lines.filter((line) => line.startsWith('1,') && line.includes(',station,'))).toHaveLength(3);
+  expect(lines.filter((line) => line.includes(',damage,'))).toHaveLength(1);
+  expect(lines.find((line) => line.startsWith('2,'))).toContain('"Port ""C"", Dock 4"');
+
+  const json = JSON.parse(reportsToJson(reports, { contractAddress: contract.target }));
+  expect(json).toMatchObject({ version: 1, contractAddress: contract.target });
+  expect(json.shipments.map((report) => report.shipment.id)).toEqual(['1', '2']);
+});
+
+test('keeps spreadsheets from running text in the CSV as formulas', async () => {
+  await (await contract.createShipment(2, '=HYPERLINK("https://evil.example.com")', '+Store D', 10, [stationC.address])).wait();
+  await (await contract.connect(stationC).progressToNextStation(2)).wait();
+  await (await contract.connect(stationC).reportDamage(2, 1, '@SUM(A1:A9)', DamageCategory.Accident)).wait();
+  const reports = await buildShipmentReports(contract, ['2']);
+
+  const [, row] = reportsToCsv(reports).split('\r\n');
+  expect(row).toContain(`,"'=HYPERLINK(""https://evil.example.com"")",'+Store D,`);
+  expect(reportsToCsv(reports).split('\r\n').find((line) => line.includes(',damage,'))).toContain(",'@SUM(A1:A9),");
+});
+
+test('lists the evidence attached to each damage report', async () => {
+  const photo = sha256(toUtf8Bytes('photo of wet boxes'));
+  const invoice = sha256(toUtf8Bytes('repair invoice'));
+  await (await contract.connect(stationA).attachDamageEvidence(1, [photo, invoice], ['https://files.example.com/wet.jpg', ''])).wait();
+
+  const reports = await buildShipmentReports(contract, ['1']);
+
+  expect(reports[0].damageReports[0].evidence).toEqual([
+    expect.objectContaining({ contentHash: photo, uri: 'https://files.example.com/wet.jpg' }),
+    expect.objectContaining({ contentHash: invoice, uri: null }),
+  ]);
+  expect(reports[0].damageReports[0].evidence[0].transactionHash).toMatch(/^0x[0-9a-f]{64}$/);
+  const evidenceRows = reportsToCsv(reports).split('\r\n').filter((line) => line.includes(',evidence,'));
+  expect(evidenceRows).toHaveLength(2);
+  expect(evidenceRows[0]).toContain(`${photo} https://files.example.com/wet.jpg`);
+});
@@ -0,0 +1,94 @@
+// src/utils/roles.js
+
+import { getAddress } from 'ethers';
+
+/**
+ * Mirrors the contract's Role enum.
+ */
+export const Role = {
+  Admin: 0,
+  Shipper: 1,
+  Carrier: 2,
+  Auditor: 3,
+};
+
+// Roles of an account that holds none
+export const NO_ROLES = { admin: false, shipper: false, carrier: false, auditor: false };
+
+/**
+ * Converts a role code to a human-readable string.
+ *
+ * @param {number} role - The role code.
+ * @returns {string} The role as a string.
+ */
+export function getRoleName(role) {
+  switch (role) {
+    case Role.Admin:
+      return "Admin";
+    case Role.Shipper:
+      return "Shipper";
+    case Role.Carrier:
+      return "Carrier";
+    case Role.Auditor:
+      return "Auditor";
+    default:
+      return "Unknown";
+  }
+}
+
+/**
+ * Fetches the roles an account holds.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string|null} account - The account; null in read-only mode.
+ * @returns {Promise<Object>} { admin, shipper, carrier, auditor }
+ */
+export async function fetchRoles(contract, account) {
+  if (!account) return NO_ROLES;
+  const [admin, shipper, carrier, auditor] = await contract.getRoles(account);
+  return { admin, shipper, carrier, auditor };
+}
+
+/**
+ * Lists every account that currently holds a role, by replaying the contract's
+ * RoleGranted and RoleRevoked events.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @returns {Promise<Array>} One { address, roles } per account, where roles is a sorted array of role codes.
+ */
+export async function fetchRoleMembers(contract) {
+  const [granted, revoked] = await Promise.all([
+    contract.queryFilter('RoleGranted', 0),
+    contract.queryFilter('RoleRevoked', 0),
+  ]);
+  const events = [...granted, ...revoked].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const members = new Map(); // address => Set of role codes
+  for (const event of events) {
+    const address = getAddress(event.args.account);
+    const roles = members.get(address) || new Set();
+    if (event.eventName === 'RoleGranted') {
+      roles.add(Number(event.args.role));
+    } else {
+      roles.delete(Number(event.args.role));
+    }
+    members.set(address, roles);
+  }
+
+  return [...members.entries()]
+    .filter(([, roles]) => roles.size > 0)
+    .map(([address, roles]) => ({ address, roles: [...roles].sort() }));
+}
+
+/**
+ * Finds the addresses that do not hold a role, e.g. transit stations that are not carriers.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {number} role - The role code.
+ * @param {Array} addresses - The addresses to check.
+ * @returns {Promise<Array>} The addresses without the role.
+ */
+export async function findMissingRole(contract, role, addresses) {
+  const holds = await Promise.all(addresses.map((address) => contract.hasRole(role, address)));
+  return addresses.filter((address, index) => !holds[index]);
+}
@@ -0,0 +1,89 @@
+// src/utils/route.js
+
+import { ZeroAddress, getAddress, isAddress } from 'ethers';
+import { sameAddress } from './shipmentIndex';
+
+/**
+ * Validates a single route stop as typed by the user.
+ *
+ * @param {string} value - The address as typed.
+ * @returns {Object} { address, error, note } - address is the checksummed address, or null if invalid.
+ */
+export function validateStop(value) {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return { address: null, error: 'Enter a station address.', note: null };
+  }
+  if (!isAddress(trimmed)) {
+    // 40 hex digits that still fail validation have a mixed-case checksum that does not match
+    const error = /^0x[0-9a-fA-F]{40}$/.test(trimmed)
+      ? 'Checksum mismatch: the upper/lower-case letters do not match this address. Check it for typos.'
+      : 'Not a valid Ethereum address.';
+    return { address: null, error, note: null };
+  }
+  const address = getAddress(trimmed);
+  return {
+    address,
+    error: null,
+    note: address === trimmed ? null : `Not checksummed; will be submitted as ${address}.`,
+  };
+}
+
+/**
+ * Validates a whole route: every stop on its own, then the stops against each other.
+ * Errors prevent submitting the route; warnings only need the user's attention.
+ *
+ * @param {Array} stops - The addresses as typed, in route order.
+ * @param {string} currentAccount - The connected account.
+ * @param {Array} [passedStations] - Stations the shipment already passed when its route is amended;
+ *   they cannot be visited again.
+ * @returns {Array} One { address, error, note, warning } per stop.
+ */
+export function validateRoute(stops, currentAccount, passedStations = []) {
+  const results = stops.map(validateStop);
+  return results.map((result, index) => {
+    if (!result.address) {
+      return { ...result, warning: null };
+    }
+    let { error } = result;
+    let warning = null;
+    if (result.address === ZeroAddress) {
+      error = 'The zero address cannot sign transactions, so the shipment could never pass this stop.';
+    } else if (results.findIndex((other) => other.address === result.address) !== index) {
+      error = 'Duplicate station: this address is already on the route.';
+    } else if (passedStations.some((station) => sameAddress(station, result.address))) {
+      error = 'The shipment already passed this station.';
+    } else if (sameAddress(result.address, currentAccount)) {
+      warning = 'This is your connected account.';
+    }
+    return { ...result, error, warning };
+  });
+}
+
+/**
+ * Checks whether a validated route can be submitted.
+ *
+ * @param {Array} results - The output of validateRoute().
+ * @returns {boolean} True if there is at least one stop and none has an error.
+ */
+export function isRouteValid(results) {
+  return results.length > 0 && results.every((result) => !result.error);
+}
+
+/**
+ * Moves a stop up or down the route without modifying the input.
+ *
+ * @param {Array} stops - The route stops.
+ * @param {number} index - The index of the stop to move.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ * @returns {Array} The reordered stops.
+ */
+export function moveStop(stops, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= stops.length) {
+    return stops;
+  }
+  const reordered = [...stops];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
@@ -0,0 +1,156 @@
+// src/utils/routeMap.js
+
+import { ShippingStatus } from './status';
+import { sameAddress } from './shipmentIndex';
+import { findStation } from './stationRegistry';
+
+/**
+ * States of a step on a shipment's route.
+ */
+export const StepState = {
+  Passed: 'passed',   // The shipment has been through this step
+  Current: 'current', // The shipment is at this step
+  Pending: 'pending', // The shipment has not reached this step yet
+};
+
+/**
+ * Asks the contract which of a shipment's transit stations it has passed.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {Array} transitStations - The shipment's station addresses, in route order.
+ * @returns {Promise<Array>} One boolean per station.
+ */
+export async function fetchPassedStations(contract, shipmentId, transitStations) {
+  return Promise.all(transitStations.map((station) => contract.hasPassedStation(shipmentId, station)));
+}
+
+/**
+ * Lays out a shipment's route as steps from its origin through its transit stations to its destination.
+ * The shipment is at the last station that checked in, or at its origin before the first one did, and at
+ * its destination once delivered. The station whose turn is next is flagged while the shipment is moving.
+ *
+ * @param {Object} shipment - { origin, destination, transitStations, currentStationIndex, status }
+ * @param {Array} passed - Whether each transit station was passed (see fetchPassedStations()).
+ * @param {Array} damageReports - The output of fetchDamageReports().
+ * @returns {Array} One { kind, label, address, state, next, damagedQuantity } per step; kind is 'origin',
+ *   'station' or 'destination', and damagedQuantity is the quantity the station reported damaged (0n if none).
+ */
+export function buildRouteSteps(shipment, passed, damageReports) {
+  const status = Number(shipment.status);
+  const currentStationIndex = Number(shipment.currentStationIndex);
+  const delivered = status === ShippingStatus.Delivered;
+  const moving = status === ShippingStatus.Pending || status === ShippingStatus.InTransit;
+
+  const stations = shipment.transitStations.map((address, index) => {
+    const report = damageReports.find((r) => sameAddress(r.address, address));
+    let state = StepState.Pending;
+    if (passed[index]) {
+      state = !delivered && index === currentStationIndex - 1 ? StepState.Current : StepState.Passed;
+    }
+    return {
+      kind: 'station',
+      label: `Station ${index + 1}`,
+      address,
+      state,
+      next: moving && index === currentStationIndex,
+      damagedQuantity: report ? report.damagedQuantity : 0n,
+    };
+  });
+
+  return [
+    {
+      kind: 'origin',
+      label: shipment.origin,
+      address: null,
+      state: currentStationIndex === 0 && !delivered ? StepState.Current : StepState.Passed,
+      next: false,
+      damagedQuantity: 0n,
+    },
+    ...stations,
+    {
+      kind: 'destination',
+      label: shipment.destination,
+      address: null,
+      state: delivered ? StepState.Current : StepState.Pending,
+      next: false,
+      damagedQuantity: 0n,
+    },
+  ];
+}
+
+/**
+ * Places the route's stations that have coordinates in the station registry on a map of the given size.
+ * Uses an equirectangular projection fitted to the stations, so no map tiles (or network) are needed.
+ *
+ * @param {Array} steps - The output of buildRouteSteps().
+ * @param {Object} stations - The station registry, keyed by checksummed address.
+ * @param {Object} size - { width, height, padding } of the map, in pixels.
+ * @returns {Object} { points, missing } - points holds { step, name, x, y } per located station in route
+ *   order; missing counts the stations without coordinates.
+ */
+export function projectRoute(steps, stations, { width, height, padding }) {
+  const located = [];
+  let missing = 0;
+  for (const step of steps) {
+    if (step.kind !== 'station') continue;
+    const station = findStation(stations, step.address);
+    if (station && station.latitude !== null && station.longitude !== null) {
+      located.push({ step, name: station.name, latitude: station.latitude, longitude: station.longitude });
+    } else {
+      missing++;
+    }
+  }
+  if (located.length === 0) {
+    return { points: [], missing };
+  }
+
+  // Shrink longitudes by the cosine of the middle latitude, so distances look right away from the equator
+  const latitudes = located.map((point) => point.latitude);
+  const scaleX = Math.cos(((Math.min(...latitudes) + Math.max(...latitudes)) / 2) * Math.PI / 180);
+  const projected = located.map((point) => ({ ...point, px: point.longitude * scaleX, py: -point.latitude }));
+
+  const minX = Math.min(...projected.map((point) => point.px));
+  const maxX = Math.max(...projected.map((point) => point.px));
+  const minY = Math.min(...projected.map((point) => point.py));
+  const maxY = Math.max(...projected.map((point) => point.py));
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  const innerWidth = width - 2 * padding;
+  const innerHeight = height - 2 * padding;
+  // Keep the aspect ratio; a single station (or stations on one spot) sits in the middle
+  const scale = spanX === 0 && spanY === 0 ? 0 : Math.min(
+    spanX === 0 ? Infinity : innerWidth / spanX,
+    spanY === 0 ? Infinity : innerHeight / spanY
+  );
+
+  return {
+    points: projected.map((point) => ({
+      step: point.step,
+      name: point.name,
+      x: width / 2 + (point.px - (minX + maxX) / 2) * scale,
+      y: height / 2 + (point.py - (minY + maxY) / 2) * scale,
+    })),
+    missing,
+  };
+}
+
+/**
+ * Collects the changes the owner made to a shipment's route, oldest first, from RouteChanged events.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Array} events - The shipment's event records from fetchEvents().
+ * @returns {Promise<Array>} One { fromIndex, previousStations, newStations, reason, timestamp } per change;
+ *   fromIndex is the index of the first replaced station and timestamp is in unix seconds.
+ */
+export async function fetchRouteChanges(contract, events) {
+  const provider = contract.runner.provider;
+  const changes = events.filter((event) => event.name === 'RouteChanged');
+  return Promise.all(changes.map(async (event) => ({
+    fromIndex: Number(event.args.fromIndex),
+    previousStations: [...event.args.previousStations],
+    newStations: [...event.args.newStations],
+    reason: event.args.reason,
+    timestamp: (await provider.getBlock(event.blockNumber)).timestamp,
+  })));
+}
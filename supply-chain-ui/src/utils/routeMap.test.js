@@ -0,0 +1,64 @@
+import { StepState, buildRouteSteps, projectRoute } from './routeMap';
+import { ShippingStatus } from './status';
+
+const STATION_A = '0x1111111111111111111111111111111111111111';
+const STATION_B = '0x2222222222222222222222222222222222222222';
+const STATION_C = '0x3333333333333333333333333333333333333333';
+
+const SHIPMENT = { origin: 'Factory A', destination: 'Warehouse B', transitStations: [STATION_A, STATION_B, STATION_C] };
+
+/**
+ * Returns the state of every step, with a "+next" suffix for the station whose turn is next.
+ */
+function states(steps) {
+  return steps.map((step) => `${step.state}${step.next ? '+next' : ''}`);
+}
+
+test('a new shipment is at its origin and waits for the first station', () => {
+  const steps = buildRouteSteps({ ...SHIPMENT, status: ShippingStatus.Pending, currentStationIndex: 0 }, [false, false, false], []);
+
+  expect(steps.map((step) => step.kind)).toEqual(['origin', 'station', 'station', 'station', 'destination']);
+  expect(states(steps)).toEqual(['current', 'pending+next', 'pending', 'pending', 'pending']);
+});
+
+test('a shipment in transit is at the last station that checked in', () => {
+  const steps = buildRouteSteps(
+    { ...SHIPMENT, status: ShippingStatus.InTransit, currentStationIndex: 2 },
+    [true, true, false],
+    [{ address: STATION_A, damagedQuantity: 4n }]
+  );
+
+  expect(states(steps)).toEqual(['passed', 'passed', 'current', 'pending+next', 'pending']);
+  expect(steps.map((step) => step.damagedQuantity)).toEqual([0n, 4n, 0n, 0n, 0n]);
+});
+
+test('a delivered shipment is at its destination, and held or cancelled ones have no next station', () => {
+  const delivered = buildRouteSteps({ ...SHIPMENT, status: ShippingStatus.Delivered, currentStationIndex: 3 }, [true, true, true], []);
+  expect(states(delivered)).toEqual(['passed', 'passed', 'passed', 'passed', 'current']);
+
+  const held = buildRouteSteps({ ...SHIPMENT, status: ShippingStatus.OnHold, currentStationIndex: 1 }, [true, false, false], []);
+  expect(states(held)).toEqual(['passed', 'current', 'pending', 'pending', 'pending']);
+});
+
+test('projects the located stations into the map and counts the others', () => {
+  const steps = buildRouteSteps({ ...SHIPMENT, status: ShippingStatus.InTransit, currentStationIndex: 1 }, [true, false, false], []);
+  const stations = {
+    [STATION_A]: { address: STATION_A, name: 'West', latitude: 0, longitude: 0 },
+    [STATION_C]: { address: STATION_C, name: 'East', latitude: 0, longitude: 10 },
+  };
+
+  const { points, missing } = projectRoute(steps, stations, { width: 200, height: 100, padding: 10 });
+
+  expect(missing).toBe(1);
+  expect(points.map(({ name, x, y }) => [name, x, y])).toEqual([['West', 10, 50], ['East', 190, 50]]);
+  expect(points[0].step.state).toBe(StepState.Current);
+});
+
+test('puts a single located station in the middle of the map', () => {
+  const steps = buildRouteSteps({ ...SHIPMENT, status: ShippingStatus.Pending, currentStationIndex: 0 }, [false, false, false], []);
+  const stations = { [STATION_B]: { address: STATION_B, name: 'Hub', latitude: 48.1, longitude: 11.6 } };
+
+  const { points } = projectRoute(steps, stations, { width: 200, height: 100, padding: 10 });
+
+  expect(points.map(({ x, y }) => [x, y])).toEqual([[100, 50]]);
+});
@@ -0,0 +1,280 @@
+// src/utils/shipmentIndex.js
+
+import { toBigInt } from 'ethers';
+// Relative imports name the file, since the indexer (indexer/indexer.js) also loads this module in Node
+import { ShippingStatus } from './status.js';
+import { fetchDeadlines } from './sla.js';
+
+// Contract events used to discover shipments and their history
+export const INDEXED_EVENTS = [
+  'ShipmentCreated', 'StatusUpdated', 'StationUpdated', 'DamageReported', 'ShipmentCancelled',
+  'RecipientSet', 'ReceiptConfirmed', 'DisputeRaised', 'DeadlinesSet',
+  'RouteChanged', 'EscrowDeposited', 'PaymentReleased', 'EscrowSettled', 'DamageEvidenceAttached',
+];
+
+/**
+ * Orders events the way they happened on chain.
+ *
+ * @param {Object} a - The first event.
+ * @param {Object} b - The second event.
+ * @returns {number} A negative, zero or positive number, as for Array.prototype.sort.
+ */
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Converts an ethers EventLog into a plain event record.
+ *
+ * @param {Object} log - The EventLog returned by queryFilter.
+ * @returns {Object} { name, shipmentId, blockNumber, logIndex, transactionHash, args }
+ */
+function toEvent(log) {
+  return {
+    name: log.eventName,
+    shipmentId: log.args.shipmentId.toString(),
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    args: log.args,
+  };
+}
+
+/**
+ * Reads the shipment an event emitted by the contract concerns, e.g. to only refresh a view on its own events.
+ *
+ * @param {Object} payload - What contract.on() passes its listener.
+ * @returns {string|null} The shipment ID, or null for events that do not concern a shipment (such as
+ *   role changes) and logs the ABI does not know.
+ */
+export function eventShipmentId(payload) {
+  const fragment = payload && payload.fragment;
+  if (!fragment || !fragment.inputs.some((input) => input.name === 'shipmentId')) return null;
+  return payload.args.shipmentId.toString();
+}
+
+/**
+ * Builds the filter to query an event with: narrowed to one shipment if the event indexes the shipment ID.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} name - The event name.
+ * @param {string} [shipmentId] - The shipment ID, or undefined for the events of every shipment.
+ * @returns {string|Object} The event name or topic filter, for queryFilter.
+ */
+function eventFilter(contract, name, shipmentId) {
+  if (shipmentId === undefined) return name;
+  const indexed = contract.interface.getEvent(name).inputs.some((input) => input.name === 'shipmentId' && input.indexed);
+  return indexed ? contract.filters[name](shipmentId) : name;
+}
+
+/**
+ * Fetches the indexed contract events, oldest first.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Object} [options] - { shipmentId, fromBlock, toBlock } to narrow the query; toBlock defaults to the latest block.
+ * @returns {Promise<Array>} The event records.
+ */
+export async function fetchEvents(contract, { shipmentId, fromBlock = 0, toBlock } = {}) {
+  const batches = await Promise.all(
+    INDEXED_EVENTS.map((name) => contract.queryFilter(eventFilter(contract, name, shipmentId), fromBlock, toBlock))
+  );
+  const events = batches.flat().map(toEvent);
+  // ShipmentCreated, StationUpdated and StatusUpdated do not index the shipment ID, so filter them client-side
+  const matching = shipmentId === undefined
+    ? events
+    : events.filter((event) => event.shipmentId === shipmentId.toString());
+  return matching.sort(byChainOrder);
+}
+
+/**
+ * Reads the state of a shipment from the contract.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {number} [blockTag] - The block to read the shipment at, by default the latest.
+ * @returns {Promise<Object>} The shipment summary.
+ */
+export async function readShipment(contract, shipmentId, blockTag) {
+  const overrides = blockTag === undefined ? [] : [{ blockTag }];
+  const [details, ownership, reference, deadlines] = await Promise.all([
+    contract.getShipmentDetails(shipmentId, ...overrides),
+    contract.getShipmentOwnership(shipmentId, ...overrides),
+    contract.shipmentReferences(shipmentId, ...overrides),
+    fetchDeadlines(contract, shipmentId, blockTag),
+  ]);
+  const transitStations = [...details.transitStations];
+  const currentStationIndex = Number(details.currentStationIndex);
+  const status = Number(details.status);
+  const quantity = details.quantity;
+  const totDamagedQuantity = details.totDamagedQuantity;
+
+  return {
+    id: details.id.toString(),
+    origin: details.origin,
+    destination: details.destination,
+    reference, // External reference such as a PO number, '' if none
+    quantity,
+    totDamagedQuantity,
+    damageRatio: quantity > 0n ? Number((totDamagedQuantity * 10000n) / quantity) / 10000 : 0,
+    status,
+    transitStations,
+    currentStationIndex,
+    owner: ownership.owner,
+    cancelledBy: status === ShippingStatus.Cancelled ? ownership.cancelledBy : null,
+    cancellationReason: ownership.cancellationReason,
+    // Unix seconds, null if none; stationDeadlines is empty without per-station deadlines
+    deliveryDeadline: deadlines.deliveryDeadline,
+    stationDeadlines: deadlines.stationDeadlines,
+    // The station the shipment last checked in at, null until it departs
+    currentStation: currentStationIndex > 0 ? transitStations[currentStationIndex - 1] : null,
+    // The station expected to check in next, null once the shipment is finished
+    nextStation: isActive(status) && currentStationIndex < transitStations.length
+      ? transitStations[currentStationIndex]
+      : null,
+  };
+}
+
+/**
+ * Checks whether a shipment can progress to its next station.
+ * On Hold shipments cannot progress until resumed.
+ *
+ * @param {number} status - The status code of the shipment.
+ * @returns {boolean} True for Pending and In Transit shipments.
+ */
+export function isActive(status) {
+  return status === ShippingStatus.Pending || status === ShippingStatus.InTransit;
+}
+
+/**
+ * Builds the list of all shipments from the contract's events.
+ * Events are used to discover shipment IDs and their latest activity; the current
+ * state of each shipment is then read from the contract.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @returns {Promise<Object>} { shipments, events, lastBlock, newEvents }, see updateShipmentIndex().
+ */
+export function buildShipmentIndex(contract) {
+  return updateShipmentIndex(contract, null);
+}
+
+/**
+ * Brings a shipment list up to date: queries the events emitted since it was built and only
+ * re-reads the shipments they concern. Starts over when the chain is behind the list, i.e. it was reset.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Object|null} index - The previous result of buildShipmentIndex() or updateShipmentIndex(), or null
+ *   to build the list from the first block.
+ * @returns {Promise<Object>} { shipments, events, lastBlock, newEvents } - lastBlock is the last block queried,
+ *   and newEvents holds the events added to `events` by this update (all of them when the list was rebuilt).
+ */
+export async function updateShipmentIndex(contract, index) {
+  const latest = await contract.runner.provider.getBlockNumber();
+  // A chain that was restarted (such as Ganache or the demo chain) starts over from its first block
+  const previous = index && index.lastBlock <= latest ? index : null;
+  if (previous && previous.lastBlock === latest) {
+    return { ...previous, newEvents: [] };
+  }
+  const newEvents = await fetchEvents(contract, { fromBlock: previous ? previous.lastBlock + 1 : 0, toBlock: latest });
+
+  const activity = new Map(); // shipment ID => latest event block
+  for (const event of newEvents) {
+    activity.set(event.shipmentId, event.blockNumber);
+  }
+
+  const shipments = new Map((previous ? previous.shipments : []).map((shipment) => [shipment.id, shipment]));
+  await Promise.all(
+    [...activity.keys()].map(async (id) => {
+      try {
+        shipments.set(id, { ...(await readShipment(contract, id)), lastActivityBlock: activity.get(id) });
+      } catch (err) {
+        // Skip shipments that cannot be read (or keep their last state), rather than failing the whole dashboard
+        console.error(`Could not read shipment ${id}`, err);
+      }
+    })
+  );
+  return {
+    shipments: [...shipments.values()],
+    events: previous ? [...previous.events, ...newEvents] : newEvents,
+    lastBlock: latest,
+    newEvents,
+  };
+}
+
+/**
+ * Reads the IDs of the shipments a transaction created from its ShipmentCreated events,
+ * e.g. to show the ID the contract assigned.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Object} receipt - The transaction receipt.
+ * @returns {Array} The shipment IDs as strings, in creation order.
+ */
+export function createdShipmentIds(contract, receipt) {
+  return (receipt.logs || [])
+    .map((log) => contract.interface.parseLog(log))
+    .filter((parsed) => parsed && parsed.name === 'ShipmentCreated')
+    .map((parsed) => parsed.args.shipmentId.toString());
+}
+
+/**
+ * Compares two addresses regardless of checksum casing.
+ *
+ * @param {string} a - The first address.
+ * @param {string} b - The second address.
+ * @returns {boolean} True if both are set and equal.
+ */
+export function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Filters shipments for the dashboard.
+ *
+ * @param {Array} shipments - The shipment summaries.
+ * @param {Object} filters - { status, search, onlyMyStations, onlyAwaitingMe, onlyOverdue }; search matches the ID,
+ *   origin, destination or external reference, and onlyOverdue keeps shipments whose `overdue` flag is set.
+ * @param {string} account - The connected account.
+ * @returns {Array} The matching shipments.
+ */
+export function filterShipments(shipments, filters, account) {
+  const search = (filters.search || '').trim().toLowerCase();
+  return shipments.filter((shipment) => {
+    if (filters.status !== undefined && filters.status !== '' && shipment.status !== Number(filters.status)) {
+      return false;
+    }
+    if (search && ![shipment.id, shipment.origin, shipment.destination, shipment.reference].some((v) => v.toLowerCase().includes(search))) {
+      return false;
+    }
+    if (filters.onlyMyStations && !shipment.transitStations.some((station) => sameAddress(station, account))) {
+      return false;
+    }
+    if (filters.onlyAwaitingMe && !sameAddress(shipment.nextStation, account)) {
+      return false;
+    }
+    if (filters.onlyOverdue && !shipment.overdue) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Sorts shipments by a column without modifying the input.
+ *
+ * @param {Array} shipments - The shipment summaries.
+ * @param {string} key - The property to sort by.
+ * @param {string} direction - "asc" or "desc".
+ * @returns {Array} The sorted shipments.
+ */
+export function sortShipments(shipments, key, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+  const value = (shipment) => (key === 'id' ? toBigInt(shipment.id) : shipment[key]);
+  return [...shipments].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === 'string') return sign * x.localeCompare(y);
+    return x < y ? -sign : sign;
+  });
+}
@@ -0,0 +1,170 @@
+// src/utils/sla.js
+
+import { ShippingStatus } from './status.js';
+
+/**
+ * How a shipment did against the deadline of one leg, i.e. the check-in at one transit station.
+ */
+export const LegState = {
+  OnTime: 'onTime',     // Checked in by the deadline
+  Late: 'late',         // Checked in after the deadline
+  Overdue: 'overdue',   // Not checked in, and the deadline has passed
+  Upcoming: 'upcoming', // Not checked in, and the deadline is still ahead
+};
+
+/**
+ * Fetches the deadlines of a shipment.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {number} [blockTag] - The block to read the deadlines at, by default the latest.
+ * @returns {Promise<Object>} { deliveryDeadline, stationDeadlines } in unix seconds, null where none is set;
+ *   stationDeadlines is empty if the shipment has no per-station deadlines.
+ */
+export async function fetchDeadlines(contract, shipmentId, blockTag) {
+  const overrides = blockTag === undefined ? [] : [{ blockTag }];
+  const [deliveryDeadline, perStation] = await contract.getDeadlines(shipmentId, ...overrides);
+  return {
+    deliveryDeadline: Number(deliveryDeadline) || null,
+    stationDeadlines: perStation.map((deadline) => Number(deadline) || null),
+  };
+}
+
+/**
+ * Converts the value of a datetime-local input to unix seconds.
+ *
+ * @param {string} value - The input value, e.g. "2024-05-01T14:30", in the browser's time zone.
+ * @returns {number|null} The time in unix seconds, or null if the input is empty.
+ */
+export function toUnixSeconds(value) {
+  return value ? Math.floor(new Date(value).getTime() / 1000) : null;
+}
+
+/**
+ * Checks deadlines before they are sent to the contract, with the same rules as setDeadlines,
+ * plus that none may already have passed.
+ *
+ * @param {number|null} deliveryDeadline - The delivery deadline in unix seconds, or null.
+ * @param {Array} stationDeadlines - One deadline in unix seconds (or null) per transit station.
+ * @param {number} now - The current time in unix seconds.
+ * @returns {string|null} What is wrong with the deadlines, or null if they are fine.
+ */
+export function checkDeadlines(deliveryDeadline, stationDeadlines, now) {
+  const ordered = [...stationDeadlines, deliveryDeadline].filter((deadline) => deadline !== null);
+  if (ordered.some((deadline) => deadline <= now)) {
+    return 'Deadlines must be in the future.';
+  }
+  if (ordered.some((deadline, index) => index > 0 && deadline < ordered[index - 1])) {
+    return 'Deadlines must not decrease along the route, and the delivery deadline must not come before the last station\'s.';
+  }
+  return null;
+}
+
+/**
+ * Works out the deadline of each leg. The last station's check-in delivers the shipment,
+ * so without a deadline of its own it is held to the delivery deadline.
+ *
+ * @param {Object} deadlines - The output of fetchDeadlines().
+ * @param {number} stationCount - The number of transit stations.
+ * @returns {Array} One deadline in unix seconds (or null) per transit station.
+ */
+export function legDeadlines({ deliveryDeadline, stationDeadlines }, stationCount) {
+  return Array.from({ length: stationCount }, (_, index) => {
+    const own = stationDeadlines[index] ?? null;
+    return own === null && index === stationCount - 1 ? deliveryDeadline : own;
+  });
+}
+
+/**
+ * Looks up when each station checked each shipment in, from StationUpdated events.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {Array} events - Event records from fetchEvents(), or from the indexer, whose events already carry
+ *   their block timestamp.
+ * @param {Map} [known] - Check-in times already looked up for earlier events, which are kept; it is not modified.
+ * @returns {Promise<Map>} shipment ID => (lower-case station address => check-in time in unix seconds).
+ */
+export async function fetchArrivalTimes(contract, events, known = new Map()) {
+  const provider = contract.runner.provider;
+  const checkIns = events.filter((event) => event.name === 'StationUpdated');
+
+  // Look up each block once, even if several shipments checked in during it
+  const blocks = new Map();
+  for (const event of checkIns) {
+    if (event.timestamp === undefined && !blocks.has(event.blockNumber)) {
+      blocks.set(event.blockNumber, provider.getBlock(event.blockNumber));
+    }
+  }
+
+  const arrivals = new Map([...known].map(([shipmentId, stations]) => [shipmentId, new Map(stations)]));
+  for (const event of checkIns) {
+    const timestamp = event.timestamp ?? (await blocks.get(event.blockNumber)).timestamp;
+    if (!arrivals.has(event.shipmentId)) {
+      arrivals.set(event.shipmentId, new Map());
+    }
+    arrivals.get(event.shipmentId).set(event.args.station.toLowerCase(), timestamp);
+  }
+  return arrivals;
+}
+
+/**
+ * Assesses every leg of a shipment against its deadline.
+ * Legs of cancelled shipments that were never reached are not assessed.
+ *
+ * @param {Object} shipment - { transitStations, status, deliveryDeadline, stationDeadlines }
+ * @param {Map} arrivals - This shipment's check-in times, see fetchArrivalTimes().
+ * @param {number} now - The current time in unix seconds.
+ * @returns {Array} One { station, deadline, arrivedAt, state } per transit station; state is a LegState,
+ *   or null if the leg has no deadline or is not assessed.
+ */
+export function assessLegs(shipment, arrivals, now) {
+  const deadlines = legDeadlines(shipment, shipment.transitStations.length);
+  const cancelled = Number(shipment.status) === ShippingStatus.Cancelled;
+
+  return shipment.transitStations.map((station, index) => {
+    const deadline = deadlines[index];
+    const arrivedAt = (arrivals && arrivals.get(station.toLowerCase())) ?? null;
+    let state = null;
+    if (deadline !== null) {
+      if (arrivedAt !== null) {
+        state = arrivedAt <= deadline ? LegState.OnTime : LegState.Late;
+      } else if (!cancelled) {
+        state = now > deadline ? LegState.Overdue : LegState.Upcoming;
+      }
+    }
+    return { station, deadline, arrivedAt, state };
+  });
+}
+
+/**
+ * Checks whether any leg of a shipment is overdue.
+ *
+ * @param {Array} legs - The output of assessLegs().
+ * @returns {boolean} True if a station has not checked the shipment in by its deadline.
+ */
+export function isOverdue(legs) {
+  return legs.some((leg) => leg.state === LegState.Overdue);
+}
+
+/**
+ * Computes how often each station checked shipments in on time.
+ * Legs that are overdue count as late, since they can no longer be on time.
+ *
+ * @param {Array} legsPerShipment - The output of assessLegs() for each shipment.
+ * @returns {Array} One { station, onTime, late, rate } per station with assessed legs, worst rate first;
+ *   rate is the share of legs on time, between 0 and 1.
+ */
+export function computeOnTimeRates(legsPerShipment) {
+  const totals = new Map(); // lower-case station address => { station, onTime, late }
+  for (const leg of legsPerShipment.flat()) {
+    if (leg.state === null || leg.state === LegState.Upcoming) continue;
+    const key = leg.station.toLowerCase();
+    if (!totals.has(key)) {
+      totals.set(key, { station: leg.station, onTime: 0, late: 0 });
+    }
+    totals.get(key)[leg.state === LegState.OnTime ? 'onTime' : 'late']++;
+  }
+  return [...totals.values()]
+    .map((total) => ({ ...total, rate: total.onTime / (total.onTime + total.late) }))
+    .sort((a, b) => a.rate - b.rate || a.station.localeCompare(b.station));
+}
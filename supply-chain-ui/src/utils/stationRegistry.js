@@ -0,0 +1,156 @@
+// src/utils/stationRegistry.js
+
+import { getAddress } from 'ethers';
+
+// Roles a station can play in the supply chain
+export const STATION_ROLES = ['Warehouse', 'Carrier', 'Distribution Center', 'Port', 'Retailer', 'Other'];
+
+// localStorage key holding the registry
+const STORAGE_KEY = 'chainmail.stations';
+
+// Version written to exported files, so future formats can still read old ones
+const EXPORT_VERSION = 1;
+
+/**
+ * Parses an optional coordinate.
+ *
+ * @param {*} value - The coordinate as entered or imported.
+ * @param {number} limit - The largest absolute value allowed (90 for latitudes, 180 for longitudes).
+ * @returns {number|null} The coordinate, or null if none was given.
+ * @throws {Error} If the coordinate is not a number within the limit.
+ */
+function parseCoordinate(value, limit) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const coordinate = Number(value);
+  if (!Number.isFinite(coordinate) || Math.abs(coordinate) > limit) {
+    throw new Error(`"${value}" is not a number between -${limit} and ${limit}.`);
+  }
+  return coordinate;
+}
+
+/**
+ * Validates and normalizes a station entry.
+ * Coordinates are optional, but a station needs both or neither.
+ *
+ * @param {Object} entry - { address, name, location, role, latitude, longitude }
+ * @returns {Object} The entry with a checksummed address, trimmed fields and numeric (or null) coordinates.
+ * @throws {Error} If the address or a coordinate is invalid, or the name is missing.
+ */
+export function normalizeStation(entry) {
+  let address;
+  try {
+    address = getAddress(String(entry.address || '').trim());
+  } catch (err) {
+    throw new Error(`Invalid station address "${entry.address}".`);
+  }
+  const name = String(entry.name || '').trim();
+  if (!name) {
+    throw new Error(`Station ${address} has no name.`);
+  }
+  let latitude;
+  let longitude;
+  try {
+    latitude = parseCoordinate(entry.latitude, 90);
+    longitude = parseCoordinate(entry.longitude, 180);
+  } catch (err) {
+    throw new Error(`Station ${address} has an invalid coordinate: ${err.message}`);
+  }
+  if ((latitude === null) !== (longitude === null)) {
+    throw new Error(`Station ${address} needs both a latitude and a longitude, or neither.`);
+  }
+  return {
+    address,
+    name,
+    location: String(entry.location || '').trim(),
+    role: STATION_ROLES.includes(entry.role) ? entry.role : 'Other',
+    latitude,
+    longitude,
+  };
+}
+
+/**
+ * Loads the registry from localStorage.
+ *
+ * @returns {Object} The registry, keyed by checksummed address.
+ */
+export function loadStations() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(
+      Object.values(stored).map((entry) => {
+        const station = normalizeStation(entry);
+        return [station.address, station];
+      })
+    );
+  } catch (err) {
+    console.error('Ignoring corrupt station registry:', err);
+    return {};
+  }
+}
+
+/**
+ * Saves the registry to localStorage.
+ *
+ * @param {Object} stations - The registry, keyed by checksummed address.
+ */
+export function saveStations(stations) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stations));
+}
+
+/**
+ * Serializes the registry for export.
+ *
+ * @param {Object} stations - The registry, keyed by checksummed address.
+ * @returns {string} The JSON export.
+ */
+export function exportStations(stations) {
+  return JSON.stringify({ version: EXPORT_VERSION, stations: Object.values(stations) }, null, 2);
+}
+
+/**
+ * Parses an exported registry and merges it into an existing one.
+ * Imported entries replace existing entries with the same address.
+ * Accepts either an export file or a plain array of entries.
+ *
+ * @param {Object} stations - The existing registry.
+ * @param {string} json - The JSON to import.
+ * @returns {Object} The merged registry.
+ * @throws {Error} If the JSON is malformed or an entry is invalid.
+ */
+export function importStations(stations, json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.stations;
+  if (!Array.isArray(entries)) {
+    throw new Error('The file does not contain a list of stations.');
+  }
+
+  const merged = { ...stations };
+  for (const entry of entries) {
+    const station = normalizeStation(entry);
+    merged[station.address] = station;
+  }
+  return merged;
+}
+
+/**
+ * Looks up a station by address, regardless of checksum casing.
+ *
+ * @param {Object} stations - The registry, keyed by checksummed address.
+ * @param {string} address - The address to look up.
+ * @returns {Object|null} The station entry, or null if the address is not registered.
+ */
+export function findStation(stations, address) {
+  if (!address) return null;
+  try {
+    return stations[getAddress(address)] || null;
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,46 @@
+// src/utils/status.js
+
+/**
+ * Mirrors the contract's ShippingStatus enum.
+ */
+export const ShippingStatus = {
+  Pending: 0,
+  InTransit: 1,
+  Delivered: 2,
+  Cancelled: 3,
+  OnHold: 4,
+};
+
+/**
+ * Converts the shipment status code to a human-readable string.
+ *
+ * @param {number} status - The status code of the shipment.
+ * @returns {string} The status as a string.
+ */
+export function getStatus(status) {
+  switch (status) {
+    case ShippingStatus.Pending:
+      return "Pending";
+    case ShippingStatus.InTransit:
+      return "In Transit";
+    case ShippingStatus.Delivered:
+      return "Delivered";
+    case ShippingStatus.Cancelled:
+      return "Cancelled";
+    case ShippingStatus.OnHold:
+      return "On Hold";
+    default:
+      return "Unknown";
+  }
+}
+
+/**
+ * Checks whether a shipment has reached a terminal state.
+ * Terminal states can no longer change on chain.
+ *
+ * @param {number} status - The status code of the shipment.
+ * @returns {boolean} True for Delivered and Cancelled shipments.
+ */
+export function isFinished(status) {
+  return status === ShippingStatus.Delivered || status === ShippingStatus.Cancelled;
+}
@@ -0,0 +1,82 @@
+// src/utils/timeline.js
+
+import { fetchEvents } from './shipmentIndex';
+
+/**
+ * Computes how long the shipment sat at each station.
+ * A station's dwell time runs from its StationUpdated check-in until the next
+ * station's check-in, or until `now` while the shipment is still there.
+ *
+ * @param {Array} entries - Timeline entries in chain order, each with a timestamp in seconds.
+ * @param {number} now - The current time in seconds, used for the station the shipment is at.
+ * @param {boolean} finished - True if the shipment no longer moves (delivered or cancelled).
+ * @returns {Array} The entries, with `dwellSeconds` set on station check-ins.
+ */
+export function computeDwellTimes(entries, now, finished) {
+  const checkIns = entries.filter((entry) => entry.name === 'StationUpdated');
+  const ends = checkIns.slice(1).map((entry) => entry.timestamp);
+  // The last station's dwell time only grows while the shipment is still moving
+  ends.push(finished ? null : now);
+
+  const dwell = new Map(checkIns.map((entry, i) => [entry, ends[i] === null ? null : ends[i] - entry.timestamp]));
+  return entries.map((entry) => (dwell.has(entry) ? { ...entry, dwellSeconds: dwell.get(entry) } : entry));
+}
+
+/**
+ * Formats a number of seconds as a short duration, e.g. "2d 3h" or "5m 10s".
+ *
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(seconds) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let remaining = Math.max(0, Math.floor(seconds));
+  for (const [label, size] of units) {
+    if (remaining >= size || (parts.length === 0 && size === 1)) {
+      parts.push(`${Math.floor(remaining / size)}${label}`);
+      remaining %= size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Reconstructs the history of a shipment from the contract's events.
+ * Each entry carries the block timestamp, the transaction hash and the address
+ * that sent the transaction.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} shipmentId - The shipment ID.
+ * @param {boolean} finished - True if the shipment is delivered or cancelled.
+ * @param {Object} [lookups] - { blocks, transactions }: Maps of the block and transaction lookups of earlier
+ *   calls, keyed by block number and transaction hash, which this call reuses and adds to.
+ * @returns {Promise<Array>} The timeline entries, oldest first.
+ */
+export async function buildTimeline(contract, shipmentId, finished, { blocks = new Map(), transactions = new Map() } = {}) {
+  const provider = contract.runner.provider;
+  const events = await fetchEvents(contract, { shipmentId });
+
+  // Look up each block and transaction once, even if it emitted several events
+  for (const event of events) {
+    if (!blocks.has(event.blockNumber)) {
+      blocks.set(event.blockNumber, provider.getBlock(event.blockNumber));
+    }
+    if (!transactions.has(event.transactionHash)) {
+      transactions.set(event.transactionHash, provider.getTransaction(event.transactionHash));
+    }
+  }
+
+  const entries = await Promise.all(events.map(async (event) => {
+    const block = await blocks.get(event.blockNumber);
+    const tx = await transactions.get(event.transactionHash);
+    return {
+      ...event,
+      timestamp: block.timestamp,
+      actor: tx ? tx.from : null,
+    };
+  }));
+
+  return computeDwellTimes(entries, Math.floor(Date.now() / 1000), finished);
+}
@@ -0,0 +1,148 @@
+// src/utils/transactions.js
+
+/**
+ * Lifecycle states of a transaction sent through runTransaction().
+ */
+export const TX_STATES = {
+  SIMULATING: 'simulating',                   // Pre-flight staticCall and gas estimation
+  AWAITING_SIGNATURE: 'awaiting-signature',   // Waiting for the user to confirm in their wallet
+  SUBMITTED: 'submitted',                     // Broadcast, not yet in a block
+  MINED: 'mined',                             // Included in a block
+  CONFIRMED: 'confirmed',                     // Buried under the configured number of blocks
+  FAILED: 'failed',                           // Rejected, reverted or dropped
+};
+
+// Reasons for Solidity's built-in Panic(uint256) error codes
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x31: 'pop from an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function',
+};
+
+/**
+ * Error thrown by runTransaction(), carrying a human-readable reason.
+ */
+export class TransactionError extends Error {
+  /**
+   * @param {string} reason - The decoded reason, suitable for showing to the user.
+   * @param {Error} cause - The original error.
+   */
+  constructor(reason, cause) {
+    super(reason);
+    this.name = 'TransactionError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Describes a decoded revert.
+ *
+ * @param {Object} revert - { name, args } as decoded by ethers.
+ * @returns {string} The revert reason.
+ */
+function describeRevert(revert) {
+  if (revert.name === 'Error') {
+    return revert.args[0];
+  }
+  if (revert.name === 'Panic') {
+    const code = Number(revert.args[0]);
+    return `Panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+  }
+  // Custom error, e.g. "QuantityExceedsShipment(120, 100)"
+  return `${revert.name}(${revert.args.map((arg) => arg.toString()).join(', ')})`;
+}
+
+/**
+ * Finds raw revert data in an error. Wallets nest the node's error in different
+ * places (err.data, err.info.error.data, err.error.data.data, ...).
+ *
+ * @param {*} value - The error, or a part of it.
+ * @param {number} [depth] - Current recursion depth.
+ * @returns {string|null} The hex revert data, or null if there is none.
+ */
+function findRevertData(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 4) {
+    return null;
+  }
+  if (typeof value.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(value.data)) {
+    return value.data;
+  }
+  for (const key of ['data', 'info', 'error', 'cause']) {
+    const found = findRevertData(value[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Turns a wallet, provider or contract error into a human-readable reason.
+ * Decodes revert strings, panics and custom errors from the contract's ABI.
+ *
+ * @param {Error} err - The error to decode.
+ * @param {Object} iface - The contract's ethers Interface, used to decode custom errors.
+ * @returns {string} The reason.
+ */
+export function decodeError(err, iface) {
+  if (err.code === 'ACTION_REJECTED' || err.code === 4001) {
+    return 'Transaction was rejected in your wallet.';
+  }
+  if (err.revert) {
+    return describeRevert(err.revert);
+  }
+
+  const data = findRevertData(err);
+  if (data && iface) {
+    try {
+      const decoded = iface.parseError(data);
+      if (decoded) {
+        return describeRevert(decoded);
+      }
+    } catch (decodeErr) {
+      // Unknown error selector; fall through to the generic message
+    }
+  }
+  return err.reason || err.shortMessage || err.message || 'Unknown error';
+}
+
+/**
+ * Sends a contract transaction and reports each lifecycle state.
+ * The call is simulated with staticCall and gas estimation first, so reverts are
+ * caught with their reason before the user is asked to sign anything.
+ *
+ * @param {Object} contract - The instance of the smart contract.
+ * @param {string} method - The contract function to call.
+ * @param {Array} args - The function arguments.
+ * @param {Object} [options] - { confirmations, onUpdate }; onUpdate receives { state, ...details }.
+ * @returns {Promise<Object>} The transaction receipt.
+ * @throws {TransactionError} If the transaction is rejected, reverts or fails.
+ */
+export async function runTransaction(contract, method, args, { confirmations = 1, onUpdate = () => {} } = {}) {
+  try {
+    onUpdate({ state: TX_STATES.SIMULATING });
+    await contract[method].staticCall(...args);
+    const gasEstimate = await contract[method].estimateGas(...args);
+
+    onUpdate({ state: TX_STATES.AWAITING_SIGNATURE, gasEstimate });
+    const tx = await contract[method](...args);
+
+    onUpdate({ state: TX_STATES.SUBMITTED, hash: tx.hash });
+    const receipt = await tx.wait();
+    onUpdate({ state: TX_STATES.MINED, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+
+    if (confirmations > 1) {
+      await tx.wait(confirmations);
+    }
+    onUpdate({ state: TX_STATES.CONFIRMED });
+    return receipt;
+  } catch (err) {
+    const reason = decodeError(err, contract.interface);
+    onUpdate({ state: TX_STATES.FAILED, error: reason });
+    throw new TransactionError(reason, err);
+  }
+}
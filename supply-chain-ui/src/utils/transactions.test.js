@@ -0,0 +1,106 @@
+import { AbiCoder, Interface } from 'ethers';
+import { TX_STATES, TransactionError, decodeError, runTransaction } from './transactions';
+
+const iface = new Interface(['error QuantityExceedsShipment(uint256 requested, uint256 available)']);
+const coder = AbiCoder.defaultAbiCoder();
+
+// Revert data of require(false, "...") and of a failed overflow check
+const errorData = (reason) => `0x08c379a0${coder.encode(['string'], [reason]).slice(2)}`;
+const panicData = (code) => `0x4e487b71${coder.encode(['uint256'], [code]).slice(2)}`;
+
+/**
+ * Builds a mock contract whose method runs through the given steps; a step that is an Error throws it.
+ */
+function mockContract({ staticCall = null, estimateGas = 21000n, send, receipt = { blockNumber: 7, gasUsed: 50000n } } = {}) {
+  const wait = jest.fn(async () => receipt);
+  const result = (value) => jest.fn(async () => {
+    if (value instanceof Error) throw value;
+    return value;
+  });
+  const method = send instanceof Error ? result(send) : jest.fn(async () => ({ hash: '0xabc', wait }));
+  method.staticCall = result(staticCall);
+  method.estimateGas = result(estimateGas);
+  return { createShipment: method, interface: iface, waitForReceipt: wait };
+}
+
+/**
+ * Builds an error like a wallet returns, with the revert data nested as MetaMask does.
+ */
+function walletError(data, message = 'execution reverted') {
+  return Object.assign(new Error(message), { info: { error: { code: -32000, data } } });
+}
+
+describe('decodeError', () => {
+  test('reports transactions rejected in the wallet', () => {
+    expect(decodeError({ code: 'ACTION_REJECTED' }, iface)).toBe('Transaction was rejected in your wallet.');
+    expect(decodeError({ code: 4001, message: 'User denied' }, iface)).toBe('Transaction was rejected in your wallet.');
+  });
+
+  test('decodes revert strings, already decoded or raw', () => {
+    expect(decodeError({ revert: { name: 'Error', args: ['Station has not been passed yet'] } }, iface))
+      .toBe('Station has not been passed yet');
+    expect(decodeError(walletError(errorData('Shipment does not exist')), iface)).toBe('Shipment does not exist');
+    expect(decodeError({ error: { data: { data: errorData('Nested deeper') } } }, iface)).toBe('Nested deeper');
+  });
+
+  test('decodes panics', () => {
+    expect(decodeError(walletError(panicData(0x11)), iface)).toBe('Panic: arithmetic overflow or underflow');
+    expect(decodeError({ revert: { name: 'Panic', args: [0x99n] } }, iface)).toBe('Panic: code 0x99');
+  });
+
+  test('decodes custom errors from the ABI', () => {
+    const data = iface.encodeErrorResult('QuantityExceedsShipment', [120, 100]);
+
+    expect(decodeError(walletError(data), iface)).toBe('QuantityExceedsShipment(120, 100)');
+  });
+
+  test('falls back to the error message for unknown reverts', () => {
+    expect(decodeError(walletError('0xdeadbeef00'), iface)).toBe('execution reverted');
+    expect(decodeError(Object.assign(new Error('long message'), { shortMessage: 'could not coalesce error' }), iface))
+      .toBe('could not coalesce error');
+    expect(decodeError({}, iface)).toBe('Unknown error');
+  });
+});
+
+describe('runTransaction', () => {
+  test('simulates, sends and waits for confirmations, reporting each state', async () => {
+    const contract = mockContract();
+    const onUpdate = jest.fn();
+
+    const receipt = await runTransaction(contract, 'createShipment', [1, 'A'], { confirmations: 3, onUpdate });
+
+    expect(receipt).toEqual({ blockNumber: 7, gasUsed: 50000n });
+    expect(contract.createShipment.staticCall).toHaveBeenCalledWith(1, 'A');
+    expect(contract.createShipment).toHaveBeenCalledWith(1, 'A');
+    expect(contract.waitForReceipt.mock.calls).toEqual([[], [3]]);
+    expect(onUpdate.mock.calls.map(([update]) => update)).toEqual([
+      { state: TX_STATES.SIMULATING },
+      { state: TX_STATES.AWAITING_SIGNATURE, gasEstimate: 21000n },
+      { state: TX_STATES.SUBMITTED, hash: '0xabc' },
+      { state: TX_STATES.MINED, blockNumber: 7, gasUsed: 50000n },
+      { state: TX_STATES.CONFIRMED },
+    ]);
+  });
+
+  test('stops before asking for a signature when the simulation reverts', async () => {
+    const contract = mockContract({ staticCall: walletError(errorData('Only shippers can create shipments')) });
+    const onUpdate = jest.fn();
+
+    const error = await runTransaction(contract, 'createShipment', [], { onUpdate }).catch((err) => err);
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.reason).toBe('Only shippers can create shipments');
+    expect(contract.createShipment).not.toHaveBeenCalled();
+    expect(onUpdate).toHaveBeenLastCalledWith({ state: TX_STATES.FAILED, error: 'Only shippers can create shipments' });
+  });
+
+  test('fails when the user rejects the transaction', async () => {
+    const rejection = Object.assign(new Error('user rejected action'), { code: 'ACTION_REJECTED' });
+    const contract = mockContract({ send: rejection });
+
+    const error = await runTransaction(contract, 'createShipment', []).catch((err) => err);
+
+    expect(error.reason).toBe('Transaction was rejected in your wallet.');
+    expect(error.cause).toBe(rejection);
+  });
+});